@@ -1,23 +1,24 @@
-const express = require('express');
 const mongoose = require('mongoose');
+const config = require('./src/config');
+const app = require('./src/app');
+const { startHoldExpiryJob } = require('./src/jobs/holdExpiry.job');
+const { startWebhookRetryJob } = require('./src/jobs/webhookRetry.job');
+const { startNotifications } = require('./src/helper/notification');
+const { startWebhooks } = require('./src/helper/webhook');
 
-const userRoutes = require('./src/routes/user.routes');
-const orderRoutes = require('./src/routes/order.routes');
-const orderItemRoutes = require('./src/routes/orderItem.routes');
-const inventoryRoutes = require('./src/routes/inventory.routes');
+const port = config.port;
 
-const app = express();
-const port = process.env.PORT || 3000;
+if (!config.auth.jwtSecret) {
+    console.error('JWT_SECRET is not set; refusing to start with a guessable token secret');
+    process.exit(1);
+}
 
-app.use(express.json());
-
-mongoose.connect('mongodb://localhost:27017/node-practical', { useNewUrlParser: true, useUnifiedTopology: true });
-
-app.use('/users', userRoutes);
-app.use('/orders', orderRoutes);
-app.use('/order-items', orderItemRoutes);
-app.use('/inventory', inventoryRoutes);
+mongoose.connect(config.mongoUri, { useNewUrlParser: true, useUnifiedTopology: true });
 
 app.listen(port, () => {
     console.log(`Server is running on port ${port}`);
+    startNotifications();
+    startWebhooks();
+    startHoldExpiryJob();
+    startWebhookRetryJob();
 });
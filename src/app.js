@@ -0,0 +1,23 @@
+const express = require('express');
+const { auditContext } = require('./middleware/audit.middleware');
+
+const userRoutes = require('./routes/user.routes');
+const orderRoutes = require('./routes/order.routes');
+const orderItemRoutes = require('./routes/orderItem.routes');
+const inventoryRoutes = require('./routes/inventory.routes');
+const waitlistRoutes = require('./routes/waitlist.routes');
+const webhookRoutes = require('./routes/webhook.routes');
+
+const app = express();
+
+app.use(express.json());
+app.use(auditContext);
+
+app.use('/users', userRoutes);
+app.use('/orders', orderRoutes);
+app.use('/order-items', orderItemRoutes);
+app.use('/inventory', inventoryRoutes);
+app.use('/waitlist', waitlistRoutes);
+app.use('/webhooks', webhookRoutes);
+
+module.exports = app;
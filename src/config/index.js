@@ -0,0 +1,62 @@
+// Runtime settings read from the environment with local development defaults
+const config = {
+  port: process.env.PORT || 3000,
+  mongoUri: process.env.MONGO_URI || 'mongodb://localhost:27017/node-practical',
+  auth: {
+    // Required: with a known default anyone could forge tokens, so index.js refuses to start without it
+    jwtSecret: process.env.JWT_SECRET || '',
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '1d',
+    bcryptSaltRounds: Number(process.env.BCRYPT_SALT_ROUNDS) || 10,
+  },
+  holds: {
+    // Hold requests not approved within this many hours expire (0 disables expiry)
+    requestTtlHours: Number(process.env.HOLD_REQUEST_TTL_HOURS ?? 48),
+    expiryIntervalMinutes: Number(process.env.HOLD_EXPIRY_INTERVAL_MINUTES) || 15,
+  },
+  dates: {
+    // IANA timezone rental dates are business days in (e.g. Asia/Kolkata)
+    timezone: process.env.BUSINESS_TIMEZONE || 'UTC',
+    // 'inclusive': a return and a pickup on the same day clash; 'half-open': they do not
+    overlap: process.env.RENTAL_OVERLAP || 'inclusive',
+  },
+  buffers: {
+    // Turnaround days kept free before every pickup and after every return
+    // (packing, inspection, cleaning); an inventory can override both
+    beforeDays: Number(process.env.RENTAL_BUFFER_BEFORE_DAYS ?? 0),
+    afterDays: Number(process.env.RENTAL_BUFFER_AFTER_DAYS ?? 0),
+    // Transit days added on top of the turnaround, per shipping method
+    shipping: {
+      'pick-up': {
+        beforeDays: Number(process.env.PICK_UP_BUFFER_BEFORE_DAYS ?? 0),
+        afterDays: Number(process.env.PICK_UP_BUFFER_AFTER_DAYS ?? 0),
+      },
+      ship: {
+        beforeDays: Number(process.env.SHIP_BUFFER_BEFORE_DAYS ?? 0),
+        afterDays: Number(process.env.SHIP_BUFFER_AFTER_DAYS ?? 0),
+      },
+    },
+  },
+  mail: {
+    // Notification emails are only sent when an SMTP host is configured
+    host: process.env.SMTP_HOST || '',
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || '',
+    password: process.env.SMTP_PASSWORD || '',
+    from: process.env.MAIL_FROM || 'node-practical <no-reply@localhost>',
+  },
+  webhooks: {
+    // Failed deliveries are retried after base, 2x base, 4x base, ... seconds
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    retryBaseSeconds: Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30,
+    retryIntervalSeconds: Number(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS) || 30,
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+  },
+  documents: {
+    // Shown in the header of quotes and invoices
+    issuerName: process.env.DOCUMENT_ISSUER_NAME || 'node-practical',
+    invoicePrefix: process.env.INVOICE_NUMBER_PREFIX || 'INV-',
+  },
+};
+
+module.exports = config;
@@ -0,0 +1,38 @@
+const HISTORY_ENTITY = {
+  ORDER: 'order',
+  ORDER_ITEM: 'order_item',
+  INVENTORY: 'inventory'
+};
+
+// Why a status or date changed; the endpoint and actor are recorded separately
+const HISTORY_REASON = {
+  ORDER_CREATED: 'order-created',
+  ITEM_ADDED: 'item-added',
+  ITEM_REMOVED: 'item-removed',
+  ITEM_RESTORED: 'item-restored',
+  HOLD_REQUESTED: 'hold-requested',
+  HOLD_APPROVED: 'hold-approved',
+  HOLD_REJECTED: 'hold-rejected',
+  HOLD_EXPIRED: 'hold-expired',
+  HOLD_PROMOTED: 'hold-promoted',
+  HOLDS_RELEASED: 'holds-released',
+  WAITLIST_QUEUED: 'waitlist-queued',
+  DATES_UPDATED: 'dates-updated',
+  STATUS_UPDATED: 'status-updated',
+  ORDER_CONFIRMED: 'order-confirmed',
+  CONFLICT_CONFIRMED: 'conflict-confirmed',
+  BOOKING_RELEASED: 'booking-released',
+  ORDER_CANCELLED: 'order-cancelled',
+  FULFILMENT: 'fulfilment',
+  SCANNED_OUT: 'scanned-out',
+  SCANNED_IN: 'scanned-in',
+  INSPECTED: 'inspected',
+  OUT_OF_SERVICE: 'out-of-service',
+  RETURNED_TO_SERVICE: 'returned-to-service',
+  INVENTORY_RETIRED: 'inventory-retired'
+};
+
+module.exports = {
+  HISTORY_ENTITY,
+  HISTORY_REASON
+};
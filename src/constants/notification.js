@@ -0,0 +1,24 @@
+// Emails customers can receive about their orders; each can be muted per user
+const NOTIFICATION_EVENT = {
+  HOLD_APPROVED: 'hold-approved',
+  HOLD_REJECTED: 'hold-rejected',
+  HOLD_EXPIRED: 'hold-expired',
+  HOLD_PROMOTED: 'hold-promoted',
+  ORDER_CONFIRMED: 'order-confirmed',
+  ORDER_UPDATED: 'order-updated',
+  ORDER_CANCELLED: 'order-cancelled',
+  ITEM_UNAVAILABLE: 'item-unavailable',
+  ITEM_AVAILABLE: 'item-available',
+  WAITLIST_AVAILABLE: 'waitlist-available',
+  WAITLIST_QUEUED: 'waitlist-queued'
+};
+
+const NOTIFICATION_STATUS = {
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+
+module.exports = {
+  NOTIFICATION_EVENT,
+  NOTIFICATION_STATUS
+};
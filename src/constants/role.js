@@ -0,0 +1,8 @@
+const USER_ROLE = {
+  ADMIN: 'admin',
+  CUSTOMER: 'customer'
+};
+
+module.exports = {
+  USER_ROLE
+};
@@ -0,0 +1,9 @@
+// How an order's artworks travel to and back from the customer
+const SHIPPING_METHOD = {
+  PICK_UP: 'pick-up',
+  SHIP: 'ship'
+};
+
+module.exports = {
+  SHIPPING_METHOD
+};
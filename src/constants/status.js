@@ -34,7 +34,57 @@ const ORDER_ITEM_STATUS = {
   IN: "in"
 };
 
+// Item statuses that book the artwork for the order's dates (confirmed or physically out)
+const BOOKED_ITEM_STATUSES = [
+  ORDER_ITEM_STATUS.CONFIRMED,
+  ORDER_ITEM_STATUS.OUT
+];
+
+// Statuses update-order may set; confirming and cancelling cascade to items and other
+// orders, so they only go through /confirm-order and /cancel-order
+const UPDATABLE_ORDER_STATUSES = [
+  ORDER_STATUS.WORKING,
+  ORDER_STATUS.HOLD
+];
+
+// Customers may withdraw orders (or items of orders) that are not booked yet;
+// confirmed orders need an admin
+const CUSTOMER_CANCELLABLE_STATUSES = [
+  ORDER_STATUS.WORKING,
+  ORDER_STATUS.HOLD
+];
+
+// Return inspection outcomes and the item status each one records
+const INSPECTION_CONDITION = {
+  CLEAN: ORDER_ITEM_STATUS.CLEAN,
+  DAMAGE: ORDER_ITEM_STATUS.DAMAGE,
+  LOSS: ORDER_ITEM_STATUS.LOSS
+};
+
+// Admin approval moves each hold request into its matching hold state
+const HOLD_APPROVAL_STATUS = {
+  [ORDER_ITEM_STATUS.ON_HOLD_REQUEST]: ORDER_ITEM_STATUS.ON_HOLD,
+  [ORDER_ITEM_STATUS.SECOND_HOLD_REQUEST]: ORDER_ITEM_STATUS.SECOND_HOLD,
+  [ORDER_ITEM_STATUS.THIRD_HOLD_REQUEST]: ORDER_ITEM_STATUS.THIRD_HOLD
+};
+
+// Queue position of each hold status (1st, 2nd, 3rd hold)
+const HOLD_LEVEL = {
+  [ORDER_ITEM_STATUS.ON_HOLD_REQUEST]: 1,
+  [ORDER_ITEM_STATUS.ON_HOLD]: 1,
+  [ORDER_ITEM_STATUS.SECOND_HOLD_REQUEST]: 2,
+  [ORDER_ITEM_STATUS.SECOND_HOLD]: 2,
+  [ORDER_ITEM_STATUS.THIRD_HOLD_REQUEST]: 3,
+  [ORDER_ITEM_STATUS.THIRD_HOLD]: 3
+};
+
 module.exports = {
   ORDER_STATUS,
-  ORDER_ITEM_STATUS
+  ORDER_ITEM_STATUS,
+  HOLD_APPROVAL_STATUS,
+  HOLD_LEVEL,
+  BOOKED_ITEM_STATUSES,
+  UPDATABLE_ORDER_STATUSES,
+  CUSTOMER_CANCELLABLE_STATUSES,
+  INSPECTION_CONDITION
 };
@@ -0,0 +1,12 @@
+// A waitlist entry waits until capacity frees up for its window, then is notified
+// (and, with auto-queue, moved into the freed hold slot); customers can leave at any time
+const WAITLIST_STATUS = {
+  WAITING: 'waiting',
+  NOTIFIED: 'notified',
+  QUEUED: 'queued',
+  CANCELLED: 'cancelled'
+};
+
+module.exports = {
+  WAITLIST_STATUS
+};
@@ -0,0 +1,22 @@
+// Events webhook endpoints can subscribe to; '*' subscribes to all of them
+const WEBHOOK_EVENT = {
+  ORDER_CREATED: 'order.created',
+  ORDER_STATUS_CHANGED: 'order.status_changed',
+  ORDER_CONFIRMED: 'order.confirmed',
+  ORDER_CANCELLED: 'order.cancelled',
+  ORDER_ITEM_STATUS_CHANGED: 'order_item.status_changed'
+};
+
+const WEBHOOK_ALL_EVENTS = '*';
+
+const WEBHOOK_DELIVERY_STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+module.exports = {
+  WEBHOOK_EVENT,
+  WEBHOOK_ALL_EVENTS,
+  WEBHOOK_DELIVERY_STATUS
+};
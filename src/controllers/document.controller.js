@@ -0,0 +1,68 @@
+const Order = require("../schemas/order.schema");
+const { withLocks, orderLockKey } = require("../helper/lock");
+const { sendKnownError } = require("../helper/errorResponse");
+const {
+    DOCUMENT_TYPE,
+    DOCUMENT_FORMAT,
+    getOrderDocumentType,
+    ensureInvoiceNumber,
+    buildOrderDocument,
+    renderDocumentHtml,
+    renderDocumentPdf
+} = require("../helper/document");
+
+const getOrderDocument = async (req, res) => {
+    try {
+        const { order_id } = req.params;
+        const format = req.query.format || DOCUMENT_FORMAT.HTML;
+
+        let order = await Order.findOne({ order_id });
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const type = getOrderDocumentType(order);
+        if (!type) {
+            return res.status(409).json({
+                success: false,
+                message: `No quote or invoice is available for a "${order.order_status}" order`
+            });
+        }
+
+        // Orders confirmed before invoice numbering get their number on first render
+        if (type === DOCUMENT_TYPE.INVOICE && !order.order_invoice_number) {
+            order = await withLocks([orderLockKey(order_id)], async (lock) => {
+                const lockedOrder = await Order.findOne({ order_id });
+                await lock.assertHeld();
+                await ensureInvoiceNumber(lockedOrder);
+                return lockedOrder;
+            });
+        }
+
+        const document = await buildOrderDocument(order);
+        const fileName = `${type}-${document.invoiceNumber || document.orderNumber || order_id}.${format}`;
+
+        res.set('Content-Disposition', `inline; filename="${fileName}"`);
+
+        if (format === DOCUMENT_FORMAT.PDF) {
+            return res.type('application/pdf').send(await renderDocumentPdf(document));
+        }
+
+        return res.type('text/html').send(renderDocumentHtml(document));
+    } catch (error) {
+        if (sendKnownError(res, error)) return;
+        console.error('Order document error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate order document',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getOrderDocument,
+};
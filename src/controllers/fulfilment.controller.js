@@ -0,0 +1,170 @@
+const Order = require("../schemas/order.schema");
+const OrderItem = require("../schemas/orderItem.schema");
+const { advanceOrderFulfilment, scanOrderItem } = require("../helper/fulfilment");
+const { inspectReturnedItem } = require("../helper/inspection");
+const { withOrderLocks } = require("../helper/lock");
+const { sendKnownError, reply } = require("../helper/errorResponse");
+
+const updateFulfilmentStatus = async (req, res) => {
+    try {
+        const { order_id } = req.params;
+        const { status } = req.body;
+
+        const existingOrder = await Order.findOne({ order_id });
+        if (!existingOrder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const response = await withOrderLocks(order_id, async (lock) => {
+            const order = await Order.findOne({ order_id });
+            await lock.assertHeld();
+
+            const result = await advanceOrderFulfilment(order, status);
+            if (result.error) {
+                return reply(result.statusCode, {
+                    success: false,
+                    message: result.error,
+                    ...result.details
+                });
+            }
+
+            const orderItems = await OrderItem.find({
+                oi_order_fk_order_id: order_id,
+                oi_deleted: false
+            });
+
+            return reply(200, {
+                success: true,
+                message: `Order moved from "${result.previousStatus}" to "${result.order.order_status}"`,
+                data: {
+                    order: result.order,
+                    orderItems
+                }
+            });
+        });
+        return res.status(response.statusCode).json(response.body);
+    } catch (error) {
+        if (sendKnownError(res, error)) return;
+        console.error('Update fulfilment status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update fulfilment status',
+            error: error.message
+        });
+    }
+};
+
+const scanItem = (direction) => async (req, res) => {
+    try {
+        const { order_id } = req.params;
+        const { barcode } = req.body;
+
+        const existingOrder = await Order.findOne({ order_id });
+        if (!existingOrder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        // Scanning in releases conflicting orders, so it shares the inventory locks
+        const response = await withOrderLocks(order_id, async (lock) => {
+            const order = await Order.findOne({ order_id });
+            await lock.assertHeld();
+
+            const result = await scanOrderItem(order, barcode, direction);
+            if (result.error) {
+                return reply(result.statusCode, {
+                    success: false,
+                    message: result.error
+                });
+            }
+
+            const remainingCount = await OrderItem.countDocuments({
+                oi_order_fk_order_id: order_id,
+                oi_deleted: false,
+                oi_status: result.previousStatus
+            });
+
+            return reply(200, {
+                success: true,
+                message: `Item ${barcode} scanned ${direction}`,
+                data: {
+                    orderItem: result.orderItem,
+                    previousStatus: result.previousStatus,
+                    releasedItemsCount: result.releasedItemsCount,
+                    remainingItemsCount: remainingCount
+                }
+            });
+        });
+        return res.status(response.statusCode).json(response.body);
+    } catch (error) {
+        if (sendKnownError(res, error)) return;
+        console.error(`Scan ${direction} error:`, error);
+        res.status(500).json({
+            success: false,
+            message: `Failed to scan item ${direction}`,
+            error: error.message
+        });
+    }
+};
+
+const inspectItem = async (req, res) => {
+    try {
+        const { order_id } = req.params;
+        const { barcode, condition, notes } = req.body;
+
+        const existingOrder = await Order.findOne({ order_id });
+        if (!existingOrder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const response = await withOrderLocks(order_id, async (lock) => {
+            const order = await Order.findOne({ order_id });
+            await lock.assertHeld();
+
+            const result = await inspectReturnedItem(order, barcode, condition, notes, req.user);
+            if (result.error) {
+                return reply(result.statusCode, {
+                    success: false,
+                    message: result.error
+                });
+            }
+
+            return reply(200, {
+                success: true,
+                message: `Item ${barcode} inspected as "${condition}"`,
+                data: {
+                    orderItem: result.orderItem,
+                    previousStatus: result.previousStatus,
+                    flaggedItems: result.flaggedItems
+                }
+            });
+        });
+        return res.status(response.statusCode).json(response.body);
+    } catch (error) {
+        if (sendKnownError(res, error)) return;
+        console.error('Inspect item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to inspect item',
+            error: error.message
+        });
+    }
+};
+
+const scanOut = scanItem('out');
+const scanIn = scanItem('in');
+
+module.exports = {
+    updateFulfilmentStatus,
+    scanOut,
+    scanIn,
+    inspectItem,
+};
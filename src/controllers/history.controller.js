@@ -0,0 +1,78 @@
+const Order = require("../schemas/order.schema");
+const OrderItem = require("../schemas/orderItem.schema");
+const Inventory = require("../schemas/inventory.schema");
+const { HISTORY_ENTITY } = require("../constants/history");
+const { getPagination } = require("../helper/inventory");
+const { getTimeline } = require("../helper/history");
+
+// How to find each entity and which history entries make up its timeline
+const TIMELINES = {
+    [HISTORY_ENTITY.ORDER]: {
+        label: 'Order',
+        param: 'order_id',
+        exists: (id) => Order.exists({ order_id: id }),
+        // The order's own changes plus those of all its items
+        filter: (id) => ({ sh_order_fk_order_id: id })
+    },
+    [HISTORY_ENTITY.ORDER_ITEM]: {
+        label: 'Order item',
+        param: 'oi_id',
+        exists: (id) => OrderItem.exists({ oi_id: id }),
+        filter: (id) => ({ sh_entity: HISTORY_ENTITY.ORDER_ITEM, sh_entity_id: id })
+    },
+    [HISTORY_ENTITY.INVENTORY]: {
+        label: 'Inventory',
+        param: 'inventory_id',
+        exists: (id) => Inventory.exists({ inventory_id: id }),
+        // Service changes of the artwork plus every order item that booked it
+        filter: (id) => ({ sh_inventory_fk_inventory_id: id })
+    }
+};
+
+const getHistory = (entity) => async (req, res) => {
+    const { label, param, exists, filter } = TIMELINES[entity];
+
+    try {
+        const id = req.params[param];
+
+        if (!(await exists(id))) {
+            return res.status(404).json({
+                success: false,
+                message: `${label} not found`
+            });
+        }
+
+        const { page, limit, skip } = getPagination(req.query);
+        const { entries, total } = await getTimeline(filter(id), { skip, limit });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                history: entries,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error(`${label} history error:`, error);
+        res.status(500).json({
+            success: false,
+            message: `Failed to get ${label.toLowerCase()} history`,
+            error: error.message
+        });
+    }
+};
+
+const getOrderHistory = getHistory(HISTORY_ENTITY.ORDER);
+const getOrderItemHistory = getHistory(HISTORY_ENTITY.ORDER_ITEM);
+const getInventoryHistory = getHistory(HISTORY_ENTITY.INVENTORY);
+
+module.exports = {
+    getOrderHistory,
+    getOrderItemHistory,
+    getInventoryHistory,
+};
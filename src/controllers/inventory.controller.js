@@ -0,0 +1,390 @@
+const Inventory = require("../schemas/inventory.schema");
+const {
+    buildInventoryFilter,
+    getPagination,
+    pickInventoryUpdates,
+    isBarcodeTaken
+} = require("../helper/inventory");
+const {
+    parseAvailabilityWindow,
+    getInventoryAvailability,
+    searchAvailableInventories
+} = require("../helper/availability");
+const { returnInventoryToService } = require("../helper/inspection");
+const { toBusinessDay, withLocalDates } = require("../helper/businessDate");
+const { inventoryHistory, recordHistory } = require("../helper/history");
+const { HISTORY_REASON } = require("../constants/history");
+const { SHIPPING_METHOD } = require("../constants/shipping");
+
+const createInventory = async (req, res) => {
+    try {
+        const updates = pickInventoryUpdates(req.body);
+
+        if (await isBarcodeTaken(updates.inventory_barcode)) {
+            return res.status(409).json({
+                success: false,
+                message: `Barcode ${updates.inventory_barcode} is already in use`
+            });
+        }
+
+        const inventory = new Inventory();
+        inventory.set(updates);
+        await inventory.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Inventory created successfully',
+            data: inventory
+        });
+    } catch (error) {
+        console.error('Create inventory error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create inventory',
+            error: error.message
+        });
+    }
+};
+
+const listInventories = async (req, res) => {
+    try {
+        const filter = buildInventoryFilter(req.query);
+        const { page, limit, skip } = getPagination(req.query);
+
+        const [inventories, total] = await Promise.all([
+            Inventory.find(filter).sort({ inventory_barcode: 1 }).skip(skip).limit(limit),
+            Inventory.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                inventories,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('List inventories error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list inventories',
+            error: error.message
+        });
+    }
+};
+
+const getInventory = async (req, res) => {
+    try {
+        const { inventory_id } = req.params;
+
+        const inventory = await Inventory.findOne({ inventory_id });
+        if (!inventory) {
+            return res.status(404).json({
+                success: false,
+                message: 'Inventory not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: inventory
+        });
+    } catch (error) {
+        console.error('Get inventory error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get inventory',
+            error: error.message
+        });
+    }
+};
+
+const getInventoryByBarcode = async (req, res) => {
+    try {
+        const { inventory_barcode } = req.params;
+
+        const inventory = await Inventory.findOne({ inventory_barcode });
+        if (!inventory) {
+            return res.status(404).json({
+                success: false,
+                message: 'Inventory not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: inventory
+        });
+    } catch (error) {
+        console.error('Get inventory by barcode error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get inventory',
+            error: error.message
+        });
+    }
+};
+
+const updateInventory = async (req, res) => {
+    try {
+        const { inventory_id } = req.params;
+        const updates = pickInventoryUpdates(req.body);
+
+        const inventory = await Inventory.findOne({ inventory_id });
+        if (!inventory) {
+            return res.status(404).json({
+                success: false,
+                message: 'Inventory not found'
+            });
+        }
+
+        if (inventory.inventory_retired) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot update a retired inventory'
+            });
+        }
+
+        if (updates.inventory_barcode !== undefined && await isBarcodeTaken(updates.inventory_barcode, inventory_id)) {
+            return res.status(409).json({
+                success: false,
+                message: `Barcode ${updates.inventory_barcode} is already in use`
+            });
+        }
+
+        inventory.set(updates);
+        await inventory.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Inventory updated successfully',
+            data: inventory
+        });
+    } catch (error) {
+        console.error('Update inventory error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update inventory',
+            error: error.message
+        });
+    }
+};
+
+const retireInventory = async (req, res) => {
+    try {
+        const { inventory_id } = req.params;
+
+        const inventory = await Inventory.findOne({ inventory_id });
+        if (!inventory) {
+            return res.status(404).json({
+                success: false,
+                message: 'Inventory not found'
+            });
+        }
+
+        if (inventory.inventory_retired) {
+            return res.status(400).json({
+                success: false,
+                message: 'Inventory is already retired'
+            });
+        }
+
+        // Soft retire: existing order items keep their snapshot, new ones are refused
+        const history = inventoryHistory(
+            inventory,
+            { inventory_retired: true },
+            { reason: HISTORY_REASON.INVENTORY_RETIRED }
+        );
+        inventory.inventory_retired = true;
+        inventory.inventory_retired_at = new Date();
+        await inventory.save();
+        await recordHistory(history);
+
+        res.status(200).json({
+            success: true,
+            message: 'Inventory retired successfully',
+            data: inventory
+        });
+    } catch (error) {
+        console.error('Retire inventory error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retire inventory',
+            error: error.message
+        });
+    }
+};
+
+const returnToService = async (req, res) => {
+    try {
+        const { inventory_id } = req.params;
+        const { notes } = req.body || {};
+
+        const inventory = await Inventory.findOne({ inventory_id });
+        if (!inventory) {
+            return res.status(404).json({
+                success: false,
+                message: 'Inventory not found'
+            });
+        }
+
+        if (!inventory.inventory_out_of_service) {
+            return res.status(400).json({
+                success: false,
+                message: 'Inventory is not out of service'
+            });
+        }
+
+        const unflaggedItemsCount = await returnInventoryToService(inventory, notes);
+
+        res.status(200).json({
+            success: true,
+            message: 'Inventory returned to service',
+            data: {
+                inventory,
+                unflaggedItemsCount
+            }
+        });
+    } catch (error) {
+        console.error('Return inventory to service error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to return inventory to service',
+            error: error.message
+        });
+    }
+};
+
+const getAvailability = async (req, res) => {
+    try {
+        const { inventory_id, inventory_barcode } = req.params;
+
+        const inventory = await Inventory.findOne(
+            inventory_barcode ? { inventory_barcode } : { inventory_id }
+        );
+        if (!inventory) {
+            return res.status(404).json({
+                success: false,
+                message: 'Inventory not found'
+            });
+        }
+
+        const { from, to, error } = parseAvailabilityWindow(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const { intervals, entries } = await getInventoryAvailability(
+            inventory.inventory_id,
+            from,
+            to,
+            req.user
+        );
+
+        res.status(200).json({
+            success: true,
+            data: {
+                inventory: {
+                    inventory_id: inventory.inventory_id,
+                    inventory_barcode: inventory.inventory_barcode,
+                    inventory_retired: inventory.inventory_retired,
+                    inventory_out_of_service: inventory.inventory_out_of_service
+                },
+                window: withLocalDates({ from, to }),
+                intervals,
+                orderItems: entries
+            }
+        });
+    } catch (error) {
+        console.error('Get inventory availability error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get inventory availability',
+            error: error.message
+        });
+    }
+};
+
+const searchAvailability = async (req, res) => {
+    try {
+        const { pickup_at, return_at, include_held, shipping_method } = req.query;
+
+        // Searches cover whole business days, like the rental dates they are matched against
+        const pickupDate = pickup_at ? toBusinessDay(pickup_at) : null;
+        const returnDate = return_at ? toBusinessDay(return_at) : null;
+        if (!pickupDate || !returnDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'pickup_at and return_at must be valid dates'
+            });
+        }
+        if (returnDate <= pickupDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'return_at must be after pickup_at'
+            });
+        }
+        if (shipping_method !== undefined && !Object.values(SHIPPING_METHOD).includes(shipping_method)) {
+            return res.status(400).json({
+                success: false,
+                message: `shipping_method must be one of: ${Object.values(SHIPPING_METHOD).join(', ')}`
+            });
+        }
+
+        // Retired or out-of-service inventories are never rentable, whatever include_retired says
+        const filter = {
+            ...buildInventoryFilter(req.query),
+            inventory_retired: { $ne: true },
+            inventory_out_of_service: { $ne: true }
+        };
+        const { page, limit, skip } = getPagination(req.query);
+
+        const { inventories, total } = await searchAvailableInventories(filter, pickupDate, returnDate, {
+            includeHeld: include_held !== 'false',
+            shippingMethod: shipping_method,
+            skip,
+            limit
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                window: withLocalDates({ pickup_at: pickupDate, return_at: returnDate }),
+                inventories,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Search availability error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to search available inventories',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    createInventory,
+    listInventories,
+    getInventory,
+    getInventoryByBarcode,
+    updateInventory,
+    retireInventory,
+    returnToService,
+    getAvailability,
+    searchAvailability,
+};
@@ -1,22 +1,132 @@
 const Order = require("../schemas/order.schema");
 const OrderItem = require("../schemas/orderItem.schema");
-const { ORDER_STATUS, ORDER_ITEM_STATUS } = require("../constants/status");
+const {
+    ORDER_STATUS,
+    ORDER_ITEM_STATUS,
+    BOOKED_ITEM_STATUSES,
+    UPDATABLE_ORDER_STATUSES,
+    CUSTOMER_CANCELLABLE_STATUSES
+} = require("../constants/status");
+const { HISTORY_REASON } = require("../constants/history");
 const {
     updateOrderItemsStatusForHold,
     findConflictingOrderItems,
+    getConflictUnavailableUntil,
     calculateStatusesForDateUpdate
 } = require("../helper/orderItem");
+const { getUnavailableUntilForItems } = require("../helper/buffer");
+const { withLocalDates } = require("../helper/businessDate");
+const { reviewOrderHolds, revertOrderIfNoHolds } = require("../helper/holdApproval");
+const { withOrderLocks } = require("../helper/lock");
+const { sendKnownError, reply } = require("../helper/errorResponse");
+const {
+    canTransitionOrderItem,
+    assertOrderTransition,
+    assertOrderItemTransition
+} = require("../helper/stateMachine");
+const { orderHistory, orderItemHistory, recordHistory } = require("../helper/history");
+const { calculateOrderPricing, recalculateOrderTotals } = require("../helper/pricing");
+const { ensureInvoiceNumber } = require("../helper/document");
+const { getPagination } = require("../helper/inventory");
+const { buildOrderListQuery } = require("../helper/orderQuery");
+const { cancelOrder: cancelOrderWithItems } = require("../helper/cancellation");
+const { USER_ROLE } = require("../constants/role");
 
 const createOrder = async (req, res) => {
   try {
-    const order = new Order(req.body);
+    // The owner always comes from the authenticated user, never the body
+    const order = new Order({
+      ...req.body,
+      order_created_fk_user_id: req.user.user_id,
+    });
     await order.save();
+    await recordHistory(orderHistory(
+      { order_id: order.order_id },
+      {
+        order_status: order.order_status,
+        order_pickup_at: order.order_pickup_at,
+        order_return_at: order.order_return_at,
+      },
+      { reason: HISTORY_REASON.ORDER_CREATED }
+    ));
     res.status(201).send(order);
   } catch (error) {
     res.status(400).send(error);
   }
 };
 
+const listOrders = async (req, res) => {
+    try {
+        const { filter, sort, error } = await buildOrderListQuery(req.query, req.user);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const { page, limit, skip } = getPagination(req.query);
+        const [orders, total] = await Promise.all([
+            Order.find(filter).sort(sort).skip(skip).limit(limit),
+            Order.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                orders,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('List orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list orders',
+            error: error.message
+        });
+    }
+};
+
+const getOrder = async (req, res) => {
+    try {
+        const { order_id } = req.params;
+
+        const order = await Order.findOne({ order_id });
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const orderItems = await OrderItem.find({
+            oi_order_fk_order_id: order_id,
+            oi_deleted: false
+        }).sort({ oi_created_at: 1 });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                order,
+                orderItems
+            }
+        });
+    } catch (error) {
+        console.error('Get order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get order',
+            error: error.message
+        });
+    }
+};
+
 const requestHold = async (req, res) => {
     try {
         const { order_id } = req.params;
@@ -30,27 +140,45 @@ const requestHold = async (req, res) => {
             });
         }
 
-        // Update all order items with calculated statuses using helper function
-        const updatedOrderItems = await updateOrderItemsStatusForHold(
-            order_id,
-            order
-        );
+        // Serialize with every other flow touching these inventories
+        const response = await withOrderLocks(order_id, async (lock) => {
+            // Re-read inside the lock: a concurrent flow may have changed the order
+            const lockedOrder = await Order.findOne({ order_id });
 
-        // Update the order to reflect the hold request
-        order.order_request_hold = true;
-        order.order_status = ORDER_STATUS.HOLD;
-        await order.save();
+            // Confirmed, cancelled and fulfilled orders cannot go back on hold
+            assertOrderTransition(lockedOrder, ORDER_STATUS.HOLD);
+            await lock.assertHeld();
 
-        // Return success response with updated order and order items
-        res.status(200).json({
-            success: true,
-            message: "Hold request processed successfully",
-            data: {
-                order: order,
-                orderItems: updatedOrderItems,
-            },
+            // Update all order items with calculated statuses using helper function
+            const updatedOrderItems = await updateOrderItemsStatusForHold(
+                order_id,
+                lockedOrder
+            );
+
+            // Update the order to reflect the hold request
+            const history = orderHistory(
+                lockedOrder,
+                { order_status: ORDER_STATUS.HOLD },
+                { reason: HISTORY_REASON.HOLD_REQUESTED }
+            );
+            lockedOrder.order_request_hold = true;
+            lockedOrder.order_status = ORDER_STATUS.HOLD;
+            await lockedOrder.save();
+            await recordHistory(history);
+
+            // Return success response with updated order and order items
+            return reply(200, {
+                success: true,
+                message: "Hold request processed successfully",
+                data: {
+                    order: lockedOrder,
+                    orderItems: updatedOrderItems,
+                },
+            });
         });
+        return res.status(response.statusCode).json(response.body);
     } catch (error) {
+        if (sendKnownError(res, error)) return;
         console.error("Error processing hold request:", error);
         res.status(500).json({
             success: false,
@@ -63,153 +191,214 @@ const requestHold = async (req, res) => {
 const updateOrder = async (req, res) => {
     try {
         const { order_id } = req.params;
-        const { order_pickup_at, order_return_at, status, confirmed } = req.body;
+        const { order_pickup_at, order_return_at, order_shipping_method, status, confirmed } = req.body;
 
         // 1. Find the order
-        const order = await Order.findOne({ order_id });
-        if (!order) {
+        const existingOrder = await Order.findOne({ order_id });
+        if (!existingOrder) {
             return res.status(404).json({
                 success: false,
                 message: 'Order not found'
             });
         }
 
-        // 2. Check if order can be updated
-        if (order.order_status === ORDER_STATUS.CONFIRM) {
-            return res.status(400).json({
-                success: false,
-                message: 'Cannot update a confirmed order'
-            });
-        }
-
-        // 3. Handle date updates with two-step confirmation flow
-        if (order_pickup_at || order_return_at) {
-            const newPickupDate = order_pickup_at ? new Date(order_pickup_at) : order.order_pickup_at;
-            const newReturnDate = order_return_at ? new Date(order_return_at) : order.order_return_at;
-
-            // Calculate status changes for new dates
-            const { items: itemsWithStatuses, hasConfirmedConflicts } = await calculateStatusesForDateUpdate(
-                order_id,
-                newPickupDate,
-                newReturnDate
-            );
+        // Date and status changes recalculate holds, so they share the hold/confirm locks
+        const response = await withOrderLocks(order_id, async (lock) => {
+            const order = await Order.findOne({ order_id });
 
-            // VALIDATION: Reject if any confirmed conflicts exist
-            if (hasConfirmedConflicts) {
-                const conflictedItems = itemsWithStatuses.filter(item => item.error);
-                return res.status(409).json({
+            // 2. Check if order can be updated
+            if (order.order_status === ORDER_STATUS.CONFIRM) {
+                return reply(400, {
                     success: false,
-                    message: 'Cannot update order dates due to confirmed conflicts',
-                    conflictedItems: conflictedItems
+                    message: 'Cannot update a confirmed order'
                 });
             }
 
-            // If not confirmed by admin, return preview of status changes
-            if (!confirmed) {
-                return res.status(200).json({
-                    success: true,
-                    requiresConfirmation: true,
-                    message: 'Date update will cause status changes. Please review and confirm.',
-                    data: {
-                        currentDates: {
-                            pickup: order.order_pickup_at,
-                            return: order.order_return_at
-                        },
-                        newDates: {
-                            pickup: newPickupDate,
-                            return: newReturnDate
-                        },
-                        itemStatusChanges: itemsWithStatuses,
-                        changedItemsCount: itemsWithStatuses.filter(item => item.statusChanged).length
-                    }
+            // Confirm and cancel cascade to items and other orders; only their own endpoints run that
+            if (status && !UPDATABLE_ORDER_STATUSES.includes(status)) {
+                return reply(400, {
+                    success: false,
+                    message: `Use /orders/confirm-order or /orders/cancel-order to set status "${status}"`
                 });
             }
 
-            // Admin confirmed: Apply the date updates and status changes
-            // Update order dates
-            order.order_pickup_at = newPickupDate;
-            order.order_return_at = newReturnDate;
-            order.order_updated_at = new Date();
-
+            // A requested status must be reachable from the current one
             if (status) {
-                order.order_status = status;
+                assertOrderTransition(order, status);
             }
 
-            await order.save();
+            // 3. Handle date updates with two-step confirmation flow
+            // A new shipping method changes the transit buffers, so it is previewed the same way
+            if (order_pickup_at || order_return_at || order_shipping_method) {
+                const newPickupDate = order_pickup_at ? new Date(order_pickup_at) : order.order_pickup_at;
+                const newReturnDate = order_return_at ? new Date(order_return_at) : order.order_return_at;
+                const newShippingMethod = order_shipping_method || order.order_shipping_method;
+
+                // Calculate status changes for new dates
+                const { items: itemsWithStatuses, hasConfirmedConflicts } = await calculateStatusesForDateUpdate(
+                    order_id,
+                    newPickupDate,
+                    newReturnDate,
+                    newShippingMethod
+                );
 
-            // Update each order item with new dates and calculated status
-            const updatePromises = itemsWithStatuses.map(async (itemStatus) => {
-                const updateData = {
-                    oi_pickup_at: newPickupDate,
-                    oi_return_at: newReturnDate,
-                    oi_status: itemStatus.newStatus,
-                    oi_updated_at: new Date()
-                };
+                // VALIDATION: Reject if any confirmed conflicts exist
+                if (hasConfirmedConflicts) {
+                    const conflictedItems = itemsWithStatuses.filter(item => item.error);
+                    return reply(409, {
+                        success: false,
+                        message: 'Cannot update order dates due to confirmed conflicts',
+                        conflictedItems: conflictedItems
+                    });
+                }
 
-                // Set unavailable_until if applicable
-                if (itemStatus.unavailableUntil) {
-                    updateData.oi_unavailable_until = itemStatus.unavailableUntil;
+                // If not confirmed by admin, return preview of status and price changes
+                if (!confirmed) {
+                    const newPricing = await calculateOrderPricing(order_id, newPickupDate, newReturnDate);
+
+                    return reply(200, {
+                        success: true,
+                        requiresConfirmation: true,
+                        message: 'Date update will cause status changes. Please review and confirm.',
+                        data: {
+                            currentDates: withLocalDates({
+                                pickup: order.order_pickup_at,
+                                return: order.order_return_at
+                            }),
+                            newDates: withLocalDates({
+                                pickup: newPickupDate,
+                                return: newReturnDate
+                            }),
+                            currentShippingMethod: order.order_shipping_method,
+                            newShippingMethod,
+                            itemStatusChanges: itemsWithStatuses,
+                            changedItemsCount: itemsWithStatuses.filter(item => item.statusChanged).length,
+                            pricing: {
+                                currentTotal: order.order_total,
+                                newTotal: newPricing.total,
+                                unpricedItemsCount: newPricing.unpricedItemsCount,
+                                items: newPricing.items
+                            }
+                        }
+                    });
                 }
 
-                return await OrderItem.updateOne(
-                    { oi_id: itemStatus.itemId, oi_deleted: false },
-                    { $set: updateData }
+                // Admin confirmed: Apply the date updates and status changes
+                // Validate every item transition before writing anything
+                itemsWithStatuses.forEach((change) => {
+                    assertOrderItemTransition({ oi_id: change.itemId, oi_status: change.currentStatus }, change.newStatus);
+                });
+                await lock.assertHeld();
+
+                // Update order dates
+                const history = orderHistory(
+                    order,
+                    {
+                        order_pickup_at: newPickupDate,
+                        order_return_at: newReturnDate,
+                        ...(status ? { order_status: status } : {})
+                    },
+                    { reason: HISTORY_REASON.DATES_UPDATED }
                 );
-            });
+                order.order_pickup_at = newPickupDate;
+                order.order_return_at = newReturnDate;
+                order.order_shipping_method = newShippingMethod;
+                order.order_updated_at = new Date();
+
+                if (status) {
+                    order.order_status = status;
+                }
+
+                await order.save();
+                await recordHistory(history);
+
+                // Update each order item with new dates and calculated status
+                const updatePromises = itemsWithStatuses.map(async (itemStatus) => {
+                    const updateData = {
+                        oi_pickup_at: newPickupDate,
+                        oi_return_at: newReturnDate,
+                        oi_status: itemStatus.newStatus,
+                        oi_updated_at: new Date()
+                    };
+
+                    // Set unavailable_until if applicable
+                    if (itemStatus.unavailableUntil) {
+                        updateData.oi_unavailable_until = itemStatus.unavailableUntil;
+                    }
+
+                    // The pre-update item gives the old values for the history
+                    const previousItem = await OrderItem.findOneAndUpdate(
+                        { oi_id: itemStatus.itemId, oi_deleted: false },
+                        { $set: updateData }
+                    );
+                    if (previousItem) {
+                        await recordHistory(orderItemHistory(previousItem, updateData, {
+                            reason: HISTORY_REASON.DATES_UPDATED,
+                            causedByOrderId: itemStatus.conflictingOrder
+                        }));
+                    }
+                });
 
-            await Promise.all(updatePromises);
+                await Promise.all(updatePromises);
+
+                // New dates mean a different rental span, so reprice every item
+                await recalculateOrderTotals(order);
+
+                // Get updated order with items
+                const updatedOrder = await Order.findOne({ order_id });
+                const updatedOrderItems = await OrderItem.find({
+                    oi_order_fk_order_id: order_id,
+                    oi_deleted: false
+                });
+
+                return reply(200, {
+                    success: true,
+                    message: 'Order dates and item statuses updated successfully',
+                    data: {
+                        order: updatedOrder,
+                        orderItems: updatedOrderItems,
+                        statusChanges: itemsWithStatuses
+                    }
+                });
+            }
+
+            // 4. Handle non-date updates (status only)
+            const updates = {};
+            if (status) updates.order_status = status;
+            updates.order_updated_at = new Date();
+
+            await lock.assertHeld();
+            const updatedOrder = await Order.findOneAndUpdate(
+                { order_id },
+                { $set: updates },
+                { new: true }
+            );
+            await recordHistory(orderHistory(order, updates, { reason: HISTORY_REASON.STATUS_UPDATED }));
+
+            // If order status is being updated to hold, update order items
+            if (status === ORDER_STATUS.HOLD) {
+                await updateOrderItemsStatusForHold(order_id, updatedOrder);
+            }
 
             // Get updated order with items
-            const updatedOrder = await Order.findOne({ order_id });
-            const updatedOrderItems = await OrderItem.find({
+            const orderWithItems = await Order.findOne({ order_id });
+            const orderItems = await OrderItem.find({
                 oi_order_fk_order_id: order_id,
                 oi_deleted: false
             });
 
-            return res.status(200).json({
+            return reply(200, {
                 success: true,
-                message: 'Order dates and item statuses updated successfully',
+                message: 'Order updated successfully',
                 data: {
-                    order: updatedOrder,
-                    orderItems: updatedOrderItems,
-                    statusChanges: itemsWithStatuses
+                    order: orderWithItems,
+                    orderItems
                 }
             });
-        }
-
-        // 4. Handle non-date updates (status only)
-        const updates = {};
-        if (status) updates.order_status = status;
-        updates.order_updated_at = new Date();
-
-        const updatedOrder = await Order.findOneAndUpdate(
-            { order_id },
-            { $set: updates },
-            { new: true }
-        );
-
-        // If order status is being updated to hold, update order items
-        if (status === ORDER_STATUS.HOLD) {
-            await updateOrderItemsStatusForHold(order_id, updatedOrder);
-        }
-
-        // Get updated order with items
-        const orderWithItems = await Order.findOne({ order_id });
-        const orderItems = await OrderItem.find({
-            oi_order_fk_order_id: order_id,
-            oi_deleted: false
-        });
-
-        res.status(200).json({
-            success: true,
-            message: 'Order updated successfully',
-            data: {
-                order: orderWithItems,
-                orderItems
-            }
         });
-
+        return res.status(response.statusCode).json(response.body);
     } catch (error) {
+        if (sendKnownError(res, error)) return;
         console.error('Update order error:', error);
         res.status(500).json({
             success: false,
@@ -224,130 +413,203 @@ const confirmOrder = async (req, res) => {
         const { order_id } = req.params;
 
         // 1. Find the order
-        const order = await Order.findOne({ order_id });
-        if (!order) {
+        const existingOrder = await Order.findOne({ order_id });
+        if (!existingOrder) {
             return res.status(404).json({
                 success: false,
                 message: 'Order not found'
             });
         }
 
-        // 2. Check if order can be confirmed
-        if (order.order_status === ORDER_STATUS.CANCELLED) {
-            return res.status(400).json({
-                success: false,
-                message: 'Cannot confirm a cancelled order'
-            });
-        }
+        // Hold the order and all of its inventories until the cascade is done,
+        // so two confirms (or a confirm and a hold request) cannot interleave
+        const response = await withOrderLocks(order_id, async (lock) => {
+            const order = await Order.findOne({ order_id });
 
-        if (order.order_status === ORDER_STATUS.CONFIRM) {
-            return res.status(400).json({
-                success: false,
-                message: 'Order is already confirmed'
-            });
-        }
+            // 2. Check if order can be confirmed
+            if (order.order_status === ORDER_STATUS.CANCELLED) {
+                return reply(400, {
+                    success: false,
+                    message: 'Cannot confirm a cancelled order'
+                });
+            }
 
-        // 3. Get all order items
-        const orderItems = await OrderItem.find({
-            oi_order_fk_order_id: order_id,
-            oi_deleted: false
-        });
+            if (order.order_status === ORDER_STATUS.CONFIRM) {
+                return reply(400, {
+                    success: false,
+                    message: 'Order is already confirmed'
+                });
+            }
 
-        if (!orderItems || orderItems.length === 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Order has no items to confirm'
+            // Orders already in fulfilment cannot be confirmed again
+            assertOrderTransition(order, ORDER_STATUS.CONFIRM);
+
+            // 3. Get all order items
+            const orderItems = await OrderItem.find({
+                oi_order_fk_order_id: order_id,
+                oi_deleted: false
             });
-        }
 
-        // 4. VALIDATION: Check if all items have status 'available' or 'on-hold'
-        const invalidItems = orderItems.filter(
-            item => item.oi_status !== ORDER_ITEM_STATUS.AVAILABLE && item.oi_status !== ORDER_ITEM_STATUS.ON_HOLD
-        );
+            if (!orderItems || orderItems.length === 0) {
+                return reply(400, {
+                    success: false,
+                    message: 'Order has no items to confirm'
+                });
+            }
 
-        if (invalidItems.length > 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Order can only be confirmed if all items have status "available" or "on-hold"',
-                invalidItems: invalidItems.map(item => ({
-                    itemId: item.oi_id,
-                    inventoryId: item.oi_inventory_fk_inventory_id,
-                    currentStatus: item.oi_status
-                }))
-            });
-        }
+            // 4. VALIDATION: Check if all items have status 'available' or 'on-hold'
+            const invalidItems = orderItems.filter(
+                item => item.oi_status !== ORDER_ITEM_STATUS.AVAILABLE && item.oi_status !== ORDER_ITEM_STATUS.ON_HOLD
+            );
 
-        // 5. Update order status to confirmed
-        order.order_status = ORDER_STATUS.CONFIRM;
-        order.order_updated_at = new Date();
-
-        // 6. Update all order items to confirmed
-        await Promise.all([
-            order.save(),
-            OrderItem.updateMany(
-                { oi_order_fk_order_id: order_id, oi_deleted: false },
-                {
-                    oi_status: ORDER_ITEM_STATUS.CONFIRMED,
-                    oi_updated_at: new Date()
+            if (invalidItems.length > 0) {
+                return reply(400, {
+                    success: false,
+                    message: 'Order can only be confirmed if all items have status "available" or "on-hold"',
+                    invalidItems: invalidItems.map(item => ({
+                        itemId: item.oi_id,
+                        inventoryId: item.oi_inventory_fk_inventory_id,
+                        currentStatus: item.oi_status
+                    }))
+                });
+            }
+
+            // 5. VALIDATION: Re-check conflicts so a stale "available" status can never
+            // produce a second confirmed booking for the same window
+            const conflictsByItem = new Map();
+            const confirmedConflicts = [];
+            for (const item of orderItems) {
+                const allConflictingItems = await findConflictingOrderItems(
+                    item.oi_inventory_fk_inventory_id,
+                    order_id,
+                    order.order_pickup_at,
+                    order.order_return_at
+                );
+                conflictsByItem.set(item.oi_id, allConflictingItems);
+
+                const confirmedConflict = allConflictingItems.find(
+                    conflictItem => BOOKED_ITEM_STATUSES.includes(conflictItem.oi_status)
+                );
+                if (confirmedConflict) {
+                    confirmedConflicts.push({
+                        itemId: item.oi_id,
+                        inventoryId: item.oi_inventory_fk_inventory_id,
+                        conflictingOrder: confirmedConflict.oi_order_fk_order_id,
+                        unavailableUntil: getConflictUnavailableUntil(confirmedConflict)
+                    });
                 }
-            )
-        ]);
+            }
 
-        // 7. Find and update conflicting items in other orders to unavailable-until
-        // Statuses to exclude from update (per requirements)
-        const excludedStatuses = [
-            ORDER_ITEM_STATUS.CANCELLED,
-            ORDER_ITEM_STATUS.AVAILABLE,
-            ORDER_ITEM_STATUS.IN,
-            ORDER_ITEM_STATUS.UNAVAILABLE,
-            ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL
-        ];
-
-        for (const item of orderItems) {
-            // Use helper function to find all conflicting order items
-            const allConflictingItems = await findConflictingOrderItems(
-                item.oi_inventory_fk_inventory_id,
-                order_id,
-                order.order_pickup_at,
-                order.order_return_at
-            );
+            if (confirmedConflicts.length > 0) {
+                return reply(409, {
+                    success: false,
+                    message: 'Order conflicts with an already confirmed order',
+                    conflictedItems: confirmedConflicts
+                });
+            }
 
-            // Apply additional filters specific to confirm order flow
-            const conflictingItems = allConflictingItems.filter(conflictItem =>
-                conflictItem.oi_request_hold === true &&  // Only items that have been requested for hold
-                !excludedStatuses.includes(conflictItem.oi_status)  // Exclude specified statuses
-            );
+            await lock.assertHeld();
+
+            // 6. Update order status to confirmed
+            const history = [
+                ...orderHistory(
+                    order,
+                    { order_status: ORDER_STATUS.CONFIRM },
+                    { reason: HISTORY_REASON.ORDER_CONFIRMED }
+                ),
+                ...orderItems.flatMap(item => orderItemHistory(
+                    item,
+                    { oi_status: ORDER_ITEM_STATUS.CONFIRMED },
+                    { reason: HISTORY_REASON.ORDER_CONFIRMED }
+                ))
+            ];
+            order.order_status = ORDER_STATUS.CONFIRM;
+            order.order_updated_at = new Date();
 
-            if (conflictingItems.length > 0) {
-                // Update conflicting items to unavailable-until
-                await OrderItem.updateMany(
-                    { _id: { $in: conflictingItems.map(i => i._id) } },
+            // 7. Update all order items to confirmed
+            await Promise.all([
+                order.save(),
+                OrderItem.updateMany(
+                    { oi_order_fk_order_id: order_id, oi_deleted: false },
                     {
-                        oi_status: ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL,
-                        oi_unavailable_until: order.order_return_at,  // Set to confirmed order's return date
+                        oi_status: ORDER_ITEM_STATUS.CONFIRMED,
                         oi_updated_at: new Date()
                     }
+                )
+            ]);
+            await recordHistory(history);
+
+            // Confirmed orders are invoiced, so take the next invoice number now
+            await ensureInvoiceNumber(order);
+
+            // 8. Find and update conflicting items in other orders to unavailable-until
+            // Statuses to exclude from update (per requirements)
+            const excludedStatuses = [
+                ORDER_ITEM_STATUS.CANCELLED,
+                ORDER_ITEM_STATUS.AVAILABLE,
+                ORDER_ITEM_STATUS.IN,
+                ORDER_ITEM_STATUS.UNAVAILABLE,
+                ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL
+            ];
+
+            for (const item of orderItems) {
+                // Apply additional filters specific to confirm order flow
+                const conflictingItems = conflictsByItem.get(item.oi_id).filter(conflictItem =>
+                    conflictItem.oi_request_hold === true &&  // Only items that have been requested for hold
+                    !excludedStatuses.includes(conflictItem.oi_status) &&  // Exclude specified statuses
+                    canTransitionOrderItem(conflictItem.oi_status, ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL)
                 );
+
+                if (conflictingItems.length > 0) {
+                    // Confirmed order's return date plus the turnaround buffers of both rentals
+                    const unavailableUntil = await getUnavailableUntilForItems(
+                        order,
+                        item.oi_inventory_fk_inventory_id,
+                        conflictingItems
+                    );
+
+                    // Update conflicting items to unavailable-until
+                    await Promise.all(conflictingItems.map(conflictItem =>
+                        OrderItem.updateOne(
+                            { _id: conflictItem._id },
+                            {
+                                oi_status: ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL,
+                                oi_unavailable_until: unavailableUntil.get(conflictItem.oi_id),
+                                oi_updated_at: new Date()
+                            }
+                        )
+                    ));
+                    await recordHistory(conflictingItems.flatMap(conflictItem => orderItemHistory(
+                        conflictItem,
+                        {
+                            oi_status: ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL,
+                            oi_unavailable_until: unavailableUntil.get(conflictItem.oi_id)
+                        },
+                        { reason: HISTORY_REASON.CONFLICT_CONFIRMED, causedByOrderId: order_id }
+                    )));
+                }
             }
-        }
 
-        // 8. Get final order with updated items
-        const confirmedOrder = await Order.findOne({ order_id });
-        const confirmedOrderItems = await OrderItem.find({
-            oi_order_fk_order_id: order_id,
-            oi_deleted: false
-        });
+            // 9. Get final order with updated items
+            const confirmedOrder = await Order.findOne({ order_id });
+            const confirmedOrderItems = await OrderItem.find({
+                oi_order_fk_order_id: order_id,
+                oi_deleted: false
+            });
 
-        res.status(200).json({
-            success: true,
-            message: 'Order confirmed successfully',
-            data: {
-                order: confirmedOrder,
-                orderItems: confirmedOrderItems
-            }
+            return reply(200, {
+                success: true,
+                message: 'Order confirmed successfully',
+                data: {
+                    order: confirmedOrder,
+                    orderItems: confirmedOrderItems
+                }
+            });
         });
+        return res.status(response.statusCode).json(response.body);
 
     } catch (error) {
+        if (sendKnownError(res, error)) return;
         console.error('Confirm order error:', error);
         res.status(500).json({
             success: false,
@@ -357,9 +619,134 @@ const confirmOrder = async (req, res) => {
     }
 };
 
+const cancelOrder = async (req, res) => {
+    try {
+        const { order_id } = req.params;
+
+        const existingOrder = await Order.findOne({ order_id });
+        if (!existingOrder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        // Lock the order and every inventory its cascades can touch
+        const response = await withOrderLocks(order_id, async (lock) => {
+            const order = await Order.findOne({ order_id });
+
+            if (order.order_status === ORDER_STATUS.CANCELLED) {
+                return reply(400, {
+                    success: false,
+                    message: 'Order is already cancelled'
+                });
+            }
+
+            if (req.user.user_role !== USER_ROLE.ADMIN && !CUSTOMER_CANCELLABLE_STATUSES.includes(order.order_status)) {
+                return reply(403, {
+                    success: false,
+                    message: `Only an admin can cancel a ${order.order_status} order`
+                });
+            }
+
+            await lock.assertHeld();
+            const { previousStatus, cancelledItems, affectedOrders, affectedItemsCount } =
+                await cancelOrderWithItems(order);
+
+            return reply(200, {
+                success: true,
+                message: 'Order cancelled successfully',
+                data: {
+                    order_id,
+                    previousStatus,
+                    orderStatus: order.order_status,
+                    cancelledItems,
+                    affectedOrders,
+                    affectedItemsCount
+                }
+            });
+        });
+        return res.status(response.statusCode).json(response.body);
+    } catch (error) {
+        if (sendKnownError(res, error)) return;
+        console.error('Cancel order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel order',
+            error: error.message
+        });
+    }
+};
+
+const reviewHolds = (decision) => async (req, res) => {
+    try {
+        const { order_id } = req.params;
+        const { oi_ids } = req.body || {};
+
+        const existingOrder = await Order.findOne({ order_id });
+        if (!existingOrder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        // Rejections promote other orders' holds, so review under the same locks
+        const response = await withOrderLocks(order_id, async (lock) => {
+            const order = await Order.findOne({ order_id });
+
+            if (order.order_status !== ORDER_STATUS.HOLD) {
+                return reply(400, {
+                    success: false,
+                    message: `Only orders in "${ORDER_STATUS.HOLD}" status can be reviewed`
+                });
+            }
+
+            await lock.assertHeld();
+
+            // Review each item individually and collect per-item results
+            const results = await reviewOrderHolds(order, decision, oi_ids);
+            const reviewedCount = results.filter(result => result.result !== 'not_eligible').length;
+
+            // Once every hold request is rejected the order goes back to the cart
+            if (decision === 'reject') {
+                await revertOrderIfNoHolds(order);
+            }
+
+            return reply(200, {
+                success: true,
+                message: `${reviewedCount} of ${results.length} items ${decision === 'approve' ? 'approved' : 'rejected'}`,
+                data: {
+                    order,
+                    results,
+                    reviewedCount,
+                    notEligibleCount: results.length - reviewedCount
+                }
+            });
+        });
+        return res.status(response.statusCode).json(response.body);
+    } catch (error) {
+        if (sendKnownError(res, error)) return;
+        console.error(`Order hold ${decision} error:`, error);
+        res.status(500).json({
+            success: false,
+            message: `Failed to ${decision} order holds`,
+            error: error.message
+        });
+    }
+};
+
+const approveOrderHolds = reviewHolds('approve');
+const rejectOrderHolds = reviewHolds('reject');
+
 module.exports = {
     createOrder,
+    listOrders,
+    getOrder,
     updateOrder,
     requestHold,
     confirmOrder,
+    cancelOrder,
+    approveOrderHolds,
+    rejectOrderHolds,
 };
@@ -1,150 +1,538 @@
 const Order = require("../schemas/order.schema");
 const OrderItem = require("../schemas/orderItem.schema");
-const { ORDER_STATUS, ORDER_ITEM_STATUS } = require("../constants/status");
+const Inventory = require("../schemas/inventory.schema");
+const {
+  ORDER_STATUS,
+  ORDER_ITEM_STATUS,
+  HOLD_LEVEL,
+  UPDATABLE_ORDER_STATUSES,
+  CUSTOMER_CANCELLABLE_STATUSES
+} = require("../constants/status");
+const { USER_ROLE } = require("../constants/role");
+const { HISTORY_REASON } = require("../constants/history");
 const { 
     getStatus,
-    promoteConflictingHolds,
+    calculateOrderItemStatus,
+    promoteHoldsAfterRelease,
     updateUnavailableItemsAfterConfirmedRemoval 
 } = require("../helper/orderItem");
+const { approveOrderItemHold, rejectOrderItemHold, revertOrderIfNoHolds } = require("../helper/holdApproval");
+const { freesCapacity, notifyWaitlist } = require("../helper/waitlist");
+const { withLocks, getOrderItemLockKeys, inventoryLockKey, orderLockKey } = require("../helper/lock");
+const { sendKnownError, reply } = require("../helper/errorResponse");
+const {
+  ORDER_TRANSITIONS,
+  StateTransitionError,
+  canTransitionOrderItem,
+  assertOrderTransition,
+  assertOrderItemTransition
+} = require("../helper/stateMachine");
+const { orderHistory, orderItemHistory, recordHistory } = require("../helper/history");
+const { recalculateOrderTotals } = require("../helper/pricing");
+const { getPagination } = require("../helper/inventory");
+const { buildOrderItemListQuery } = require("../helper/orderQuery");
+const { startOfBusinessDay } = require("../helper/businessDate");
 
 const createOrderItem = async (req, res) => {
   try {
     const { oi_inventory_fk_inventory_id, oi_order_fk_order_id } = req.body;
 
-    const existingOrderItem = await OrderItem.findOne({
-      oi_inventory_fk_inventory_id,
-      oi_order_fk_order_id,
-    });
+    // Lock the order and inventory so two adds cannot both pass the duplicate and conflict checks
+    const lockKeys = [orderLockKey(oi_order_fk_order_id), inventoryLockKey(oi_inventory_fk_inventory_id)];
 
-    if (existingOrderItem) {
-      return res.status(400).json({
-        error: "This inventory is already added to the order",
+    const response = await withLocks(lockKeys, async (lock) => {
+      // Removed items do not count: a removed artwork can be added again (or restored)
+      const existingOrderItem = await OrderItem.findOne({
+        oi_inventory_fk_inventory_id,
+        oi_order_fk_order_id,
+        oi_deleted: false,
       });
-    }
 
-    const order = await Order.findOne({ order_id: oi_order_fk_order_id });
+      if (existingOrderItem) {
+        return reply(400, {
+          error: "This inventory is already added to the order",
+        });
+      }
 
-    if (!order) {
-      return res.status(404).json({ error: "Order not found" });
-    }
+      const order = await Order.findOne({ order_id: oi_order_fk_order_id });
 
-    const { status, unavailableUntil } = await getStatus(order);
+      if (!order) {
+        return reply(404, { error: "Order not found" });
+      }
 
-    const newOrderItem = new OrderItem({
-      ...req.body,
-      oi_pickup_at: order.order_pickup_at,
-      oi_return_at: order.order_return_at,
-      oi_status: status,
-      oi_unavailable_until: unavailableUntil,
-    });
+      // Items are only added to orders still in the cart; taking the order back
+      // there from a confirmed, cancelled or fulfilment status is illegal
+      if (!UPDATABLE_ORDER_STATUSES.includes(order.order_status)) {
+        throw new StateTransitionError(
+          "order",
+          order.order_id,
+          order.order_status,
+          ORDER_STATUS.WORKING,
+          ORDER_TRANSITIONS[order.order_status] || []
+        );
+      }
+
+      const inventory = await Inventory.findOne({ inventory_id: oi_inventory_fk_inventory_id });
+
+      if (!inventory) {
+        return reply(404, { error: "Inventory not found" });
+      }
+
+      if (inventory.inventory_retired) {
+        return reply(400, { error: "This inventory has been retired" });
+      }
+
+      const { status, unavailableUntil, causedByOrderId } = await getStatus(order, oi_inventory_fk_inventory_id);
+
+      // Nothing is saved once the locks are gone
+      await lock.assertHeld();
+
+      // Snapshots are taken from the stored order and inventory, never from the request,
+      // so the prices used for quotes and invoices cannot be set by the client
+      const newOrderItem = new OrderItem({
+        oi_order_fk_order_id,
+        oi_order: {
+          order_id: order.order_id,
+          order_order_number: order.order_order_number,
+          order_name: order.order_name,
+        },
+        oi_inventory_fk_inventory_id,
+        oi_inventory: {
+          inventory_id: inventory.inventory_id,
+          inventory_barcode: inventory.inventory_barcode,
+          inventory_general: inventory.toObject().inventory_general,
+        },
+        oi_created_fk_user_id: req.user.user_id,
+        oi_pickup_at: order.order_pickup_at,
+        oi_return_at: order.order_return_at,
+        oi_status: status,
+        oi_unavailable_until: unavailableUntil,
+      });
+
+      await newOrderItem.save();
+      await recordHistory(orderItemHistory(
+        {
+          oi_id: newOrderItem.oi_id,
+          oi_order_fk_order_id: newOrderItem.oi_order_fk_order_id,
+          oi_inventory_fk_inventory_id: newOrderItem.oi_inventory_fk_inventory_id,
+        },
+        {
+          oi_status: newOrderItem.oi_status,
+          oi_pickup_at: newOrderItem.oi_pickup_at,
+          oi_return_at: newOrderItem.oi_return_at,
+          oi_unavailable_until: newOrderItem.oi_unavailable_until,
+        },
+        { reason: HISTORY_REASON.ITEM_ADDED, causedByOrderId }
+      ));
 
-    await newOrderItem.save();
+      await Order.updateOne({ order_id: oi_order_fk_order_id }, { order_request_hold: false });
+      await recalculateOrderTotals(order);
 
-    await Order.updateOne({ order_id: oi_order_fk_order_id }, { order_request_hold: false });
+      // Reload so the response carries the calculated rental price
+      const pricedOrderItem = await OrderItem.findOne({ oi_id: newOrderItem.oi_id });
 
-    res.status(201).json(newOrderItem);
+      return reply(201, pricedOrderItem);
+    });
+    return res.status(response.statusCode).json(response.body);
   } catch (error) {
+    if (sendKnownError(res, error)) return;
     res.status(500).json({ error: error.message });
   }
 };
 
+const listOrderItems = async (req, res) => {
+  try {
+    const { filter, sort, error } = await buildOrderItemListQuery(req.query, req.user);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { page, limit, skip } = getPagination(req.query);
+    const [orderItems, total] = await Promise.all([
+      OrderItem.find(filter).sort(sort).skip(skip).limit(limit),
+      OrderItem.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orderItems,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List order items error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list order items',
+      error: error.message
+    });
+  }
+};
+
 const deleteOrderItem = async (req, res) => {
   try {
     const { oi_id } = req.params;
 
-    // 1. Find the order item
-    const orderItem = await OrderItem.findOne({
-      oi_id,
-      oi_deleted: false
-    });
+    // Lock the item's inventory and order so removal cascades cannot interleave
+    const lockKeys = await getOrderItemLockKeys(oi_id);
 
-    if (!orderItem) {
-      return res.status(404).json({
-        success: false,
-        message: "Order item not found"
+    const response = await withLocks(lockKeys, async (lock) => {
+      // 1. Find the order item
+      const orderItem = await OrderItem.findOne({
+        oi_id,
+        oi_deleted: false
       });
-    }
 
-    // 2. Find the parent order
-    const order = await Order.findOne({ order_id: orderItem.oi_order_fk_order_id });
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: "Parent order not found"
+      if (!orderItem) {
+        return reply(404, {
+          success: false,
+          message: "Order item not found"
+        });
+      }
+
+      // 2. Find the parent order
+      const order = await Order.findOne({ order_id: orderItem.oi_order_fk_order_id });
+      if (!order) {
+        return reply(404, {
+          success: false,
+          message: "Parent order not found"
+        });
+      }
+
+      // Removing items is cancelling part of the order: same rule as /cancel-order
+      if (req.user.user_role !== USER_ROLE.ADMIN && !CUSTOMER_CANCELLABLE_STATUSES.includes(order.order_status)) {
+        return reply(403, {
+          success: false,
+          message: `Only an admin can remove items from a ${order.order_status} order`
+        });
+      }
+
+      // Items that went out (or came back) are part of the rental record, not a booking to drop
+      if (!canTransitionOrderItem(orderItem.oi_status, ORDER_ITEM_STATUS.CANCELLED)) {
+        return reply(400, {
+          success: false,
+          message: `A ${orderItem.oi_status} order item cannot be removed`
+        });
+      }
+
+      // 3. Store the status BEFORE deletion for flow determination
+      const deletedItemStatus = orderItem.oi_status;
+
+      // Removing the last item cancels the order, which must be a legal transition
+      const activeItemsCount = await OrderItem.countDocuments({
+        oi_order_fk_order_id: order.order_id,
+        oi_deleted: false
       });
-    }
+      if (activeItemsCount === 1) {
+        assertOrderTransition(order, ORDER_STATUS.CANCELLED);
+      }
 
-    // 3. Store the status BEFORE deletion for flow determination
-    const deletedItemStatus = orderItem.oi_status;
+      await lock.assertHeld();
 
-    // 4. Soft delete the order item
-    orderItem.oi_deleted = true;
-    orderItem.oi_updated_at = new Date();
-    await orderItem.save();
+      // 4. Soft delete the order item
+      const history = orderItemHistory(orderItem, { oi_deleted: true }, { reason: HISTORY_REASON.ITEM_REMOVED });
+      orderItem.oi_deleted = true;
+      orderItem.oi_updated_at = new Date();
+      await orderItem.save();
+      await recordHistory(history);
 
-    // 5. Handle status updates based on the deleted item's status
-    let updatedConflictingItemsCount = 0;
-    let action = '';
+      // 5. Handle status updates based on the deleted item's status
+      let updatedConflictingItemsCount = 0;
+      let action = '';
 
-    // FLOW 1: unavailable or unavailable-until - NO CHANGES NEEDED
-    if (deletedItemStatus === ORDER_ITEM_STATUS.UNAVAILABLE || deletedItemStatus === ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL) {
-      action = 'no_changes_needed';
-      // No updates required for conflicting orders as per requirements
-    }
+      // FLOW 1: unavailable or unavailable-until - NO CHANGES NEEDED
+      if (deletedItemStatus === ORDER_ITEM_STATUS.UNAVAILABLE || deletedItemStatus === ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL) {
+        action = 'no_changes_needed';
+        // No updates required for conflicting orders as per requirements
+      }
     
-    // FLOW 2: on-hold or on-hold-request - PROMOTE HOLD HIERARCHY
-    else if (deletedItemStatus === ORDER_ITEM_STATUS.ON_HOLD || deletedItemStatus === ORDER_ITEM_STATUS.ON_HOLD_REQUEST) {
-      action = 'promote_holds';
-      updatedConflictingItemsCount = await promoteConflictingHolds(orderItem, order);
-    }
+      // FLOW 2: any hold or hold request - PROMOTE THE HOLDS QUEUED BEHIND IT
+      else if (HOLD_LEVEL[deletedItemStatus]) {
+        action = 'promote_holds';
+        updatedConflictingItemsCount = await promoteHoldsAfterRelease(orderItem, order, deletedItemStatus);
+      }
     
-    // FLOW 3: confirmed - UPDATE UNAVAILABLE ITEMS TO AVAILABLE IF NO OTHER CONFLICTS
-    else if (deletedItemStatus === ORDER_ITEM_STATUS.CONFIRMED) {
-      action = 'update_unavailable_to_available';
-      updatedConflictingItemsCount = await updateUnavailableItemsAfterConfirmedRemoval(orderItem, order);
-    }
+      // FLOW 3: confirmed - UPDATE UNAVAILABLE ITEMS TO AVAILABLE IF NO OTHER CONFLICTS
+      else if (deletedItemStatus === ORDER_ITEM_STATUS.CONFIRMED) {
+        action = 'update_unavailable_to_available';
+        updatedConflictingItemsCount = await updateUnavailableItemsAfterConfirmedRemoval(orderItem, order);
+      }
+
+      // The removed hold or booking may let a waitlisted customer in
+      if (freesCapacity(deletedItemStatus)) {
+        await notifyWaitlist(orderItem.oi_inventory_fk_inventory_id, order);
+      }
+
+      // 6. Check if all items in the order are deleted
+      const remainingItems = await OrderItem.find({
+        oi_order_fk_order_id: order.order_id,
+        oi_deleted: false
+      });
+
+      // 7. The removed item no longer counts towards the order total
+      await recalculateOrderTotals(order);
 
-    // 6. Check if all items in the order are deleted
-    const remainingItems = await OrderItem.find({
-      oi_order_fk_order_id: order.order_id,
-      oi_deleted: false
+      // 8. If no items remain, update order status to cancelled
+      if (remainingItems.length === 0) {
+        const orderChanges = orderHistory(
+          order,
+          { order_status: ORDER_STATUS.CANCELLED },
+          { reason: HISTORY_REASON.ORDER_CANCELLED }
+        );
+        order.order_status = ORDER_STATUS.CANCELLED;
+        order.order_updated_at = new Date();
+        await order.save();
+        await recordHistory(orderChanges);
+      }
+
+      // 9. Return success response with detailed information
+      return reply(200, {
+        success: true,
+        message: "Order item deleted successfully",
+        data: {
+          deletedItem: {
+            oi_id: orderItem.oi_id,
+            oi_inventory_fk_inventory_id: orderItem.oi_inventory_fk_inventory_id,
+            oi_status: deletedItemStatus
+          },
+          action: action,
+          updatedConflictingItemsCount: updatedConflictingItemsCount,
+          orderStatus: remainingItems.length === 0 ? 'cancelled' : order.order_status,
+          remainingItemsCount: remainingItems.length
+        }
+      });
     });
+    return res.status(response.statusCode).json(response.body);
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+    console.error('Delete order item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete order item',
+      error: error.message
+    });
+  }
+};
 
-    // 7. If no items remain, update order status to cancelled
-    if (remainingItems.length === 0) {
-      order.order_status = ORDER_STATUS.CANCELLED;
-      order.order_updated_at = new Date();
-      await order.save();
-    }
+// Items can only come back while the order is still being put together
+const RESTORABLE_ORDER_STATUSES = [ORDER_STATUS.WORKING, ORDER_STATUS.HOLD];
 
-    // 8. Return success response with detailed information
-    res.status(200).json({
-      success: true,
-      message: "Order item deleted successfully",
-      data: {
-        deletedItem: {
-          oi_id: orderItem.oi_id,
-          oi_inventory_fk_inventory_id: orderItem.oi_inventory_fk_inventory_id,
-          oi_status: deletedItemStatus
+const restoreOrderItem = async (req, res) => {
+  try {
+    const { oi_id } = req.params;
+
+    const lockKeys = await getOrderItemLockKeys(oi_id);
+
+    const response = await withLocks(lockKeys, async (lock) => {
+      const orderItem = await OrderItem.findOne({ oi_id });
+      if (!orderItem) {
+        return reply(404, {
+          success: false,
+          message: "Order item not found"
+        });
+      }
+      if (!orderItem.oi_deleted) {
+        return reply(400, {
+          success: false,
+          message: "Order item has not been removed"
+        });
+      }
+
+      const order = await Order.findOne({ order_id: orderItem.oi_order_fk_order_id });
+      if (!order) {
+        return reply(404, {
+          success: false,
+          message: "Parent order not found"
+        });
+      }
+      if (!RESTORABLE_ORDER_STATUSES.includes(order.order_status)) {
+        return reply(400, {
+          success: false,
+          message: `Items cannot be restored to a ${order.order_status} order`
+        });
+      }
+      if (order.order_pickup_at && order.order_pickup_at < startOfBusinessDay(new Date())) {
+        return reply(400, {
+          success: false,
+          message: "Items cannot be restored to an order whose pickup date is in the past"
+        });
+      }
+
+      // The artwork may have been added again after it was removed
+      const activeDuplicate = await OrderItem.exists({
+        oi_order_fk_order_id: order.order_id,
+        oi_inventory_fk_inventory_id: orderItem.oi_inventory_fk_inventory_id,
+        oi_deleted: false
+      });
+      if (activeDuplicate) {
+        return reply(400, {
+          success: false,
+          message: "This inventory is already added to the order"
+        });
+      }
+
+      const inventory = await Inventory.findOne(
+        { inventory_id: orderItem.oi_inventory_fk_inventory_id },
+        { inventory_retired: 1 }
+      );
+      if (!inventory || inventory.inventory_retired) {
+        return reply(400, {
+          success: false,
+          message: "This inventory has been retired"
+        });
+      }
+
+      // Holds requested for the order queue the restored item like the hold flow does;
+      // otherwise it gets the status a newly added item would get
+      const previousStatus = orderItem.oi_status;
+      const requestHold = order.order_status === ORDER_STATUS.HOLD || orderItem.oi_request_hold;
+      let status;
+      let unavailableUntil;
+      let causedByOrderId;
+      if (requestHold) {
+        const calculated = await calculateOrderItemStatus(orderItem, order);
+        status = calculated.status;
+        unavailableUntil = calculated.unavailable_until;
+        causedByOrderId = calculated.caused_by_order_id;
+      } else {
+        ({ status, unavailableUntil, causedByOrderId } = await getStatus(order, orderItem.oi_inventory_fk_inventory_id));
+      }
+
+      assertOrderItemTransition(orderItem, status);
+      await lock.assertHeld();
+
+      // The order's dates may have changed while the item was removed
+      const history = orderItemHistory(
+        orderItem,
+        {
+          oi_deleted: false,
+          oi_status: status,
+          oi_pickup_at: order.order_pickup_at,
+          oi_return_at: order.order_return_at,
+          oi_unavailable_until: unavailableUntil || null
         },
-        action: action,
-        updatedConflictingItemsCount: updatedConflictingItemsCount,
-        orderStatus: remainingItems.length === 0 ? 'cancelled' : order.order_status,
-        remainingItemsCount: remainingItems.length
+        { reason: HISTORY_REASON.ITEM_RESTORED, causedByOrderId }
+      );
+      orderItem.oi_deleted = false;
+      orderItem.oi_status = status;
+      orderItem.oi_pickup_at = order.order_pickup_at;
+      orderItem.oi_return_at = order.order_return_at;
+      orderItem.oi_unavailable_until = unavailableUntil || null;
+      orderItem.oi_request_hold = requestHold;
+      if (requestHold) {
+        orderItem.oi_request_hold_at = new Date();
+      }
+      orderItem.oi_updated_at = new Date();
+      await orderItem.save();
+      await recordHistory(history);
+
+      // Like a new item, an item restored without a hold needs the hold requested again
+      if (!requestHold) {
+        await Order.updateOne({ order_id: order.order_id }, { order_request_hold: false });
       }
+      await recalculateOrderTotals(order);
+
+      const restoredItem = await OrderItem.findOne({ oi_id });
+
+      return reply(200, {
+        success: true,
+        message: "Order item restored successfully",
+        data: {
+          orderItem: restoredItem,
+          previousStatus,
+          newStatus: status,
+          conflictingOrder: causedByOrderId || null
+        }
+      });
     });
+    return res.status(response.statusCode).json(response.body);
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+    console.error('Restore order item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore order item',
+      error: error.message
+    });
+  }
+};
 
+const reviewOrderItemHold = (decision) => async (req, res) => {
+  try {
+    const { oi_id } = req.params;
+
+    const lockKeys = await getOrderItemLockKeys(oi_id);
+
+    const response = await withLocks(lockKeys, async (lock) => {
+      const orderItem = await OrderItem.findOne({ oi_id, oi_deleted: false });
+      if (!orderItem) {
+        return reply(404, {
+          success: false,
+          message: "Order item not found"
+        });
+      }
+
+      const order = await Order.findOne({ order_id: orderItem.oi_order_fk_order_id });
+      if (!order) {
+        return reply(404, {
+          success: false,
+          message: "Parent order not found"
+        });
+      }
+
+      await lock.assertHeld();
+      const result = decision === "approve"
+        ? await approveOrderItemHold(orderItem)
+        : await rejectOrderItemHold(orderItem, order);
+
+      if (result.result === "not_eligible") {
+        return reply(400, {
+          success: false,
+          message: result.message,
+          data: result
+        });
+      }
+
+      // Once its last hold is rejected the order goes back to the cart
+      if (decision === "reject") {
+        await revertOrderIfNoHolds(order);
+      }
+
+      return reply(200, {
+        success: true,
+        message: result.message,
+        data: result
+      });
+    });
+    return res.status(response.statusCode).json(response.body);
   } catch (error) {
-    console.error('Delete order item error:', error);
+    if (sendKnownError(res, error)) return;
+    console.error(`Hold ${decision} error:`, error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete order item',
+      message: `Failed to ${decision} hold`,
       error: error.message
     });
   }
 };
 
+const approveHold = reviewOrderItemHold("approve");
+const rejectHold = reviewOrderItemHold("reject");
+
 module.exports = {
   createOrderItem,
+  listOrderItems,
   deleteOrderItem,
+  restoreOrderItem,
+  approveHold,
+  rejectHold,
 };
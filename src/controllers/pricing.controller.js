@@ -0,0 +1,31 @@
+const { quoteInventories } = require("../helper/pricing");
+
+const getQuote = async (req, res) => {
+    try {
+        // Dates and IDs are checked by orderValidator.getQuote
+        const { order_pickup_at, order_return_at, inventory_ids } = req.body;
+
+        const quote = await quoteInventories(inventory_ids, order_pickup_at, order_return_at);
+
+        res.status(200).json({
+            success: true,
+            message: 'Quote calculated successfully',
+            data: {
+                pickupAt: order_pickup_at,
+                returnAt: order_return_at,
+                ...quote
+            }
+        });
+    } catch (error) {
+        console.error('Quote error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to calculate quote',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getQuote,
+};
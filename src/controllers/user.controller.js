@@ -0,0 +1,159 @@
+const User = require("../schemas/user.schema");
+const { hashPassword, verifyPassword, signAccessToken } = require("../helper/auth");
+
+const signup = async (req, res) => {
+    try {
+        // The validator whitelists the profile fields and normalizes the email
+        const { user_email, user_password, ...profile } = req.body;
+
+        const existingUser = await User.exists({ user_email });
+        if (existingUser) {
+            return res.status(409).json({
+                success: false,
+                message: 'An account with this email already exists'
+            });
+        }
+
+        if (!profile.user_full_name && (profile.user_first_name || profile.user_last_name)) {
+            profile.user_full_name = [profile.user_first_name, profile.user_last_name].filter(Boolean).join(' ');
+        }
+
+        const user = new User({
+            ...profile,
+            user_email,
+            user_password: await hashPassword(user_password),
+        });
+        await user.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'User registered successfully',
+            data: {
+                user,
+                token: signAccessToken(user)
+            }
+        });
+    } catch (error) {
+        console.error('Signup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to register user',
+            error: error.message
+        });
+    }
+};
+
+const login = async (req, res) => {
+    try {
+        const { user_email, user_password } = req.body;
+
+        const user = await User.findOne({ user_email });
+
+        // Same response for unknown email and wrong password
+        if (!user || !(await verifyPassword(user_password, user.user_password))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid email or password'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Login successful',
+            data: {
+                user,
+                token: signAccessToken(user)
+            }
+        });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to login',
+            error: error.message
+        });
+    }
+};
+
+const getProfile = async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: req.user
+    });
+};
+
+const updateUserRole = async (req, res) => {
+    try {
+        const { user_id } = req.params;
+        const { user_role } = req.body;
+
+        if (user_id === req.user.user_id) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot change your own role'
+            });
+        }
+
+        const user = await User.findOneAndUpdate(
+            { user_id },
+            { $set: { user_role } },
+            { new: true }
+        );
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'User role updated successfully',
+            data: user
+        });
+    } catch (error) {
+        console.error('Update user role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update user role',
+            error: error.message
+        });
+    }
+};
+
+const updateNotifications = async (req, res) => {
+    try {
+        const { email, muted_events } = req.body;
+
+        const updates = {};
+        if (email !== undefined) updates['user_notifications.email'] = email;
+        if (muted_events !== undefined) updates['user_notifications.muted_events'] = muted_events;
+
+        const user = await User.findOneAndUpdate(
+            { user_id: req.user.user_id },
+            { $set: updates },
+            { new: true, runValidators: true }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Notification settings updated successfully',
+            data: user.user_notifications
+        });
+    } catch (error) {
+        console.error('Update notification settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update notification settings',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    signup,
+    login,
+    getProfile,
+    updateUserRole,
+    updateNotifications,
+};
@@ -0,0 +1,191 @@
+const Waitlist = require("../schemas/waitlist.schema");
+const Inventory = require("../schemas/inventory.schema");
+const Order = require("../schemas/order.schema");
+const { USER_ROLE } = require("../constants/role");
+const { WAITLIST_STATUS } = require("../constants/waitlist");
+const { WAITLIST_ORDER_STATUSES } = require("../helper/waitlist");
+const { getPagination } = require("../helper/inventory");
+
+const isAdmin = (user) => user.user_role === USER_ROLE.ADMIN;
+
+const joinWaitlist = async (req, res) => {
+    try {
+        const { inventory_id, order_id, pickup_at, return_at, auto_queue } = req.body;
+
+        const inventory = await Inventory.findOne({ inventory_id }, { inventory_retired: 1 });
+        if (!inventory) {
+            return res.status(404).json({
+                success: false,
+                message: 'Inventory not found'
+            });
+        }
+        if (inventory.inventory_retired) {
+            return res.status(400).json({
+                success: false,
+                message: 'This inventory has been retired'
+            });
+        }
+
+        // An order fixes the window and the customer; admins may waitlist a customer's order
+        let order = null;
+        if (order_id) {
+            order = await Order.findOne({ order_id });
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Order not found'
+                });
+            }
+            if (!isAdmin(req.user) && order.order_created_fk_user_id !== req.user.user_id) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You can only access your own orders'
+                });
+            }
+            if (!WAITLIST_ORDER_STATUSES.includes(order.order_status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `A ${order.order_status} order cannot join a waitlist`
+                });
+            }
+        }
+
+        const entryFields = {
+            wl_inventory_fk_inventory_id: inventory_id,
+            wl_user_fk_user_id: order ? order.order_created_fk_user_id : req.user.user_id,
+            wl_order_fk_order_id: order ? order.order_id : undefined,
+            wl_pickup_at: order ? order.order_pickup_at : pickup_at,
+            wl_return_at: order ? order.order_return_at : return_at
+        };
+
+        const alreadyWaiting = await Waitlist.exists({
+            wl_inventory_fk_inventory_id: entryFields.wl_inventory_fk_inventory_id,
+            wl_user_fk_user_id: entryFields.wl_user_fk_user_id,
+            wl_pickup_at: entryFields.wl_pickup_at,
+            wl_return_at: entryFields.wl_return_at,
+            wl_status: WAITLIST_STATUS.WAITING
+        });
+        if (alreadyWaiting) {
+            return res.status(400).json({
+                success: false,
+                message: 'Already on the waitlist for this artwork and dates'
+            });
+        }
+
+        const entry = await Waitlist.create({
+            ...entryFields,
+            wl_auto_queue: Boolean(auto_queue)
+        });
+
+        // Everyone who joined earlier is offered freed capacity first
+        const position = await Waitlist.countDocuments({
+            wl_inventory_fk_inventory_id: inventory_id,
+            wl_status: WAITLIST_STATUS.WAITING,
+            wl_created_at: { $lte: entry.wl_created_at }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Joined the waitlist',
+            data: {
+                waitlistEntry: entry,
+                position
+            }
+        });
+    } catch (error) {
+        console.error('Join waitlist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to join the waitlist',
+            error: error.message
+        });
+    }
+};
+
+const listWaitlist = async (req, res) => {
+    try {
+        const { inventory_id, user_id, status } = req.query;
+
+        // Customers only ever see their own entries
+        const filter = {
+            wl_user_fk_user_id: isAdmin(req.user) ? user_id : req.user.user_id,
+            wl_inventory_fk_inventory_id: inventory_id,
+            wl_status: status
+        };
+        Object.keys(filter).forEach(key => filter[key] === undefined && delete filter[key]);
+
+        const { page, limit, skip } = getPagination(req.query);
+        const [waitlistEntries, total] = await Promise.all([
+            Waitlist.find(filter).sort({ wl_created_at: -1 }).skip(skip).limit(limit),
+            Waitlist.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                waitlistEntries,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('List waitlist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list waitlist entries',
+            error: error.message
+        });
+    }
+};
+
+const leaveWaitlist = async (req, res) => {
+    try {
+        const { wl_id } = req.params;
+
+        const entry = await Waitlist.findOne({ wl_id });
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Waitlist entry not found'
+            });
+        }
+        if (!isAdmin(req.user) && entry.wl_user_fk_user_id !== req.user.user_id) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only access your own waitlist entries'
+            });
+        }
+        if (entry.wl_status !== WAITLIST_STATUS.WAITING) {
+            return res.status(400).json({
+                success: false,
+                message: `Waitlist entry is already ${entry.wl_status}`
+            });
+        }
+
+        entry.wl_status = WAITLIST_STATUS.CANCELLED;
+        await entry.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Left the waitlist',
+            data: entry
+        });
+    } catch (error) {
+        console.error('Leave waitlist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to leave the waitlist',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    joinWaitlist,
+    listWaitlist,
+    leaveWaitlist,
+};
@@ -0,0 +1,231 @@
+const Webhook = require("../schemas/webhook.schema");
+const WebhookDelivery = require("../schemas/webhookDelivery.schema");
+const { WEBHOOK_DELIVERY_STATUS } = require("../constants/webhook");
+const { generateWebhookSecret, attemptDelivery } = require("../helper/webhook");
+const { getPagination } = require("../helper/inventory");
+
+const REDELIVERY_MESSAGES = {
+    [WEBHOOK_DELIVERY_STATUS.SUCCEEDED]: 'Delivery succeeded',
+    [WEBHOOK_DELIVERY_STATUS.PENDING]: 'Delivery failed, it will be retried',
+    [WEBHOOK_DELIVERY_STATUS.FAILED]: 'Delivery failed',
+};
+
+const createWebhook = async (req, res) => {
+    try {
+        const { url, events, description } = req.body;
+
+        const secret = generateWebhookSecret();
+        const webhook = await Webhook.create({
+            wh_url: url,
+            wh_events: events,
+            wh_description: description,
+            wh_secret: secret,
+            wh_created_fk_user_id: req.user.user_id,
+        });
+
+        // The secret is only ever shown here; receivers need it to verify signatures
+        res.status(201).json({
+            success: true,
+            message: 'Webhook registered successfully',
+            data: {
+                webhook,
+                secret
+            }
+        });
+    } catch (error) {
+        console.error('Create webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to register webhook',
+            error: error.message
+        });
+    }
+};
+
+const listWebhooks = async (req, res) => {
+    try {
+        const { page, limit, skip } = getPagination(req.query);
+        const [webhooks, total] = await Promise.all([
+            Webhook.find().sort({ wh_created_at: -1 }).skip(skip).limit(limit),
+            Webhook.countDocuments()
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                webhooks,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('List webhooks error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list webhooks',
+            error: error.message
+        });
+    }
+};
+
+const updateWebhook = async (req, res) => {
+    try {
+        const { wh_id } = req.params;
+        const { url, events, description, active } = req.body;
+
+        const updates = {
+            wh_url: url,
+            wh_events: events,
+            wh_description: description,
+            wh_active: active
+        };
+        Object.keys(updates).forEach(key => updates[key] === undefined && delete updates[key]);
+
+        const webhook = await Webhook.findOneAndUpdate(
+            { wh_id },
+            { $set: updates },
+            { new: true, runValidators: true }
+        );
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Webhook updated successfully',
+            data: webhook
+        });
+    } catch (error) {
+        console.error('Update webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update webhook',
+            error: error.message
+        });
+    }
+};
+
+const deleteWebhook = async (req, res) => {
+    try {
+        const { wh_id } = req.params;
+
+        // The delivery log is kept; pending deliveries fail on their next attempt
+        const webhook = await Webhook.findOneAndDelete({ wh_id });
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Webhook deleted successfully',
+            data: webhook
+        });
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete webhook',
+            error: error.message
+        });
+    }
+};
+
+const listDeliveries = async (req, res) => {
+    try {
+        const { wh_id } = req.params;
+        const { status, event, order_id } = req.query;
+
+        const filter = {
+            wd_webhook_fk_webhook_id: wh_id,
+            wd_status: status,
+            wd_event: event,
+            wd_order_fk_order_id: order_id
+        };
+        Object.keys(filter).forEach(key => filter[key] === undefined && delete filter[key]);
+
+        const { page, limit, skip } = getPagination(req.query);
+        const [deliveries, total] = await Promise.all([
+            WebhookDelivery.find(filter).sort({ wd_created_at: -1, _id: -1 }).skip(skip).limit(limit),
+            WebhookDelivery.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                deliveries,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('List webhook deliveries error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list webhook deliveries',
+            error: error.message
+        });
+    }
+};
+
+const redeliver = async (req, res) => {
+    try {
+        const { wd_id } = req.params;
+
+        // Only finished deliveries are sent again; pending ones are still being retried
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+            { wd_id, wd_status: { $ne: WEBHOOK_DELIVERY_STATUS.PENDING } },
+            {
+                $set: {
+                    wd_status: WEBHOOK_DELIVERY_STATUS.PENDING,
+                    wd_attempts: 0,
+                    wd_next_attempt_at: new Date()
+                }
+            }
+        );
+        if (!delivery) {
+            const exists = await WebhookDelivery.exists({ wd_id });
+            return res.status(exists ? 400 : 404).json({
+                success: false,
+                message: exists ? 'Delivery is still pending' : 'Delivery not found'
+            });
+        }
+
+        const result = await attemptDelivery(wd_id);
+
+        res.status(200).json({
+            success: true,
+            message: REDELIVERY_MESSAGES[result ? result.wd_status : WEBHOOK_DELIVERY_STATUS.PENDING],
+            data: result
+        });
+    } catch (error) {
+        console.error('Redeliver webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to redeliver webhook',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    createWebhook,
+    listWebhooks,
+    updateWebhook,
+    deleteWebhook,
+    listDeliveries,
+    redeliver,
+};
@@ -0,0 +1,38 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+const auditStorage = new AsyncLocalStorage();
+
+/**
+ * Run a function with an audit context visible to every helper it awaits
+ * HTTP requests store { req }; background jobs store { endpoint } for themselves
+ *
+ * @param {Object} context - { req } or { endpoint, actor }
+ * @param {Function} fn - Function to run inside the context
+ * @returns {*} - Whatever fn returns
+ */
+const runWithAuditContext = (context, fn) => auditStorage.run(context, fn);
+
+/**
+ * Describe who and what triggered the current change
+ *
+ * @returns {Object} - { actor, endpoint }; both are null outside any context
+ */
+const getAuditContext = () => {
+    const { req, actor = null, endpoint = null } = auditStorage.getStore() || {};
+
+    if (req) {
+        // req.user and req.route are only known once auth and routing have run
+        const path = req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl;
+        return {
+            actor: req.user || null,
+            endpoint: `${req.method} ${path}`,
+        };
+    }
+
+    return { actor, endpoint };
+};
+
+module.exports = {
+    runWithAuditContext,
+    getAuditContext,
+};
@@ -0,0 +1,71 @@
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const config = require("../config");
+
+/**
+ * Hash a plain text password with bcrypt
+ * Produces $2b$-compatible hashes like the ones in json-data/user.json
+ *
+ * @param {String} password - Plain text password
+ * @returns {String} - bcrypt hash
+ */
+const hashPassword = async (password) => {
+    return bcrypt.hash(password, config.auth.bcryptSaltRounds);
+};
+
+/**
+ * Compare a plain text password with a stored bcrypt hash
+ *
+ * @param {String} password - Plain text password
+ * @param {String} hash - Stored bcrypt hash
+ * @returns {Boolean} - True if the password matches
+ */
+const verifyPassword = async (password, hash) => {
+    if (!password || !hash) return false;
+    return bcrypt.compare(password, hash);
+};
+
+/**
+ * The configured token secret; never fall back to a guessable one
+ *
+ * @returns {String} - JWT_SECRET
+ */
+const getJwtSecret = () => {
+    if (!config.auth.jwtSecret) {
+        throw new Error("JWT_SECRET is not configured");
+    }
+    return config.auth.jwtSecret;
+};
+
+/**
+ * Sign an access token for a user
+ * The token subject is the user_id used by order_created_fk_user_id
+ *
+ * @param {Object} user - User document
+ * @returns {String} - Signed JWT
+ */
+const signAccessToken = (user) => {
+    return jwt.sign(
+        { email: user.user_email },
+        getJwtSecret(),
+        { subject: user.user_id, expiresIn: config.auth.jwtExpiresIn }
+    );
+};
+
+/**
+ * Verify an access token and return its payload
+ * Throws if the token is invalid or expired
+ *
+ * @param {String} token - Signed JWT
+ * @returns {Object} - Decoded token payload
+ */
+const verifyAccessToken = (token) => {
+    return jwt.verify(token, getJwtSecret());
+};
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    signAccessToken,
+    verifyAccessToken,
+};
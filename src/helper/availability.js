@@ -0,0 +1,291 @@
+const config = require("../config");
+const { HOLD_LEVEL, BOOKED_ITEM_STATUSES } = require("../constants/status");
+const { USER_ROLE } = require("../constants/role");
+const { SHIPPING_METHOD } = require("../constants/shipping");
+const Inventory = require("../schemas/inventory.schema");
+const Order = require("../schemas/order.schema");
+const OrderItem = require("../schemas/orderItem.schema");
+const { findConflictingOrderItems } = require("./orderItem");
+const { DAY_MS, bufferDaysExpression, getOverlapOperators } = require("./buffer");
+const { withLocalDates } = require("./businessDate");
+
+const DEFAULT_WINDOW_DAYS = 90;
+const MAX_WINDOW_DAYS = 366;
+
+const AVAILABILITY_STATE = {
+    FREE: "free",
+    HELD: "held",
+    BOOKED: "booked",
+};
+
+/**
+ * Parse the from/to query window for availability lookups
+ * Defaults to the next 90 days and caps the window at one year
+ *
+ * @param {Object} query - Express req.query
+ * @returns {Object} - { from, to } or { error } if the window is invalid
+ */
+const parseAvailabilityWindow = (query = {}) => {
+    const from = query.from ? new Date(query.from) : new Date();
+    const to = query.to ? new Date(query.to) : new Date(from.getTime() + DEFAULT_WINDOW_DAYS * DAY_MS);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return { error: "from and to must be valid dates" };
+    }
+    if (to <= from) {
+        return { error: "to must be after from" };
+    }
+    if (to.getTime() - from.getTime() > MAX_WINDOW_DAYS * DAY_MS) {
+        return { error: `Availability window cannot exceed ${MAX_WINDOW_DAYS} days` };
+    }
+
+    return { from, to };
+};
+
+/**
+ * Describe an order item's claim on the inventory
+ * confirmed/out -> booked, any hold status -> held, anything else is not a claim
+ *
+ * @param {Object} item - Order item
+ * @returns {String|null} - AVAILABILITY_STATE value or null
+ */
+const getClaimState = (item) => {
+    if (BOOKED_ITEM_STATUSES.includes(item.oi_status)) return AVAILABILITY_STATE.BOOKED;
+    if (HOLD_LEVEL[item.oi_status]) return AVAILABILITY_STATE.HELD;
+    return null;
+};
+
+/**
+ * Split the window into consecutive booked/held/free intervals
+ * An interval is booked if a confirmed or out item covers it, held if only holds do
+ *
+ * @param {Array} items - Order items overlapping the window
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @returns {Array} - [{ start, end, state, holdCount }]
+ */
+const buildAvailabilityIntervals = (items, from, to) => {
+    const claims = items
+        .map((item) => ({ item, state: getClaimState(item) }))
+        .filter((claim) => claim.state);
+
+    // Every pickup/return inside the window is a potential state change
+    const boundaries = new Set([from.getTime(), to.getTime()]);
+    for (const { item } of claims) {
+        for (const date of [item.oi_pickup_at, item.oi_return_at]) {
+            const time = new Date(date).getTime();
+            if (time > from.getTime() && time < to.getTime()) boundaries.add(time);
+        }
+    }
+    const points = [...boundaries].sort((a, b) => a - b);
+
+    const intervals = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        const start = points[i];
+        const end = points[i + 1];
+
+        const covering = claims.filter(({ item }) =>
+            new Date(item.oi_pickup_at).getTime() <= start && new Date(item.oi_return_at).getTime() >= end
+        );
+        const holdCount = covering.filter((claim) => claim.state === AVAILABILITY_STATE.HELD).length;
+        const state = covering.some((claim) => claim.state === AVAILABILITY_STATE.BOOKED)
+            ? AVAILABILITY_STATE.BOOKED
+            : holdCount > 0 ? AVAILABILITY_STATE.HELD : AVAILABILITY_STATE.FREE;
+
+        // Merge with the previous interval when nothing changed
+        const previous = intervals[intervals.length - 1];
+        if (previous && previous.state === state && previous.holdCount === holdCount) {
+            previous.end = new Date(end);
+        } else {
+            intervals.push({ start: new Date(start), end: new Date(end), state, holdCount });
+        }
+    }
+
+    return intervals;
+};
+
+/**
+ * Build the availability calendar for one inventory
+ * Returns the merged intervals plus every non-deleted order item in the window
+ * with its hold position and unavailable_until date; dates are echoed in the
+ * business timezone as <key>_local
+ *
+ * @param {String} inventoryId - Inventory to inspect
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @param {Object} [viewer] - Requesting user; only admins see other customers' IDs
+ * @returns {Object} - { intervals, entries }
+ */
+const getInventoryAvailability = async (inventoryId, from, to, viewer) => {
+    try {
+        const viewerIsAdmin = Boolean(viewer) && viewer.user_role === USER_ROLE.ADMIN;
+
+        // No order to exclude: every non-deleted item overlapping the window counts
+        const items = await findConflictingOrderItems(inventoryId, null, from, to);
+
+        const entries = items
+            .sort((a, b) => new Date(a.oi_pickup_at) - new Date(b.oi_pickup_at))
+            .map((item) => {
+                const isOwn = Boolean(viewer) && item.oi_created_fk_user_id === viewer.user_id;
+
+                return {
+                    // Other customers' items show up as claims on the dates only
+                    ...(viewerIsAdmin || isOwn ? { oi_id: item.oi_id, order_id: item.oi_order_fk_order_id } : {}),
+                    ...withLocalDates({
+                        pickup_at: item.oi_pickup_at,
+                        return_at: item.oi_return_at,
+                    }),
+                    status: item.oi_status,
+                    state: getClaimState(item),
+                    hold_position: HOLD_LEVEL[item.oi_status] || null,
+                    ...withLocalDates({ unavailable_until: item.oi_unavailable_until || null }),
+                    is_own: isOwn,
+                    ...(viewerIsAdmin ? { user_id: item.oi_created_fk_user_id } : {}),
+                };
+            });
+
+        return {
+            intervals: buildAvailabilityIntervals(items, from, to)
+                .map((interval) => ({ ...interval, ...withLocalDates({ start: interval.start, end: interval.end }) })),
+            entries,
+        };
+    } catch (error) {
+        console.error("Error building inventory availability:", error);
+        throw error;
+    }
+};
+
+/**
+ * Find every inventory that can be rented between two dates in one aggregation
+ * Each inventory is joined with its conflicting order items (same overlap rule as
+ * findConflictingOrderItems, turnaround buffers included) and dropped if a booked
+ * item or three holds block it
+ *
+ * @param {Object} inventoryFilter - Catalogue filter from buildInventoryFilter
+ * @param {Date} pickupDate - Requested pickup date
+ * @param {Date} returnDate - Requested return date
+ * @param {Object} options - { includeHeld, shippingMethod, skip, limit }
+ * @returns {Object} - { inventories, total }
+ */
+const searchAvailableInventories = async (inventoryFilter, pickupDate, returnDate, options = {}) => {
+    try {
+        const { includeHeld = true, shippingMethod = SHIPPING_METHOD.PICK_UP, skip = 0, limit = 20 } = options;
+        const holdStatuses = Object.keys(HOLD_LEVEL);
+
+        // Blocked windows: rental dates widened by the inventory's (or the global)
+        // buffer plus the transit days of each rental's shipping method
+        const beforeDays = (days) => bufferDaysExpression("beforeDays", "$$beforeDays", days);
+        const afterDays = (days) => bufferDaysExpression("afterDays", "$$afterDays", days);
+        const requestedFrom = { $subtract: [pickupDate, { $multiply: [beforeDays(shippingMethod), DAY_MS] }] };
+        const requestedUntil = { $add: [returnDate, { $multiply: [afterDays(shippingMethod), DAY_MS] }] };
+        const overlap = getOverlapOperators();
+
+        const availabilityMatch = { "availability.booked": false, "availability.holdDepth": { $lt: 3 } };
+        if (!includeHeld) {
+            availabilityMatch["availability.holdDepth"] = 0;
+        }
+
+        const [result] = await Inventory.aggregate([
+            { $match: inventoryFilter },
+            {
+                $lookup: {
+                    from: OrderItem.collection.name,
+                    let: {
+                        inventoryId: "$inventory_id",
+                        beforeDays: { $ifNull: ["$inventory_buffer.before_days", config.buffers.beforeDays] },
+                        afterDays: { $ifNull: ["$inventory_buffer.after_days", config.buffers.afterDays] },
+                    },
+                    pipeline: [
+                        {
+                            $match: {
+                                oi_deleted: false,
+                                oi_status: { $in: [...BOOKED_ITEM_STATUSES, ...holdStatuses] },
+                                $expr: { $eq: ["$oi_inventory_fk_inventory_id", "$$inventoryId"] },
+                            },
+                        },
+                        {
+                            $lookup: {
+                                from: Order.collection.name,
+                                localField: "oi_order_fk_order_id",
+                                foreignField: "order_id",
+                                as: "order",
+                            },
+                        },
+                        { $set: { shippingMethod: { $arrayElemAt: ["$order.order_shipping_method", 0] } } },
+                        {
+                            $match: {
+                                $expr: {
+                                    $and: [
+                                        {
+                                            [overlap.before]: [
+                                                { $subtract: ["$oi_pickup_at", { $multiply: [beforeDays("$shippingMethod"), DAY_MS] }] },
+                                                requestedUntil,
+                                            ],
+                                        },
+                                        {
+                                            [overlap.after]: [
+                                                { $add: ["$oi_return_at", { $multiply: [afterDays("$shippingMethod"), DAY_MS] }] },
+                                                requestedFrom,
+                                            ],
+                                        },
+                                    ],
+                                },
+                            },
+                        },
+                        { $project: { oi_status: 1 } },
+                    ],
+                    as: "conflicts",
+                },
+            },
+            {
+                $addFields: {
+                    availability: {
+                        booked: {
+                            $gt: [{ $size: { $setIntersection: ["$conflicts.oi_status", BOOKED_ITEM_STATUSES] } }, 0],
+                        },
+                        holdDepth: {
+                            $size: {
+                                $filter: {
+                                    input: "$conflicts",
+                                    cond: { $in: ["$$this.oi_status", holdStatuses] },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+            { $match: availabilityMatch },
+            { $project: { conflicts: 0 } },
+            {
+                $facet: {
+                    inventories: [{ $sort: { inventory_barcode: 1 } }, { $skip: skip }, { $limit: limit }],
+                    total: [{ $count: "count" }],
+                },
+            },
+        ]);
+
+        const inventories = result.inventories.map(({ availability, ...inventory }) => ({
+            ...inventory,
+            availability: {
+                status: availability.holdDepth > 0 ? AVAILABILITY_STATE.HELD : AVAILABILITY_STATE.FREE,
+                holdDepth: availability.holdDepth,
+            },
+        }));
+
+        return {
+            inventories,
+            total: result.total.length > 0 ? result.total[0].count : 0,
+        };
+    } catch (error) {
+        console.error("Error searching available inventories:", error);
+        throw error;
+    }
+};
+
+module.exports = {
+    AVAILABILITY_STATE,
+    parseAvailabilityWindow,
+    buildAvailabilityIntervals,
+    getInventoryAvailability,
+    searchAvailableInventories,
+};
@@ -0,0 +1,186 @@
+const config = require("../config");
+const Inventory = require("../schemas/inventory.schema");
+const Order = require("../schemas/order.schema");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const NO_BUFFER = { beforeDays: 0, afterDays: 0 };
+
+/**
+ * Turnaround buffer of one rental of an artwork
+ * The inventory's own buffer (or the global one) plus the transit days of the shipping method
+ *
+ * @param {Object} inventory - Inventory with inventory_buffer (may be null)
+ * @param {String} [shippingMethod] - The order's order_shipping_method
+ * @returns {Object} - { beforeDays, afterDays }
+ */
+const getRentalBuffer = (inventory, shippingMethod) => {
+    const own = (inventory && inventory.inventory_buffer) || {};
+    const transit = config.buffers.shipping[shippingMethod] || NO_BUFFER;
+
+    return {
+        beforeDays: (own.before_days ?? config.buffers.beforeDays) + transit.beforeDays,
+        afterDays: (own.after_days ?? config.buffers.afterDays) + transit.afterDays,
+    };
+};
+
+/**
+ * Largest buffer any rental of the artwork can have, whatever its shipping method
+ *
+ * @param {Object} inventory - Inventory with inventory_buffer (may be null)
+ * @returns {Object} - { beforeDays, afterDays }
+ */
+const getMaxRentalBuffer = (inventory) => {
+    const buffers = [undefined, ...Object.keys(config.buffers.shipping)]
+        .map((shippingMethod) => getRentalBuffer(inventory, shippingMethod));
+
+    return {
+        beforeDays: Math.max(...buffers.map((buffer) => buffer.beforeDays)),
+        afterDays: Math.max(...buffers.map((buffer) => buffer.afterDays)),
+    };
+};
+
+const hasBuffer = (buffer) => buffer.beforeDays > 0 || buffer.afterDays > 0;
+
+/**
+ * The span a rental keeps the artwork away from other rentals
+ *
+ * @param {Date} pickupDate - Pickup date
+ * @param {Date} returnDate - Return date
+ * @param {Object} buffer - { beforeDays, afterDays }
+ * @returns {Object} - { from, until }
+ */
+const getBlockedWindow = (pickupDate, returnDate, buffer) => ({
+    from: new Date(new Date(pickupDate).getTime() - buffer.beforeDays * DAY_MS),
+    until: new Date(new Date(returnDate).getTime() + buffer.afterDays * DAY_MS),
+});
+
+// How touching windows are treated (config.dates.overlap)
+const OVERLAP_MODE = {
+    // A return and a pickup at the same moment clash
+    INCLUSIVE: "inclusive",
+    // [from, until): a window ends just before its until, so back-to-back rentals fit
+    HALF_OPEN: "half-open",
+};
+
+const isHalfOpen = () => config.dates.overlap === OVERLAP_MODE.HALF_OPEN;
+
+/**
+ * Whether two blocked windows overlap under the configured overlap mode
+ *
+ * @param {Object} first - { from, until }
+ * @param {Object} second - { from, until }
+ * @returns {Boolean}
+ */
+const windowsOverlap = (first, second) => (isHalfOpen()
+    ? first.from < second.until && first.until > second.from
+    : first.from <= second.until && first.until >= second.from);
+
+/**
+ * Mongo comparison operators for an overlap check under the configured overlap mode
+ *
+ * @returns {Object} - { before: "$lte" | "$lt", after: "$gte" | "$gt" }
+ */
+const getOverlapOperators = () => (isHalfOpen()
+    ? { before: "$lt", after: "$gt" }
+    : { before: "$lte", after: "$gte" });
+
+/**
+ * Earliest pickup a waiting order can get after a booking:
+ * the booking's return, its after buffer and the waiting rental's own before buffer
+ *
+ * @param {Date} bookedReturnDate - Return date of the booking
+ * @param {Object} bookedBuffer - Buffer of the booking
+ * @param {Object} waitingBuffer - Buffer of the waiting rental
+ * @returns {Date}
+ */
+const getUnavailableUntil = (bookedReturnDate, bookedBuffer, waitingBuffer) =>
+    new Date(new Date(bookedReturnDate).getTime() + (bookedBuffer.afterDays + waitingBuffer.beforeDays) * DAY_MS);
+
+/**
+ * Load the shipping methods of the orders behind a set of order items
+ *
+ * @param {Array} orderItems - Order items
+ * @returns {Map} - order_id -> order_shipping_method
+ */
+const getShippingMethods = async (orderItems) => {
+    try {
+        const orders = await Order.find(
+            { order_id: { $in: [...new Set(orderItems.map((item) => item.oi_order_fk_order_id))] } },
+            { order_id: 1, order_shipping_method: 1 }
+        );
+        return new Map(orders.map((order) => [order.order_id, order.order_shipping_method]));
+    } catch (error) {
+        console.error("Error loading shipping methods:", error);
+        throw error;
+    }
+};
+
+/**
+ * Earliest pickup for each item an order's booking of one artwork blocks
+ * Used by the confirm cascade to fill oi_unavailable_until
+ *
+ * @param {Object} bookedOrder - The confirmed order
+ * @param {String} inventoryId - The booked artwork
+ * @param {Array} waitingItems - Conflicting order items of other orders
+ * @returns {Map} - oi_id -> unavailable until date
+ */
+const getUnavailableUntilForItems = async (bookedOrder, inventoryId, waitingItems) => {
+    try {
+        const inventory = await Inventory.findOne({ inventory_id: inventoryId }, { inventory_buffer: 1 });
+        const shippingMethods = await getShippingMethods(waitingItems);
+        const bookedBuffer = getRentalBuffer(inventory, bookedOrder.order_shipping_method);
+
+        return new Map(waitingItems.map((item) => [
+            item.oi_id,
+            getUnavailableUntil(
+                bookedOrder.order_return_at,
+                bookedBuffer,
+                getRentalBuffer(inventory, shippingMethods.get(item.oi_order_fk_order_id))
+            ),
+        ]));
+    } catch (error) {
+        console.error("Error calculating unavailable until dates:", error);
+        throw error;
+    }
+};
+
+/**
+ * Mongo expression for the buffer days of an order item in an aggregation,
+ * given the inventory's buffer and the item's shipping method
+ *
+ * @param {String} side - "beforeDays" or "afterDays"
+ * @param {String} inventoryDays - Expression for the inventory (or global) buffer
+ * @param {String} shippingMethod - Expression for the order's shipping method
+ * @returns {Object} - Aggregation expression
+ */
+const bufferDaysExpression = (side, inventoryDays, shippingMethod) => ({
+    $add: [
+        inventoryDays,
+        {
+            $switch: {
+                branches: Object.entries(config.buffers.shipping).map(([method, transit]) => ({
+                    case: { $eq: [shippingMethod, method] },
+                    then: transit[side],
+                })),
+                default: 0,
+            },
+        },
+    ],
+});
+
+module.exports = {
+    DAY_MS,
+    NO_BUFFER,
+    OVERLAP_MODE,
+    getRentalBuffer,
+    getMaxRentalBuffer,
+    hasBuffer,
+    getBlockedWindow,
+    windowsOverlap,
+    getOverlapOperators,
+    getUnavailableUntil,
+    getShippingMethods,
+    getUnavailableUntilForItems,
+    bufferDaysExpression,
+};
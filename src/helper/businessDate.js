@@ -0,0 +1,142 @@
+const config = require("../config");
+
+// A plain calendar date without a time, e.g. "2025-10-08"
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+            timeZone,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "2-digit",
+            day: "2-digit",
+            hour: "2-digit",
+            minute: "2-digit",
+            second: "2-digit",
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+/**
+ * Calendar parts of an instant in the business timezone
+ *
+ * @param {Date} date - Instant
+ * @returns {Object} - { year, month, day, hour, minute, second }
+ */
+const getBusinessParts = (date) => Object.fromEntries(
+    getFormatter(config.dates.timezone)
+        .formatToParts(date)
+        .filter((part) => part.type !== "literal")
+        .map((part) => [part.type, Number(part.value)])
+);
+
+/**
+ * Offset of the business timezone from UTC at an instant
+ *
+ * @param {Date} date - Instant
+ * @returns {Number} - Milliseconds to add to UTC to get local wall time
+ */
+const getBusinessOffset = (date) => {
+    const parts = getBusinessParts(date);
+    const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallTime - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * UTC instant of midnight on a business calendar date
+ *
+ * @param {Number} year - Year
+ * @param {Number} month - Month (1-12)
+ * @param {Number} day - Day of month
+ * @returns {Date}
+ */
+const businessMidnight = (year, month, day) => {
+    const wallTime = Date.UTC(year, month - 1, day);
+    const estimate = wallTime - getBusinessOffset(new Date(wallTime));
+    // The offset at midnight itself can differ from the estimate's around DST changes
+    return new Date(wallTime - getBusinessOffset(new Date(estimate)));
+};
+
+/**
+ * Start of the business day an instant falls on
+ *
+ * @param {Date|String|Number} value - Instant
+ * @returns {Date}
+ */
+const startOfBusinessDay = (value) => {
+    const parts = getBusinessParts(new Date(value));
+    return businessMidnight(parts.year, parts.month, parts.day);
+};
+
+/**
+ * Normalize an incoming pickup or return value to the business day it names
+ * A plain YYYY-MM-DD is that date in the business timezone; any other date
+ * or date-time is moved to the start of its business day
+ *
+ * @param {Date|String|Number} value - Raw request value
+ * @returns {Date|null} - Start of the business day, or null if the value is not a date
+ */
+const toBusinessDay = (value) => {
+    if (typeof value === "string" && DATE_ONLY.test(value.trim())) {
+        const [year, month, day] = value.trim().split("-").map(Number);
+        return businessMidnight(year, month, day);
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    return startOfBusinessDay(date);
+};
+
+/**
+ * Business calendar date of an instant
+ *
+ * @param {Date|String} value - Instant
+ * @returns {String|null} - "YYYY-MM-DD", or null without a value
+ */
+const formatBusinessDate = (value) => {
+    if (!value) return null;
+    const { year, month, day } = getBusinessParts(new Date(value));
+    return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+};
+
+/**
+ * Local ISO 8601 date-time of an instant in the business timezone
+ *
+ * @param {Date|String} value - Instant
+ * @returns {String|null} - e.g. "2025-10-08T00:00:00.000+05:30", or null without a value
+ */
+const formatBusinessDateTime = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+
+    const offset = getBusinessOffset(date);
+    const wallTime = new Date(date.getTime() + offset).toISOString().slice(0, 23);
+    const offsetMinutes = Math.abs(offset) / 60000;
+    const sign = offset < 0 ? "-" : "+";
+
+    return `${wallTime}${sign}${String(Math.floor(offsetMinutes / 60)).padStart(2, "0")}:${String(offsetMinutes % 60).padStart(2, "0")}`;
+};
+
+/**
+ * Echo dates of a response object in the business timezone as <key>_local
+ *
+ * @param {Object} dates - e.g. { pickup, return }
+ * @returns {Object} - The same dates plus their _local counterparts
+ */
+const withLocalDates = (dates) => ({
+    ...dates,
+    ...Object.fromEntries(Object.entries(dates).map(([key, value]) => [`${key}_local`, formatBusinessDateTime(value)])),
+});
+
+module.exports = {
+    startOfBusinessDay,
+    toBusinessDay,
+    formatBusinessDate,
+    formatBusinessDateTime,
+    withLocalDates,
+};
@@ -0,0 +1,103 @@
+const OrderItem = require("../schemas/orderItem.schema");
+const { ORDER_STATUS, ORDER_ITEM_STATUS, HOLD_LEVEL, BOOKED_ITEM_STATUSES } = require("../constants/status");
+const { HISTORY_REASON } = require("../constants/history");
+const { promoteHoldsAfterRelease, updateUnavailableItemsAfterConfirmedRemoval } = require("./orderItem");
+const { freesCapacity, notifyWaitlist } = require("./waitlist");
+const { assertOrderTransition, assertOrderItemTransition } = require("./stateMachine");
+const { orderHistory, orderItemHistory, recordHistory } = require("./history");
+
+/**
+ * Group cascaded item changes by the order they belong to
+ *
+ * @param {Array} changes - { oi_id, order_id, inventory_id, previousStatus, newStatus }
+ * @returns {Array} - [{ order_id, items: [{ oi_id, inventory_id, previousStatus, newStatus }] }]
+ */
+const groupChangesByOrder = (changes) => {
+    const orders = new Map();
+    for (const { order_id, ...item } of changes) {
+        if (!orders.has(order_id)) orders.set(order_id, { order_id, items: [] });
+        orders.get(order_id).items.push(item);
+    }
+    return [...orders.values()];
+};
+
+/**
+ * Cancel an order and all of its items in one go
+ * Each cancelled hold promotes the holds queued behind it and each cancelled
+ * booking releases the items it kept unavailable, exactly like removing the item;
+ * the freed capacity is then offered to the waitlist
+ * Items are processed sequentially so each cascade sees the previous one
+ *
+ * @param {Object} order - Mongoose order document (read inside the order's locks)
+ * @returns {Object} - { previousStatus, cancelledItems, affectedOrders, affectedItemsCount }
+ */
+const cancelOrder = async (order) => {
+    try {
+        assertOrderTransition(order, ORDER_STATUS.CANCELLED);
+
+        const orderItems = await OrderItem.find({
+            oi_order_fk_order_id: order.order_id,
+            oi_deleted: false,
+            oi_status: { $ne: ORDER_ITEM_STATUS.CANCELLED },
+        });
+        // Check every item before changing any, so a refusal leaves the order untouched
+        orderItems.forEach((orderItem) => assertOrderItemTransition(orderItem, ORDER_ITEM_STATUS.CANCELLED));
+
+        const cancelledItems = [];
+        const changes = [];
+
+        for (const orderItem of orderItems) {
+            const previousStatus = orderItem.oi_status;
+
+            const history = orderItemHistory(
+                orderItem,
+                { oi_status: ORDER_ITEM_STATUS.CANCELLED },
+                { reason: HISTORY_REASON.ORDER_CANCELLED }
+            );
+            orderItem.oi_status = ORDER_ITEM_STATUS.CANCELLED;
+            orderItem.oi_updated_at = new Date();
+            await orderItem.save();
+            await recordHistory(history);
+
+            if (HOLD_LEVEL[previousStatus]) {
+                await promoteHoldsAfterRelease(orderItem, order, previousStatus, changes);
+            } else if (BOOKED_ITEM_STATUSES.includes(previousStatus)) {
+                await updateUnavailableItemsAfterConfirmedRemoval(orderItem, order, changes);
+            }
+            if (freesCapacity(previousStatus)) {
+                await notifyWaitlist(orderItem.oi_inventory_fk_inventory_id, order);
+            }
+
+            cancelledItems.push({
+                oi_id: orderItem.oi_id,
+                inventoryId: orderItem.oi_inventory_fk_inventory_id,
+                previousStatus,
+            });
+        }
+
+        const previousStatus = order.order_status;
+        const history = orderHistory(
+            order,
+            { order_status: ORDER_STATUS.CANCELLED },
+            { reason: HISTORY_REASON.ORDER_CANCELLED }
+        );
+        order.order_status = ORDER_STATUS.CANCELLED;
+        order.order_updated_at = new Date();
+        await order.save();
+        await recordHistory(history);
+
+        return {
+            previousStatus,
+            cancelledItems,
+            affectedOrders: groupChangesByOrder(changes),
+            affectedItemsCount: changes.length,
+        };
+    } catch (error) {
+        console.error("Error cancelling order:", error);
+        throw error;
+    }
+};
+
+module.exports = {
+    cancelOrder,
+};
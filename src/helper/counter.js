@@ -0,0 +1,26 @@
+const Counter = require("../schemas/counter.schema");
+
+/**
+ * Atomically take the next value of a named sequence
+ * The counter document is created on first use, so sequences start at 1
+ *
+ * @param {String} name - Sequence name
+ * @returns {Number} - The next value
+ */
+const getNextSequence = async (name) => {
+    try {
+        const counter = await Counter.findOneAndUpdate(
+            { counter_name: name },
+            { $inc: { counter_value: 1 } },
+            { new: true, upsert: true }
+        );
+        return counter.counter_value;
+    } catch (error) {
+        console.error("Error taking next sequence value:", error);
+        throw error;
+    }
+};
+
+module.exports = {
+    getNextSequence,
+};
@@ -0,0 +1,276 @@
+const PDFDocument = require("pdfkit");
+const config = require("../config");
+const OrderItem = require("../schemas/orderItem.schema");
+const { ORDER_STATUS } = require("../constants/status");
+const { getNextSequence } = require("./counter");
+const { calculateOrderPricing } = require("./pricing");
+const { formatBusinessDate } = require("./businessDate");
+
+const DOCUMENT_TYPE = {
+    QUOTE: "quote",
+    INVOICE: "invoice",
+};
+
+const DOCUMENT_FORMAT = {
+    HTML: "html",
+    PDF: "pdf",
+};
+
+// Orders that are still being put together get a quote; cancelled orders get nothing
+const QUOTE_ORDER_STATUSES = [ORDER_STATUS.WORKING, ORDER_STATUS.HOLD];
+
+const INVOICE_SEQUENCE = "invoice";
+
+/**
+ * Decide which document an order can be rendered as
+ *
+ * @param {Object} order - Order document
+ * @returns {String|null} - DOCUMENT_TYPE value, or null for cancelled orders
+ */
+const getOrderDocumentType = (order) => {
+    if (order.order_status === ORDER_STATUS.CANCELLED) return null;
+    return QUOTE_ORDER_STATUSES.includes(order.order_status) ? DOCUMENT_TYPE.QUOTE : DOCUMENT_TYPE.INVOICE;
+};
+
+/**
+ * Give a confirmed order its invoice number if it does not have one yet
+ * Invoice numbers come from their own sequence, independent of order_order_number.
+ * Callers must hold the order lock so a number is never taken twice for one order.
+ *
+ * @param {Object} order - Mongoose order document
+ * @returns {String} - The order's invoice number
+ */
+const ensureInvoiceNumber = async (order) => {
+    try {
+        if (order.order_invoice_number) return order.order_invoice_number;
+
+        const sequence = await getNextSequence(INVOICE_SEQUENCE);
+        order.order_invoice_number = `${config.documents.invoicePrefix}${String(sequence).padStart(6, "0")}`;
+        order.order_invoiced_at = new Date();
+        await order.save();
+
+        return order.order_invoice_number;
+    } catch (error) {
+        console.error("Error assigning invoice number:", error);
+        throw error;
+    }
+};
+
+/**
+ * Collect everything a quote or invoice shows
+ * Barcodes and dimensions come from the oi_inventory snapshot taken when the item was added
+ *
+ * @param {Object} order - Order document (invoices must already have a number)
+ * @returns {Object} - Document model for renderDocumentHtml / renderDocumentPdf
+ */
+const buildOrderDocument = async (order) => {
+    try {
+        const type = getOrderDocumentType(order);
+
+        const [orderItems, pricing] = await Promise.all([
+            OrderItem.find({ oi_order_fk_order_id: order.order_id, oi_deleted: false }).sort({ oi_created_at: 1 }),
+            calculateOrderPricing(order.order_id, order.order_pickup_at, order.order_return_at),
+        ]);
+        const pricesByItem = new Map(pricing.items.map((item) => [item.itemId, item]));
+
+        const lines = orderItems.map((orderItem) => {
+            const snapshot = orderItem.oi_inventory || {};
+            const general = snapshot.inventory_general || {};
+            const price = pricesByItem.get(orderItem.oi_id) || {};
+
+            return {
+                barcode: snapshot.inventory_barcode || null,
+                width: general.width ?? null,
+                depth: general.depth ?? null,
+                height: general.height ?? null,
+                weight: general.weight ?? null,
+                rentalDays: price.rentalDays,
+                blocks: price.blocks || null,
+                rates: price.rates || {},
+                total: price.total ?? null,
+            };
+        });
+
+        return {
+            type,
+            title: type === DOCUMENT_TYPE.INVOICE ? "Invoice" : "Quote",
+            issuer: config.documents.issuerName,
+            invoiceNumber: type === DOCUMENT_TYPE.INVOICE ? order.order_invoice_number : null,
+            orderNumber: order.order_order_number || null,
+            orderName: order.order_name || null,
+            orderStatus: order.order_status,
+            issuedAt: type === DOCUMENT_TYPE.INVOICE ? order.order_invoiced_at : new Date(),
+            pickupAt: order.order_pickup_at,
+            returnAt: order.order_return_at,
+            lines,
+            total: pricing.total,
+            unpricedItemsCount: pricing.unpricedItemsCount,
+        };
+    } catch (error) {
+        console.error("Error building order document:", error);
+        throw error;
+    }
+};
+
+const escapeHtml = (value) => String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const formatDate = (date) => formatBusinessDate(date) || "-";
+const formatMoney = (amount) => (amount === null || amount === undefined ? "n/a" : Number(amount).toFixed(2));
+const formatDimensions = (line) => [line.width, line.depth, line.height].map((value) => value ?? "-").join(" x ");
+
+const describeBlocks = (line) => {
+    if (!line.blocks) return "No visible price";
+    return [
+        line.blocks.seven_day ? `${line.blocks.seven_day} x 7-day @ ${formatMoney(line.rates.seven_day)}` : null,
+        line.blocks.three_day ? `${line.blocks.three_day} x 3-day @ ${formatMoney(line.rates.three_day)}` : null,
+    ].filter(Boolean).join(", ");
+};
+
+const describeDocument = (document) => [
+    document.invoiceNumber ? ["Invoice number", document.invoiceNumber] : null,
+    ["Order number", document.orderNumber || "-"],
+    ["Order name", document.orderName || "-"],
+    ["Issued", formatDate(document.issuedAt)],
+    ["Rental period", `${formatDate(document.pickupAt)} to ${formatDate(document.returnAt)}`],
+].filter(Boolean);
+
+/**
+ * Render a quote or invoice as a standalone HTML page
+ *
+ * @param {Object} document - Model from buildOrderDocument
+ * @returns {String} - HTML
+ */
+const renderDocumentHtml = (document) => {
+    const details = describeDocument(document)
+        .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+        .join("");
+
+    const rows = document.lines.map((line) => `
+      <tr>
+        <td>${escapeHtml(line.barcode || "-")}</td>
+        <td>${escapeHtml(formatDimensions(line))}</td>
+        <td>${escapeHtml(line.weight ?? "-")}</td>
+        <td>${escapeHtml(line.rentalDays)}</td>
+        <td>${escapeHtml(describeBlocks(line))}</td>
+        <td class="amount">${escapeHtml(formatMoney(line.total))}</td>
+      </tr>`).join("");
+
+    const unpricedNote = document.unpricedItemsCount > 0
+        ? `<p class="note">${document.unpricedItemsCount} item(s) have no visible price and are not included in the total.</p>`
+        : "";
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(document.title)} ${escapeHtml(document.invoiceNumber || document.orderNumber || "")}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; margin: 40px; color: #222; }
+    h1 { margin-bottom: 0; }
+    table { border-collapse: collapse; width: 100%; margin-top: 16px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #ddd; }
+    .details th { width: 160px; }
+    .amount { text-align: right; }
+    .total td { font-weight: bold; border-top: 2px solid #222; }
+    .note { color: #a00; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(document.title)}</h1>
+  <p>${escapeHtml(document.issuer)}</p>
+  <table class="details">${details}</table>
+  <table>
+    <thead>
+      <tr><th>Barcode</th><th>W x D x H</th><th>Weight</th><th>Days</th><th>Rate</th><th class="amount">Price</th></tr>
+    </thead>
+    <tbody>${rows}
+      <tr class="total"><td colspan="5">Total</td><td class="amount">${escapeHtml(formatMoney(document.total))}</td></tr>
+    </tbody>
+  </table>
+  ${unpricedNote}
+</body>
+</html>
+`;
+};
+
+/**
+ * Render a quote or invoice as a single A4 PDF
+ *
+ * @param {Object} document - Model from buildOrderDocument
+ * @returns {Promise<Buffer>} - PDF bytes
+ */
+const renderDocumentPdf = (document) => new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+
+    pdf.on("data", (chunk) => chunks.push(chunk));
+    pdf.on("end", () => resolve(Buffer.concat(chunks)));
+    pdf.on("error", reject);
+
+    pdf.fontSize(20).text(document.title);
+    pdf.fontSize(10).text(document.issuer).moveDown();
+
+    for (const [label, value] of describeDocument(document)) {
+        pdf.font("Helvetica-Bold").text(`${label}: `, { continued: true });
+        pdf.font("Helvetica").text(String(value));
+    }
+    pdf.moveDown();
+
+    // Fixed column positions keep the item table aligned across pages
+    const columns = [
+        { header: "Barcode", x: 50, width: 70 },
+        { header: "W x D x H", x: 120, width: 90 },
+        { header: "Weight", x: 210, width: 45 },
+        { header: "Days", x: 255, width: 35 },
+        { header: "Rate", x: 290, width: 185 },
+        { header: "Price", x: 475, width: 70, align: "right" },
+    ];
+    const writeRow = (values, font = "Helvetica") => {
+        const y = pdf.y;
+        pdf.font(font);
+        const heights = columns.map((column, index) => {
+            pdf.text(String(values[index]), column.x, y, { width: column.width, align: column.align || "left" });
+            return pdf.y - y;
+        });
+        pdf.x = 50;
+        pdf.y = y + Math.max(...heights) + 4;
+    };
+
+    writeRow(columns.map((column) => column.header), "Helvetica-Bold");
+    for (const line of document.lines) {
+        writeRow([
+            line.barcode || "-",
+            formatDimensions(line),
+            line.weight ?? "-",
+            line.rentalDays,
+            describeBlocks(line),
+            formatMoney(line.total),
+        ]);
+    }
+    writeRow(["Total", "", "", "", "", formatMoney(document.total)], "Helvetica-Bold");
+
+    if (document.unpricedItemsCount > 0) {
+        pdf.moveDown().font("Helvetica").text(
+            `${document.unpricedItemsCount} item(s) have no visible price and are not included in the total.`
+        );
+    }
+
+    pdf.end();
+});
+
+module.exports = {
+    DOCUMENT_TYPE,
+    DOCUMENT_FORMAT,
+    INVOICE_SEQUENCE,
+    getOrderDocumentType,
+    ensureInvoiceNumber,
+    buildOrderDocument,
+    escapeHtml,
+    renderDocumentHtml,
+    renderDocumentPdf,
+};
@@ -0,0 +1,48 @@
+const { LockTimeoutError, LockLostError } = require("./lock");
+const { StateTransitionError } = require("./stateMachine");
+
+/**
+ * Answer errors that carry their own HTTP meaning
+ * Lock timeouts, lost locks and illegal status transitions are conflicts (409) the client can act on;
+ * anything else is left to the controller's generic 500 handler
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Caught error
+ * @returns {Boolean} - True if a response was sent
+ */
+const sendKnownError = (res, error) => {
+    if (error instanceof StateTransitionError) {
+        res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            error: error.toJSON()
+        });
+        return true;
+    }
+
+    if (error instanceof LockTimeoutError || error instanceof LockLostError) {
+        res.status(409).json({
+            success: false,
+            message: error.message
+        });
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * Response worked out under locks
+ * Controllers return it from withLocks and only send it once withLocks has resolved,
+ * so a lock lost along the way still ends in a 409 rather than a success
+ *
+ * @param {Number} statusCode - HTTP status
+ * @param {Object} body - JSON body
+ * @returns {Object} - { statusCode, body }
+ */
+const reply = (statusCode, body) => ({ statusCode, body });
+
+module.exports = {
+    sendKnownError,
+    reply,
+};
@@ -0,0 +1,217 @@
+const fs = require("fs/promises");
+const path = require("path");
+const User = require("../schemas/user.schema");
+const Inventory = require("../schemas/inventory.schema");
+const Order = require("../schemas/order.schema");
+const OrderItem = require("../schemas/orderItem.schema");
+const StatusHistory = require("../schemas/statusHistory.schema");
+const Lock = require("../schemas/lock.schema");
+const Counter = require("../schemas/counter.schema");
+const Waitlist = require("../schemas/waitlist.schema");
+const Notification = require("../schemas/notification.schema");
+const Webhook = require("../schemas/webhook.schema");
+const WebhookDelivery = require("../schemas/webhookDelivery.schema");
+const { hashPassword } = require("./auth");
+const { INVOICE_SEQUENCE } = require("./document");
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "..", "json-data");
+
+// Fixture files in load order, so references point at records that already exist
+const FIXTURE_SETS = [
+    { file: "user.json", model: User, idField: "user_id" },
+    { file: "inventory.json", model: Inventory, idField: "inventory_id" },
+    { file: "order.json", model: Order, idField: "order_id" },
+    { file: "order-item.json", model: OrderItem, idField: "oi_id" },
+];
+
+// Everything the app writes; reset wipes all of it so no history, lock or counter outlives the data
+const APP_MODELS = [User, Inventory, Order, OrderItem, StatusHistory, Lock, Counter, Waitlist, Notification, Webhook, WebhookDelivery];
+
+const BCRYPT_HASH = /^\$2[aby]\$\d{2}\$.{53}$/;
+
+/**
+ * Read one fixture file
+ *
+ * @param {String} dir - Fixture directory
+ * @param {String} file - File name
+ * @returns {Array} - Records, or an empty array if the file does not exist
+ */
+const readFixtureFile = async (dir, file) => {
+    let content;
+    try {
+        content = await fs.readFile(path.join(dir, file), "utf8");
+    } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+    }
+
+    const records = JSON.parse(content);
+    if (!Array.isArray(records)) {
+        throw new Error(`${file} must contain a JSON array`);
+    }
+    return records;
+};
+
+/**
+ * Cast a fixture record to the document stored in MongoDB
+ * Ids and timestamps from the file are kept as they are; only missing ones are filled in
+ *
+ * @param {Object} model - Mongoose model
+ * @param {Object} record - Raw record from the fixture file
+ * @param {Date} now - Timestamp for records without one
+ * @returns {Object} - Document without _id, ready for a raw collection write
+ */
+const toFixtureDocument = (model, record, now) => {
+    const document = new model(record).toObject({ depopulate: true });
+    delete document._id;
+    delete document.__v;
+
+    const { createdAt, updatedAt } = model.schema.options.timestamps || {};
+    if (createdAt && !document[createdAt]) document[createdAt] = now;
+    if (updatedAt && !document[updatedAt]) document[updatedAt] = document[createdAt] || now;
+
+    return document;
+};
+
+/**
+ * Fixtures carry bcrypt hashes; a plain text password is hashed once, a hash is never hashed again
+ *
+ * @param {Object} user - User document from toFixtureDocument
+ * @returns {Object} - The same document
+ */
+const hashFixturePassword = async (user) => {
+    if (user.user_password && !BCRYPT_HASH.test(user.user_password)) {
+        user.user_password = await hashPassword(user.user_password);
+    }
+    return user;
+};
+
+/**
+ * Move the invoice sequence past every seeded invoice number,
+ * so the next confirmation does not hand out a number a fixture already uses
+ */
+const syncInvoiceSequence = async () => {
+    const orders = await Order.find(
+        { order_invoice_number: { $exists: true, $ne: null } },
+        { order_invoice_number: 1 }
+    ).lean();
+
+    const highest = orders.reduce((max, order) => {
+        const match = /(\d+)$/.exec(order.order_invoice_number);
+        return match ? Math.max(max, Number(match[1])) : max;
+    }, 0);
+
+    if (highest > 0) {
+        await Counter.updateOne(
+            { counter_name: INVOICE_SEQUENCE },
+            { $max: { counter_value: highest } },
+            { upsert: true }
+        );
+    }
+};
+
+/**
+ * Remove every document the app stores
+ * Goes through the raw collections: status history refuses deletes through the model on purpose
+ *
+ * @returns {Object} - Deleted document count per collection
+ */
+const clearDatabase = async () => {
+    try {
+        const deleted = {};
+        for (const model of APP_MODELS) {
+            const result = await model.collection.deleteMany({});
+            deleted[model.collection.collectionName] = result.deletedCount;
+        }
+        return deleted;
+    } catch (error) {
+        console.error("Error clearing database:", error);
+        throw error;
+    }
+};
+
+/**
+ * Load the fixture files into the database
+ * Records are upserted by their id through the raw collections, so ids and timestamps
+ * are kept exactly and no hooks or timestamp updates run; seeding twice is harmless
+ *
+ * @param {Object} [options]
+ * @param {String} [options.dir] - Fixture directory (defaults to src/json-data)
+ * @param {Boolean} [options.reset] - Clear the database first
+ * @returns {Object} - Seeded record count per fixture file
+ */
+const seedFixtures = async ({ dir = DEFAULT_FIXTURES_DIR, reset = false } = {}) => {
+    try {
+        if (reset) await clearDatabase();
+
+        const now = new Date();
+        const seeded = {};
+
+        for (const { file, model, idField } of FIXTURE_SETS) {
+            const records = await readFixtureFile(dir, file);
+
+            const documents = await Promise.all(records.map((record) => {
+                const document = toFixtureDocument(model, record, now);
+                return model === User ? hashFixturePassword(document) : document;
+            }));
+
+            if (documents.length > 0) {
+                await model.collection.bulkWrite(documents.map((document) => ({
+                    replaceOne: {
+                        filter: { [idField]: document[idField] },
+                        replacement: document,
+                        upsert: true,
+                    },
+                })));
+            }
+            seeded[file] = documents.length;
+        }
+
+        await syncInvoiceSequence();
+
+        return seeded;
+    } catch (error) {
+        console.error("Error seeding fixtures:", error);
+        throw error;
+    }
+};
+
+/**
+ * Write the current database back into fixture files of the same format
+ * Password hashes are exported as stored so the export seeds again unchanged
+ *
+ * @param {Object} [options]
+ * @param {String} [options.dir] - Target directory (defaults to src/json-data)
+ * @returns {Object} - Exported record count per fixture file
+ */
+const exportFixtures = async ({ dir = DEFAULT_FIXTURES_DIR } = {}) => {
+    try {
+        await fs.mkdir(dir, { recursive: true });
+        const exported = {};
+
+        for (const { file, model, idField } of FIXTURE_SETS) {
+            const { createdAt } = model.schema.options.timestamps || {};
+
+            // lean() skips toJSON, which would drop user_password
+            const documents = await model
+                .find({}, { _id: 0, __v: 0 })
+                .sort({ ...(createdAt ? { [createdAt]: 1 } : {}), [idField]: 1 })
+                .lean();
+
+            await fs.writeFile(path.join(dir, file), `${JSON.stringify(documents, null, 2)}\n`);
+            exported[file] = documents.length;
+        }
+
+        return exported;
+    } catch (error) {
+        console.error("Error exporting fixtures:", error);
+        throw error;
+    }
+};
+
+module.exports = {
+    DEFAULT_FIXTURES_DIR,
+    clearDatabase,
+    seedFixtures,
+    exportFixtures,
+};
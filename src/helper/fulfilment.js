@@ -0,0 +1,197 @@
+const Inventory = require("../schemas/inventory.schema");
+const OrderItem = require("../schemas/orderItem.schema");
+const { ORDER_STATUS, ORDER_ITEM_STATUS } = require("../constants/status");
+const { HISTORY_REASON } = require("../constants/history");
+const { updateUnavailableItemsAfterConfirmedRemoval } = require("./orderItem");
+const { freesCapacity, notifyWaitlist } = require("./waitlist");
+const { assertOrderTransition, assertOrderItemTransition } = require("./stateMachine");
+const { orderHistory, orderItemHistory, recordHistory } = require("./history");
+
+// Statuses the fulfilment endpoint may move an order into
+const FULFILMENT_ORDER_STATUSES = [
+    ORDER_STATUS.CHECK_OUT,
+    ORDER_STATUS.RUSH_ORDER,
+    ORDER_STATUS.PACK,
+    ORDER_STATUS.PICK_UP,
+    ORDER_STATUS.SHIP,
+    ORDER_STATUS.OUT,
+    ORDER_STATUS.RETURNED,
+    ORDER_STATUS.CHECK_IN,
+    ORDER_STATUS.ISSUE,
+    ORDER_STATUS.IN,
+];
+
+// Order statuses in which items may be scanned on the way out / back in
+const SCAN_OUT_ORDER_STATUSES = [ORDER_STATUS.CHECK_OUT, ORDER_STATUS.RUSH_ORDER, ORDER_STATUS.PACK];
+const SCAN_IN_ORDER_STATUSES = [ORDER_STATUS.RETURNED, ORDER_STATUS.CHECK_IN];
+
+// Every item must have reached one of these statuses before the order can enter the key status
+const REQUIRED_ITEM_STATUSES = {
+    [ORDER_STATUS.OUT]: [ORDER_ITEM_STATUS.OUT],
+    [ORDER_STATUS.IN]: [
+        ORDER_ITEM_STATUS.IN,
+        ORDER_ITEM_STATUS.CLEAN,
+        ORDER_ITEM_STATUS.DAMAGE,
+        ORDER_ITEM_STATUS.LOSS,
+    ],
+};
+
+/**
+ * Move an order one step along the fulfilment flow
+ * Illegal transitions throw a StateTransitionError; transitions whose item
+ * prerequisites (all scanned out / in) are not met are returned as errors
+ *
+ * @param {Object} order - Mongoose order document
+ * @param {String} nextStatus - Requested ORDER_STATUS value
+ * @returns {Object} - { order, previousStatus } or { error, statusCode, details }
+ */
+const advanceOrderFulfilment = async (order, nextStatus) => {
+    try {
+        const previousStatus = order.order_status;
+
+        if (!FULFILMENT_ORDER_STATUSES.includes(nextStatus)) {
+            return {
+                statusCode: 400,
+                error: `status must be one of: ${FULFILMENT_ORDER_STATUSES.join(", ")}`,
+            };
+        }
+
+        assertOrderTransition(order, nextStatus);
+
+        const requiredStatuses = REQUIRED_ITEM_STATUSES[nextStatus];
+        if (requiredStatuses) {
+            const pendingItems = await OrderItem.find({
+                oi_order_fk_order_id: order.order_id,
+                oi_deleted: false,
+                oi_status: { $nin: requiredStatuses },
+            });
+
+            if (pendingItems.length > 0) {
+                return {
+                    statusCode: 409,
+                    error: `All items must be ${requiredStatuses.join(" or ")} before the order can be "${nextStatus}"`,
+                    details: {
+                        pendingItems: pendingItems.map((item) => ({
+                            itemId: item.oi_id,
+                            barcode: item.oi_inventory && item.oi_inventory.inventory_barcode,
+                            currentStatus: item.oi_status,
+                        })),
+                    },
+                };
+            }
+        }
+
+        const history = orderHistory(order, { order_status: nextStatus }, { reason: HISTORY_REASON.FULFILMENT });
+        order.order_status = nextStatus;
+        order.order_updated_at = new Date();
+        await order.save();
+        await recordHistory(history);
+
+        return { order, previousStatus };
+    } catch (error) {
+        console.error("Error advancing order fulfilment:", error);
+        throw error;
+    }
+};
+
+/**
+ * Find the non-deleted item of an order for a scanned barcode
+ *
+ * @param {String} orderId - Order ID
+ * @param {String} barcode - Scanned inventory barcode
+ * @returns {Object|null} - Mongoose order item document
+ */
+const findOrderItemByBarcode = async (orderId, barcode) => {
+    try {
+        const inventory = await Inventory.findOne({ inventory_barcode: barcode }, { inventory_id: 1 });
+
+        // Fall back to the snapshot for inventories that only exist on the order item
+        const inventoryMatch = inventory
+            ? { oi_inventory_fk_inventory_id: inventory.inventory_id }
+            : { "oi_inventory.inventory_barcode": barcode };
+
+        return await OrderItem.findOne({
+            oi_order_fk_order_id: orderId,
+            oi_deleted: false,
+            ...inventoryMatch,
+        });
+    } catch (error) {
+        console.error("Error finding order item by barcode:", error);
+        throw error;
+    }
+};
+
+/**
+ * Record a barcode scan for an order item
+ * Scanning out moves confirmed -> out; scanning in moves out -> in and
+ * releases conflicting orders that were only blocked by this booking
+ *
+ * @param {Object} order - Mongoose order document
+ * @param {String} barcode - Scanned inventory barcode
+ * @param {String} direction - "out" or "in"
+ * @returns {Object} - { orderItem, previousStatus, releasedItemsCount } or { error, statusCode }
+ */
+const scanOrderItem = async (order, barcode, direction) => {
+    try {
+        const isOut = direction === "out";
+        const allowedOrderStatuses = isOut ? SCAN_OUT_ORDER_STATUSES : SCAN_IN_ORDER_STATUSES;
+
+        if (!allowedOrderStatuses.includes(order.order_status)) {
+            return {
+                statusCode: 409,
+                error: `Items cannot be scanned ${direction} while the order is "${order.order_status}"`,
+            };
+        }
+
+        const orderItem = await findOrderItemByBarcode(order.order_id, barcode);
+        if (!orderItem) {
+            return {
+                statusCode: 404,
+                error: `No item with barcode ${barcode} in this order`,
+            };
+        }
+
+        const fromStatus = isOut ? ORDER_ITEM_STATUS.CONFIRMED : ORDER_ITEM_STATUS.OUT;
+        const toStatus = isOut ? ORDER_ITEM_STATUS.OUT : ORDER_ITEM_STATUS.IN;
+        const previousStatus = orderItem.oi_status;
+
+        if (previousStatus !== fromStatus) {
+            return {
+                statusCode: 409,
+                error: `Item ${barcode} is "${previousStatus}", expected "${fromStatus}" to scan ${direction}`,
+            };
+        }
+
+        assertOrderItemTransition(orderItem, toStatus);
+        const history = orderItemHistory(
+            orderItem,
+            { oi_status: toStatus },
+            { reason: isOut ? HISTORY_REASON.SCANNED_OUT : HISTORY_REASON.SCANNED_IN }
+        );
+        orderItem.oi_status = toStatus;
+        orderItem.oi_updated_at = new Date();
+        await orderItem.save();
+        await recordHistory(history);
+
+        // Artwork is back: orders waiting on this booking may become available
+        let releasedItemsCount = 0;
+        if (!isOut) {
+            releasedItemsCount = await updateUnavailableItemsAfterConfirmedRemoval(orderItem, order);
+            if (freesCapacity(previousStatus)) {
+                await notifyWaitlist(orderItem.oi_inventory_fk_inventory_id, order);
+            }
+        }
+
+        return { orderItem, previousStatus, releasedItemsCount };
+    } catch (error) {
+        console.error("Error scanning order item:", error);
+        throw error;
+    }
+};
+
+module.exports = {
+    SCAN_IN_ORDER_STATUSES,
+    advanceOrderFulfilment,
+    findOrderItemByBarcode,
+    scanOrderItem,
+};
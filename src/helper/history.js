@@ -0,0 +1,132 @@
+const StatusHistory = require("../schemas/statusHistory.schema");
+const { HISTORY_ENTITY } = require("../constants/history");
+const { getAuditContext } = require("./auditContext");
+const { STATUS_EVENT, statusEvents } = require("./statusEvents");
+
+// Fields whose changes are written to the status history
+const TRACKED_FIELDS = {
+    [HISTORY_ENTITY.ORDER]: ["order_status", "order_pickup_at", "order_return_at"],
+    [HISTORY_ENTITY.ORDER_ITEM]: [
+        "oi_status",
+        "oi_pickup_at",
+        "oi_return_at",
+        "oi_unavailable_until",
+        "oi_deleted",
+    ],
+    [HISTORY_ENTITY.INVENTORY]: ["inventory_out_of_service", "inventory_retired"],
+};
+
+// How each entity links to its order and inventory timelines
+const ENTITY_REFERENCES = {
+    [HISTORY_ENTITY.ORDER]: (doc) => ({
+        sh_entity_id: doc.order_id,
+        sh_order_fk_order_id: doc.order_id,
+    }),
+    [HISTORY_ENTITY.ORDER_ITEM]: (doc) => ({
+        sh_entity_id: doc.oi_id,
+        sh_order_fk_order_id: doc.oi_order_fk_order_id,
+        sh_inventory_fk_inventory_id: doc.oi_inventory_fk_inventory_id,
+    }),
+    [HISTORY_ENTITY.INVENTORY]: (doc) => ({
+        sh_entity_id: doc.inventory_id,
+        sh_inventory_fk_inventory_id: doc.inventory_id,
+    }),
+};
+
+const toComparable = (value) => {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.getTime();
+    return value;
+};
+
+/**
+ * Build history entries for the tracked fields an update actually changes
+ * Must be called before the update is applied so the old values are still on the document
+ *
+ * @param {String} entity - HISTORY_ENTITY value
+ * @param {Object} doc - Document (or plain object) as it is before the update
+ * @param {Object} updates - Field values about to be written
+ * @param {Object} [options] - { reason, causedByOrderId }
+ * @returns {Array} - Unsaved history entries, empty if nothing tracked changes
+ */
+const buildHistory = (entity, doc, updates, options = {}) => {
+    const references = ENTITY_REFERENCES[entity](doc);
+
+    return TRACKED_FIELDS[entity]
+        .filter((field) => field in updates && toComparable(doc[field]) !== toComparable(updates[field]))
+        .map((field) => ({
+            sh_entity: entity,
+            ...references,
+            sh_field: field,
+            sh_old_value: doc[field] ?? null,
+            sh_new_value: updates[field] ?? null,
+            sh_reason: options.reason,
+            sh_caused_by_fk_order_id: options.causedByOrderId || undefined,
+        }));
+};
+
+const orderHistory = (order, updates, options) =>
+    buildHistory(HISTORY_ENTITY.ORDER, order, updates, options);
+
+const orderItemHistory = (orderItem, updates, options) =>
+    buildHistory(HISTORY_ENTITY.ORDER_ITEM, orderItem, updates, options);
+
+const inventoryHistory = (inventory, updates, options) =>
+    buildHistory(HISTORY_ENTITY.INVENTORY, inventory, updates, options);
+
+/**
+ * Append history entries once their change has been written
+ * The actor and endpoint come from the current request or job context;
+ * the written entries are then announced on statusEvents
+ *
+ * @param {Array} entries - Entries from orderHistory / orderItemHistory / inventoryHistory
+ * @returns {Number} - Number of entries written
+ */
+const recordHistory = async (entries) => {
+    try {
+        if (!entries || entries.length === 0) return 0;
+
+        const { actor, endpoint } = getAuditContext();
+        const context = {
+            sh_actor_fk_user_id: actor ? actor.user_id : undefined,
+            sh_actor_role: actor ? actor.user_role : undefined,
+            sh_endpoint: endpoint || undefined,
+        };
+
+        const recorded = await StatusHistory.insertMany(entries.map((entry) => ({ ...entry, ...context })));
+        statusEvents.emit(STATUS_EVENT.RECORDED, recorded.map((entry) => entry.toObject()));
+        return entries.length;
+    } catch (error) {
+        console.error("Error recording status history:", error);
+        throw error;
+    }
+};
+
+/**
+ * Read a page of history entries, oldest first
+ *
+ * @param {Object} filter - StatusHistory filter
+ * @param {Object} pagination - { skip, limit } from getPagination
+ * @returns {Object} - { entries, total }
+ */
+const getTimeline = async (filter, { skip, limit }) => {
+    try {
+        const [entries, total] = await Promise.all([
+            StatusHistory.find(filter).sort({ sh_created_at: 1, _id: 1 }).skip(skip).limit(limit),
+            StatusHistory.countDocuments(filter),
+        ]);
+
+        return { entries, total };
+    } catch (error) {
+        console.error("Error reading status history:", error);
+        throw error;
+    }
+};
+
+module.exports = {
+    orderHistory,
+    orderItemHistory,
+    inventoryHistory,
+    recordHistory,
+    getTimeline,
+};
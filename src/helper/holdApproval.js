@@ -0,0 +1,198 @@
+const OrderItem = require("../schemas/orderItem.schema");
+const {
+    ORDER_STATUS,
+    ORDER_ITEM_STATUS,
+    HOLD_APPROVAL_STATUS,
+    HOLD_LEVEL
+} = require("../constants/status");
+const { HISTORY_REASON } = require("../constants/history");
+const { promoteHoldsAfterRelease } = require("./orderItem");
+const { notifyWaitlist } = require("./waitlist");
+const { assertOrderTransition, assertOrderItemTransition } = require("./stateMachine");
+const { orderHistory, orderItemHistory, recordHistory } = require("./history");
+
+/**
+ * Build the per-item result returned by the approval endpoints
+ *
+ * @param {Object} orderItem - The reviewed order item
+ * @param {String} previousStatus - Status before the review
+ * @param {String} result - approved | rejected | not_eligible
+ * @param {String} message - Human readable outcome
+ * @returns {Object} - Per-item review result
+ */
+const buildReviewResult = (orderItem, previousStatus, result, message) => ({
+    oi_id: orderItem.oi_id,
+    inventoryId: orderItem.oi_inventory_fk_inventory_id,
+    previousStatus,
+    newStatus: orderItem.oi_status,
+    result,
+    message,
+});
+
+/**
+ * Approve a single hold request
+ * on-hold-request -> on-hold, 2nd-hold-request -> 2nd-hold, 3rd-hold-request -> 3rd-hold
+ * Items in any other status are left untouched and reported as not eligible
+ *
+ * @param {Object} orderItem - Mongoose order item document
+ * @returns {Object} - Per-item review result
+ */
+const approveOrderItemHold = async (orderItem) => {
+    try {
+        const previousStatus = orderItem.oi_status;
+        const approvedStatus = HOLD_APPROVAL_STATUS[previousStatus];
+
+        if (!approvedStatus) {
+            return buildReviewResult(
+                orderItem,
+                previousStatus,
+                "not_eligible",
+                `Status "${previousStatus}" is not eligible for hold approval`
+            );
+        }
+
+        assertOrderItemTransition(orderItem, approvedStatus);
+        const history = orderItemHistory(
+            orderItem,
+            { oi_status: approvedStatus },
+            { reason: HISTORY_REASON.HOLD_APPROVED }
+        );
+        orderItem.oi_status = approvedStatus;
+        orderItem.oi_updated_at = new Date();
+        await orderItem.save();
+        await recordHistory(history);
+
+        return buildReviewResult(orderItem, previousStatus, "approved", "Hold approved");
+    } catch (error) {
+        console.error("Error approving order item hold:", error);
+        throw error;
+    }
+};
+
+/**
+ * Reject a single hold request
+ * The item drops out of the hold queue (back to available),
+ * conflicting holds queued behind it are promoted and the freed slot
+ * is offered to the waitlist
+ *
+ * @param {Object} orderItem - Mongoose order item document
+ * @param {Object} order - The parent order containing pickup and return dates
+ * @param {String} [reason] - HISTORY_REASON recorded for the release
+ * @returns {Object} - Per-item review result with promotedItemsCount
+ */
+const rejectOrderItemHold = async (orderItem, order, reason = HISTORY_REASON.HOLD_REJECTED) => {
+    try {
+        const previousStatus = orderItem.oi_status;
+
+        if (!HOLD_APPROVAL_STATUS[previousStatus]) {
+            return {
+                ...buildReviewResult(
+                    orderItem,
+                    previousStatus,
+                    "not_eligible",
+                    `Status "${previousStatus}" is not eligible for hold rejection`
+                ),
+                promotedItemsCount: 0,
+            };
+        }
+
+        assertOrderItemTransition(orderItem, ORDER_ITEM_STATUS.AVAILABLE);
+        const history = orderItemHistory(orderItem, { oi_status: ORDER_ITEM_STATUS.AVAILABLE }, { reason });
+        orderItem.oi_status = ORDER_ITEM_STATUS.AVAILABLE;
+        orderItem.oi_request_hold = false;
+        orderItem.oi_updated_at = new Date();
+        await orderItem.save();
+        await recordHistory(history);
+
+        const promotedItemsCount = await promoteHoldsAfterRelease(orderItem, order, previousStatus);
+        await notifyWaitlist(orderItem.oi_inventory_fk_inventory_id, order);
+
+        return {
+            ...buildReviewResult(orderItem, previousStatus, "rejected", "Hold request rejected"),
+            promotedItemsCount,
+        };
+    } catch (error) {
+        console.error("Error rejecting order item hold:", error);
+        throw error;
+    }
+};
+
+/**
+ * Approve or reject every hold request of an order, item by item
+ * Items are processed sequentially so each promotion sees the previous one
+ *
+ * @param {Object} order - The order whose items are reviewed
+ * @param {String} decision - "approve" or "reject"
+ * @param {Array} [oiIds] - Optional subset of order item IDs to review
+ * @returns {Array} - Per-item review results
+ */
+const reviewOrderHolds = async (order, decision, oiIds) => {
+    try {
+        const query = {
+            oi_order_fk_order_id: order.order_id,
+            oi_deleted: false,
+        };
+        if (Array.isArray(oiIds) && oiIds.length > 0) {
+            query.oi_id = { $in: oiIds };
+        }
+
+        const orderItems = await OrderItem.find(query);
+
+        const results = [];
+        for (const orderItem of orderItems) {
+            const result = decision === "approve"
+                ? await approveOrderItemHold(orderItem)
+                : await rejectOrderItemHold(orderItem, order);
+            results.push(result);
+        }
+
+        return results;
+    } catch (error) {
+        console.error("Error reviewing order holds:", error);
+        throw error;
+    }
+};
+
+/**
+ * Move a hold order back to working once none of its items holds a position
+ * Used after rejected or expired hold requests
+ *
+ * @param {Object} order - Mongoose order document
+ * @returns {Boolean} - True if the order was reverted
+ */
+const revertOrderIfNoHolds = async (order) => {
+    try {
+        if (order.order_status !== ORDER_STATUS.HOLD) return false;
+
+        const remainingHolds = await OrderItem.countDocuments({
+            oi_order_fk_order_id: order.order_id,
+            oi_deleted: false,
+            oi_status: { $in: Object.keys(HOLD_LEVEL) },
+        });
+
+        if (remainingHolds > 0) return false;
+
+        assertOrderTransition(order, ORDER_STATUS.WORKING);
+        const history = orderHistory(
+            order,
+            { order_status: ORDER_STATUS.WORKING },
+            { reason: HISTORY_REASON.HOLDS_RELEASED }
+        );
+        order.order_status = ORDER_STATUS.WORKING;
+        order.order_request_hold = false;
+        order.order_updated_at = new Date();
+        await order.save();
+        await recordHistory(history);
+        return true;
+    } catch (error) {
+        console.error("Error reverting order without holds:", error);
+        throw error;
+    }
+};
+
+module.exports = {
+    approveOrderItemHold,
+    rejectOrderItemHold,
+    reviewOrderHolds,
+    revertOrderIfNoHolds,
+};
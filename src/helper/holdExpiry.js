@@ -0,0 +1,67 @@
+const Order = require("../schemas/order.schema");
+const OrderItem = require("../schemas/orderItem.schema");
+const { HOLD_APPROVAL_STATUS } = require("../constants/status");
+const { HISTORY_REASON } = require("../constants/history");
+const { rejectOrderItemHold, revertOrderIfNoHolds } = require("./holdApproval");
+const { withLocks, getOrderItemLockKeys } = require("./lock");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Expire hold requests that were not approved within the TTL
+ * Each stale item is released exactly like an admin rejection, so holds
+ * queued behind it are promoted. Oldest requests are processed first and
+ * every item is re-read under its locks because earlier promotions or
+ * concurrent requests may have changed it.
+ *
+ * @param {Number} ttlHours - Hours a hold request may wait for approval
+ * @param {Date} [now] - Reference time, defaults to the current time
+ * @returns {Array} - Per-item results of the expired requests
+ */
+const expireStaleHoldRequests = async (ttlHours, now = new Date()) => {
+    try {
+        const requestStatuses = Object.keys(HOLD_APPROVAL_STATUS);
+        const cutoff = new Date(now.getTime() - ttlHours * HOUR_MS);
+
+        const staleItems = await OrderItem.find(
+            {
+                oi_deleted: false,
+                oi_status: { $in: requestStatuses },
+                oi_request_hold_at: { $lte: cutoff },
+            },
+            { oi_id: 1 }
+        ).sort({ oi_request_hold_at: 1 });
+
+        const results = [];
+
+        for (const { oi_id } of staleItems) {
+            const expired = await withLocks(await getOrderItemLockKeys(oi_id), async (lock) => {
+                const orderItem = await OrderItem.findOne({
+                    oi_id,
+                    oi_deleted: false,
+                    oi_status: { $in: requestStatuses },
+                });
+                if (!orderItem) return null;
+
+                const order = await Order.findOne({ order_id: orderItem.oi_order_fk_order_id });
+                if (!order) return null;
+
+                await lock.assertHeld();
+                const result = await rejectOrderItemHold(orderItem, order, HISTORY_REASON.HOLD_EXPIRED);
+                await revertOrderIfNoHolds(order);
+                return { ...result, result: "expired", message: "Hold request expired" };
+            });
+
+            if (expired) results.push(expired);
+        }
+
+        return results;
+    } catch (error) {
+        console.error("Error expiring stale hold requests:", error);
+        throw error;
+    }
+};
+
+module.exports = {
+    expireStaleHoldRequests,
+};
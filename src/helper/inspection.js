@@ -0,0 +1,189 @@
+const Inventory = require("../schemas/inventory.schema");
+const OrderItem = require("../schemas/orderItem.schema");
+const { ORDER_ITEM_STATUS, INSPECTION_CONDITION } = require("../constants/status");
+const { HISTORY_REASON } = require("../constants/history");
+const { findOrderItemByBarcode, SCAN_IN_ORDER_STATUSES } = require("./fulfilment");
+const { assertOrderItemTransition } = require("./stateMachine");
+const { orderItemHistory, inventoryHistory, recordHistory } = require("./history");
+
+// Statuses of future order items that still expect the artwork
+const AFFECTED_ITEM_STATUSES = [
+    ORDER_ITEM_STATUS.AVAILABLE,
+    ORDER_ITEM_STATUS.ON_HOLD_REQUEST,
+    ORDER_ITEM_STATUS.ON_HOLD,
+    ORDER_ITEM_STATUS.SECOND_HOLD_REQUEST,
+    ORDER_ITEM_STATUS.SECOND_HOLD,
+    ORDER_ITEM_STATUS.THIRD_HOLD_REQUEST,
+    ORDER_ITEM_STATUS.THIRD_HOLD,
+    ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL,
+    ORDER_ITEM_STATUS.CONFIRMED,
+];
+
+/**
+ * Flag every upcoming order item of an inventory that can no longer be fulfilled
+ * Statuses are left as they are so admins can decide how to resolve each order
+ *
+ * @param {String} inventoryId - Inventory taken out of service
+ * @param {String} excludeOrderId - The order the artwork came back from
+ * @param {String} reason - Why the artwork is unavailable
+ * @returns {Array} - Flagged items summary
+ */
+const flagAffectedOrderItems = async (inventoryId, excludeOrderId, reason) => {
+    try {
+        const affectedItems = await OrderItem.find({
+            oi_inventory_fk_inventory_id: inventoryId,
+            oi_order_fk_order_id: { $ne: excludeOrderId },
+            oi_deleted: false,
+            oi_status: { $in: AFFECTED_ITEM_STATUSES },
+            oi_return_at: { $gte: new Date() },
+        });
+
+        if (affectedItems.length > 0) {
+            await OrderItem.updateMany(
+                { _id: { $in: affectedItems.map((item) => item._id) } },
+                {
+                    oi_flagged: true,
+                    oi_flag_reason: reason,
+                    oi_flagged_at: new Date(),
+                    oi_updated_at: new Date(),
+                }
+            );
+        }
+
+        return affectedItems.map((item) => ({
+            itemId: item.oi_id,
+            orderId: item.oi_order_fk_order_id,
+            status: item.oi_status,
+            pickupAt: item.oi_pickup_at,
+        }));
+    } catch (error) {
+        console.error("Error flagging affected order items:", error);
+        throw error;
+    }
+};
+
+/**
+ * Record the return inspection of a scanned item
+ * clean keeps the artwork in service; damage and loss take it out of service
+ * and flag upcoming orders that were counting on it. Loss may also be
+ * recorded for items that were never scanned back in.
+ *
+ * @param {Object} order - Mongoose order document
+ * @param {String} barcode - Inspected inventory barcode
+ * @param {String} condition - INSPECTION_CONDITION value
+ * @param {String} notes - Inspector's condition notes
+ * @param {Object} inspector - Authenticated admin
+ * @returns {Object} - { orderItem, previousStatus, flaggedItems } or { error, statusCode }
+ */
+const inspectReturnedItem = async (order, barcode, condition, notes, inspector) => {
+    try {
+        if (!Object.values(INSPECTION_CONDITION).includes(condition)) {
+            return {
+                statusCode: 400,
+                error: `condition must be one of: ${Object.values(INSPECTION_CONDITION).join(", ")}`,
+            };
+        }
+
+        if (!SCAN_IN_ORDER_STATUSES.includes(order.order_status)) {
+            return {
+                statusCode: 409,
+                error: `Items cannot be inspected while the order is "${order.order_status}"`,
+            };
+        }
+
+        const orderItem = await findOrderItemByBarcode(order.order_id, barcode);
+        if (!orderItem) {
+            return {
+                statusCode: 404,
+                error: `No item with barcode ${barcode} in this order`,
+            };
+        }
+
+        const previousStatus = orderItem.oi_status;
+
+        // Only in -> clean/damage/loss and out -> loss are legal
+        assertOrderItemTransition(orderItem, condition);
+        const history = orderItemHistory(orderItem, { oi_status: condition }, { reason: HISTORY_REASON.INSPECTED });
+        orderItem.oi_status = condition;
+        orderItem.oi_condition_notes = notes;
+        orderItem.oi_inspected_at = new Date();
+        orderItem.oi_inspected_by_fk_user_id = inspector.user_id;
+        await orderItem.save();
+        await recordHistory(history);
+
+        let flaggedItems = [];
+        if (condition !== INSPECTION_CONDITION.CLEAN) {
+            // The pre-update inventory gives the old values for the history
+            const previousInventory = await Inventory.findOneAndUpdate(
+                { inventory_id: orderItem.oi_inventory_fk_inventory_id },
+                {
+                    inventory_out_of_service: true,
+                    inventory_out_of_service_reason: condition,
+                    inventory_out_of_service_at: new Date(),
+                    inventory_service_notes: notes,
+                }
+            );
+            if (previousInventory) {
+                await recordHistory(inventoryHistory(
+                    previousInventory,
+                    { inventory_out_of_service: true },
+                    { reason: HISTORY_REASON.OUT_OF_SERVICE, causedByOrderId: order.order_id }
+                ));
+            }
+
+            flaggedItems = await flagAffectedOrderItems(
+                orderItem.oi_inventory_fk_inventory_id,
+                order.order_id,
+                `Inventory reported ${condition === INSPECTION_CONDITION.LOSS ? "lost" : "damaged"}`
+            );
+        }
+
+        return { orderItem, previousStatus, flaggedItems };
+    } catch (error) {
+        console.error("Error inspecting returned item:", error);
+        throw error;
+    }
+};
+
+/**
+ * Put a cleaned or repaired (or found) inventory back into service
+ * Clears the out-of-service flags on the inventory and its upcoming order items
+ *
+ * @param {Object} inventory - Mongoose inventory document
+ * @param {String} notes - Repair / cleaning notes
+ * @returns {Number} - Number of order items unflagged
+ */
+const returnInventoryToService = async (inventory, notes) => {
+    try {
+        const history = inventoryHistory(
+            inventory,
+            { inventory_out_of_service: false },
+            { reason: HISTORY_REASON.RETURNED_TO_SERVICE }
+        );
+        inventory.inventory_out_of_service = false;
+        inventory.inventory_out_of_service_reason = undefined;
+        inventory.inventory_out_of_service_at = undefined;
+        inventory.inventory_service_notes = notes;
+        await inventory.save();
+        await recordHistory(history);
+
+        const { modifiedCount } = await OrderItem.updateMany(
+            { oi_inventory_fk_inventory_id: inventory.inventory_id, oi_flagged: true },
+            {
+                $set: { oi_flagged: false, oi_updated_at: new Date() },
+                $unset: { oi_flag_reason: "", oi_flagged_at: "" },
+            }
+        );
+
+        return modifiedCount;
+    } catch (error) {
+        console.error("Error returning inventory to service:", error);
+        throw error;
+    }
+};
+
+module.exports = {
+    flagAffectedOrderItems,
+    inspectReturnedItem,
+    returnInventoryToService,
+};
@@ -0,0 +1,132 @@
+const Inventory = require("../schemas/inventory.schema");
+
+// Numeric inventory_general fields that support ?<field>_min / ?<field>_max filters
+const RANGE_FIELDS = ["width", "depth", "height", "weight", "seven_day_price", "three_day_price"];
+
+// Boolean inventory_general fields that support ?<field>=true|false filters
+const FLAG_FIELDS = ["seven_day_visible", "three_day_visible"];
+
+// inventory_general fields that may be set through the API
+const GENERAL_FIELDS = [...RANGE_FIELDS, ...FLAG_FIELDS];
+
+// inventory_buffer fields (turnaround days); null clears them back to the global buffer
+const BUFFER_FIELDS = ["before_days", "after_days"];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Build a Mongo filter for listing inventories from query string parameters
+ * Supports dimension/price ranges, visibility flags, barcode prefix
+ * and excludes retired inventories unless include_retired=true
+ *
+ * @param {Object} query - Express req.query
+ * @returns {Object} - Mongo filter for Inventory.find
+ */
+const buildInventoryFilter = (query = {}) => {
+    const filter = {};
+
+    for (const field of RANGE_FIELDS) {
+        const range = {};
+        const min = query[`${field}_min`];
+        const max = query[`${field}_max`];
+
+        if (min !== undefined && min !== "" && !isNaN(Number(min))) range.$gte = Number(min);
+        if (max !== undefined && max !== "" && !isNaN(Number(max))) range.$lte = Number(max);
+
+        if (Object.keys(range).length > 0) {
+            filter[`inventory_general.${field}`] = range;
+        }
+    }
+
+    for (const field of FLAG_FIELDS) {
+        if (query[field] === "true" || query[field] === "false") {
+            filter[`inventory_general.${field}`] = query[field] === "true";
+        }
+    }
+
+    if (query.barcode) {
+        // Escape user input so it is matched literally as a prefix
+        const escaped = String(query.barcode).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        filter.inventory_barcode = { $regex: `^${escaped}` };
+    }
+
+    if (query.include_retired !== "true") {
+        filter.inventory_retired = { $ne: true };
+    }
+
+    return filter;
+};
+
+/**
+ * Parse page/limit query parameters into skip/limit values
+ *
+ * @param {Object} query - Express req.query
+ * @returns {Object} - { page, limit, skip }
+ */
+const getPagination = (query = {}) => {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Flatten a validated inventory body into a dotted $set payload
+ * Only barcode, inventory_general and inventory_buffer attributes can be set by clients
+ *
+ * @param {Object} body - Express req.body, already checked by the inventory validator
+ * @returns {Object} - Dotted $set payload for the provided fields
+ */
+const pickInventoryUpdates = (body = {}) => {
+    const updates = {};
+
+    if (body.inventory_barcode !== undefined) {
+        updates.inventory_barcode = body.inventory_barcode;
+    }
+
+    const general = body.inventory_general || {};
+    for (const field of GENERAL_FIELDS) {
+        if (general[field] !== undefined) {
+            updates[`inventory_general.${field}`] = general[field];
+        }
+    }
+
+    const buffer = body.inventory_buffer || {};
+    for (const field of BUFFER_FIELDS) {
+        if (buffer[field] !== undefined) {
+            updates[`inventory_buffer.${field}`] = buffer[field];
+        }
+    }
+
+    return updates;
+};
+
+/**
+ * Check whether a barcode is already used by another inventory
+ *
+ * @param {String} barcode - Barcode to check
+ * @param {String} [excludeInventoryId] - Inventory being updated, ignored in the check
+ * @returns {Boolean} - True if another inventory owns the barcode
+ */
+const isBarcodeTaken = async (barcode, excludeInventoryId) => {
+    try {
+        const query = { inventory_barcode: barcode };
+        if (excludeInventoryId) {
+            query.inventory_id = { $ne: excludeInventoryId };
+        }
+
+        const existing = await Inventory.exists(query);
+        return Boolean(existing);
+    } catch (error) {
+        console.error("Error checking inventory barcode:", error);
+        throw error;
+    }
+};
+
+module.exports = {
+    buildInventoryFilter,
+    getPagination,
+    pickInventoryUpdates,
+    isBarcodeTaken,
+};
@@ -0,0 +1,244 @@
+const { v4: uuidv4 } = require("uuid");
+const Lock = require("../schemas/lock.schema");
+const OrderItem = require("../schemas/orderItem.schema");
+
+const DEFAULT_WAIT_MS = 10000;
+const DEFAULT_TTL_MS = 30000;
+const RETRY_DELAY_MS = 25;
+// Held locks are renewed this many times per TTL, so a slow cascade never outlives its locks
+const RENEWALS_PER_TTL = 3;
+
+class LockTimeoutError extends Error {
+    constructor(key) {
+        super(`Timed out waiting for lock on ${key}, please retry`);
+        this.name = "LockTimeoutError";
+        this.key = key;
+    }
+}
+
+class LockLostError extends Error {
+    constructor(key) {
+        super(`Lost the lock on ${key} while working, please retry`);
+        this.name = "LockLostError";
+        this.key = key;
+    }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const inventoryLockKey = (inventoryId) => `inventory:${inventoryId}`;
+const orderLockKey = (orderId) => `order:${orderId}`;
+
+/**
+ * Try to take a single lock once
+ * A lock whose TTL has passed is taken over even before Mongo's TTL monitor removes it
+ *
+ * @param {String} key - Lock key
+ * @param {String} owner - Unique owner token of the caller
+ * @param {Number} ttlMs - Lock lifetime in milliseconds
+ * @returns {Boolean} - True if the lock was acquired
+ */
+const tryAcquireLock = async (key, owner, ttlMs) => {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + ttlMs);
+
+    try {
+        await Lock.create({ lock_key: key, lock_owner: owner, lock_expires_at: expiresAt });
+        return true;
+    } catch (error) {
+        // Duplicate key: someone else holds the lock
+        if (error.code !== 11000) throw error;
+
+        const stolen = await Lock.findOneAndUpdate(
+            { lock_key: key, lock_expires_at: { $lte: now } },
+            { $set: { lock_owner: owner, lock_expires_at: expiresAt } }
+        );
+        return Boolean(stolen);
+    }
+};
+
+/**
+ * Push back the expiry of the caller's locks
+ *
+ * @param {Array} keys - Lock keys the caller acquired
+ * @param {String} owner - Owner token of the caller
+ * @param {Number} ttlMs - Lock lifetime in milliseconds, counted from now
+ * @returns {Array} - Keys the caller no longer owns
+ */
+const renewLocks = async (keys, owner, ttlMs) => {
+    await Lock.updateMany(
+        { lock_key: { $in: keys }, lock_owner: owner },
+        { $set: { lock_expires_at: new Date(Date.now() + ttlMs) } }
+    );
+
+    return findLostLocks(keys, owner);
+};
+
+/**
+ * Keys among the caller's locks that were taken over or have expired
+ *
+ * @param {Array} keys - Lock keys the caller acquired
+ * @param {String} owner - Owner token of the caller
+ * @returns {Array} - Keys the caller no longer safely owns
+ */
+const findLostLocks = async (keys, owner) => {
+    const held = await Lock.distinct("lock_key", {
+        lock_key: { $in: keys },
+        lock_owner: owner,
+        lock_expires_at: { $gt: new Date() },
+    });
+    return keys.filter((key) => !held.includes(key));
+};
+
+/**
+ * Run a function while holding every given lock
+ * Keys are de-duplicated and taken in sorted order so concurrent callers
+ * never deadlock; all locks are released when the function settles.
+ * Held locks are renewed while the function runs; if one is lost anyway
+ * (the process stalled for longer than the TTL), the call rejects with LockLostError.
+ * fn gets a handle whose assertHeld() rejects the same way, to be awaited before
+ * the first write so nothing is saved without the locks. Callers respond only
+ * after withLocks resolves, so a lost lock still turns into an error response.
+ *
+ * @param {Array} keys - Lock keys (see inventoryLockKey / orderLockKey)
+ * @param {Function} fn - Async work to run under the locks, called with { assertHeld }
+ * @param {Object} [options] - { waitMs, ttlMs }
+ * @returns {*} - Whatever fn resolves to
+ */
+const withLocks = async (keys, fn, options = {}) => {
+    const { waitMs = DEFAULT_WAIT_MS, ttlMs = DEFAULT_TTL_MS } = options;
+    const owner = uuidv4();
+    const sortedKeys = [...new Set(keys)].sort();
+    const acquired = [];
+    let lostKey = null;
+    let renewal = null;
+
+    // Also runs while later keys are awaited, so the first locks cannot expire in the meantime
+    const renewTimer = setInterval(() => {
+        if (renewal || acquired.length === 0) return;
+
+        renewal = renewLocks([...acquired], owner, ttlMs)
+            .then((lost) => {
+                if (lost.length > 0 && !lostKey) lostKey = lost[0];
+            })
+            .catch((error) => console.error("Error renewing locks:", error))
+            .finally(() => {
+                renewal = null;
+            });
+    }, Math.max(Math.floor(ttlMs / RENEWALS_PER_TTL), 1));
+    renewTimer.unref();
+
+    // Asks Mongo rather than waiting for the next renewal, which may be seconds away
+    const assertHeld = async () => {
+        if (!lostKey) {
+            const lost = await findLostLocks(acquired, owner);
+            if (lost.length > 0) lostKey = lost[0];
+        }
+        if (lostKey) throw new LockLostError(lostKey);
+    };
+
+    try {
+        for (const key of sortedKeys) {
+            const deadline = Date.now() + waitMs;
+
+            while (!(await tryAcquireLock(key, owner, ttlMs))) {
+                if (Date.now() >= deadline) throw new LockTimeoutError(key);
+                await sleep(RETRY_DELAY_MS + Math.floor(Math.random() * RETRY_DELAY_MS));
+            }
+            acquired.push(key);
+        }
+
+        const result = await fn({ assertHeld });
+        await assertHeld();
+        return result;
+    } finally {
+        clearInterval(renewTimer);
+        await renewal;
+
+        if (acquired.length > 0) {
+            await Lock.deleteMany({ lock_key: { $in: acquired }, lock_owner: owner });
+        }
+    }
+};
+
+/**
+ * Lock keys covering an order and every inventory in it
+ *
+ * @param {String} orderId - Order ID
+ * @returns {Array} - Lock keys
+ */
+const getOrderLockKeys = async (orderId) => {
+    try {
+        const inventoryIds = await OrderItem.distinct("oi_inventory_fk_inventory_id", {
+            oi_order_fk_order_id: orderId,
+            oi_deleted: false,
+        });
+
+        return [orderLockKey(orderId), ...inventoryIds.map(inventoryLockKey)];
+    } catch (error) {
+        console.error("Error collecting order lock keys:", error);
+        throw error;
+    }
+};
+
+/**
+ * Run a function while holding the locks of an order and every inventory in it
+ * Used by flows that recalculate statuses across conflicting orders.
+ * The inventories are read before any lock is held, so they are read again
+ * under the order lock (adding or restoring an item needs it too); if an item
+ * came in between, everything is released and taken again with the new keys
+ *
+ * @param {String} orderId - Order ID
+ * @param {Function} fn - Async work to run under the locks, called with { assertHeld }
+ * @param {Object} [options] - { waitMs, ttlMs }
+ * @returns {*} - Whatever fn resolves to
+ */
+const withOrderLocks = async (orderId, fn, options = {}) => {
+    for (;;) {
+        const keys = await getOrderLockKeys(orderId);
+
+        const outcome = await withLocks(keys, async (lock) => {
+            const currentKeys = await getOrderLockKeys(orderId);
+            if (currentKeys.some((key) => !keys.includes(key))) return { retry: true };
+
+            return { result: await fn(lock) };
+        }, options);
+
+        if (!outcome.retry) return outcome.result;
+    }
+};
+
+/**
+ * Lock keys covering an order item's order and inventory
+ * Returns no keys for unknown items so the caller can answer 404
+ *
+ * @param {String} oiId - Order item ID
+ * @returns {Array} - Lock keys
+ */
+const getOrderItemLockKeys = async (oiId) => {
+    try {
+        const orderItem = await OrderItem.findOne(
+            { oi_id: oiId },
+            { oi_order_fk_order_id: 1, oi_inventory_fk_inventory_id: 1 }
+        );
+        if (!orderItem) return [];
+
+        return [
+            orderLockKey(orderItem.oi_order_fk_order_id),
+            inventoryLockKey(orderItem.oi_inventory_fk_inventory_id),
+        ];
+    } catch (error) {
+        console.error("Error collecting order item lock keys:", error);
+        throw error;
+    }
+};
+
+module.exports = {
+    LockTimeoutError,
+    LockLostError,
+    inventoryLockKey,
+    orderLockKey,
+    withLocks,
+    withOrderLocks,
+    getOrderItemLockKeys,
+};
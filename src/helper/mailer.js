@@ -0,0 +1,57 @@
+const nodemailer = require("nodemailer");
+const config = require("../config");
+
+let transport = null;
+
+/**
+ * SMTP transport for the config.mail settings
+ *
+ * @returns {Object|null} - Nodemailer transport, or null when no SMTP host is configured
+ */
+const createMailTransport = () => {
+    const { host, port, secure, user, password } = config.mail;
+    if (!host) return null;
+
+    return nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        ...(user ? { auth: { user, pass: password } } : {}),
+    });
+};
+
+/**
+ * Send every email from now on through the given transport
+ * The previous transport is closed; null turns emails off
+ *
+ * @param {Object|null} mailTransport - Nodemailer transport
+ */
+const setMailTransport = (mailTransport) => {
+    if (transport && transport !== mailTransport) transport.close();
+    transport = mailTransport;
+};
+
+const isMailEnabled = () => Boolean(transport);
+
+/**
+ * Send one email through the current transport
+ *
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Object} - Nodemailer info ({ messageId, accepted, rejected, ... })
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+    try {
+        if (!transport) throw new Error("No mail transport is configured");
+        return await transport.sendMail({ from: config.mail.from, to, subject, text, html });
+    } catch (error) {
+        console.error("Error sending email:", error);
+        throw error;
+    }
+};
+
+module.exports = {
+    createMailTransport,
+    setMailTransport,
+    isMailEnabled,
+    sendMail,
+};
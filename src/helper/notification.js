@@ -0,0 +1,206 @@
+const User = require("../schemas/user.schema");
+const Order = require("../schemas/order.schema");
+const OrderItem = require("../schemas/orderItem.schema");
+const Inventory = require("../schemas/inventory.schema");
+const Notification = require("../schemas/notification.schema");
+const { HISTORY_ENTITY, HISTORY_REASON } = require("../constants/history");
+const { NOTIFICATION_EVENT, NOTIFICATION_STATUS } = require("../constants/notification");
+const { STATUS_EVENT, statusEvents } = require("./statusEvents");
+const { createMailTransport, setMailTransport, isMailEnabled, sendMail } = require("./mailer");
+const { renderNotification } = require("./notificationTemplates");
+
+// Order item status changes the item's customer is emailed about, by history reason
+const ITEM_EVENTS = {
+    [HISTORY_REASON.HOLD_APPROVED]: NOTIFICATION_EVENT.HOLD_APPROVED,
+    [HISTORY_REASON.HOLD_REJECTED]: NOTIFICATION_EVENT.HOLD_REJECTED,
+    [HISTORY_REASON.HOLD_EXPIRED]: NOTIFICATION_EVENT.HOLD_EXPIRED,
+    [HISTORY_REASON.HOLD_PROMOTED]: NOTIFICATION_EVENT.HOLD_PROMOTED,
+    [HISTORY_REASON.CONFLICT_CONFIRMED]: NOTIFICATION_EVENT.ITEM_UNAVAILABLE,
+    [HISTORY_REASON.BOOKING_RELEASED]: NOTIFICATION_EVENT.ITEM_AVAILABLE,
+    [HISTORY_REASON.WAITLIST_QUEUED]: NOTIFICATION_EVENT.WAITLIST_QUEUED,
+};
+
+// Order changes the order's customer is emailed about, by history reason
+const ORDER_EVENTS = {
+    [HISTORY_REASON.ORDER_CONFIRMED]: NOTIFICATION_EVENT.ORDER_CONFIRMED,
+    [HISTORY_REASON.ORDER_CANCELLED]: NOTIFICATION_EVENT.ORDER_CANCELLED,
+    [HISTORY_REASON.DATES_UPDATED]: NOTIFICATION_EVENT.ORDER_UPDATED,
+};
+
+// Sent even when customers made the change themselves
+const RECEIPT_EVENTS = [NOTIFICATION_EVENT.ORDER_CONFIRMED];
+
+// Deliveries still in flight; they never hold up the request that caused them
+const pending = new Set();
+
+const track = (promise) => {
+    pending.add(promise);
+    promise.finally(() => pending.delete(promise));
+};
+
+/**
+ * Wait until every queued notification has been sent or has failed
+ */
+const flushNotifications = async () => {
+    while (pending.size > 0) {
+        await Promise.allSettled([...pending]);
+    }
+};
+
+const wantsEmail = (user, event) => {
+    const settings = user.user_notifications || {};
+    return settings.email !== false && !(settings.muted_events || []).includes(event);
+};
+
+/**
+ * Render, send and log one notification email
+ * A failed send is logged with its error instead of being thrown
+ *
+ * @param {String} event - NOTIFICATION_EVENT value
+ * @param {Object} user - Recipient user document
+ * @param {Object} context - Template data for the event
+ * @param {String} [orderId] - Order the email is about
+ */
+const deliver = async (event, user, context, orderId) => {
+    if (!wantsEmail(user, event)) return;
+
+    const { subject, text, html } = renderNotification(event, { ...context, user });
+    const log = {
+        nt_event: event,
+        nt_user_fk_user_id: user.user_id,
+        nt_order_fk_order_id: orderId,
+        nt_email: user.user_email,
+        nt_subject: subject,
+    };
+
+    try {
+        const info = await sendMail({ to: user.user_email, subject, text, html });
+        await Notification.create({ ...log, nt_status: NOTIFICATION_STATUS.SENT, nt_message_id: info.messageId });
+    } catch (error) {
+        await Notification.create({ ...log, nt_status: NOTIFICATION_STATUS.FAILED, nt_error: error.message });
+    }
+};
+
+/**
+ * Email an order's customer about changes to the order or some of its items
+ *
+ * @param {Object} notification - { event, orderId, oiIds, actorId }
+ */
+const deliverOrderNotification = async ({ event, orderId, oiIds, actorId }) => {
+    const order = await Order.findOne({ order_id: orderId });
+    if (!order) return;
+
+    const user = await User.findOne({ user_id: order.order_created_fk_user_id });
+    if (!user) return;
+    if (actorId === user.user_id && !RECEIPT_EVENTS.includes(event)) return;
+
+    // Items are described as they are now, so a batch shows its final statuses
+    const orderItems = oiIds.length > 0 ? await OrderItem.find({ oi_id: { $in: oiIds } }) : [];
+    const inventories = await Inventory.find(
+        { inventory_id: { $in: orderItems.map((item) => item.oi_inventory_fk_inventory_id) } },
+        { inventory_id: 1, inventory_barcode: 1 }
+    );
+    const barcodes = new Map(inventories.map((inventory) => [inventory.inventory_id, inventory.inventory_barcode]));
+
+    const items = orderItems.map((item) => ({
+        inventoryId: item.oi_inventory_fk_inventory_id,
+        barcode: barcodes.get(item.oi_inventory_fk_inventory_id),
+        status: item.oi_status,
+        unavailableUntil: item.oi_unavailable_until,
+    }));
+
+    await deliver(event, user, { order, items }, orderId);
+};
+
+/**
+ * Turn one batch of history entries into one notification per event and order
+ *
+ * @param {Array} entries - History entries as written by recordHistory
+ * @returns {Array} - [{ event, orderId, oiIds, actorId }]
+ */
+const collectNotifications = (entries) => {
+    const notifications = new Map();
+
+    for (const entry of entries) {
+        const event = entry.sh_entity === HISTORY_ENTITY.ORDER_ITEM
+            ? entry.sh_field === "oi_status" && ITEM_EVENTS[entry.sh_reason]
+            : entry.sh_entity === HISTORY_ENTITY.ORDER && ORDER_EVENTS[entry.sh_reason];
+        if (!event || !entry.sh_order_fk_order_id) continue;
+
+        const key = `${event}:${entry.sh_order_fk_order_id}`;
+        if (!notifications.has(key)) {
+            notifications.set(key, {
+                event,
+                orderId: entry.sh_order_fk_order_id,
+                oiIds: [],
+                actorId: entry.sh_actor_fk_user_id,
+            });
+        }
+        if (entry.sh_entity === HISTORY_ENTITY.ORDER_ITEM) {
+            notifications.get(key).oiIds.push(entry.sh_entity_id);
+        }
+    }
+
+    return [...notifications.values()];
+};
+
+const handleRecordedHistory = (entries) => {
+    if (!isMailEnabled()) return;
+
+    for (const notification of collectNotifications(entries)) {
+        track(deliverOrderNotification(notification).catch((error) => {
+            console.error("Error sending order notification:", error);
+        }));
+    }
+};
+
+/**
+ * Email a user about something that is not an order change, e.g. a waitlist offer
+ * Returns immediately; the email is sent in the background
+ *
+ * @param {String} event - NOTIFICATION_EVENT value
+ * @param {String} userId - Recipient
+ * @param {Object} context - Template data for the event
+ */
+const notifyUser = (event, userId, context) => {
+    if (!isMailEnabled()) return;
+
+    track((async () => {
+        const user = await User.findOne({ user_id: userId });
+        if (user) await deliver(event, user, context);
+    })().catch((error) => {
+        console.error("Error sending notification:", error);
+    }));
+};
+
+let started = false;
+
+/**
+ * Email customers about the status changes recorded from now on
+ *
+ * @param {Object} [options]
+ * @param {Object|null} [options.transport] - Nodemailer transport (defaults to SMTP with config.mail; null sends nothing)
+ */
+const startNotifications = ({ transport = createMailTransport() } = {}) => {
+    setMailTransport(transport);
+    if (started) return;
+    statusEvents.on(STATUS_EVENT.RECORDED, handleRecordedHistory);
+    started = true;
+};
+
+/**
+ * Stop emailing status changes and close the transport
+ */
+const stopNotifications = () => {
+    statusEvents.off(STATUS_EVENT.RECORDED, handleRecordedHistory);
+    setMailTransport(null);
+    started = false;
+};
+
+module.exports = {
+    collectNotifications,
+    flushNotifications,
+    notifyUser,
+    startNotifications,
+    stopNotifications,
+};
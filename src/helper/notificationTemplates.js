@@ -0,0 +1,106 @@
+const { NOTIFICATION_EVENT } = require("../constants/notification");
+const { escapeHtml } = require("./document");
+const { formatBusinessDate } = require("./businessDate");
+
+const orderLabel = (order) => order.order_name || order.order_order_number || order.order_id;
+
+const describeOrder = (order) => order.order_name && order.order_order_number
+    ? `"${order.order_name}" (${order.order_order_number})`
+    : `"${orderLabel(order)}"`;
+
+const describeDates = (pickupAt, returnAt) => `${formatBusinessDate(pickupAt)} to ${formatBusinessDate(returnAt)}`;
+
+const describeItem = (item) => {
+    const status = item.unavailableUntil ? `unavailable until ${formatBusinessDate(item.unavailableUntil)}` : item.status;
+    return `Artwork ${item.barcode || item.inventoryId}: ${status}`;
+};
+
+/**
+ * Subject, opening sentence and detail lines of every notification email
+ * Order events get { order, items }, waitlist events get { entry, barcode }
+ */
+const TEMPLATES = {
+    [NOTIFICATION_EVENT.HOLD_APPROVED]: ({ order, items }) => ({
+        subject: `Hold approved for order ${orderLabel(order)}`,
+        intro: `Your hold request for order ${describeOrder(order)} has been approved.`,
+        lines: items.map(describeItem),
+    }),
+    [NOTIFICATION_EVENT.HOLD_REJECTED]: ({ order, items }) => ({
+        subject: `Hold request declined for order ${orderLabel(order)}`,
+        intro: `Your hold request for order ${describeOrder(order)} was declined; the artworks stay on your order without a hold.`,
+        lines: items.map(describeItem),
+    }),
+    [NOTIFICATION_EVENT.HOLD_EXPIRED]: ({ order, items }) => ({
+        subject: `Hold request expired for order ${orderLabel(order)}`,
+        intro: `Your hold request for order ${describeOrder(order)} was not approved in time and has expired.`,
+        lines: items.map(describeItem),
+    }),
+    [NOTIFICATION_EVENT.HOLD_PROMOTED]: ({ order, items }) => ({
+        subject: `Your hold moved up for order ${orderLabel(order)}`,
+        intro: `A hold ahead of yours was released, so order ${describeOrder(order)} moved up the queue.`,
+        lines: items.map(describeItem),
+    }),
+    [NOTIFICATION_EVENT.ORDER_CONFIRMED]: ({ order }) => ({
+        subject: `Order ${orderLabel(order)} confirmed`,
+        intro: `Your order ${describeOrder(order)} is confirmed.`,
+        lines: [
+            `Rental period: ${describeDates(order.order_pickup_at, order.order_return_at)}`,
+            ...(order.order_invoice_number ? [`Invoice: ${order.order_invoice_number}`] : []),
+        ],
+    }),
+    [NOTIFICATION_EVENT.ORDER_UPDATED]: ({ order }) => ({
+        subject: `Rental dates changed for order ${orderLabel(order)}`,
+        intro: `The rental dates of your order ${describeOrder(order)} were changed.`,
+        lines: [`New rental period: ${describeDates(order.order_pickup_at, order.order_return_at)}`],
+    }),
+    [NOTIFICATION_EVENT.ORDER_CANCELLED]: ({ order }) => ({
+        subject: `Order ${orderLabel(order)} cancelled`,
+        intro: `Your order ${describeOrder(order)} has been cancelled.`,
+        lines: [],
+    }),
+    [NOTIFICATION_EVENT.ITEM_UNAVAILABLE]: ({ order, items }) => ({
+        subject: `Artwork no longer available for order ${orderLabel(order)}`,
+        intro: `Another order was confirmed for the same dates, so these artworks on order ${describeOrder(order)} are unavailable.`,
+        lines: items.map(describeItem),
+    }),
+    [NOTIFICATION_EVENT.ITEM_AVAILABLE]: ({ order, items }) => ({
+        subject: `Artwork available again for order ${orderLabel(order)}`,
+        intro: `The booking that blocked these artworks on order ${describeOrder(order)} was released.`,
+        lines: items.map(describeItem),
+    }),
+    [NOTIFICATION_EVENT.WAITLIST_AVAILABLE]: ({ entry, barcode }) => ({
+        subject: `Artwork ${barcode} may be available`,
+        intro: `An artwork you are waiting for freed up for your dates. Add it to your order or request a hold before someone else does.`,
+        lines: [`Artwork ${barcode}: ${describeDates(entry.wl_pickup_at, entry.wl_return_at)}`],
+    }),
+    [NOTIFICATION_EVENT.WAITLIST_QUEUED]: ({ order, items }) => ({
+        subject: `Artwork queued for order ${orderLabel(order)}`,
+        intro: `An artwork you were waiting for freed up and was queued on order ${describeOrder(order)}.`,
+        lines: items.map(describeItem),
+    }),
+};
+
+/**
+ * Render a notification email
+ *
+ * @param {String} event - NOTIFICATION_EVENT value
+ * @param {Object} context - Template data (see TEMPLATES) plus the recipient user
+ * @returns {Object} - { subject, text, html }
+ */
+const renderNotification = (event, context) => {
+    const { subject, intro, lines } = TEMPLATES[event](context);
+    const greeting = `Hello ${context.user.user_full_name || context.user.user_first_name || context.user.user_email},`;
+    const footer = "You can turn these emails off in your notification settings.";
+
+    const text = [greeting, "", intro, ...(lines.length ? ["", ...lines.map((line) => `- ${line}`)] : []), "", footer].join("\n");
+    const html = `<p>${escapeHtml(greeting)}</p>
+<p>${escapeHtml(intro)}</p>
+${lines.length ? `<ul>${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join("")}</ul>` : ""}
+<p><small>${escapeHtml(footer)}</small></p>`;
+
+    return { subject, text, html };
+};
+
+module.exports = {
+    renderNotification,
+};
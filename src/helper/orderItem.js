@@ -1,67 +1,145 @@
 const OrderItem = require("../schemas/orderItem.schema");
 const Order = require("../schemas/order.schema");
-const { ORDER_ITEM_STATUS } = require("../constants/status");
+const Inventory = require("../schemas/inventory.schema");
+const { ORDER_ITEM_STATUS, HOLD_LEVEL, BOOKED_ITEM_STATUSES } = require("../constants/status");
+const { HISTORY_REASON } = require("../constants/history");
+const { canTransitionOrderItem, assertOrderItemTransition } = require("./stateMachine");
+const { orderItemHistory, recordHistory } = require("./history");
+const {
+    NO_BUFFER,
+    getRentalBuffer,
+    getMaxRentalBuffer,
+    hasBuffer,
+    getBlockedWindow,
+    windowsOverlap,
+    getUnavailableUntil,
+    getShippingMethods,
+} = require("./buffer");
 
 /**
  * Find all conflicting order items for a given inventory and date range
  * A conflict occurs when:
  * - Same inventory item
  * - Different order
- * - Overlapping date ranges (pickup/return dates)
+ * - Overlapping blocked windows: the rental dates widened by the turnaround
+ *   buffers of both rentals (see helper/buffer.js)
+ *
+ * Each returned item carries $locals.unavailableUntil, the earliest pickup
+ * the current order could get after it
  *
  * @param {String} inventoryId - The inventory item ID to check for conflicts
  * @param {String} currentOrderId - The current order ID to exclude from conflicts
  * @param {Date} pickupDate - The pickup date to check for conflicts
  * @param {Date} returnDate - The return date to check for conflicts
+ * @param {Object} [options] - { shippingMethod } of the current order, looked up if not given
  * @returns {Array} - Array of conflicting order items
  */
 const findConflictingOrderItems = async (
     inventoryId,
     currentOrderId,
     pickupDate,
-    returnDate
+    returnDate,
+    options = {}
 ) => {
     try {
+        const inventory = await Inventory.findOne({ inventory_id: inventoryId }, { inventory_buffer: 1 });
+
+        let { shippingMethod } = options;
+        if (shippingMethod === undefined && currentOrderId) {
+            const currentOrder = await Order.findOne({ order_id: currentOrderId }, { order_shipping_method: 1 });
+            shippingMethod = currentOrder ? currentOrder.order_shipping_method : undefined;
+        }
+
+        // Without an order (calendar lookups) the range itself is not buffered
+        const ownBuffer = currentOrderId || shippingMethod ? getRentalBuffer(inventory, shippingMethod) : NO_BUFFER;
+        const ownWindow = getBlockedWindow(pickupDate, returnDate, ownBuffer);
+
+        // Search wide enough for the largest buffer another rental can have,
+        // then keep the items whose own blocked window really overlaps
+        const maxBuffer = getMaxRentalBuffer(inventory);
+        const searchWindow = getBlockedWindow(ownWindow.from, ownWindow.until, {
+            beforeDays: maxBuffer.afterDays,
+            afterDays: maxBuffer.beforeDays,
+        });
+
         // Find all order items with the same inventory item ID and different order ID
-        const conflictingItems = await OrderItem.find({
+        const candidateItems = await OrderItem.find({
             oi_inventory_fk_inventory_id: inventoryId,
             oi_order_fk_order_id: { $ne: currentOrderId }, // exclude current order ID
             oi_deleted: false, // exclude deleted order items
             $or: [
-                // Case 1: Conflicting item's pickup falls within this order's date range
+                // Case 1: Conflicting item's pickup falls within the search window
                 {
                     oi_pickup_at: {
-                        $lte: returnDate, // pickup date is less than or equal to return date
-                        $gte: pickupDate, // pickup date is greater than or equal to pickup date
+                        $lte: searchWindow.until, // pickup date is less than or equal to return date
+                        $gte: searchWindow.from, // pickup date is greater than or equal to pickup date
                     },
                 },
-                // Case 2: Conflicting item's return falls within this order's date range
+                // Case 2: Conflicting item's return falls within the search window
                 {
                     oi_return_at: {
-                        $lte: returnDate, // return date is less than or equal to return date
-                        $gte: pickupDate, // return date is greater than or equal to pickup date
+                        $lte: searchWindow.until, // return date is less than or equal to return date
+                        $gte: searchWindow.from, // return date is greater than or equal to pickup date
                     },
                 },
-                // Case 3: Conflicting item completely encompasses this order's date range
+                // Case 3: Conflicting item completely encompasses the search window
                 {
                     $and: [
-                        { oi_pickup_at: { $lte: pickupDate } }, // pickup date is less than or equal to pickup date
-                        { oi_return_at: { $gte: returnDate } }, // return date is greater than or equal to return date
+                        { oi_pickup_at: { $lte: searchWindow.from } }, // pickup date is less than or equal to pickup date
+                        { oi_return_at: { $gte: searchWindow.until } }, // return date is greater than or equal to return date
                     ],
                 },
             ],
         });
 
-        return conflictingItems;
+        // Without any buffer every rental has the same (empty) one, so skip the order lookup
+        const shippingMethods = hasBuffer(maxBuffer) ? await getShippingMethods(candidateItems) : new Map();
+
+        return candidateItems.filter((item) => {
+            const itemBuffer = getRentalBuffer(inventory, shippingMethods.get(item.oi_order_fk_order_id));
+            const itemWindow = getBlockedWindow(item.oi_pickup_at, item.oi_return_at, itemBuffer);
+
+            item.$locals.unavailableUntil = getUnavailableUntil(item.oi_return_at, itemBuffer, ownBuffer);
+            return windowsOverlap(ownWindow, itemWindow);
+        });
     } catch (error) {
         console.error("Error finding conflicting order items:", error);
         throw error;
     }
 };
 
+/**
+ * Earliest pickup a conflicting order item leaves for the order it was found for
+ *
+ * @param {Object} conflictingItem - Item returned by findConflictingOrderItems
+ * @returns {Date}
+ */
+const getConflictUnavailableUntil = (conflictingItem) =>
+    conflictingItem.$locals.unavailableUntil || conflictingItem.oi_return_at;
+
+/**
+ * Check whether an inventory has been taken out of service (damaged or lost)
+ *
+ * @param {String} inventoryId - The inventory item ID
+ * @returns {Boolean} - True if the artwork cannot be rented at all
+ */
+const isInventoryOutOfService = async (inventoryId) => {
+    try {
+        const inventory = await Inventory.exists({
+            inventory_id: inventoryId,
+            inventory_out_of_service: true,
+        });
+        return Boolean(inventory);
+    } catch (error) {
+        console.error("Error checking inventory service state:", error);
+        throw error;
+    }
+};
+
 /**
  * Calculate the status for an order item based on conflicting orders
  * Status priority:
+ * 0. unavailable: If the inventory is out of service (damaged or lost)
  * 1. unavailable-until: If any confirmed order conflicts
  * 2. unavailable: If 3+ hold requests exist for conflicting dates
  * 3. on-hold-request: First request (no conflicts)
@@ -70,26 +148,37 @@ const findConflictingOrderItems = async (
  *
  * @param {Object} orderItem - The order item to calculate status for
  * @param {Object} order - The parent order containing pickup and return dates
- * @returns {Object} - Object containing the new status and unavailable_until date if applicable
+ * @returns {Object} - Object containing the new status, unavailable_until date if applicable
+ * and caused_by_order_id, the conflicting order that decided the status
  */
 const calculateOrderItemStatus = async (orderItem, order) => {
     try {
+        if (await isInventoryOutOfService(orderItem.oi_inventory_fk_inventory_id)) {
+            return {
+                status: ORDER_ITEM_STATUS.UNAVAILABLE,
+                unavailable_until: null,
+                caused_by_order_id: null,
+            };
+        }
+
         // Find all conflicting order items for the same inventory with overlapping dates
         const conflictingItems = await findConflictingOrderItems(
             orderItem.oi_inventory_fk_inventory_id,
             order.order_id,
             order.order_pickup_at,
-            order.order_return_at
+            order.order_return_at,
+            { shippingMethod: order.order_shipping_method }
         );
 
         // Check if any conflicting order has confirmed status
         const confirmedItem = conflictingItems.find(
-            (item) => item.oi_status === ORDER_ITEM_STATUS.CONFIRMED
+            (item) => BOOKED_ITEM_STATUSES.includes(item.oi_status)
         );
         if (confirmedItem) {
             return {
                 status: ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL,
-                unavailable_until: confirmedItem.oi_return_at,
+                unavailable_until: getConflictUnavailableUntil(confirmedItem),
+                caused_by_order_id: confirmedItem.oi_order_fk_order_id,
             };
         }
 
@@ -107,11 +196,19 @@ const calculateOrderItemStatus = async (orderItem, order) => {
             holdStatuses.includes(item.oi_status)
         );
 
+        // The hold this item queues behind (the last one in the queue)
+        const lastHold = conflictingHoldItems.reduce(
+            (last, item) => (!last || HOLD_LEVEL[item.oi_status] > HOLD_LEVEL[last.oi_status] ? item : last),
+            null
+        );
+        const caused_by_order_id = lastHold ? lastHold.oi_order_fk_order_id : null;
+
         // If more than 3 hold requests exist, mark as unavailable
         if (conflictingHoldItems.length >= 3) {
             return {
                 status: ORDER_ITEM_STATUS.UNAVAILABLE,
                 unavailable_until: null,
+                caused_by_order_id,
             };
         }
 
@@ -121,6 +218,7 @@ const calculateOrderItemStatus = async (orderItem, order) => {
             return {
                 status: ORDER_ITEM_STATUS.ON_HOLD_REQUEST,
                 unavailable_until: null,
+                caused_by_order_id,
             };
         } else if (conflictingHoldItems.length === 1) {
             // Second request - one conflicting hold exists
@@ -132,6 +230,7 @@ const calculateOrderItemStatus = async (orderItem, order) => {
                 return {
                     status: ORDER_ITEM_STATUS.SECOND_HOLD_REQUEST,
                     unavailable_until: null,
+                    caused_by_order_id,
                 };
             }
         } else if (conflictingHoldItems.length === 2) {
@@ -150,6 +249,7 @@ const calculateOrderItemStatus = async (orderItem, order) => {
                 return {
                     status: ORDER_ITEM_STATUS.THIRD_HOLD_REQUEST,
                     unavailable_until: null,
+                    caused_by_order_id,
                 };
             }
         }
@@ -158,6 +258,7 @@ const calculateOrderItemStatus = async (orderItem, order) => {
         return {
             status: ORDER_ITEM_STATUS.ON_HOLD_REQUEST,
             unavailable_until: null,
+            caused_by_order_id,
         };
     } catch (error) {
         console.error("Error calculating order item status:", error);
@@ -187,12 +288,27 @@ const updateOrderItemsStatusForHold = async (orderId, order) => {
 
         // Calculate and update status for each order item
         const updatePromises = orderItems.map(async (orderItem) => {
-            const { status, unavailable_until } = await calculateOrderItemStatus(
+            // Items already queued keep their position; recalculating would
+            // count the other holds again and push them down the queue
+            if (HOLD_LEVEL[orderItem.oi_status]) {
+                return orderItem;
+            }
+
+            const { status, unavailable_until, caused_by_order_id } = await calculateOrderItemStatus(
                 orderItem,
                 order
             );
 
             // Update the order item with new status and metadata
+            assertOrderItemTransition(orderItem, status);
+            const history = orderItemHistory(
+                orderItem,
+                {
+                    oi_status: status,
+                    ...(unavailable_until ? { oi_unavailable_until: unavailable_until } : {}),
+                },
+                { reason: HISTORY_REASON.HOLD_REQUESTED, causedByOrderId: caused_by_order_id }
+            );
             orderItem.oi_status = status;
             orderItem.oi_request_hold = true;
             orderItem.oi_request_hold_at = new Date();
@@ -202,7 +318,9 @@ const updateOrderItemsStatusForHold = async (orderId, order) => {
                 orderItem.oi_unavailable_until = unavailable_until;
             }
 
-            return await orderItem.save();
+            const savedOrderItem = await orderItem.save();
+            await recordHistory(history);
+            return savedOrderItem;
         });
 
         // Wait for all order items to be updated
@@ -221,16 +339,22 @@ const updateOrderItemsStatusForHold = async (orderId, order) => {
  *
  * @param {Object} order - The order object
  * @param {String} inventoryId - The inventory ID for the item being added
- * @returns {Object} - Object containing status and unavailableUntil date
+ * @returns {Object} - Object containing status, unavailableUntil date and causedByOrderId
  */
 const getStatus = async (order, inventoryId) => {
     try {
+        // Damaged or lost artworks cannot be booked for any dates
+        if (await isInventoryOutOfService(inventoryId)) {
+            return { status: ORDER_ITEM_STATUS.UNAVAILABLE };
+        }
+
         // Find conflicting items for this inventory and order date range
         const conflictingItems = await findConflictingOrderItems(
             inventoryId,
             order.order_id,
             order.order_pickup_at,
-            order.order_return_at
+            order.order_return_at,
+            { shippingMethod: order.order_shipping_method }
         );
 
         // If no conflicts, item is available
@@ -240,12 +364,13 @@ const getStatus = async (order, inventoryId) => {
 
         // Check if any conflicting order has confirmed status
         const confirmedItem = conflictingItems.find(
-            (item) => item.oi_status === ORDER_ITEM_STATUS.CONFIRMED
+            (item) => BOOKED_ITEM_STATUSES.includes(item.oi_status)
         );
         if (confirmedItem) {
             return {
                 status: ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL,
-                unavailableUntil: confirmedItem.oi_return_at,
+                unavailableUntil: getConflictUnavailableUntil(confirmedItem),
+                causedByOrderId: confirmedItem.oi_order_fk_order_id,
             };
         }
 
@@ -274,9 +399,10 @@ const getStatus = async (order, inventoryId) => {
  * @param {String} orderId - The order ID
  * @param {Date} newPickupDate - The new pickup date
  * @param {Date} newReturnDate - The new return date
+ * @param {String} [shippingMethod] - The new shipping method (the stored one if not given)
  * @returns {Object} - Object containing items with current and new statuses
  */
-const calculateStatusesForDateUpdate = async (orderId, newPickupDate, newReturnDate) => {
+const calculateStatusesForDateUpdate = async (orderId, newPickupDate, newReturnDate, shippingMethod) => {
     try {
         // Find all order items belonging to this order
         const orderItems = await OrderItem.find({
@@ -293,6 +419,7 @@ const calculateStatusesForDateUpdate = async (orderId, newPickupDate, newReturnD
             order_id: orderId,
             order_pickup_at: newPickupDate,
             order_return_at: newReturnDate,
+            order_shipping_method: shippingMethod,
         };
 
         const itemsWithStatuses = [];
@@ -305,12 +432,13 @@ const calculateStatusesForDateUpdate = async (orderId, newPickupDate, newReturnD
                 item.oi_inventory_fk_inventory_id,
                 orderId,
                 newPickupDate,
-                newReturnDate
+                newReturnDate,
+                { shippingMethod }
             );
 
             // Check if any conflict is confirmed
             const confirmedConflict = conflictingItems.find(
-                (conflictItem) => conflictItem.oi_status === ORDER_ITEM_STATUS.CONFIRMED
+                (conflictItem) => BOOKED_ITEM_STATUSES.includes(conflictItem.oi_status)
             );
 
             if (confirmedConflict) {
@@ -322,11 +450,11 @@ const calculateStatusesForDateUpdate = async (orderId, newPickupDate, newReturnD
                     newStatus: null,
                     error: "Confirmed conflict exists",
                     conflictingOrder: confirmedConflict.oi_order_fk_order_id,
-                    unavailableUntil: confirmedConflict.oi_return_at
+                    unavailableUntil: getConflictUnavailableUntil(confirmedConflict)
                 });
             } else {
                 // Calculate new status using the same logic as request hold
-                const { status: newStatus, unavailable_until } = await calculateOrderItemStatus(
+                const { status: newStatus, unavailable_until, caused_by_order_id } = await calculateOrderItemStatus(
                     item,
                     tempOrder
                 );
@@ -337,6 +465,7 @@ const calculateStatusesForDateUpdate = async (orderId, newPickupDate, newReturnD
                     currentStatus: item.oi_status,
                     newStatus: newStatus,
                     unavailableUntil: unavailable_until || null,
+                    conflictingOrder: caused_by_order_id,
                     statusChanged: item.oi_status !== newStatus
                 });
             }
@@ -352,22 +481,42 @@ const calculateStatusesForDateUpdate = async (orderId, newPickupDate, newReturnD
     }
 };
 
+/**
+ * Note a cascaded status change of another order's item for the caller's summary
+ *
+ * @param {Array} [changes] - Collector passed in by the caller (skipped if not given)
+ * @param {Object} item - The changed order item (before the change)
+ * @param {String} newStatus - Its new status
+ */
+const collectChange = (changes, item, newStatus) => {
+    if (!changes) return;
+    changes.push({
+        oi_id: item.oi_id,
+        order_id: item.oi_order_fk_order_id,
+        inventory_id: item.oi_inventory_fk_inventory_id,
+        previousStatus: item.oi_status,
+        newStatus,
+    });
+};
+
 /**
  * Promote hold statuses when a higher-priority hold is removed
  * Used when an on-hold or on-hold-request item is deleted
  * 
  * @param {Object} deletedItem - The deleted order item
  * @param {Object} order - The parent order of the deleted item
+ * @param {Array} [changes] - Collects { oi_id, order_id, inventory_id, previousStatus, newStatus } per updated item
  * @returns {Number} - Number of items updated
  */
-const promoteConflictingHolds = async (deletedItem, order) => {
+const promoteConflictingHolds = async (deletedItem, order, changes) => {
     try {
         // Find all conflicting items
         const conflictingItems = await findConflictingOrderItems(
             deletedItem.oi_inventory_fk_inventory_id,
             order.order_id,
             order.order_pickup_at,
-            order.order_return_at
+            order.order_return_at,
+            { shippingMethod: order.order_shipping_method }
         );
 
         let updatedCount = 0;
@@ -396,16 +545,19 @@ const promoteConflictingHolds = async (deletedItem, order) => {
                     break;
                 default:
                     // Any other lower-level holds become available
+                    // (fulfilled, cancelled or inspected items are never reopened)
                     if (item.oi_status !== ORDER_ITEM_STATUS.AVAILABLE && 
-                        item.oi_status !== ORDER_ITEM_STATUS.CONFIRMED && 
+                        !BOOKED_ITEM_STATUSES.includes(item.oi_status) && 
                         item.oi_status !== ORDER_ITEM_STATUS.UNAVAILABLE &&
-                        item.oi_status !== ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL) {
+                        item.oi_status !== ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL &&
+                        canTransitionOrderItem(item.oi_status, ORDER_ITEM_STATUS.AVAILABLE)) {
                         newStatus = ORDER_ITEM_STATUS.AVAILABLE;
                     }
             }
 
             // Update if status changed
             if (newStatus && newStatus !== item.oi_status) {
+                assertOrderItemTransition(item, newStatus);
                 await OrderItem.updateOne(
                     { _id: item._id },
                     {
@@ -413,6 +565,12 @@ const promoteConflictingHolds = async (deletedItem, order) => {
                         oi_updated_at: new Date()
                     }
                 );
+                await recordHistory(orderItemHistory(
+                    item,
+                    { oi_status: newStatus },
+                    { reason: HISTORY_REASON.HOLD_PROMOTED, causedByOrderId: order.order_id }
+                ));
+                collectChange(changes, item, newStatus);
                 updatedCount++;
             }
         }
@@ -424,22 +582,94 @@ const promoteConflictingHolds = async (deletedItem, order) => {
     }
 };
 
+/**
+ * Move conflicting holds up the queue after a hold at any position is released
+ * A released 1st hold promotes every conflicting hold (same as removal),
+ * a released 2nd hold only promotes the 3rd hold behind it
+ *
+ * @param {Object} releasedItem - The order item whose hold was released
+ * @param {Object} order - The parent order of the released item
+ * @param {String} releasedStatus - The status the item held before release
+ * @param {Array} [changes] - Collects the updated items (see promoteConflictingHolds)
+ * @returns {Number} - Number of items updated
+ */
+const promoteHoldsAfterRelease = async (releasedItem, order, releasedStatus, changes) => {
+    try {
+        const releasedLevel = HOLD_LEVEL[releasedStatus];
+
+        // Not a hold position - nothing queued behind it
+        if (!releasedLevel) {
+            return 0;
+        }
+
+        if (releasedLevel === 1) {
+            return await promoteConflictingHolds(releasedItem, order, changes);
+        }
+
+        const conflictingItems = await findConflictingOrderItems(
+            releasedItem.oi_inventory_fk_inventory_id,
+            order.order_id,
+            order.order_pickup_at,
+            order.order_return_at,
+            { shippingMethod: order.order_shipping_method }
+        );
+
+        const promotedStatus = {
+            [ORDER_ITEM_STATUS.SECOND_HOLD_REQUEST]: ORDER_ITEM_STATUS.ON_HOLD_REQUEST,
+            [ORDER_ITEM_STATUS.SECOND_HOLD]: ORDER_ITEM_STATUS.ON_HOLD,
+            [ORDER_ITEM_STATUS.THIRD_HOLD_REQUEST]: ORDER_ITEM_STATUS.SECOND_HOLD_REQUEST,
+            [ORDER_ITEM_STATUS.THIRD_HOLD]: ORDER_ITEM_STATUS.SECOND_HOLD,
+        };
+
+        let updatedCount = 0;
+
+        // Only holds queued behind the released position move up
+        for (const item of conflictingItems) {
+            if ((HOLD_LEVEL[item.oi_status] || 0) <= releasedLevel) continue;
+            const newStatus = promotedStatus[item.oi_status];
+            assertOrderItemTransition(item, newStatus);
+
+            await OrderItem.updateOne(
+                { _id: item._id },
+                {
+                    oi_status: newStatus,
+                    oi_updated_at: new Date()
+                }
+            );
+            await recordHistory(orderItemHistory(
+                item,
+                { oi_status: newStatus },
+                { reason: HISTORY_REASON.HOLD_PROMOTED, causedByOrderId: order.order_id }
+            ));
+            collectChange(changes, item, newStatus);
+            updatedCount++;
+        }
+
+        return updatedCount;
+    } catch (error) {
+        console.error("Error promoting holds after release:", error);
+        throw error;
+    }
+};
+
 /**
  * Update unavailable items after a confirmed order item is removed
  * Checks if items are blocked ONLY by the removed confirmed order
  * 
  * @param {Object} deletedItem - The deleted confirmed order item
  * @param {Object} order - The parent order of the deleted item
+ * @param {Array} [changes] - Collects the updated items (see promoteConflictingHolds)
  * @returns {Number} - Number of items updated
  */
-const updateUnavailableItemsAfterConfirmedRemoval = async (deletedItem, order) => {
+const updateUnavailableItemsAfterConfirmedRemoval = async (deletedItem, order, changes) => {
     try {
         // Find conflicting items with unavailable or unavailable-until status
         const conflictingItems = await findConflictingOrderItems(
             deletedItem.oi_inventory_fk_inventory_id,
             order.order_id,
             order.order_pickup_at,
-            order.order_return_at
+            order.order_return_at,
+            { shippingMethod: order.order_shipping_method }
         );
 
         // Filter to only unavailable and unavailable-until items
@@ -456,22 +686,21 @@ const updateUnavailableItemsAfterConfirmedRemoval = async (deletedItem, order) =
             if (!itemOrder) continue;
 
             // Check if there are any OTHER confirmed conflicts for this item
-            // (excluding the order being deleted)
-            const otherConfirmedConflicts = await OrderItem.find({
-                oi_inventory_fk_inventory_id: item.oi_inventory_fk_inventory_id,
-                oi_order_fk_order_id: { 
-                    $ne: item.oi_order_fk_order_id,  // Not the item's own order
-                    $ne: order.order_id  // Not the deleted order
-                },
-                oi_deleted: false,
-                oi_status: ORDER_ITEM_STATUS.CONFIRMED,
-                // Check for date overlap with this item's order
-                oi_pickup_at: { $lte: itemOrder.order_return_at },
-                oi_return_at: { $gte: itemOrder.order_pickup_at }
-            });
+            // (excluding the order being deleted), buffers included
+            const otherConfirmedConflicts = (await findConflictingOrderItems(
+                item.oi_inventory_fk_inventory_id,
+                itemOrder.order_id,
+                itemOrder.order_pickup_at,
+                itemOrder.order_return_at,
+                { shippingMethod: itemOrder.order_shipping_method }
+            )).filter(conflictItem =>
+                conflictItem.oi_order_fk_order_id !== order.order_id &&
+                BOOKED_ITEM_STATUSES.includes(conflictItem.oi_status)
+            );
 
             // If no other confirmed conflicts exist, make it available
             if (otherConfirmedConflicts.length === 0) {
+                assertOrderItemTransition(item, ORDER_ITEM_STATUS.AVAILABLE);
                 await OrderItem.updateOne(
                     { _id: item._id },
                     {
@@ -480,6 +709,12 @@ const updateUnavailableItemsAfterConfirmedRemoval = async (deletedItem, order) =
                         oi_updated_at: new Date()
                     }
                 );
+                await recordHistory(orderItemHistory(
+                    item,
+                    { oi_status: ORDER_ITEM_STATUS.AVAILABLE, oi_unavailable_until: null },
+                    { reason: HISTORY_REASON.BOOKING_RELEASED, causedByOrderId: order.order_id }
+                ));
+                collectChange(changes, item, ORDER_ITEM_STATUS.AVAILABLE);
                 updatedCount++;
             }
         }
@@ -493,10 +728,13 @@ const updateUnavailableItemsAfterConfirmedRemoval = async (deletedItem, order) =
 
 module.exports = {
     findConflictingOrderItems,
+    getConflictUnavailableUntil,
+    isInventoryOutOfService,
     calculateOrderItemStatus,
     updateOrderItemsStatusForHold,
     getStatus,
     calculateStatusesForDateUpdate,
     promoteConflictingHolds,
+    promoteHoldsAfterRelease,
     updateUnavailableItemsAfterConfirmedRemoval,
 };
@@ -0,0 +1,233 @@
+const Inventory = require("../schemas/inventory.schema");
+const Order = require("../schemas/order.schema");
+const OrderItem = require("../schemas/orderItem.schema");
+const { ORDER_STATUS, ORDER_ITEM_STATUS } = require("../constants/status");
+const { USER_ROLE } = require("../constants/role");
+
+// ?sort= values and the fields they sort on; prefix with "-" for descending
+const ORDER_SORT_FIELDS = {
+    created_at: "order_created_at",
+    updated_at: "order_updated_at",
+    pickup_at: "order_pickup_at",
+    return_at: "order_return_at",
+    order_number: "order_order_number",
+    status: "order_status",
+    total: "order_total",
+};
+
+const ORDER_ITEM_SORT_FIELDS = {
+    created_at: "oi_created_at",
+    updated_at: "oi_updated_at",
+    pickup_at: "oi_pickup_at",
+    return_at: "oi_return_at",
+    status: "oi_status",
+};
+
+/**
+ * Parse a comma separated status filter
+ *
+ * @param {String} value - e.g. "hold,confirm"
+ * @param {Object} statuses - ORDER_STATUS or ORDER_ITEM_STATUS
+ * @returns {Object} - { statuses } or { error }
+ */
+const parseStatusList = (value, statuses) => {
+    const requested = String(value).split(",").map((status) => status.trim()).filter(Boolean);
+    const unknown = requested.filter((status) => !Object.values(statuses).includes(status));
+
+    if (unknown.length > 0) {
+        return { error: `Unknown status: ${unknown.join(", ")}` };
+    }
+    return { statuses: requested };
+};
+
+/**
+ * Turn ?<prefix>_from / ?<prefix>_to into a Mongo date range
+ *
+ * @param {Object} query - Express req.query
+ * @param {String} prefix - "pickup" or "return"
+ * @returns {Object} - { range } (null when not filtered) or { error }
+ */
+const parseDateRange = (query, prefix) => {
+    const range = {};
+
+    for (const [suffix, operator] of [["from", "$gte"], ["to", "$lte"]]) {
+        const value = query[`${prefix}_${suffix}`];
+        if (value === undefined || value === "") continue;
+
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            return { error: `${prefix}_${suffix} must be a valid date` };
+        }
+        range[operator] = date;
+    }
+
+    if (range.$gte && range.$lte && range.$gte > range.$lte) {
+        return { error: `${prefix}_from must not be after ${prefix}_to` };
+    }
+
+    return { range: Object.keys(range).length > 0 ? range : null };
+};
+
+/**
+ * Parse ?sort=field or ?sort=-field against a whitelist
+ *
+ * @param {String} value - Requested sort
+ * @param {Object} sortFields - Allowed sort keys and their document fields
+ * @param {String} defaultSort - Used when no sort is requested
+ * @returns {Object} - { sort } Mongo sort object or { error }
+ */
+const parseSort = (value, sortFields, defaultSort) => {
+    const requested = value || defaultSort;
+    const descending = requested.startsWith("-");
+    const key = descending ? requested.slice(1) : requested;
+
+    if (!sortFields[key]) {
+        return { error: `sort must be one of: ${Object.keys(sortFields).join(", ")} (prefix with - for descending)` };
+    }
+
+    // _id keeps pages stable when many documents share the sort value
+    return { sort: { [sortFields[key]]: descending ? -1 : 1, _id: 1 } };
+};
+
+/**
+ * Inventory IDs matching ?inventory_id and ?barcode
+ *
+ * @param {Object} query - Express req.query
+ * @returns {Object|null} - { inventoryIds, barcode } or null if neither is given
+ */
+const resolveInventoryFilter = async (query) => {
+    if (!query.inventory_id && !query.barcode) return null;
+
+    const inventoryIds = [];
+    if (query.inventory_id) inventoryIds.push(String(query.inventory_id));
+
+    const barcode = query.barcode ? String(query.barcode).trim() : null;
+    if (barcode) {
+        const inventory = await Inventory.findOne({ inventory_barcode: barcode }, { inventory_id: 1 });
+        if (inventory) inventoryIds.push(inventory.inventory_id);
+    }
+
+    return { inventoryIds, barcode };
+};
+
+/**
+ * Order item condition for an inventory filter
+ * Barcodes also match the oi_inventory snapshot for inventories that no longer exist
+ *
+ * @param {Object} inventoryFilter - From resolveInventoryFilter
+ * @returns {Object} - Mongo condition on order items
+ */
+const inventoryItemCondition = ({ inventoryIds, barcode }) => ({
+    $or: [
+        { oi_inventory_fk_inventory_id: { $in: inventoryIds } },
+        ...(barcode ? [{ "oi_inventory.inventory_barcode": barcode }] : []),
+    ],
+});
+
+/**
+ * Build the filter and sort for listing orders
+ * Customers only ever see their own orders; admins may filter by ?user_id
+ *
+ * @param {Object} query - Express req.query
+ * @param {Object} viewer - Authenticated user
+ * @returns {Object} - { filter, sort } or { error }
+ */
+const buildOrderListQuery = async (query, viewer) => {
+    try {
+        const filter = {};
+
+        if (viewer.user_role !== USER_ROLE.ADMIN) {
+            filter.order_created_fk_user_id = viewer.user_id;
+        } else if (query.user_id) {
+            filter.order_created_fk_user_id = String(query.user_id);
+        }
+
+        if (query.status) {
+            const { statuses, error } = parseStatusList(query.status, ORDER_STATUS);
+            if (error) return { error };
+            filter.order_status = { $in: statuses };
+        }
+
+        for (const prefix of ["pickup", "return"]) {
+            const { range, error } = parseDateRange(query, prefix);
+            if (error) return { error };
+            if (range) filter[`order_${prefix}_at`] = range;
+        }
+
+        const inventoryFilter = await resolveInventoryFilter(query);
+        if (inventoryFilter) {
+            filter.order_id = {
+                $in: await OrderItem.distinct("oi_order_fk_order_id", {
+                    oi_deleted: false,
+                    ...inventoryItemCondition(inventoryFilter),
+                }),
+            };
+        }
+
+        const { sort, error } = parseSort(query.sort, ORDER_SORT_FIELDS, "-created_at");
+        if (error) return { error };
+
+        return { filter, sort };
+    } catch (error) {
+        console.error("Error building order list query:", error);
+        throw error;
+    }
+};
+
+/**
+ * Build the filter and sort for listing order items
+ * Customers only see items of their own orders; deleted items need ?include_deleted=true
+ *
+ * @param {Object} query - Express req.query
+ * @param {Object} viewer - Authenticated user
+ * @returns {Object} - { filter, sort } or { error }
+ */
+const buildOrderItemListQuery = async (query, viewer) => {
+    try {
+        const conditions = [];
+
+        if (query.include_deleted !== "true") {
+            conditions.push({ oi_deleted: false });
+        }
+
+        const ownerId = viewer.user_role === USER_ROLE.ADMIN ? query.user_id : viewer.user_id;
+        if (ownerId) {
+            const orderIds = await Order.distinct("order_id", { order_created_fk_user_id: String(ownerId) });
+            conditions.push({ oi_order_fk_order_id: { $in: orderIds } });
+        }
+
+        if (query.order_id) {
+            conditions.push({ oi_order_fk_order_id: String(query.order_id) });
+        }
+
+        if (query.status) {
+            const { statuses, error } = parseStatusList(query.status, ORDER_ITEM_STATUS);
+            if (error) return { error };
+            conditions.push({ oi_status: { $in: statuses } });
+        }
+
+        for (const prefix of ["pickup", "return"]) {
+            const { range, error } = parseDateRange(query, prefix);
+            if (error) return { error };
+            if (range) conditions.push({ [`oi_${prefix}_at`]: range });
+        }
+
+        const inventoryFilter = await resolveInventoryFilter(query);
+        if (inventoryFilter) {
+            conditions.push(inventoryItemCondition(inventoryFilter));
+        }
+
+        const { sort, error } = parseSort(query.sort, ORDER_ITEM_SORT_FIELDS, "-created_at");
+        if (error) return { error };
+
+        return { filter: conditions.length > 0 ? { $and: conditions } : {}, sort };
+    } catch (error) {
+        console.error("Error building order item list query:", error);
+        throw error;
+    }
+};
+
+module.exports = {
+    buildOrderListQuery,
+    buildOrderItemListQuery,
+};
@@ -0,0 +1,251 @@
+const Inventory = require("../schemas/inventory.schema");
+const Order = require("../schemas/order.schema");
+const OrderItem = require("../schemas/orderItem.schema");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rental blocks an artwork can be priced in, longest first
+const PRICING_BLOCKS = [
+    { key: "seven_day", days: 7, priceField: "seven_day_price", visibleField: "seven_day_visible" },
+    { key: "three_day", days: 3, priceField: "three_day_price", visibleField: "three_day_visible" },
+];
+
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Number of rental days between pickup and return; any started day counts
+ *
+ * @param {Date} pickupDate - Pickup date
+ * @param {Date} returnDate - Return date
+ * @returns {Number} - Rental days, at least 1
+ */
+const getRentalDays = (pickupDate, returnDate) => {
+    const span = new Date(returnDate).getTime() - new Date(pickupDate).getTime();
+    return Math.max(Math.ceil(span / DAY_MS), 1);
+};
+
+/**
+ * Read the visible block prices of an artwork
+ * Prices snapshotted on the order item (oi_inventory) win over the live inventory
+ * so later price changes do not reprice existing orders; visibility falls back
+ * to the live inventory because older snapshots do not carry it
+ *
+ * @param {Object} inventory - Live inventory (may be null if it was removed)
+ * @param {Object} [snapshot] - The order item's oi_inventory snapshot
+ * @returns {Array} - [{ key, days, price }] for every visible, priced block
+ */
+const getRentalRates = (inventory, snapshot) => {
+    const live = (inventory && inventory.inventory_general) || {};
+    const snapped = (snapshot && snapshot.inventory_general) || {};
+
+    return PRICING_BLOCKS.reduce((rates, block) => {
+        const rawPrice = snapped[block.priceField] ?? live[block.priceField];
+        const price = rawPrice === null || rawPrice === undefined || rawPrice === "" ? NaN : Number(rawPrice);
+        const visible = typeof snapped[block.visibleField] === "boolean"
+            ? snapped[block.visibleField]
+            : Boolean(live[block.visibleField]);
+
+        if (visible && Number.isFinite(price) && price >= 0) {
+            rates.push({ key: block.key, days: block.days, price });
+        }
+        return rates;
+    }, []);
+};
+
+/**
+ * Price a rental span with the cheapest mix of visible 7-day and 3-day blocks
+ * On equal cost the mix covering fewer extra days wins
+ *
+ * @param {Array} rates - Visible rates from getRentalRates
+ * @param {Number} rentalDays - Days to cover
+ * @returns {Object|null} - { blocks: { seven_day, three_day }, total } or null if nothing is visible
+ */
+const priceRentalDays = (rates, rentalDays) => {
+    if (rates.length === 0) return null;
+
+    const [longRate, shortRate] = rates;
+    let best = null;
+
+    // With a single visible block this loop only tries that block
+    const maxLong = Math.ceil(rentalDays / longRate.days);
+    for (let longCount = 0; longCount <= maxLong; longCount++) {
+        const remainingDays = Math.max(rentalDays - longCount * longRate.days, 0);
+        let shortCount = 0;
+
+        if (remainingDays > 0) {
+            if (!shortRate) continue;
+            shortCount = Math.ceil(remainingDays / shortRate.days);
+        }
+
+        const total = longCount * longRate.price + (shortRate ? shortCount * shortRate.price : 0);
+        const coveredDays = longCount * longRate.days + (shortRate ? shortCount * shortRate.days : 0);
+
+        if (!best || total < best.total || (total === best.total && coveredDays < best.coveredDays)) {
+            best = {
+                total,
+                coveredDays,
+                blocks: {
+                    [longRate.key]: longCount,
+                    ...(shortRate ? { [shortRate.key]: shortCount } : {}),
+                },
+            };
+        }
+    }
+
+    return {
+        blocks: { seven_day: 0, three_day: 0, ...best.blocks },
+        total: roundPrice(best.total),
+    };
+};
+
+/**
+ * Price one artwork for a rental span
+ *
+ * @param {Object} inventory - Live inventory (may be null)
+ * @param {Date} pickupDate - Pickup date
+ * @param {Date} returnDate - Return date
+ * @param {Object} [snapshot] - The order item's oi_inventory snapshot
+ * @returns {Object} - { rentalDays, rates, blocks, total } (total is null if no price is visible)
+ */
+const priceInventory = (inventory, pickupDate, returnDate, snapshot) => {
+    const rentalDays = getRentalDays(pickupDate, returnDate);
+    const rates = getRentalRates(inventory, snapshot);
+    const priced = priceRentalDays(rates, rentalDays);
+
+    return {
+        rentalDays,
+        rates: Object.fromEntries(rates.map((rate) => [rate.key, rate.price])),
+        blocks: priced ? priced.blocks : null,
+        total: priced ? priced.total : null,
+    };
+};
+
+/**
+ * Sum item prices into an order total
+ * Items without a visible price are reported instead of silently counted as free
+ *
+ * @param {Array} pricedItems - Items with a total (null when unpriced)
+ * @returns {Object} - { total, unpricedItemsCount }
+ */
+const sumPricedItems = (pricedItems) => ({
+    total: roundPrice(pricedItems.reduce((sum, item) => sum + (item.total || 0), 0)),
+    unpricedItemsCount: pricedItems.filter((item) => item.total === null).length,
+});
+
+/**
+ * Quote a prospective cart before any order exists
+ *
+ * @param {Array} inventoryIds - Inventories in the cart
+ * @param {Date} pickupDate - Requested pickup date
+ * @param {Date} returnDate - Requested return date
+ * @returns {Object} - { items, total, unpricedItemsCount, notFound }
+ */
+const quoteInventories = async (inventoryIds, pickupDate, returnDate) => {
+    try {
+        const uniqueIds = [...new Set(inventoryIds)];
+        const inventories = await Inventory.find({
+            inventory_id: { $in: uniqueIds },
+            inventory_retired: { $ne: true },
+        });
+        const inventoriesById = new Map(inventories.map((inventory) => [inventory.inventory_id, inventory]));
+
+        const items = uniqueIds
+            .filter((inventoryId) => inventoriesById.has(inventoryId))
+            .map((inventoryId) => {
+                const inventory = inventoriesById.get(inventoryId);
+                return {
+                    inventoryId,
+                    barcode: inventory.inventory_barcode,
+                    ...priceInventory(inventory, pickupDate, returnDate),
+                };
+            });
+
+        return {
+            items,
+            ...sumPricedItems(items),
+            notFound: uniqueIds.filter((inventoryId) => !inventoriesById.has(inventoryId)),
+        };
+    } catch (error) {
+        console.error("Error quoting inventories:", error);
+        throw error;
+    }
+};
+
+/**
+ * Price every non-deleted item of an order for a rental span
+ * Does not write anything, so it can preview date changes
+ *
+ * @param {String} orderId - Order ID
+ * @param {Date} pickupDate - Pickup date to price for
+ * @param {Date} returnDate - Return date to price for
+ * @returns {Object} - { items, total, unpricedItemsCount }
+ */
+const calculateOrderPricing = async (orderId, pickupDate, returnDate) => {
+    try {
+        const orderItems = await OrderItem.find({ oi_order_fk_order_id: orderId, oi_deleted: false });
+        const inventories = await Inventory.find({
+            inventory_id: { $in: orderItems.map((item) => item.oi_inventory_fk_inventory_id) },
+        });
+        const inventoriesById = new Map(inventories.map((inventory) => [inventory.inventory_id, inventory]));
+
+        const items = orderItems.map((orderItem) => ({
+            itemId: orderItem.oi_id,
+            inventoryId: orderItem.oi_inventory_fk_inventory_id,
+            ...priceInventory(
+                inventoriesById.get(orderItem.oi_inventory_fk_inventory_id),
+                pickupDate,
+                returnDate,
+                orderItem.oi_inventory
+            ),
+        }));
+
+        return { items, ...sumPricedItems(items) };
+    } catch (error) {
+        console.error("Error calculating order pricing:", error);
+        throw error;
+    }
+};
+
+/**
+ * Recompute and store an order's item prices and total from its current dates
+ * Called whenever items are added or removed or the rental dates change
+ *
+ * @param {Object} order - Order with order_id and rental dates
+ * @returns {Object} - { items, total, unpricedItemsCount }
+ */
+const recalculateOrderTotals = async (order) => {
+    try {
+        const pricing = await calculateOrderPricing(order.order_id, order.order_pickup_at, order.order_return_at);
+
+        await Promise.all(pricing.items.map((item) =>
+            OrderItem.updateOne(
+                { oi_id: item.itemId },
+                { oi_rental_days: item.rentalDays, oi_rental_price: item.total }
+            )
+        ));
+
+        await Order.updateOne(
+            { order_id: order.order_id },
+            {
+                order_total: pricing.total,
+                order_unpriced_items_count: pricing.unpricedItemsCount,
+                order_priced_at: new Date(),
+            }
+        );
+
+        return pricing;
+    } catch (error) {
+        console.error("Error recalculating order totals:", error);
+        throw error;
+    }
+};
+
+module.exports = {
+    getRentalDays,
+    getRentalRates,
+    priceRentalDays,
+    priceInventory,
+    quoteInventories,
+    calculateOrderPricing,
+    recalculateOrderTotals,
+};
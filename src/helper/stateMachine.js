@@ -0,0 +1,154 @@
+const { ORDER_STATUS, ORDER_ITEM_STATUS } = require("../constants/status");
+
+/**
+ * Legal order status transitions
+ * Each status lists the statuses it may move to; a status may always "move" to itself
+ */
+const ORDER_TRANSITIONS = {
+    [ORDER_STATUS.WORKING]: [ORDER_STATUS.HOLD, ORDER_STATUS.CONFIRM, ORDER_STATUS.CANCELLED],
+    [ORDER_STATUS.HOLD]: [ORDER_STATUS.WORKING, ORDER_STATUS.CONFIRM, ORDER_STATUS.CANCELLED],
+    [ORDER_STATUS.CONFIRM]: [ORDER_STATUS.CHECK_OUT, ORDER_STATUS.RUSH_ORDER, ORDER_STATUS.CANCELLED],
+    // Post-confirmation fulfilment flow
+    [ORDER_STATUS.RUSH_ORDER]: [ORDER_STATUS.PACK],
+    [ORDER_STATUS.CHECK_OUT]: [ORDER_STATUS.PACK],
+    [ORDER_STATUS.PACK]: [ORDER_STATUS.PICK_UP, ORDER_STATUS.SHIP],
+    [ORDER_STATUS.PICK_UP]: [ORDER_STATUS.OUT],
+    [ORDER_STATUS.SHIP]: [ORDER_STATUS.OUT],
+    [ORDER_STATUS.OUT]: [ORDER_STATUS.RETURNED],
+    [ORDER_STATUS.RETURNED]: [ORDER_STATUS.CHECK_IN],
+    [ORDER_STATUS.CHECK_IN]: [ORDER_STATUS.IN, ORDER_STATUS.ISSUE],
+    [ORDER_STATUS.ISSUE]: [ORDER_STATUS.IN],
+    [ORDER_STATUS.IN]: [],
+    [ORDER_STATUS.CANCELLED]: [],
+};
+
+// Before confirmation an item's status is recalculated freely from conflicts
+// (hold queue, promotion, approval, rejection, date changes, confirm cascade)
+const QUEUE_ITEM_STATUSES = [
+    ORDER_ITEM_STATUS.AVAILABLE,
+    ORDER_ITEM_STATUS.ON_HOLD_REQUEST,
+    ORDER_ITEM_STATUS.ON_HOLD,
+    ORDER_ITEM_STATUS.SECOND_HOLD_REQUEST,
+    ORDER_ITEM_STATUS.SECOND_HOLD,
+    ORDER_ITEM_STATUS.THIRD_HOLD_REQUEST,
+    ORDER_ITEM_STATUS.THIRD_HOLD,
+    ORDER_ITEM_STATUS.UNAVAILABLE,
+    ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL,
+];
+
+// Only these queue statuses can be confirmed
+const CONFIRMABLE_ITEM_STATUSES = [ORDER_ITEM_STATUS.AVAILABLE, ORDER_ITEM_STATUS.ON_HOLD];
+
+/**
+ * Legal order item status transitions
+ * Items without a status yet (new items) may enter any queue status
+ */
+const ORDER_ITEM_TRANSITIONS = {
+    ...Object.fromEntries(QUEUE_ITEM_STATUSES.map((status) => [
+        status,
+        [
+            ...QUEUE_ITEM_STATUSES.filter((other) => other !== status),
+            ...(CONFIRMABLE_ITEM_STATUSES.includes(status) ? [ORDER_ITEM_STATUS.CONFIRMED] : []),
+            ORDER_ITEM_STATUS.CANCELLED,
+        ],
+    ])),
+    [ORDER_ITEM_STATUS.CONFIRMED]: [ORDER_ITEM_STATUS.OUT, ORDER_ITEM_STATUS.CANCELLED],
+    [ORDER_ITEM_STATUS.OUT]: [ORDER_ITEM_STATUS.IN, ORDER_ITEM_STATUS.LOSS],
+    [ORDER_ITEM_STATUS.IN]: [ORDER_ITEM_STATUS.CLEAN, ORDER_ITEM_STATUS.DAMAGE, ORDER_ITEM_STATUS.LOSS],
+    [ORDER_ITEM_STATUS.CLEAN]: [],
+    [ORDER_ITEM_STATUS.DAMAGE]: [],
+    [ORDER_ITEM_STATUS.LOSS]: [],
+    [ORDER_ITEM_STATUS.CANCELLED]: [],
+};
+
+class StateTransitionError extends Error {
+    constructor(entity, id, from, to, allowed) {
+        super(`Illegal ${entity} status transition from "${from}" to "${to}"`);
+        this.name = "StateTransitionError";
+        this.statusCode = 409;
+        this.entity = entity;
+        this.id = id;
+        this.from = from;
+        this.to = to;
+        this.allowed = allowed;
+    }
+
+    toJSON() {
+        return {
+            code: "ILLEGAL_STATUS_TRANSITION",
+            entity: this.entity,
+            id: this.id,
+            from: this.from,
+            to: this.to,
+            allowed: this.allowed,
+        };
+    }
+}
+
+const canTransition = (transitions, from, to) => {
+    if (from === to) return true;
+    return (transitions[from] || []).includes(to);
+};
+
+/**
+ * @param {String} from - Current ORDER_STATUS
+ * @param {String} to - Requested ORDER_STATUS
+ * @returns {Boolean} - True if the order may move from -> to
+ */
+const canTransitionOrder = (from, to) => canTransition(ORDER_TRANSITIONS, from, to);
+
+/**
+ * @param {String} from - Current ORDER_ITEM_STATUS (empty for new items)
+ * @param {String} to - Requested ORDER_ITEM_STATUS
+ * @returns {Boolean} - True if the order item may move from -> to
+ */
+const canTransitionOrderItem = (from, to) => {
+    if (!from) return QUEUE_ITEM_STATUSES.includes(to);
+    return canTransition(ORDER_ITEM_TRANSITIONS, from, to);
+};
+
+/**
+ * Throw a StateTransitionError unless the order may move to the status
+ *
+ * @param {Object} order - Order document (or plain object with order_id/order_status)
+ * @param {String} to - Requested ORDER_STATUS
+ */
+const assertOrderTransition = (order, to) => {
+    if (!canTransitionOrder(order.order_status, to)) {
+        throw new StateTransitionError(
+            "order",
+            order.order_id,
+            order.order_status,
+            to,
+            ORDER_TRANSITIONS[order.order_status] || []
+        );
+    }
+};
+
+/**
+ * Throw a StateTransitionError unless the order item may move to the status
+ *
+ * @param {Object} orderItem - Order item document (or plain object with oi_id/oi_status)
+ * @param {String} to - Requested ORDER_ITEM_STATUS
+ */
+const assertOrderItemTransition = (orderItem, to) => {
+    if (!canTransitionOrderItem(orderItem.oi_status, to)) {
+        throw new StateTransitionError(
+            "order_item",
+            orderItem.oi_id,
+            orderItem.oi_status,
+            to,
+            orderItem.oi_status ? ORDER_ITEM_TRANSITIONS[orderItem.oi_status] || [] : QUEUE_ITEM_STATUSES
+        );
+    }
+};
+
+module.exports = {
+    ORDER_TRANSITIONS,
+    ORDER_ITEM_TRANSITIONS,
+    StateTransitionError,
+    canTransitionOrder,
+    canTransitionOrderItem,
+    assertOrderTransition,
+    assertOrderItemTransition,
+};
@@ -0,0 +1,17 @@
+const { EventEmitter } = require("events");
+
+const STATUS_EVENT = {
+    // Emitted with the history entries of every recorded status or date change
+    RECORDED: "recorded",
+};
+
+/**
+ * In-process feed of status history as it is written
+ * Listeners run after the change is saved and must not throw into the writer
+ */
+const statusEvents = new EventEmitter();
+
+module.exports = {
+    STATUS_EVENT,
+    statusEvents,
+};
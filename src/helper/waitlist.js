@@ -0,0 +1,160 @@
+const Waitlist = require("../schemas/waitlist.schema");
+const Inventory = require("../schemas/inventory.schema");
+const Order = require("../schemas/order.schema");
+const OrderItem = require("../schemas/orderItem.schema");
+const { ORDER_STATUS, ORDER_ITEM_STATUS, HOLD_LEVEL, BOOKED_ITEM_STATUSES } = require("../constants/status");
+const { HISTORY_REASON } = require("../constants/history");
+const { WAITLIST_STATUS } = require("../constants/waitlist");
+const { NOTIFICATION_EVENT } = require("../constants/notification");
+const { calculateOrderItemStatus } = require("./orderItem");
+const { getMaxRentalBuffer, getBlockedWindow } = require("./buffer");
+const { startOfBusinessDay } = require("./businessDate");
+const { assertOrderItemTransition } = require("./stateMachine");
+const { orderItemHistory, recordHistory } = require("./history");
+const { notifyUser } = require("./notification");
+
+// Orders a waitlist entry can still be offered capacity for
+const WAITLIST_ORDER_STATUSES = [ORDER_STATUS.WORKING, ORDER_STATUS.HOLD];
+
+// Statuses a window or an order item has while the artwork is taken
+const TAKEN_STATUSES = [ORDER_ITEM_STATUS.UNAVAILABLE, ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL];
+
+/**
+ * Whether removing an item in this status frees capacity others can wait for
+ *
+ * @param {String} status - The removed, released or cancelled item's previous status
+ * @returns {Boolean}
+ */
+const freesCapacity = (status) => Boolean(HOLD_LEVEL[status]) || BOOKED_ITEM_STATUSES.includes(status);
+
+/**
+ * Move the waitlisted order's unavailable item into the freed hold slot
+ * Only orders that already requested holds are queued; a working order's item
+ * gets its place in the queue when the customer requests the hold
+ *
+ * @param {Object} entry - Waitlist entry
+ * @param {Object} order - The entry's order (status hold)
+ * @param {String} freedByOrderId - The order whose release freed the slot
+ * @returns {Object|null} - The queued order item, or null if nothing was queued
+ */
+const queueIntoFreedSlot = async (entry, order, freedByOrderId) => {
+    try {
+        const orderItem = await OrderItem.findOne({
+            oi_order_fk_order_id: order.order_id,
+            oi_inventory_fk_inventory_id: entry.wl_inventory_fk_inventory_id,
+            oi_deleted: false,
+        });
+        if (!orderItem || !TAKEN_STATUSES.includes(orderItem.oi_status)) return null;
+
+        const { status } = await calculateOrderItemStatus(orderItem, order);
+        if (!HOLD_LEVEL[status]) return null;
+
+        assertOrderItemTransition(orderItem, status);
+        const history = orderItemHistory(
+            orderItem,
+            { oi_status: status, oi_unavailable_until: null },
+            { reason: HISTORY_REASON.WAITLIST_QUEUED, causedByOrderId: freedByOrderId }
+        );
+        orderItem.oi_status = status;
+        orderItem.oi_unavailable_until = null;
+        orderItem.oi_request_hold = true;
+        orderItem.oi_request_hold_at = new Date();
+        orderItem.oi_updated_at = new Date();
+        await orderItem.save();
+        await recordHistory(history);
+
+        return orderItem;
+    } catch (error) {
+        console.error("Error queueing waitlisted order item:", error);
+        throw error;
+    }
+};
+
+/**
+ * Offer capacity freed on an artwork to the earliest waitlister it fits
+ * Waiting entries whose window is near the freed rental are checked oldest first
+ * with the hold flow's rules; the first one that is no longer unavailable is
+ * emailed (or auto-queued if it asked to be). Entries of orders that were
+ * cancelled or confirmed in the meantime are closed on the way.
+ * Must run inside the artwork's inventory lock, after the cascades of the release.
+ *
+ * @param {String} inventoryId - The artwork that freed up
+ * @param {Object} freedByOrder - The order whose hold or booking was released
+ * @returns {Object|null} - The notified waitlist entry, or null if nobody fits
+ */
+const notifyWaitlist = async (inventoryId, freedByOrder) => {
+    try {
+        // Turnaround buffers reach beyond the rental dates on both sides
+        const inventory = await Inventory.findOne({ inventory_id: inventoryId }, { inventory_buffer: 1, inventory_barcode: 1 });
+        const maxBuffer = getMaxRentalBuffer(inventory);
+        const reach = maxBuffer.beforeDays + maxBuffer.afterDays;
+        const window = getBlockedWindow(
+            freedByOrder.order_pickup_at,
+            freedByOrder.order_return_at,
+            { beforeDays: reach, afterDays: reach }
+        );
+
+        const entries = await Waitlist.find({
+            wl_inventory_fk_inventory_id: inventoryId,
+            wl_status: WAITLIST_STATUS.WAITING,
+            wl_pickup_at: { $gte: startOfBusinessDay(new Date()), $lte: window.until },
+            wl_return_at: { $gte: window.from },
+        }).sort({ wl_created_at: 1, _id: 1 });
+
+        for (const entry of entries) {
+            let order = null;
+            if (entry.wl_order_fk_order_id) {
+                order = await Order.findOne({ order_id: entry.wl_order_fk_order_id });
+                if (!order || !WAITLIST_ORDER_STATUSES.includes(order.order_status)) {
+                    entry.wl_status = WAITLIST_STATUS.CANCELLED;
+                    await entry.save();
+                    continue;
+                }
+            }
+
+            // The window is judged like a hold request for it would be
+            const { status } = await calculateOrderItemStatus(
+                { oi_inventory_fk_inventory_id: inventoryId },
+                order || {
+                    order_id: null,
+                    order_pickup_at: entry.wl_pickup_at,
+                    order_return_at: entry.wl_return_at,
+                }
+            );
+            if (TAKEN_STATUSES.includes(status)) continue;
+
+            const queuedItem = entry.wl_auto_queue && order && order.order_status === ORDER_STATUS.HOLD
+                ? await queueIntoFreedSlot(entry, order, freedByOrder.order_id)
+                : null;
+
+            entry.wl_status = queuedItem ? WAITLIST_STATUS.QUEUED : WAITLIST_STATUS.NOTIFIED;
+            entry.wl_notified_at = new Date();
+            entry.wl_freed_by_fk_order_id = freedByOrder.order_id;
+            if (queuedItem) {
+                entry.wl_queued_fk_oi_id = queuedItem.oi_id;
+            }
+            await entry.save();
+
+            // A queued item is announced through its status history like any hold
+            if (!queuedItem) {
+                notifyUser(NOTIFICATION_EVENT.WAITLIST_AVAILABLE, entry.wl_user_fk_user_id, {
+                    entry,
+                    barcode: inventory ? inventory.inventory_barcode : inventoryId,
+                });
+            }
+
+            return entry;
+        }
+
+        return null;
+    } catch (error) {
+        console.error("Error notifying waitlist:", error);
+        throw error;
+    }
+};
+
+module.exports = {
+    WAITLIST_ORDER_STATUSES,
+    freesCapacity,
+    notifyWaitlist,
+};
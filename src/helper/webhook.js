@@ -0,0 +1,278 @@
+const crypto = require("crypto");
+const config = require("../config");
+const Webhook = require("../schemas/webhook.schema");
+const WebhookDelivery = require("../schemas/webhookDelivery.schema");
+const { HISTORY_ENTITY } = require("../constants/history");
+const { ORDER_STATUS } = require("../constants/status");
+const { WEBHOOK_EVENT, WEBHOOK_ALL_EVENTS, WEBHOOK_DELIVERY_STATUS } = require("../constants/webhook");
+const { STATUS_EVENT, statusEvents } = require("./statusEvents");
+
+const SIGNATURE_HEADER = "X-Webhook-Signature";
+
+// Order statuses announced with their own event instead of order.status_changed
+const ORDER_STATUS_EVENTS = {
+    [ORDER_STATUS.CONFIRM]: WEBHOOK_EVENT.ORDER_CONFIRMED,
+    [ORDER_STATUS.CANCELLED]: WEBHOOK_EVENT.ORDER_CANCELLED,
+};
+
+// Dispatches still running; tests wait for them with flushWebhooks
+const pending = new Set();
+
+const track = (promise) => {
+    pending.add(promise);
+    promise.finally(() => pending.delete(promise));
+};
+
+/**
+ * Wait until every dispatched event has had its first delivery attempt
+ */
+const flushWebhooks = async () => {
+    while (pending.size > 0) {
+        await Promise.allSettled([...pending]);
+    }
+};
+
+const generateWebhookSecret = () => crypto.randomBytes(32).toString("hex");
+
+/**
+ * HMAC-SHA256 signature of a payload, as sent in the X-Webhook-Signature header
+ * Receivers recompute it over `${timestamp}.${rawBody}` with their secret
+ *
+ * @param {String} secret - The webhook's secret
+ * @param {Number} timestamp - Unix seconds sent as t= in the header
+ * @param {String} body - Raw JSON request body
+ * @returns {String} - Hex digest
+ */
+const signPayload = (secret, timestamp, body) =>
+    crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+/**
+ * Which webhook event a history entry announces, if any
+ * Only order_status and oi_status changes are announced; an order's first status is its creation
+ *
+ * @param {Object} entry - History entry as written by recordHistory
+ * @returns {String|null} - WEBHOOK_EVENT value
+ */
+const getWebhookEvent = (entry) => {
+    if (entry.sh_entity === HISTORY_ENTITY.ORDER && entry.sh_field === "order_status") {
+        if (entry.sh_old_value === null) return WEBHOOK_EVENT.ORDER_CREATED;
+        return ORDER_STATUS_EVENTS[entry.sh_new_value] || WEBHOOK_EVENT.ORDER_STATUS_CHANGED;
+    }
+    if (entry.sh_entity === HISTORY_ENTITY.ORDER_ITEM && entry.sh_field === "oi_status") {
+        return WEBHOOK_EVENT.ORDER_ITEM_STATUS_CHANGED;
+    }
+    return null;
+};
+
+/**
+ * Payload posted to webhooks for one status change
+ * The history entry's ID doubles as the event ID, so receivers can drop redeliveries
+ *
+ * @param {String} event - WEBHOOK_EVENT value
+ * @param {Object} entry - History entry as written by recordHistory
+ * @returns {Object}
+ */
+const buildPayload = (event, entry) => ({
+    id: entry.sh_id,
+    event,
+    createdAt: entry.sh_created_at,
+    data: {
+        order_id: entry.sh_order_fk_order_id,
+        ...(entry.sh_entity === HISTORY_ENTITY.ORDER_ITEM
+            ? { oi_id: entry.sh_entity_id, inventoryId: entry.sh_inventory_fk_inventory_id }
+            : {}),
+        previousStatus: entry.sh_old_value,
+        newStatus: entry.sh_new_value,
+        reason: entry.sh_reason || null,
+        causedByOrderId: entry.sh_caused_by_fk_order_id || null,
+        actor: entry.sh_actor_fk_user_id
+            ? { user_id: entry.sh_actor_fk_user_id, user_role: entry.sh_actor_role }
+            : null,
+        endpoint: entry.sh_endpoint || null,
+    },
+});
+
+/**
+ * Seconds to wait before the next attempt after a failed one: base, 2x base, 4x base, ...
+ *
+ * @param {Number} attempts - Attempts made so far (at least 1)
+ * @returns {Number}
+ */
+const getRetryDelaySeconds = (attempts) => config.webhooks.retryBaseSeconds * 2 ** (attempts - 1);
+
+/**
+ * POST a pending delivery to its webhook once and record the outcome
+ * The delivery is claimed first, so the immediate attempt and the retry job
+ * never send it twice at the same time; a failed attempt is rescheduled with
+ * backoff until maxAttempts, then the delivery is marked failed
+ *
+ * @param {String} deliveryId - wd_id of a pending delivery
+ * @returns {Object|null} - The updated delivery, or null if it was not due or already claimed
+ */
+const attemptDelivery = async (deliveryId) => {
+    try {
+        const now = new Date();
+        const leaseMs = config.webhooks.timeoutMs + config.webhooks.retryBaseSeconds * 1000;
+
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+            {
+                wd_id: deliveryId,
+                wd_status: WEBHOOK_DELIVERY_STATUS.PENDING,
+                wd_next_attempt_at: { $lte: now },
+            },
+            {
+                $set: { wd_next_attempt_at: new Date(now.getTime() + leaseMs), wd_last_attempt_at: now },
+                $inc: { wd_attempts: 1 },
+            },
+            { new: true }
+        );
+        if (!delivery) return null;
+
+        const webhook = await Webhook.findOne({ wh_id: delivery.wd_webhook_fk_webhook_id });
+        if (!webhook || !webhook.wh_active) {
+            return await WebhookDelivery.findOneAndUpdate(
+                { wd_id: deliveryId },
+                { $set: { wd_status: WEBHOOK_DELIVERY_STATUS.FAILED, wd_last_error: "Webhook was removed or disabled" } },
+                { new: true }
+            );
+        }
+
+        const body = JSON.stringify(delivery.wd_payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        let statusCode;
+        let error = null;
+
+        try {
+            const response = await fetch(webhook.wh_url, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    "X-Webhook-Event": delivery.wd_event,
+                    "X-Webhook-Delivery": delivery.wd_id,
+                    [SIGNATURE_HEADER]: `t=${timestamp},v1=${signPayload(webhook.wh_secret, timestamp, body)}`,
+                },
+                body,
+                signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+            });
+            statusCode = response.status;
+            // The response body is not used; release the connection
+            if (response.body) await response.body.cancel();
+            if (!response.ok) error = `Endpoint responded with HTTP ${response.status}`;
+        } catch (requestError) {
+            error = requestError.message;
+        }
+
+        let updates;
+        if (!error) {
+            updates = { wd_status: WEBHOOK_DELIVERY_STATUS.SUCCEEDED, wd_delivered_at: new Date(), wd_last_error: null };
+        } else if (delivery.wd_attempts >= config.webhooks.maxAttempts) {
+            updates = { wd_status: WEBHOOK_DELIVERY_STATUS.FAILED, wd_last_error: error };
+        } else {
+            const delayMs = getRetryDelaySeconds(delivery.wd_attempts) * 1000;
+            updates = { wd_next_attempt_at: new Date(Date.now() + delayMs), wd_last_error: error };
+        }
+
+        return await WebhookDelivery.findOneAndUpdate(
+            { wd_id: deliveryId },
+            { $set: { ...updates, wd_last_status_code: statusCode } },
+            { new: true }
+        );
+    } catch (error) {
+        console.error("Error delivering webhook:", error);
+        throw error;
+    }
+};
+
+/**
+ * Retry every pending delivery that is due, oldest first
+ *
+ * @param {Number} [limit] - Most deliveries attempted in one pass
+ * @returns {Number} - Number of deliveries attempted
+ */
+const retryDueDeliveries = async (limit = 100) => {
+    try {
+        const due = await WebhookDelivery.find(
+            { wd_status: WEBHOOK_DELIVERY_STATUS.PENDING, wd_next_attempt_at: { $lte: new Date() } },
+            { wd_id: 1 }
+        )
+            .sort({ wd_next_attempt_at: 1, _id: 1 })
+            .limit(limit);
+
+        let attempted = 0;
+        for (const { wd_id } of due) {
+            if (await attemptDelivery(wd_id)) attempted += 1;
+        }
+        return attempted;
+    } catch (error) {
+        console.error("Error retrying webhook deliveries:", error);
+        throw error;
+    }
+};
+
+/**
+ * Queue one delivery per event and subscribed webhook, then attempt them in order
+ *
+ * @param {Array} events - [{ event, entry }]
+ */
+const dispatchEvents = async (events) => {
+    const eventNames = [...new Set(events.map(({ event }) => event))];
+    const webhooks = await Webhook.find({
+        wh_active: true,
+        wh_events: { $in: [WEBHOOK_ALL_EVENTS, ...eventNames] },
+    });
+    if (webhooks.length === 0) return;
+
+    const deliveries = await WebhookDelivery.insertMany(
+        events.flatMap(({ event, entry }) => webhooks
+            .filter((webhook) => webhook.wh_events.includes(WEBHOOK_ALL_EVENTS) || webhook.wh_events.includes(event))
+            .map((webhook) => ({
+                wd_webhook_fk_webhook_id: webhook.wh_id,
+                wd_event: event,
+                wd_order_fk_order_id: entry.sh_order_fk_order_id,
+                wd_payload: buildPayload(event, entry),
+            })))
+    );
+
+    for (const delivery of deliveries) {
+        await attemptDelivery(delivery.wd_id);
+    }
+};
+
+const handleRecordedHistory = (entries) => {
+    const events = entries
+        .map((entry) => ({ event: getWebhookEvent(entry), entry }))
+        .filter(({ event }) => event);
+    if (events.length === 0) return;
+
+    track(dispatchEvents(events).catch((error) => {
+        console.error("Error dispatching webhooks:", error);
+    }));
+};
+
+let started = false;
+
+/**
+ * Post the order and order item status changes recorded from now on to the registered webhooks
+ */
+const startWebhooks = () => {
+    if (started) return;
+    statusEvents.on(STATUS_EVENT.RECORDED, handleRecordedHistory);
+    started = true;
+};
+
+const stopWebhooks = () => {
+    statusEvents.off(STATUS_EVENT.RECORDED, handleRecordedHistory);
+    started = false;
+};
+
+module.exports = {
+    SIGNATURE_HEADER,
+    generateWebhookSecret,
+    signPayload,
+    getWebhookEvent,
+    attemptDelivery,
+    retryDueDeliveries,
+    flushWebhooks,
+    startWebhooks,
+    stopWebhooks,
+};
@@ -0,0 +1,53 @@
+const config = require("../config");
+const { expireStaleHoldRequests } = require("../helper/holdExpiry");
+const { runWithAuditContext } = require("../helper/auditContext");
+
+// Recorded as the endpoint of every history entry the job writes
+const JOB_ENDPOINT = "job:hold-expiry";
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one expiry pass, skipping if the previous pass is still running
+ */
+const runHoldExpiry = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+        const expired = await runWithAuditContext({ endpoint: JOB_ENDPOINT }, () =>
+            expireStaleHoldRequests(config.holds.requestTtlHours)
+        );
+        if (expired.length > 0) {
+            console.log(`Expired ${expired.length} stale hold request(s)`);
+        }
+    } catch (error) {
+        console.error("Hold expiry job failed:", error);
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Start the in-process hold expiry scheduler
+ * Does nothing when HOLD_REQUEST_TTL_HOURS is 0
+ */
+const startHoldExpiryJob = () => {
+    if (timer || config.holds.requestTtlHours <= 0) return;
+
+    timer = setInterval(runHoldExpiry, config.holds.expiryIntervalMinutes * 60 * 1000);
+    // Never keep the process alive just for this job
+    timer.unref();
+};
+
+const stopHoldExpiryJob = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    runHoldExpiry,
+    startHoldExpiryJob,
+    stopHoldExpiryJob,
+};
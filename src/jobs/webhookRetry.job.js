@@ -0,0 +1,46 @@
+const config = require("../config");
+const { retryDueDeliveries } = require("../helper/webhook");
+
+let timer = null;
+let running = false;
+
+/**
+ * Retry the webhook deliveries that are due, skipping if the previous pass is still running
+ */
+const runWebhookRetry = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+        const attempted = await retryDueDeliveries();
+        if (attempted > 0) {
+            console.log(`Retried ${attempted} webhook delivery(ies)`);
+        }
+    } catch (error) {
+        console.error("Webhook retry job failed:", error);
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Start the in-process webhook retry scheduler
+ */
+const startWebhookRetryJob = () => {
+    if (timer) return;
+
+    timer = setInterval(runWebhookRetry, config.webhooks.retryIntervalSeconds * 1000);
+    // Never keep the process alive just for this job
+    timer.unref();
+};
+
+const stopWebhookRetryJob = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    runWebhookRetry,
+    startWebhookRetryJob,
+    stopWebhookRetryJob,
+};
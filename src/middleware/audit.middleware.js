@@ -0,0 +1,11 @@
+const { runWithAuditContext } = require("../helper/auditContext");
+
+/**
+ * Make the request available to the status history helpers
+ * so every change can be attributed to its user and endpoint
+ */
+const auditContext = (req, res, next) => runWithAuditContext({ req }, next);
+
+module.exports = {
+    auditContext,
+};
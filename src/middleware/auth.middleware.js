@@ -0,0 +1,51 @@
+const User = require("../schemas/user.schema");
+const { verifyAccessToken } = require("../helper/auth");
+
+/**
+ * Require a valid "Authorization: Bearer <token>" header
+ * and attach the authenticated user document to req.user
+ */
+const authenticate = async (req, res, next) => {
+    try {
+        const [scheme, token] = (req.headers.authorization || "").split(" ");
+
+        if (scheme !== "Bearer" || !token) {
+            return res.status(401).json({
+                success: false,
+                message: "Authentication token is required"
+            });
+        }
+
+        let payload;
+        try {
+            payload = verifyAccessToken(token);
+        } catch (error) {
+            return res.status(401).json({
+                success: false,
+                message: "Invalid or expired authentication token"
+            });
+        }
+
+        const user = await User.findOne({ user_id: payload.sub });
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: "User for this token no longer exists"
+            });
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        console.error("Authentication error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to authenticate request",
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    authenticate,
+};
@@ -0,0 +1,87 @@
+const Order = require("../schemas/order.schema");
+const OrderItem = require("../schemas/orderItem.schema");
+const { USER_ROLE } = require("../constants/role");
+
+const isAdmin = (user) => Boolean(user) && user.user_role === USER_ROLE.ADMIN;
+
+/**
+ * Allow the request only for users with one of the given roles
+ * Must run after authenticate
+ *
+ * @param {...String} roles - Allowed USER_ROLE values
+ */
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.user_role)) {
+        return res.status(403).json({
+            success: false,
+            message: "You are not allowed to perform this action"
+        });
+    }
+    next();
+};
+
+/**
+ * Allow admins, or the customer who created the order
+ * Orders that do not exist are passed through so the controller answers 404
+ *
+ * @param {Function} getOrderId - Reads the order ID from the request
+ */
+const requireOrderAccess = (getOrderId) => async (req, res, next) => {
+    try {
+        if (isAdmin(req.user)) return next();
+
+        const order = await Order.findOne({ order_id: getOrderId(req) }, { order_created_fk_user_id: 1 });
+        if (order && order.order_created_fk_user_id !== req.user.user_id) {
+            return res.status(403).json({
+                success: false,
+                message: "You can only access your own orders"
+            });
+        }
+        next();
+    } catch (error) {
+        console.error("Order authorization error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to authorize request",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Allow admins, or the customer who owns the order item's parent order
+ * Order items that do not exist are passed through so the controller answers 404
+ *
+ * @param {Function} getOrderItemId - Reads the order item ID from the request
+ */
+const requireOrderItemAccess = (getOrderItemId) => async (req, res, next) => {
+    try {
+        if (isAdmin(req.user)) return next();
+
+        const orderItem = await OrderItem.findOne({ oi_id: getOrderItemId(req) }, { oi_order_fk_order_id: 1 });
+        if (!orderItem) return next();
+
+        const order = await Order.findOne({ order_id: orderItem.oi_order_fk_order_id }, { order_created_fk_user_id: 1 });
+        if (order && order.order_created_fk_user_id !== req.user.user_id) {
+            return res.status(403).json({
+                success: false,
+                message: "You can only access your own order items"
+            });
+        }
+        next();
+    } catch (error) {
+        console.error("Order item authorization error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to authorize request",
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    isAdmin,
+    requireRole,
+    requireOrderAccess,
+    requireOrderItemAccess,
+};
@@ -0,0 +1,68 @@
+const VALIDATION_OPTIONS = {
+    abortEarly: false,
+    convert: true,
+    // "order_name is required" rather than "\"order_name\" is required"
+    errors: { wrap: { label: false } },
+};
+
+// Validated in this order so params errors are listed first
+const LOCATIONS = ["params", "query", "body"];
+
+/**
+ * Validate params, query and body against Joi schemas, then run async checks
+ * Unknown fields are rejected, so schemas double as field whitelists.
+ * Every problem is answered in one 400 as { location, field, message }.
+ * The converted body (trimmed strings, Date objects) replaces req.body.
+ *
+ * @param {Object} rules - { params, query, body } Joi schemas and
+ * checks: [async ({ params, query, body }, req) => [{ location, field, message }]] run once the schemas pass
+ */
+const validate = (rules) => async (req, res, next) => {
+    try {
+        const errors = [];
+        const values = {};
+
+        for (const location of LOCATIONS) {
+            if (!rules[location]) continue;
+
+            const { value, error } = rules[location].validate(req[location] ?? {}, VALIDATION_OPTIONS);
+            if (error) {
+                errors.push(...error.details.map((detail) => ({
+                    location,
+                    field: detail.path.join(".") || null,
+                    message: detail.message,
+                })));
+            }
+            values[location] = value;
+        }
+
+        // Reference and cross-field checks only make sense on well-formed input
+        if (errors.length === 0) {
+            for (const check of rules.checks || []) {
+                errors.push(...(await check(values, req)));
+            }
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors
+            });
+        }
+
+        if (values.body) req.body = values.body;
+        next();
+    } catch (error) {
+        console.error("Request validation error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to validate request",
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    validate,
+};
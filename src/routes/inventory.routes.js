@@ -1,6 +1,25 @@
 const express = require('express');
 const router = express.Router();
+const inventoryController = require('../controllers/inventory.controller');
+const historyController = require('../controllers/history.controller');
+const { authenticate } = require('../middleware/auth.middleware');
+const { requireRole } = require('../middleware/authorize.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const inventoryValidator = require('../validators/inventory.validator');
+const { USER_ROLE } = require('../constants/role');
 
-// Add your inventory routes here
+const adminOnly = [authenticate, requireRole(USER_ROLE.ADMIN)];
+
+router.post('/', adminOnly, validate(inventoryValidator.createInventory), inventoryController.createInventory);
+router.get('/', inventoryController.listInventories);
+router.get('/search-available', inventoryController.searchAvailability);
+router.get('/barcode/:inventory_barcode', inventoryController.getInventoryByBarcode);
+router.get('/barcode/:inventory_barcode/availability', authenticate, inventoryController.getAvailability);
+router.get('/availability/:inventory_id', authenticate, inventoryController.getAvailability);
+router.get('/history/:inventory_id', adminOnly, historyController.getInventoryHistory);
+router.get('/:inventory_id', inventoryController.getInventory);
+router.put('/:inventory_id', adminOnly, validate(inventoryValidator.updateInventory), inventoryController.updateInventory);
+router.delete('/retire-inventory/:inventory_id', adminOnly, inventoryController.retireInventory);
+router.put('/return-to-service/:inventory_id', adminOnly, inventoryController.returnToService);
 
 module.exports = router;
@@ -1,10 +1,36 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/order.controller');
+const fulfilmentController = require('../controllers/fulfilment.controller');
+const historyController = require('../controllers/history.controller');
+const pricingController = require('../controllers/pricing.controller');
+const documentController = require('../controllers/document.controller');
+const orderValidator = require('../validators/order.validator');
+const { authenticate } = require('../middleware/auth.middleware');
+const { requireRole, requireOrderAccess } = require('../middleware/authorize.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const { USER_ROLE } = require('../constants/role');
 
-router.post('/', orderController.createOrder);
-router.put('/request-hold/:order_id', orderController.requestHold);
-router.put('/confirm-order/:order_id', orderController.confirmOrder);
-router.put('/update-order/:order_id', orderController.updateOrder);
+const adminOnly = requireRole(USER_ROLE.ADMIN);
+const ownOrder = requireOrderAccess((req) => req.params.order_id);
+
+router.use(authenticate);
+
+router.get('/', validate(orderValidator.listOrders), orderController.listOrders);
+router.post('/', validate(orderValidator.createOrder), orderController.createOrder);
+router.post('/quote', validate(orderValidator.getQuote), pricingController.getQuote);
+router.get('/history/:order_id', validate(orderValidator.getOrderHistory), ownOrder, historyController.getOrderHistory);
+router.get('/document/:order_id', validate(orderValidator.getOrderDocument), ownOrder, documentController.getOrderDocument);
+router.get('/:order_id', validate(orderValidator.getOrder), ownOrder, orderController.getOrder);
+router.put('/request-hold/:order_id', validate(orderValidator.requestHold), ownOrder, orderController.requestHold);
+router.put('/confirm-order/:order_id', adminOnly, validate(orderValidator.confirmOrder), orderController.confirmOrder);
+router.put('/cancel-order/:order_id', validate(orderValidator.cancelOrder), ownOrder, orderController.cancelOrder);
+router.put('/update-order/:order_id', adminOnly, validate(orderValidator.updateOrder), orderController.updateOrder);
+router.put('/approve-hold/:order_id', adminOnly, validate(orderValidator.reviewHolds), orderController.approveOrderHolds);
+router.put('/reject-hold/:order_id', adminOnly, validate(orderValidator.reviewHolds), orderController.rejectOrderHolds);
+router.put('/fulfilment/:order_id', adminOnly, validate(orderValidator.updateFulfilmentStatus), fulfilmentController.updateFulfilmentStatus);
+router.put('/scan-out/:order_id', adminOnly, validate(orderValidator.scanItem), fulfilmentController.scanOut);
+router.put('/scan-in/:order_id', adminOnly, validate(orderValidator.scanItem), fulfilmentController.scanIn);
+router.put('/inspect-item/:order_id', adminOnly, validate(orderValidator.inspectItem), fulfilmentController.inspectItem);
 
 module.exports = router;
@@ -1,8 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const orderItemController = require('../controllers/orderItem.controller');
+const historyController = require('../controllers/history.controller');
+const orderItemValidator = require('../validators/orderItem.validator');
+const { authenticate } = require('../middleware/auth.middleware');
+const { requireRole, requireOrderAccess, requireOrderItemAccess } = require('../middleware/authorize.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const { USER_ROLE } = require('../constants/role');
 
-router.post('/', orderItemController.createOrderItem);
-router.delete('/remove-order-item/:oi_id', orderItemController.deleteOrderItem);
+const adminOnly = requireRole(USER_ROLE.ADMIN);
+const ownOrder = requireOrderAccess((req) => req.body.oi_order_fk_order_id);
+const ownOrderItem = requireOrderItemAccess((req) => req.params.oi_id);
+
+router.use(authenticate);
+
+router.get('/', validate(orderItemValidator.listOrderItems), orderItemController.listOrderItems);
+router.post('/', validate(orderItemValidator.createOrderItem), ownOrder, orderItemController.createOrderItem);
+router.get('/history/:oi_id', validate(orderItemValidator.getOrderItemHistory), ownOrderItem, historyController.getOrderItemHistory);
+router.delete('/remove-order-item/:oi_id', validate(orderItemValidator.deleteOrderItem), ownOrderItem, orderItemController.deleteOrderItem);
+router.put('/restore-order-item/:oi_id', validate(orderItemValidator.restoreOrderItem), ownOrderItem, orderItemController.restoreOrderItem);
+router.put('/approve-hold/:oi_id', adminOnly, validate(orderItemValidator.reviewHold), orderItemController.approveHold);
+router.put('/reject-hold/:oi_id', adminOnly, validate(orderItemValidator.reviewHold), orderItemController.rejectHold);
 
 module.exports = router;
@@ -1,6 +1,16 @@
 const express = require('express');
 const router = express.Router();
+const userController = require('../controllers/user.controller');
+const { authenticate } = require('../middleware/auth.middleware');
+const { requireRole } = require('../middleware/authorize.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const userValidator = require('../validators/user.validator');
+const { USER_ROLE } = require('../constants/role');
 
-// Add your user routes here
+router.post('/signup', validate(userValidator.signup), userController.signup);
+router.post('/login', validate(userValidator.login), userController.login);
+router.get('/me', authenticate, userController.getProfile);
+router.put('/notifications', authenticate, validate(userValidator.updateNotifications), userController.updateNotifications);
+router.put('/role/:user_id', authenticate, requireRole(USER_ROLE.ADMIN), validate(userValidator.updateUserRole), userController.updateUserRole);
 
 module.exports = router;
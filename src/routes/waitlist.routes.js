@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const waitlistController = require('../controllers/waitlist.controller');
+const waitlistValidator = require('../validators/waitlist.validator');
+const { authenticate } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+
+router.use(authenticate);
+
+router.get('/', validate(waitlistValidator.listWaitlist), waitlistController.listWaitlist);
+router.post('/', validate(waitlistValidator.joinWaitlist), waitlistController.joinWaitlist);
+router.delete('/:wl_id', validate(waitlistValidator.leaveWaitlist), waitlistController.leaveWaitlist);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhook.controller');
+const webhookValidator = require('../validators/webhook.validator');
+const { authenticate } = require('../middleware/auth.middleware');
+const { requireRole } = require('../middleware/authorize.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const { USER_ROLE } = require('../constants/role');
+
+router.use(authenticate, requireRole(USER_ROLE.ADMIN));
+
+router.post('/', validate(webhookValidator.createWebhook), webhookController.createWebhook);
+router.get('/', validate(webhookValidator.listWebhooks), webhookController.listWebhooks);
+router.put('/deliveries/:wd_id/redeliver', validate(webhookValidator.redeliver), webhookController.redeliver);
+router.put('/:wh_id', validate(webhookValidator.updateWebhook), webhookController.updateWebhook);
+router.delete('/:wh_id', validate(webhookValidator.deleteWebhook), webhookController.deleteWebhook);
+router.get('/:wh_id/deliveries', validate(webhookValidator.listDeliveries), webhookController.listDeliveries);
+
+module.exports = router;
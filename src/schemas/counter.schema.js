@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+const CounterSchema = new mongoose.Schema(
+  {
+    counter_name: { type: String, required: true, unique: true },
+    counter_value: { type: Number, default: 0 },
+  },
+  {
+    timestamps: {
+      createdAt: "counter_created_at",
+      updatedAt: "counter_updated_at",
+    },
+  }
+);
+
+module.exports = mongoose.model("Counter", CounterSchema);
@@ -4,7 +4,7 @@ const { v4: uuidv4 } = require("uuid");
 const InventorySchema = new mongoose.Schema(
   {
     inventory_id: { type: String, default: uuidv4 },
-    inventory_barcode: { type: String },
+    inventory_barcode: { type: String, required: true, unique: true },
     inventory_general: {
       width: { type: Number },
       depth: { type: Number },
@@ -15,6 +15,18 @@ const InventorySchema = new mongoose.Schema(
       three_day_price: { type: Number },
       three_day_visible: { type: Boolean, default: false },
     },
+    // Turnaround days for this artwork; unset fields fall back to the global buffers
+    inventory_buffer: {
+      before_days: { type: Number, min: 0 },
+      after_days: { type: Number, min: 0 },
+    },
+    inventory_retired: { type: Boolean, default: false },
+    inventory_retired_at: { type: Date },
+    // Damaged or lost artworks are unavailable for every order until returned to service
+    inventory_out_of_service: { type: Boolean, default: false },
+    inventory_out_of_service_reason: { type: String },
+    inventory_out_of_service_at: { type: Date },
+    inventory_service_notes: { type: String },
   },
   {
     timestamps: {
@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+const LockSchema = new mongoose.Schema(
+  {
+    lock_key: { type: String, required: true, unique: true },
+    lock_owner: { type: String, required: true },
+    // Locks left behind by a crashed process are removed by the TTL index
+    lock_expires_at: { type: Date, required: true, index: { expireAfterSeconds: 0 } },
+  },
+  {
+    timestamps: {
+      createdAt: "lock_created_at",
+      updatedAt: "lock_updated_at",
+    },
+  }
+);
+
+module.exports = mongoose.model("Lock", LockSchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+const { NOTIFICATION_EVENT, NOTIFICATION_STATUS } = require("../constants/notification");
+
+// One row per email the notification subsystem tried to send
+const NotificationSchema = new mongoose.Schema(
+  {
+    nt_id: { type: String, default: uuidv4 },
+    nt_event: { type: String, enum: Object.values(NOTIFICATION_EVENT), required: true },
+    nt_user_fk_user_id: { type: String, required: true },
+    nt_order_fk_order_id: { type: String },
+    nt_email: { type: String, required: true },
+    nt_subject: { type: String },
+    nt_status: { type: String, enum: Object.values(NOTIFICATION_STATUS), required: true },
+    nt_message_id: { type: String },
+    nt_error: { type: String },
+  },
+  {
+    timestamps: {
+      createdAt: "nt_created_at",
+      updatedAt: false,
+    },
+  }
+);
+
+NotificationSchema.index({ nt_user_fk_user_id: 1, nt_created_at: -1 });
+NotificationSchema.index({ nt_order_fk_order_id: 1, nt_created_at: -1 });
+
+module.exports = mongoose.model("Notification", NotificationSchema);
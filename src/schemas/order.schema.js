@@ -1,6 +1,8 @@
 const mongoose = require("mongoose");
 const { v4: uuidv4 } = require("uuid");
 const {ORDER_STATUS} = require("../constants/status");
+const { SHIPPING_METHOD } = require("../constants/shipping");
+const { formatBusinessDateTime } = require("../helper/businessDate");
 
 const OrderSchema = new mongoose.Schema(
   {
@@ -16,13 +18,36 @@ const OrderSchema = new mongoose.Schema(
       default: ORDER_STATUS.WORKING,
     },
     order_request_hold: { type: Boolean, default: false },
+    // Decides which transit buffers are kept around the rental
+    order_shipping_method: {
+      type: String,
+      enum: Object.values(SHIPPING_METHOD),
+      default: SHIPPING_METHOD.PICK_UP,
+    },
+    // Rental total of all priced items, recalculated when items or dates change
+    order_total: { type: Number, default: 0 },
+    order_unpriced_items_count: { type: Number, default: 0 },
+    order_priced_at: { type: Date },
+    // Sequential invoice number, assigned once the order is confirmed
+    order_invoice_number: { type: String, unique: true, sparse: true },
+    order_invoiced_at: { type: Date },
   },
   {
     timestamps: {
       createdAt: "order_created_at",
       updatedAt: "order_updated_at",
     },
+    // Echo the rental dates in the business timezone next to the stored UTC values
+    toJSON: { virtuals: true },
+    id: false,
   }
 );
 
+OrderSchema.virtual("order_pickup_at_local").get(function () {
+  return formatBusinessDateTime(this.order_pickup_at);
+});
+OrderSchema.virtual("order_return_at_local").get(function () {
+  return formatBusinessDateTime(this.order_return_at);
+});
+
 module.exports = mongoose.model("Order", OrderSchema);
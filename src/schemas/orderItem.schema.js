@@ -1,6 +1,7 @@
 const mongoose = require("mongoose");
 const { v4: uuidv4 } = require("uuid");
 const {ORDER_ITEM_STATUS} = require("../constants/status");
+const { formatBusinessDateTime } = require("../helper/businessDate");
 
 const OrderItemSchema = new mongoose.Schema(
   {
@@ -18,15 +19,41 @@ const OrderItemSchema = new mongoose.Schema(
     oi_pickup_at: { type: Date },
     oi_return_at: { type: Date },
     oi_request_hold: { type: Boolean, default: false },
+    oi_rental_days: { type: Number },
+    // null when the artwork has no visible 3-day or 7-day price
+    oi_rental_price: { type: Number },
     oi_request_hold_at: { type: Date },
     oi_deleted: { type: Boolean, default: false },
+    oi_condition_notes: { type: String },
+    oi_inspected_at: { type: Date },
+    oi_inspected_by_fk_user_id: { type: String },
+    // Set when the booked artwork goes out of service before this rental
+    oi_flagged: { type: Boolean, default: false },
+    oi_flag_reason: { type: String },
+    oi_flagged_at: { type: Date },
   },
   {
     timestamps: {
       createdAt: "oi_created_at",
       updatedAt: "oi_updated_at",
     },
+    // Echo the rental dates in the business timezone next to the stored UTC values
+    toJSON: { virtuals: true },
+    id: false,
   }
 );
 
+OrderItemSchema.virtual("oi_pickup_at_local").get(function () {
+  return formatBusinessDateTime(this.oi_pickup_at);
+});
+OrderItemSchema.virtual("oi_return_at_local").get(function () {
+  return formatBusinessDateTime(this.oi_return_at);
+});
+OrderItemSchema.virtual("oi_unavailable_until_local").get(function () {
+  return formatBusinessDateTime(this.oi_unavailable_until);
+});
+
+// Conflict lookups always filter by inventory, deleted flag and rental dates
+OrderItemSchema.index({ oi_inventory_fk_inventory_id: 1, oi_deleted: 1, oi_pickup_at: 1, oi_return_at: 1 });
+
 module.exports = mongoose.model("OrderItem", OrderItemSchema);
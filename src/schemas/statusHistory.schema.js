@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+const { HISTORY_ENTITY } = require("../constants/history");
+
+const StatusHistorySchema = new mongoose.Schema(
+  {
+    sh_id: { type: String, default: uuidv4 },
+    sh_entity: { type: String, enum: Object.values(HISTORY_ENTITY), required: true },
+    sh_entity_id: { type: String, required: true },
+    sh_order_fk_order_id: { type: String },
+    sh_inventory_fk_inventory_id: { type: String },
+    sh_field: { type: String, required: true },
+    sh_old_value: { type: mongoose.Schema.Types.Mixed },
+    sh_new_value: { type: mongoose.Schema.Types.Mixed },
+    sh_reason: { type: String },
+    // The other order whose booking or hold produced this change, if any
+    sh_caused_by_fk_order_id: { type: String },
+    sh_actor_fk_user_id: { type: String },
+    sh_actor_role: { type: String },
+    sh_endpoint: { type: String },
+  },
+  {
+    timestamps: {
+      createdAt: "sh_created_at",
+      updatedAt: false,
+    },
+  }
+);
+
+StatusHistorySchema.index({ sh_entity: 1, sh_entity_id: 1, sh_created_at: 1 });
+StatusHistorySchema.index({ sh_order_fk_order_id: 1, sh_created_at: 1 });
+StatusHistorySchema.index({ sh_inventory_fk_inventory_id: 1, sh_created_at: 1 });
+
+// Append-only: entries can be inserted and read, never changed or removed
+const rejectChange = function (next) {
+  next(new Error("Status history is append-only"));
+};
+
+StatusHistorySchema.pre("save", function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "findOneAndDelete",
+  "deleteMany",
+].forEach((operation) => StatusHistorySchema.pre(operation, rejectChange));
+StatusHistorySchema.pre("deleteOne", { document: true, query: true }, rejectChange);
+
+module.exports = mongoose.model("StatusHistory", StatusHistorySchema);
@@ -1,5 +1,7 @@
 const mongoose = require("mongoose");
 const { v4: uuidv4 } = require("uuid");
+const { USER_ROLE } = require("../constants/role");
+const { NOTIFICATION_EVENT } = require("../constants/notification");
 
 const UserSchema = new mongoose.Schema(
   {
@@ -12,12 +14,29 @@ const UserSchema = new mongoose.Schema(
     user_country_code: { type: String },
     user_email: { type: String, required: true, unique: true },
     user_password: { type: String, sensitive: true },
+    user_role: {
+      type: String,
+      enum: Object.values(USER_ROLE),
+      default: USER_ROLE.CUSTOMER,
+    },
+    // Opt-out of notification emails, entirely or per event
+    user_notifications: {
+      email: { type: Boolean, default: true },
+      muted_events: [{ type: String, enum: Object.values(NOTIFICATION_EVENT) }],
+    },
   },
   {
     timestamps: {
       createdAt: "user_created_at",
       updatedAt: "user_updated_at",
     },
+    toJSON: {
+      // Never serialize the password hash in API responses
+      transform: (doc, ret) => {
+        delete ret.user_password;
+        return ret;
+      },
+    },
   }
 );
 
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+const { WAITLIST_STATUS } = require("../constants/waitlist");
+const { formatBusinessDateTime } = require("../helper/businessDate");
+
+const WaitlistSchema = new mongoose.Schema(
+  {
+    wl_id: { type: String, default: uuidv4 },
+    wl_inventory_fk_inventory_id: { type: String, required: true },
+    wl_user_fk_user_id: { type: String, required: true },
+    // The customer's order the artwork is wanted for; required for auto-queue
+    wl_order_fk_order_id: { type: String },
+    wl_pickup_at: { type: Date, required: true },
+    wl_return_at: { type: Date, required: true },
+    // Move the order's unavailable item into the freed hold slot instead of only notifying
+    wl_auto_queue: { type: Boolean, default: false },
+    wl_status: {
+      type: String,
+      enum: Object.values(WAITLIST_STATUS),
+      default: WAITLIST_STATUS.WAITING,
+    },
+    wl_notified_at: { type: Date },
+    // The order item that took the freed hold slot
+    wl_queued_fk_oi_id: { type: String },
+    // The order whose removal, release or cancellation freed the capacity
+    wl_freed_by_fk_order_id: { type: String },
+  },
+  {
+    timestamps: {
+      createdAt: "wl_created_at",
+      updatedAt: "wl_updated_at",
+    },
+    toJSON: { virtuals: true },
+    id: false,
+  }
+);
+
+WaitlistSchema.virtual("wl_pickup_at_local").get(function () {
+  return formatBusinessDateTime(this.wl_pickup_at);
+});
+WaitlistSchema.virtual("wl_return_at_local").get(function () {
+  return formatBusinessDateTime(this.wl_return_at);
+});
+
+// Freed capacity is offered to the earliest waiting entry for the artwork
+WaitlistSchema.index({ wl_inventory_fk_inventory_id: 1, wl_status: 1, wl_created_at: 1 });
+WaitlistSchema.index({ wl_user_fk_user_id: 1, wl_created_at: -1 });
+
+module.exports = mongoose.model("Waitlist", WaitlistSchema);
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+const { WEBHOOK_EVENT, WEBHOOK_ALL_EVENTS } = require("../constants/webhook");
+
+const WebhookSchema = new mongoose.Schema(
+  {
+    wh_id: { type: String, default: uuidv4 },
+    wh_url: { type: String, required: true },
+    wh_description: { type: String },
+    wh_events: {
+      type: [{ type: String, enum: [WEBHOOK_ALL_EVENTS, ...Object.values(WEBHOOK_EVENT)] }],
+      default: [WEBHOOK_ALL_EVENTS],
+    },
+    // Key of the HMAC-SHA256 signature of every payload; only shown when the webhook is created
+    wh_secret: { type: String, required: true, sensitive: true },
+    wh_active: { type: Boolean, default: true },
+    wh_created_fk_user_id: { type: String },
+  },
+  {
+    timestamps: {
+      createdAt: "wh_created_at",
+      updatedAt: "wh_updated_at",
+    },
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.wh_secret;
+        return ret;
+      },
+    },
+  }
+);
+
+WebhookSchema.index({ wh_active: 1 });
+
+module.exports = mongoose.model("Webhook", WebhookSchema);
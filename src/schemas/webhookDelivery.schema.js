@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+const { WEBHOOK_EVENT, WEBHOOK_DELIVERY_STATUS } = require("../constants/webhook");
+
+// One row per event and webhook; attempts are retried until it succeeds or gives up
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    wd_id: { type: String, default: uuidv4 },
+    wd_webhook_fk_webhook_id: { type: String, required: true },
+    wd_event: { type: String, enum: Object.values(WEBHOOK_EVENT), required: true },
+    wd_order_fk_order_id: { type: String },
+    wd_payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    wd_status: {
+      type: String,
+      enum: Object.values(WEBHOOK_DELIVERY_STATUS),
+      default: WEBHOOK_DELIVERY_STATUS.PENDING,
+    },
+    wd_attempts: { type: Number, default: 0 },
+    // When a pending delivery is due next; pushed ahead while an attempt is in flight
+    wd_next_attempt_at: { type: Date, default: Date.now },
+    wd_last_attempt_at: { type: Date },
+    wd_last_status_code: { type: Number },
+    wd_last_error: { type: String },
+    wd_delivered_at: { type: Date },
+  },
+  {
+    timestamps: {
+      createdAt: "wd_created_at",
+      updatedAt: "wd_updated_at",
+    },
+    minimize: false,
+  }
+);
+
+WebhookDeliverySchema.index({ wd_status: 1, wd_next_attempt_at: 1 });
+WebhookDeliverySchema.index({ wd_webhook_fk_webhook_id: 1, wd_created_at: -1 });
+
+module.exports = mongoose.model("WebhookDelivery", WebhookDeliverySchema);
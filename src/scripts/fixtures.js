@@ -0,0 +1,62 @@
+// Seed, reset or export the json-data fixtures against MONGO_URI
+//
+//   node src/scripts/fixtures.js seed   [--dir <path>]
+//   node src/scripts/fixtures.js reset  [--dir <path>] [--force]
+//   node src/scripts/fixtures.js clear  [--force]
+//   node src/scripts/fixtures.js export [--dir <path>]
+const path = require("path");
+const mongoose = require("mongoose");
+const config = require("../config");
+const { clearDatabase, seedFixtures, exportFixtures } = require("../helper/fixtures");
+
+// Commands that delete data and need --force when NODE_ENV=production
+const DESTRUCTIVE_COMMANDS = ["reset", "clear"];
+
+const COMMANDS = {
+    seed: (options) => seedFixtures(options),
+    reset: (options) => seedFixtures({ ...options, reset: true }),
+    clear: () => clearDatabase(),
+    export: (options) => exportFixtures(options),
+};
+
+const parseArgs = (args) => {
+    const [command, ...rest] = args;
+    const options = {};
+    let force = false;
+
+    for (let i = 0; i < rest.length; i++) {
+        if (rest[i] === "--force") {
+            force = true;
+        } else if (rest[i] === "--dir" && rest[i + 1]) {
+            options.dir = path.resolve(rest[++i]);
+        } else {
+            throw new Error(`Unknown argument: ${rest[i]}`);
+        }
+    }
+
+    return { command, options, force };
+};
+
+const run = async () => {
+    const { command, options, force } = parseArgs(process.argv.slice(2));
+
+    if (!COMMANDS[command]) {
+        throw new Error(`Usage: node src/scripts/fixtures.js <${Object.keys(COMMANDS).join("|")}> [--dir <path>] [--force]`);
+    }
+    if (DESTRUCTIVE_COMMANDS.includes(command) && process.env.NODE_ENV === "production" && !force) {
+        throw new Error(`Refusing to ${command} with NODE_ENV=production without --force`);
+    }
+
+    await mongoose.connect(config.mongoUri);
+    try {
+        const counts = await COMMANDS[command](options);
+        console.log(`${command} done:`, counts);
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
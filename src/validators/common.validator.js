@@ -0,0 +1,43 @@
+const Joi = require("joi");
+const { toBusinessDay, startOfBusinessDay } = require("../helper/businessDate");
+
+// Every entity ID is a UUID string, but older data may use other strings
+const id = Joi.string().trim().min(1).max(100);
+
+const barcode = Joi.alternatives().try(Joi.string().trim().min(1).max(100), Joi.number()).custom((value) => String(value));
+
+// Rental dates must be real ISO dates and are normalized to the start of their
+// business day (a plain YYYY-MM-DD is read in the business timezone); today is the earliest day
+const futureDate = Joi.date().iso().custom((value, helpers) => {
+    const day = toBusinessDay(helpers.original);
+    if (day < startOfBusinessDay(new Date())) return helpers.error("date.min");
+    return day;
+}).messages({
+    "date.min": "{#label} must not be in the past",
+});
+
+const returnDate = (pickupField) => futureDate.greater(Joi.ref(pickupField)).messages({
+    "date.greater": `{#label} must be after ${pickupField}`,
+});
+
+const pagination = {
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+};
+
+// ?pickup_from, ?pickup_to, ?return_from, ?return_to
+const dateRangeFilters = {
+    pickup_from: Joi.date().iso(),
+    pickup_to: Joi.date().iso(),
+    return_from: Joi.date().iso(),
+    return_to: Joi.date().iso(),
+};
+
+module.exports = {
+    id,
+    barcode,
+    futureDate,
+    returnDate,
+    pagination,
+    dateRangeFilters,
+};
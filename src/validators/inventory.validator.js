@@ -0,0 +1,53 @@
+const Joi = require("joi");
+const { id, barcode } = require("./common.validator");
+
+const size = Joi.number().min(0);
+
+const price = Joi.number().min(0);
+
+// Turnaround days; null clears the field back to the global buffer
+const bufferDays = Joi.number().integer().min(0).allow(null).messages({
+    "number.base": "{#label} must be a whole number of days (0 or more) or null",
+    "number.integer": "{#label} must be a whole number of days (0 or more) or null",
+    "number.min": "{#label} must be a whole number of days (0 or more) or null",
+});
+
+const general = Joi.object({
+    width: size,
+    depth: size,
+    height: size,
+    weight: size,
+    seven_day_price: price,
+    three_day_price: price,
+    seven_day_visible: Joi.boolean(),
+    three_day_visible: Joi.boolean(),
+}).min(1);
+
+const buffer = Joi.object({
+    before_days: bufferDays,
+    after_days: bufferDays,
+}).min(1);
+
+const createInventory = {
+    body: Joi.object({
+        inventory_barcode: barcode.required(),
+        inventory_general: general,
+        inventory_buffer: buffer,
+    }),
+};
+
+const updateInventory = {
+    params: Joi.object({
+        inventory_id: id.required(),
+    }),
+    body: Joi.object({
+        inventory_barcode: barcode,
+        inventory_general: general,
+        inventory_buffer: buffer,
+    }).or("inventory_barcode", "inventory_general", "inventory_buffer"),
+};
+
+module.exports = {
+    createInventory,
+    updateInventory,
+};
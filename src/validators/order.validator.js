@@ -0,0 +1,162 @@
+const Joi = require("joi");
+const Order = require("../schemas/order.schema");
+const { ORDER_STATUS, UPDATABLE_ORDER_STATUSES, INSPECTION_CONDITION } = require("../constants/status");
+const { SHIPPING_METHOD } = require("../constants/shipping");
+const { DOCUMENT_FORMAT } = require("../helper/document");
+const { id, barcode, futureDate, returnDate, pagination, dateRangeFilters } = require("./common.validator");
+
+const shippingMethod = Joi.string().valid(...Object.values(SHIPPING_METHOD));
+
+const orderParams = Joi.object({
+    order_id: id.required(),
+});
+
+/**
+ * When only one rental date is updated, it must still fit the stored other date
+ */
+const checkUpdatedDates = async ({ params, body }) => {
+    const { order_pickup_at, order_return_at } = body;
+    if (Boolean(order_pickup_at) === Boolean(order_return_at)) return [];
+
+    // Unknown orders are answered with 404 by the controller
+    const order = await Order.findOne(
+        { order_id: params.order_id },
+        { order_pickup_at: 1, order_return_at: 1 }
+    );
+    if (!order) return [];
+
+    if (order_pickup_at && order.order_return_at && order_pickup_at >= order.order_return_at) {
+        return [{
+            location: "body",
+            field: "order_pickup_at",
+            message: "order_pickup_at must be before the order's return date",
+        }];
+    }
+    if (order_return_at && order.order_pickup_at && order_return_at <= order.order_pickup_at) {
+        return [{
+            location: "body",
+            field: "order_return_at",
+            message: "order_return_at must be after the order's pickup date",
+        }];
+    }
+    return [];
+};
+
+const listOrders = {
+    query: Joi.object({
+        ...pagination,
+        ...dateRangeFilters,
+        status: Joi.string().trim(),
+        user_id: id,
+        inventory_id: id,
+        barcode,
+        sort: Joi.string().trim(),
+    }),
+};
+
+const getOrder = {
+    params: orderParams,
+};
+
+const getOrderHistory = {
+    params: orderParams,
+    query: Joi.object(pagination),
+};
+
+const getOrderDocument = {
+    params: orderParams,
+    query: Joi.object({
+        format: Joi.string().valid(...Object.values(DOCUMENT_FORMAT)),
+    }),
+};
+
+const createOrder = {
+    body: Joi.object({
+        order_name: Joi.string().trim().min(1).max(200).required(),
+        order_order_number: Joi.string().trim().max(50),
+        order_pickup_at: futureDate.required(),
+        order_return_at: returnDate("order_pickup_at").required(),
+        order_shipping_method: shippingMethod,
+    }),
+};
+
+const getQuote = {
+    body: Joi.object({
+        order_pickup_at: futureDate.required(),
+        order_return_at: returnDate("order_pickup_at").required(),
+        inventory_ids: Joi.array().items(id).min(1).max(100).required(),
+    }),
+};
+
+const requestHold = {
+    params: orderParams,
+    body: Joi.object({}),
+};
+
+const confirmOrder = requestHold;
+
+const cancelOrder = requestHold;
+
+const updateOrder = {
+    params: orderParams,
+    body: Joi.object({
+        order_pickup_at: futureDate,
+        order_return_at: futureDate.when("order_pickup_at", {
+            is: Joi.exist(),
+            then: returnDate("order_pickup_at"),
+        }),
+        order_shipping_method: shippingMethod,
+        status: Joi.string().valid(...UPDATABLE_ORDER_STATUSES).messages({
+            "any.only": `status must be one of: ${UPDATABLE_ORDER_STATUSES.join(", ")}; use /orders/confirm-order or /orders/cancel-order to confirm or cancel`,
+        }),
+        confirmed: Joi.boolean(),
+    }).or("order_pickup_at", "order_return_at", "order_shipping_method", "status"),
+    checks: [checkUpdatedDates],
+};
+
+const reviewHolds = {
+    params: orderParams,
+    body: Joi.object({
+        oi_ids: Joi.array().items(id).min(1),
+    }),
+};
+
+const updateFulfilmentStatus = {
+    params: orderParams,
+    body: Joi.object({
+        status: Joi.string().valid(...Object.values(ORDER_STATUS)).required(),
+    }),
+};
+
+const scanItem = {
+    params: orderParams,
+    body: Joi.object({
+        barcode: barcode.required(),
+    }),
+};
+
+const inspectItem = {
+    params: orderParams,
+    body: Joi.object({
+        barcode: barcode.required(),
+        condition: Joi.string().valid(...Object.values(INSPECTION_CONDITION)).required(),
+        notes: Joi.string().trim().allow("").max(2000),
+    }),
+};
+
+module.exports = {
+    listOrders,
+    getOrder,
+    getOrderHistory,
+    getOrderDocument,
+    createOrder,
+    getQuote,
+    requestHold,
+    confirmOrder,
+    cancelOrder,
+    updateOrder,
+    reviewHolds,
+    updateFulfilmentStatus,
+    scanItem,
+    inspectItem,
+};
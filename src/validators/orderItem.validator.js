@@ -0,0 +1,80 @@
+const Joi = require("joi");
+const Order = require("../schemas/order.schema");
+const Inventory = require("../schemas/inventory.schema");
+const { id, barcode, pagination, dateRangeFilters } = require("./common.validator");
+const { startOfBusinessDay } = require("../helper/businessDate");
+
+const orderItemParams = Joi.object({
+    oi_id: id.required(),
+});
+
+/**
+ * The order and inventory an item points at must exist,
+ * and the order must not have a pickup day before today
+ */
+const checkOrderItemReferences = async ({ body }) => {
+    const errors = [];
+
+    const [order, inventory] = await Promise.all([
+        Order.findOne({ order_id: body.oi_order_fk_order_id }, { order_pickup_at: 1 }),
+        Inventory.exists({ inventory_id: body.oi_inventory_fk_inventory_id }),
+    ]);
+
+    if (!order) {
+        errors.push({ location: "body", field: "oi_order_fk_order_id", message: "Order not found" });
+    } else if (order.order_pickup_at && order.order_pickup_at < startOfBusinessDay(new Date())) {
+        errors.push({
+            location: "body",
+            field: "oi_order_fk_order_id",
+            message: "Items cannot be added to an order whose pickup date is in the past",
+        });
+    }
+
+    if (!inventory) {
+        errors.push({ location: "body", field: "oi_inventory_fk_inventory_id", message: "Inventory not found" });
+    }
+
+    return errors;
+};
+
+const listOrderItems = {
+    query: Joi.object({
+        ...pagination,
+        ...dateRangeFilters,
+        status: Joi.string().trim(),
+        user_id: id,
+        order_id: id,
+        inventory_id: id,
+        barcode,
+        sort: Joi.string().trim(),
+        include_deleted: Joi.string().valid("true", "false"),
+    }),
+};
+
+const getOrderItemHistory = {
+    params: orderItemParams,
+    query: Joi.object(pagination),
+};
+
+// Status, dates, owner and snapshots are always set by the server
+const createOrderItem = {
+    body: Joi.object({
+        oi_order_fk_order_id: id.required(),
+        oi_inventory_fk_inventory_id: id.required(),
+    }),
+    checks: [checkOrderItemReferences],
+};
+
+const orderItemAction = {
+    params: orderItemParams,
+    body: Joi.object({}),
+};
+
+module.exports = {
+    listOrderItems,
+    getOrderItemHistory,
+    createOrderItem,
+    deleteOrderItem: orderItemAction,
+    restoreOrderItem: orderItemAction,
+    reviewHold: orderItemAction,
+};
@@ -0,0 +1,56 @@
+const Joi = require("joi");
+const { USER_ROLE } = require("../constants/role");
+const { NOTIFICATION_EVENT } = require("../constants/notification");
+const { id } = require("./common.validator");
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Emails are stored trimmed and lowercased, so logins match however they are typed
+const email = Joi.string().trim().lowercase().max(254);
+
+const name = Joi.string().trim().max(200);
+
+// The role is never taken from signup; admins are promoted through /users/role
+const signup = {
+    body: Joi.object({
+        user_email: email.email().required(),
+        user_password: Joi.string().min(MIN_PASSWORD_LENGTH).max(128).required(),
+        user_first_name: name,
+        user_last_name: name,
+        user_full_name: name,
+        user_dob: Joi.date().iso().max("now"),
+        user_mobile_no: Joi.string().trim().max(30),
+        user_country_code: Joi.string().trim().max(10),
+    }),
+};
+
+const login = {
+    body: Joi.object({
+        user_email: email.required(),
+        user_password: Joi.string().max(128).required(),
+    }),
+};
+
+const updateUserRole = {
+    params: Joi.object({
+        user_id: id.required(),
+    }),
+    body: Joi.object({
+        user_role: Joi.string().valid(...Object.values(USER_ROLE)).required(),
+    }),
+};
+
+// Either setting may be changed on its own; muted_events replaces the whole list
+const updateNotifications = {
+    body: Joi.object({
+        email: Joi.boolean(),
+        muted_events: Joi.array().items(Joi.string().valid(...Object.values(NOTIFICATION_EVENT))).unique(),
+    }).or("email", "muted_events"),
+};
+
+module.exports = {
+    signup,
+    login,
+    updateUserRole,
+    updateNotifications,
+};
@@ -0,0 +1,47 @@
+const Joi = require("joi");
+const { WAITLIST_STATUS } = require("../constants/waitlist");
+const { id, futureDate, returnDate, pagination } = require("./common.validator");
+
+const waitlistParams = Joi.object({
+    wl_id: id.required(),
+});
+
+// The window comes from the order when one is given, otherwise from the dates
+const joinWaitlist = {
+    body: Joi.object({
+        inventory_id: id.required(),
+        order_id: id,
+        pickup_at: futureDate,
+        return_at: returnDate("pickup_at"),
+        auto_queue: Joi.boolean().when("order_id", {
+            not: Joi.exist(),
+            then: Joi.valid(false).messages({ "any.only": "auto_queue needs an order_id" }),
+        }),
+    })
+        .xor("order_id", "pickup_at")
+        .and("pickup_at", "return_at")
+        .messages({
+            "object.missing": "order_id or pickup_at and return_at are required",
+            "object.xor": "Give either order_id or pickup_at and return_at, not both",
+        }),
+};
+
+const listWaitlist = {
+    query: Joi.object({
+        ...pagination,
+        inventory_id: id,
+        user_id: id,
+        status: Joi.string().valid(...Object.values(WAITLIST_STATUS)),
+    }),
+};
+
+const leaveWaitlist = {
+    params: waitlistParams,
+    body: Joi.object({}),
+};
+
+module.exports = {
+    joinWaitlist,
+    listWaitlist,
+    leaveWaitlist,
+};
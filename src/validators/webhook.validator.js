@@ -0,0 +1,69 @@
+const Joi = require("joi");
+const { WEBHOOK_EVENT, WEBHOOK_ALL_EVENTS, WEBHOOK_DELIVERY_STATUS } = require("../constants/webhook");
+const { id, pagination } = require("./common.validator");
+
+const url = Joi.string().trim().uri({ scheme: ["http", "https"] });
+
+const events = Joi.array()
+    .items(Joi.string().valid(WEBHOOK_ALL_EVENTS, ...Object.values(WEBHOOK_EVENT)))
+    .min(1)
+    .unique();
+
+const webhookParams = Joi.object({
+    wh_id: id.required(),
+});
+
+const createWebhook = {
+    body: Joi.object({
+        url: url.required(),
+        events,
+        description: Joi.string().trim().max(200),
+    }),
+};
+
+const listWebhooks = {
+    query: Joi.object({
+        ...pagination,
+    }),
+};
+
+const updateWebhook = {
+    params: webhookParams,
+    body: Joi.object({
+        url,
+        events,
+        description: Joi.string().trim().max(200).allow(""),
+        active: Joi.boolean(),
+    }).min(1),
+};
+
+const deleteWebhook = {
+    params: webhookParams,
+    body: Joi.object({}),
+};
+
+const listDeliveries = {
+    params: webhookParams,
+    query: Joi.object({
+        ...pagination,
+        status: Joi.string().valid(...Object.values(WEBHOOK_DELIVERY_STATUS)),
+        event: Joi.string().valid(...Object.values(WEBHOOK_EVENT)),
+        order_id: id,
+    }),
+};
+
+const redeliver = {
+    params: Joi.object({
+        wd_id: id.required(),
+    }),
+    body: Joi.object({}),
+};
+
+module.exports = {
+    createWebhook,
+    listWebhooks,
+    updateWebhook,
+    deleteWebhook,
+    listDeliveries,
+    redeliver,
+};
@@ -0,0 +1,26 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./helpers/env');
+const config = require('../src/config');
+const { signAccessToken, verifyAccessToken } = require('../src/helper/auth');
+
+const user = { user_id: 'user-1', user_email: 'user1@example.com' };
+
+describe('access tokens', () => {
+    it('round-trips the user id as the token subject', () => {
+        assert.equal(verifyAccessToken(signAccessToken(user)).sub, user.user_id);
+    });
+
+    it('refuses to sign or verify without a configured secret', () => {
+        const token = signAccessToken(user);
+        const secret = config.auth.jwtSecret;
+        config.auth.jwtSecret = '';
+        try {
+            assert.throws(() => signAccessToken(user), /JWT_SECRET is not configured/);
+            assert.throws(() => verifyAccessToken(token), /JWT_SECRET is not configured/);
+        } finally {
+            config.auth.jwtSecret = secret;
+        }
+    });
+});
@@ -0,0 +1,57 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../src/app');
+const { ORDER_ITEM_STATUS } = require('../src/constants/status');
+const { USER_ROLE } = require('../src/constants/role');
+const { AVAILABILITY_STATE } = require('../src/helper/availability');
+const db = require('./helpers/db');
+const { createUser, createInventory, createOrder, createOrderItem } = require('./helpers/fixtures');
+
+const day = n => new Date(Date.UTC(2030, 0, n));
+
+describe('availability calendar', () => {
+    before(db.connect);
+    after(db.disconnect);
+    beforeEach(db.clear);
+
+    const getAvailability = (inventory, actor) =>
+        request(app)
+            .get(`/inventory/availability/${inventory.inventory_id}`)
+            .query({ from: day(1).toISOString(), to: day(31).toISOString() })
+            .set('Authorization', actor.token);
+
+    it('shows order and item IDs only to their owner and admins', async () => {
+        const inventory = await createInventory();
+        const customer = await createUser();
+        const other = await createUser();
+        const admin = await createUser(USER_ROLE.ADMIN);
+        const ownOrder = await createOrder(customer.user, day(5), day(8));
+        const ownItem = await createOrderItem(ownOrder, inventory, { oi_status: ORDER_ITEM_STATUS.ON_HOLD });
+        const otherOrder = await createOrder(other.user, day(12), day(19));
+        const otherItem = await createOrderItem(otherOrder, inventory, { oi_status: ORDER_ITEM_STATUS.CONFIRMED });
+
+        const asCustomer = await getAvailability(inventory, customer);
+        const asAdmin = await getAvailability(inventory, admin);
+
+        assert.equal(asCustomer.status, 200);
+        const [own, others] = asCustomer.body.data.orderItems;
+        assert.equal(own.is_own, true);
+        assert.equal(own.order_id, ownOrder.order_id);
+        assert.equal(own.oi_id, ownItem.oi_id);
+        assert.equal(others.is_own, false);
+        assert.equal(others.state, AVAILABILITY_STATE.BOOKED);
+        assert.equal(others.order_id, undefined);
+        assert.equal(others.oi_id, undefined);
+        assert.equal(others.user_id, undefined);
+
+        assert.deepEqual(
+            asAdmin.body.data.orderItems.map(entry => [entry.order_id, entry.oi_id, entry.user_id]),
+            [
+                [ownOrder.order_id, ownItem.oi_id, customer.user.user_id],
+                [otherOrder.order_id, otherItem.oi_id, other.user.user_id],
+            ]
+        );
+    });
+});
@@ -0,0 +1,87 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../src/app');
+const config = require('../src/config');
+const Order = require('../src/schemas/order.schema');
+const {
+    toBusinessDay,
+    formatBusinessDate,
+    formatBusinessDateTime,
+} = require('../src/helper/businessDate');
+const db = require('./helpers/db');
+const { createUser } = require('./helpers/fixtures');
+
+describe('business dates', () => {
+    const defaultDates = structuredClone(config.dates);
+
+    afterEach(() => {
+        config.dates = structuredClone(defaultDates);
+    });
+
+    describe('toBusinessDay', () => {
+        it('reads a plain date as midnight in the business timezone', () => {
+            config.dates.timezone = 'Asia/Kolkata';
+
+            assert.deepEqual(toBusinessDay('2025-10-08'), new Date('2025-10-07T18:30:00.000Z'));
+        });
+
+        it('moves a date-time to the start of its business day', () => {
+            config.dates.timezone = 'Asia/Kolkata';
+
+            assert.deepEqual(toBusinessDay('2025-10-08T20:00:00.000Z'), new Date('2025-10-08T18:30:00.000Z'));
+            assert.deepEqual(toBusinessDay('2025-10-07T18:30:00.000Z'), new Date('2025-10-07T18:30:00.000Z'));
+        });
+
+        it('follows daylight saving changes', () => {
+            config.dates.timezone = 'Europe/Berlin';
+
+            assert.deepEqual(toBusinessDay('2025-03-30'), new Date('2025-03-29T23:00:00.000Z'));
+            assert.deepEqual(toBusinessDay('2025-03-31'), new Date('2025-03-30T22:00:00.000Z'));
+        });
+
+        it('returns null for values that are not dates', () => {
+            assert.equal(toBusinessDay('not a date'), null);
+        });
+    });
+
+    describe('formatting', () => {
+        it('echoes an instant as a local date and date-time', () => {
+            config.dates.timezone = 'America/New_York';
+            const instant = new Date('2025-01-15T03:00:00.000Z');
+
+            assert.equal(formatBusinessDate(instant), '2025-01-14');
+            assert.equal(formatBusinessDateTime(instant), '2025-01-14T22:00:00.000-05:00');
+            assert.equal(formatBusinessDateTime(null), null);
+        });
+    });
+
+    describe('order requests', () => {
+        let token;
+
+        before(db.connect);
+        after(db.disconnect);
+        beforeEach(async () => {
+            await db.clear();
+            ({ token } = await createUser());
+        });
+
+        it('stores plain request dates as business days and returns both UTC and local dates', async () => {
+            config.dates.timezone = 'Asia/Kolkata';
+
+            const response = await request(app)
+                .post('/orders')
+                .set('Authorization', token)
+                .send({ order_name: 'Exhibition', order_pickup_at: '2030-01-10', order_return_at: '2030-01-17' });
+
+            assert.equal(response.status, 201);
+            assert.equal(response.body.order_pickup_at, '2030-01-09T18:30:00.000Z');
+            assert.equal(response.body.order_pickup_at_local, '2030-01-10T00:00:00.000+05:30');
+            assert.equal(response.body.order_return_at_local, '2030-01-17T00:00:00.000+05:30');
+
+            const order = await Order.findOne({ order_id: response.body.order_id });
+            assert.deepEqual(order.order_return_at, new Date('2030-01-16T18:30:00.000Z'));
+        });
+    });
+});
@@ -0,0 +1,263 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../src/app');
+const OrderItem = require('../src/schemas/orderItem.schema');
+const Order = require('../src/schemas/order.schema');
+const Lock = require('../src/schemas/lock.schema');
+const { ORDER_STATUS, ORDER_ITEM_STATUS } = require('../src/constants/status');
+const { USER_ROLE } = require('../src/constants/role');
+const { withLocks, withOrderLocks, LockLostError, inventoryLockKey, orderLockKey } = require('../src/helper/lock');
+const db = require('./helpers/db');
+const { createUser, createInventory, createOrder, createOrderItem } = require('./helpers/fixtures');
+
+const PICKUP = '2030-01-10T00:00:00.000Z';
+const RETURN = '2030-01-17T00:00:00.000Z';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Hand a lock to someone else right after it is taken, as if the request had stalled past its expiry
+const stealLockOnceTaken = async (key, work) => {
+    const original = Lock.create;
+    Lock.create = async function (doc, ...args) {
+        const created = await original.call(this, doc, ...args);
+        if (doc.lock_key === key) {
+            await Lock.updateOne({ lock_key: key }, { $set: { lock_owner: 'someone else' } });
+        }
+        return created;
+    };
+    try {
+        return await work();
+    } finally {
+        Lock.create = original;
+    }
+};
+
+// Hand every held lock to someone else the next time the model method runs
+const stealLocksDuring = async (Model, method, work) => {
+    const original = Model[method];
+    Model[method] = async function (...args) {
+        Model[method] = original;
+        await Lock.updateMany({}, { $set: { lock_owner: 'someone else' } });
+        return original.apply(this, args);
+    };
+    try {
+        return await work();
+    } finally {
+        Model[method] = original;
+    }
+};
+
+describe('concurrent hold and confirm flows', () => {
+    before(db.connect);
+    after(db.disconnect);
+    beforeEach(db.clear);
+
+    it('runs work under the same lock one at a time', async () => {
+        let active = 0;
+        let maxActive = 0;
+
+        await Promise.all(Array.from({ length: 20 }, () =>
+            withLocks(['inventory:shared'], async () => {
+                active++;
+                maxActive = Math.max(maxActive, active);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                active--;
+            })
+        ));
+
+        assert.equal(maxActive, 1);
+    });
+
+    it('renews held locks so slow work is not overtaken once the TTL has passed', async () => {
+        const events = [];
+        const slow = withLocks(['inventory:slow'], async () => {
+            events.push('slow started');
+            await sleep(400);
+            events.push('slow finished');
+        }, { ttlMs: 90 });
+        await sleep(20);
+        const fast = withLocks(['inventory:slow'], async () => {
+            events.push('fast ran');
+        }, { waitMs: 2000, ttlMs: 90 });
+
+        await Promise.all([slow, fast]);
+
+        assert.deepEqual(events, ['slow started', 'slow finished', 'fast ran']);
+        assert.equal(await Lock.countDocuments(), 0);
+    });
+
+    it('rejects work whose lock was taken over while it ran', async () => {
+        const work = withLocks(['inventory:stolen'], async () => {
+            await Lock.updateOne({ lock_key: 'inventory:stolen' }, { $set: { lock_owner: 'someone else' } });
+            await sleep(150);
+            return 'done';
+        }, { ttlMs: 60 });
+
+        await assert.rejects(work, error => error instanceof LockLostError && error.key === 'inventory:stolen');
+        // The other owner's lock is left alone
+        assert.equal(await Lock.countDocuments({ lock_owner: 'someone else' }), 1);
+    });
+
+    it('locks the inventory of an item added while an order flow waited for the order lock', async () => {
+        const inventory = await createInventory();
+        const { user } = await createUser();
+        const order = await createOrder(user, PICKUP, RETURN);
+        let finishAdding;
+
+        const adding = withLocks([orderLockKey(order.order_id)], async () => {
+            await new Promise(resolve => { finishAdding = resolve; });
+            await createOrderItem(order, inventory);
+        });
+        await sleep(50);
+        const orderFlow = withOrderLocks(order.order_id, () =>
+            Lock.exists({ lock_key: inventoryLockKey(inventory.inventory_id) })
+        );
+        await sleep(50);
+        finishAdding();
+
+        await adding;
+        assert.ok(await orderFlow);
+    });
+
+    it('answers 409 and saves nothing when the lock is lost before an item is added', async () => {
+        const inventory = await createInventory();
+        const { user, token } = await createUser();
+        const order = await createOrder(user, PICKUP, RETURN);
+
+        const response = await stealLockOnceTaken(orderLockKey(order.order_id), () =>
+            request(app)
+                .post('/order-items')
+                .set('Authorization', token)
+                .send({ oi_order_fk_order_id: order.order_id, oi_inventory_fk_inventory_id: inventory.inventory_id })
+        );
+
+        assert.equal(response.status, 409);
+        assert.match(response.body.message, /Lost the lock/);
+        assert.equal(await OrderItem.countDocuments({ oi_order_fk_order_id: order.order_id }), 0);
+    });
+
+    it('answers 409 rather than success when the lock is lost while an item is added', async () => {
+        const inventory = await createInventory();
+        const { user, token } = await createUser();
+        const order = await createOrder(user, PICKUP, RETURN);
+
+        const response = await stealLocksDuring(Order, 'updateOne', () =>
+            request(app)
+                .post('/order-items')
+                .set('Authorization', token)
+                .send({ oi_order_fk_order_id: order.order_id, oi_inventory_fk_inventory_id: inventory.inventory_id })
+        );
+
+        assert.equal(response.status, 409);
+        assert.match(response.body.message, /Lost the lock/);
+    });
+
+    it('hands out each hold position once when many customers request holds at the same time', async () => {
+        const inventory = await createInventory();
+        const customers = await Promise.all(Array.from({ length: 6 }, () => createUser()));
+        const orders = [];
+        for (const { user } of customers) {
+            const order = await createOrder(user, PICKUP, RETURN);
+            await createOrderItem(order, inventory);
+            orders.push(order);
+        }
+
+        const responses = await Promise.all(orders.map((order, i) =>
+            request(app)
+                .put(`/orders/request-hold/${order.order_id}`)
+                .set('Authorization', customers[i].token)
+        ));
+        responses.forEach(response => assert.equal(response.status, 200));
+
+        const statuses = (await OrderItem.find({ oi_inventory_fk_inventory_id: inventory.inventory_id }))
+            .map(item => item.oi_status);
+        const count = status => statuses.filter(s => s === status).length;
+
+        assert.equal(count(ORDER_ITEM_STATUS.ON_HOLD_REQUEST), 1);
+        assert.equal(count(ORDER_ITEM_STATUS.SECOND_HOLD_REQUEST), 1);
+        assert.equal(count(ORDER_ITEM_STATUS.THIRD_HOLD_REQUEST), 1);
+        assert.equal(count(ORDER_ITEM_STATUS.UNAVAILABLE), 3);
+    });
+
+    it('confirms only one of two conflicting orders confirmed at the same time', async () => {
+        const inventory = await createInventory();
+        const { token: adminToken } = await createUser(USER_ROLE.ADMIN);
+        const { user: first } = await createUser();
+        const { user: second } = await createUser();
+        const orders = [
+            await createOrder(first, PICKUP, RETURN),
+            await createOrder(second, PICKUP, RETURN),
+        ];
+        for (const order of orders) await createOrderItem(order, inventory);
+
+        const responses = await Promise.all(orders.map(order =>
+            request(app)
+                .put(`/orders/confirm-order/${order.order_id}`)
+                .set('Authorization', adminToken)
+        ));
+
+        assert.deepEqual(responses.map(r => r.status).sort(), [200, 409]);
+        assert.equal(await Order.countDocuments({ order_status: ORDER_STATUS.CONFIRM }), 1);
+        assert.equal(await OrderItem.countDocuments({ oi_status: ORDER_ITEM_STATUS.CONFIRMED }), 1);
+    });
+
+    it('adds an artwork to an order once when it is added twice at the same time', async () => {
+        const inventory = await createInventory();
+        const { user, token } = await createUser();
+        const order = await createOrder(user, PICKUP, RETURN);
+
+        const responses = await Promise.all([1, 2].map(() =>
+            request(app)
+                .post('/order-items')
+                .set('Authorization', token)
+                .send({ oi_order_fk_order_id: order.order_id, oi_inventory_fk_inventory_id: inventory.inventory_id })
+        ));
+
+        assert.deepEqual(responses.map(r => r.status).sort(), [201, 400]);
+        assert.equal(await OrderItem.countDocuments({ oi_order_fk_order_id: order.order_id }), 1);
+    });
+
+    it('confirms an order once when the same confirm is sent twice', async () => {
+        const inventory = await createInventory();
+        const { token: adminToken } = await createUser(USER_ROLE.ADMIN);
+        const { user } = await createUser();
+        const order = await createOrder(user, PICKUP, RETURN);
+        await createOrderItem(order, inventory);
+
+        const responses = await Promise.all([1, 2].map(() =>
+            request(app)
+                .put(`/orders/confirm-order/${order.order_id}`)
+                .set('Authorization', adminToken)
+        ));
+
+        assert.deepEqual(responses.map(r => r.status).sort(), [200, 400]);
+    });
+
+    it('promotes the queue once when the first hold is removed twice at the same time', async () => {
+        const inventory = await createInventory();
+        const { user, token } = await createUser();
+        const { user: other } = await createUser();
+        const firstOrder = await createOrder(user, PICKUP, RETURN);
+        const secondOrder = await createOrder(other, PICKUP, RETURN);
+        const firstItem = await createOrderItem(firstOrder, inventory, {
+            oi_status: ORDER_ITEM_STATUS.ON_HOLD,
+            oi_request_hold: true,
+        });
+        const secondItem = await createOrderItem(secondOrder, inventory, {
+            oi_status: ORDER_ITEM_STATUS.SECOND_HOLD,
+            oi_request_hold: true,
+        });
+
+        const responses = await Promise.all([1, 2].map(() =>
+            request(app)
+                .delete(`/order-items/remove-order-item/${firstItem.oi_id}`)
+                .set('Authorization', token)
+        ));
+
+        assert.deepEqual(responses.map(r => r.status).sort(), [200, 404]);
+        const promoted = await OrderItem.findOne({ oi_id: secondItem.oi_id });
+        assert.equal(promoted.oi_status, ORDER_ITEM_STATUS.ON_HOLD);
+    });
+});
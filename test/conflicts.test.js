@@ -0,0 +1,368 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../src/config');
+const OrderItem = require('../src/schemas/orderItem.schema');
+const StatusHistory = require('../src/schemas/statusHistory.schema');
+const { ORDER_ITEM_STATUS } = require('../src/constants/status');
+const { HISTORY_REASON } = require('../src/constants/history');
+const { SHIPPING_METHOD } = require('../src/constants/shipping');
+const { OVERLAP_MODE } = require('../src/helper/buffer');
+const {
+    findConflictingOrderItems,
+    calculateOrderItemStatus,
+    promoteConflictingHolds,
+    updateUnavailableItemsAfterConfirmedRemoval,
+} = require('../src/helper/orderItem');
+const db = require('./helpers/db');
+const { createUser, createInventory, createOrder, createOrderItem } = require('./helpers/fixtures');
+
+const day = n => new Date(Date.UTC(2030, 0, n));
+
+// An order for [pickupDay, returnDay] with one item for the inventory
+const book = async (inventory, pickupDay, returnDay, overrides = {}, orderOverrides = {}) => {
+    const { user } = await createUser();
+    const order = await createOrder(user, day(pickupDay), day(returnDay), orderOverrides);
+    const item = await createOrderItem(order, inventory, overrides);
+    return { order, item };
+};
+
+const hold = status => ({ oi_status: status, oi_request_hold: true });
+
+const statusOf = async item => (await OrderItem.findOne({ oi_id: item.oi_id })).oi_status;
+
+describe('conflict detection and hold queue', () => {
+    before(db.connect);
+    after(db.disconnect);
+    beforeEach(db.clear);
+
+    describe('findConflictingOrderItems', () => {
+        const conflictIds = async (inventory, pickup, returnAt, orderId = null) =>
+            (await findConflictingOrderItems(inventory.inventory_id, orderId, pickup, returnAt))
+                .map(item => item.oi_id)
+                .sort();
+
+        it('finds rentals that overlap either end of the range', async () => {
+            const inventory = await createInventory();
+            const { item } = await book(inventory, 10, 17);
+
+            assert.deepEqual(await conflictIds(inventory, day(5), day(12)), [item.oi_id]);
+            assert.deepEqual(await conflictIds(inventory, day(15), day(20)), [item.oi_id]);
+        });
+
+        it('treats a rental returned on the pickup day (or picked up on the return day) as a conflict', async () => {
+            const inventory = await createInventory();
+            const { item } = await book(inventory, 10, 17);
+
+            assert.deepEqual(await conflictIds(inventory, day(17), day(20)), [item.oi_id]);
+            assert.deepEqual(await conflictIds(inventory, day(3), day(10)), [item.oi_id]);
+        });
+
+        it('ignores rentals that end just before or start just after the range', async () => {
+            const inventory = await createInventory();
+            await book(inventory, 10, 17);
+
+            const justAfter = new Date(day(17).getTime() + 1);
+            const justBefore = new Date(day(10).getTime() - 1);
+            assert.deepEqual(await conflictIds(inventory, justAfter, day(20)), []);
+            assert.deepEqual(await conflictIds(inventory, day(3), justBefore), []);
+        });
+
+        it('finds a rental that encloses the range and a rental enclosed by it', async () => {
+            const inventory = await createInventory();
+            const { item: enclosing } = await book(inventory, 5, 25);
+            const { item: enclosed } = await book(inventory, 12, 14);
+
+            assert.deepEqual(await conflictIds(inventory, day(10), day(17)), [enclosing.oi_id, enclosed.oi_id].sort());
+        });
+
+        it('skips the current order, deleted items and other inventories', async () => {
+            const inventory = await createInventory();
+            const otherInventory = await createInventory();
+            const { order: ownOrder } = await book(inventory, 10, 17);
+            await book(inventory, 10, 17, { oi_deleted: true });
+            await book(otherInventory, 10, 17);
+            const { item: conflict } = await book(inventory, 10, 17);
+
+            assert.deepEqual(await conflictIds(inventory, day(10), day(17), ownOrder.order_id), [conflict.oi_id]);
+        });
+    });
+
+    describe('calculateOrderItemStatus', () => {
+        const statusFor = async (inventory, pickupDay = 10, returnDay = 17) => {
+            const { order, item } = await book(inventory, pickupDay, returnDay);
+            return calculateOrderItemStatus(item, order);
+        };
+
+        it('makes the first request on a free window the first hold request', async () => {
+            const inventory = await createInventory();
+
+            const result = await statusFor(inventory);
+
+            assert.equal(result.status, ORDER_ITEM_STATUS.ON_HOLD_REQUEST);
+            assert.equal(result.unavailable_until, null);
+            assert.equal(result.caused_by_order_id, null);
+        });
+
+        it('queues the second and third requests behind the existing holds', async () => {
+            const inventory = await createInventory();
+            const { order: first } = await book(inventory, 10, 17, hold(ORDER_ITEM_STATUS.ON_HOLD));
+
+            const second = await statusFor(inventory, 12, 20);
+            assert.equal(second.status, ORDER_ITEM_STATUS.SECOND_HOLD_REQUEST);
+            assert.equal(second.caused_by_order_id, first.order_id);
+
+            const { order: secondOrder } = await book(inventory, 12, 20, hold(ORDER_ITEM_STATUS.SECOND_HOLD_REQUEST));
+
+            const third = await statusFor(inventory, 14, 16);
+            assert.equal(third.status, ORDER_ITEM_STATUS.THIRD_HOLD_REQUEST);
+            assert.equal(third.caused_by_order_id, secondOrder.order_id);
+        });
+
+        it('makes the item unavailable once three holds cover the window', async () => {
+            const inventory = await createInventory();
+            await book(inventory, 10, 17, hold(ORDER_ITEM_STATUS.ON_HOLD));
+            await book(inventory, 10, 17, hold(ORDER_ITEM_STATUS.SECOND_HOLD));
+            const { order: thirdOrder } = await book(inventory, 10, 17, hold(ORDER_ITEM_STATUS.THIRD_HOLD_REQUEST));
+
+            const result = await statusFor(inventory);
+
+            assert.equal(result.status, ORDER_ITEM_STATUS.UNAVAILABLE);
+            assert.equal(result.caused_by_order_id, thirdOrder.order_id);
+        });
+
+        it('ignores holds on windows that do not overlap', async () => {
+            const inventory = await createInventory();
+            await book(inventory, 20, 27, hold(ORDER_ITEM_STATUS.ON_HOLD));
+
+            const result = await statusFor(inventory, 10, 17);
+
+            assert.equal(result.status, ORDER_ITEM_STATUS.ON_HOLD_REQUEST);
+        });
+
+        it('makes the item unavailable until the confirmed booking is returned', async () => {
+            const inventory = await createInventory();
+            await book(inventory, 10, 17, hold(ORDER_ITEM_STATUS.ON_HOLD));
+            const { order: booked } = await book(inventory, 8, 15, { oi_status: ORDER_ITEM_STATUS.CONFIRMED });
+
+            const result = await statusFor(inventory);
+
+            assert.equal(result.status, ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL);
+            assert.deepEqual(result.unavailable_until, day(15));
+            assert.equal(result.caused_by_order_id, booked.order_id);
+        });
+
+        it('makes the item unavailable while the inventory is out of service', async () => {
+            const inventory = await createInventory({ inventory_out_of_service: true });
+
+            const result = await statusFor(inventory);
+
+            assert.equal(result.status, ORDER_ITEM_STATUS.UNAVAILABLE);
+        });
+    });
+
+    describe('promoteConflictingHolds', () => {
+        it('moves every hold behind a removed first hold up one position', async () => {
+            const inventory = await createInventory();
+            const { order, item: removed } = await book(inventory, 10, 17, hold(ORDER_ITEM_STATUS.ON_HOLD));
+            const { item: second } = await book(inventory, 10, 17, hold(ORDER_ITEM_STATUS.SECOND_HOLD));
+            const { item: third } = await book(inventory, 12, 14, hold(ORDER_ITEM_STATUS.THIRD_HOLD_REQUEST));
+            await OrderItem.updateOne({ oi_id: removed.oi_id }, { oi_deleted: true });
+
+            const updated = await promoteConflictingHolds(removed, order);
+
+            assert.equal(updated, 2);
+            assert.equal(await statusOf(second), ORDER_ITEM_STATUS.ON_HOLD);
+            assert.equal(await statusOf(third), ORDER_ITEM_STATUS.SECOND_HOLD_REQUEST);
+
+            const entries = await StatusHistory.find({ sh_reason: HISTORY_REASON.HOLD_PROMOTED });
+            assert.equal(entries.length, 2);
+            entries.forEach(entry => assert.equal(entry.sh_caused_by_fk_order_id, order.order_id));
+        });
+
+        it('leaves bookings, unavailable items and holds on other dates alone', async () => {
+            const inventory = await createInventory();
+            const { order, item: removed } = await book(inventory, 10, 17, hold(ORDER_ITEM_STATUS.ON_HOLD));
+            const { item: confirmed } = await book(inventory, 12, 14, { oi_status: ORDER_ITEM_STATUS.CONFIRMED });
+            const { item: blocked } = await book(inventory, 12, 14, {
+                oi_status: ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL,
+                oi_unavailable_until: day(14),
+            });
+            const { item: later } = await book(inventory, 20, 27, hold(ORDER_ITEM_STATUS.SECOND_HOLD));
+            await OrderItem.updateOne({ oi_id: removed.oi_id }, { oi_deleted: true });
+
+            const updated = await promoteConflictingHolds(removed, order);
+
+            assert.equal(updated, 0);
+            assert.equal(await statusOf(confirmed), ORDER_ITEM_STATUS.CONFIRMED);
+            assert.equal(await statusOf(blocked), ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL);
+            assert.equal(await statusOf(later), ORDER_ITEM_STATUS.SECOND_HOLD);
+        });
+    });
+
+    describe('updateUnavailableItemsAfterConfirmedRemoval', () => {
+        it('frees items that only the removed booking blocked', async () => {
+            const inventory = await createInventory();
+            const { order, item: removed } = await book(inventory, 10, 17, { oi_status: ORDER_ITEM_STATUS.CONFIRMED });
+            const { item: blocked } = await book(inventory, 12, 20, {
+                oi_status: ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL,
+                oi_unavailable_until: day(17),
+            });
+            await OrderItem.updateOne({ oi_id: removed.oi_id }, { oi_deleted: true });
+
+            const updated = await updateUnavailableItemsAfterConfirmedRemoval(removed, order);
+
+            assert.equal(updated, 1);
+            const freed = await OrderItem.findOne({ oi_id: blocked.oi_id });
+            assert.equal(freed.oi_status, ORDER_ITEM_STATUS.AVAILABLE);
+            assert.equal(freed.oi_unavailable_until, null);
+
+            const entry = await StatusHistory.findOne({ sh_entity_id: blocked.oi_id, sh_field: 'oi_status' });
+            assert.equal(entry.sh_reason, HISTORY_REASON.BOOKING_RELEASED);
+            assert.equal(entry.sh_caused_by_fk_order_id, order.order_id);
+        });
+
+        it('keeps items blocked by another confirmed booking unavailable', async () => {
+            const inventory = await createInventory();
+            const { order, item: removed } = await book(inventory, 10, 17, { oi_status: ORDER_ITEM_STATUS.CONFIRMED });
+            await book(inventory, 18, 25, { oi_status: ORDER_ITEM_STATUS.CONFIRMED });
+            const { item: blocked } = await book(inventory, 12, 20, {
+                oi_status: ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL,
+                oi_unavailable_until: day(17),
+            });
+            await OrderItem.updateOne({ oi_id: removed.oi_id }, { oi_deleted: true });
+
+            const updated = await updateUnavailableItemsAfterConfirmedRemoval(removed, order);
+
+            assert.equal(updated, 0);
+            assert.equal(await statusOf(blocked), ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL);
+        });
+
+        it('does not touch holds or items outside the removed booking', async () => {
+            const inventory = await createInventory();
+            const { order, item: removed } = await book(inventory, 10, 17, { oi_status: ORDER_ITEM_STATUS.CONFIRMED });
+            const { item: held } = await book(inventory, 12, 14, hold(ORDER_ITEM_STATUS.ON_HOLD));
+            const { item: elsewhere } = await book(inventory, 20, 27, {
+                oi_status: ORDER_ITEM_STATUS.UNAVAILABLE,
+            });
+            await OrderItem.updateOne({ oi_id: removed.oi_id }, { oi_deleted: true });
+
+            const updated = await updateUnavailableItemsAfterConfirmedRemoval(removed, order);
+
+            assert.equal(updated, 0);
+            assert.equal(await statusOf(held), ORDER_ITEM_STATUS.ON_HOLD);
+            assert.equal(await statusOf(elsewhere), ORDER_ITEM_STATUS.UNAVAILABLE);
+        });
+    });
+    describe('turnaround buffers', () => {
+        const defaultBuffers = structuredClone(config.buffers);
+
+        const conflictIds = async (order, inventory) =>
+            (await findConflictingOrderItems(inventory.inventory_id, order.order_id, order.order_pickup_at, order.order_return_at))
+                .map(item => item.oi_id);
+
+        // An order planned for the inventory that has no items yet
+        const plan = async (pickupDay, returnDay, orderOverrides = {}) => {
+            const { user } = await createUser();
+            return createOrder(user, day(pickupDay), day(returnDay), orderOverrides);
+        };
+
+        afterEach(() => {
+            config.buffers = structuredClone(defaultBuffers);
+        });
+
+        it('keeps the global buffer free between a return and the next pickup', async () => {
+            config.buffers.afterDays = 2;
+            const inventory = await createInventory();
+            const { item } = await book(inventory, 10, 17);
+            const tooSoon = await plan(19, 25);
+            const afterBuffer = await plan(20, 25);
+
+            assert.deepEqual(await conflictIds(tooSoon, inventory), [item.oi_id]);
+            assert.deepEqual(await conflictIds(afterBuffer, inventory), []);
+        });
+
+        it('uses the inventory buffer instead of the global one', async () => {
+            config.buffers.afterDays = 2;
+            const inventory = await createInventory({ inventory_buffer: { after_days: 0 } });
+            await book(inventory, 10, 17);
+            const order = await plan(18, 25);
+
+            assert.deepEqual(await conflictIds(order, inventory), []);
+        });
+
+        it('adds the transit days of each rental\'s shipping method', async () => {
+            config.buffers.shipping[SHIPPING_METHOD.SHIP] = { beforeDays: 1, afterDays: 2 };
+            const inventory = await createInventory();
+            const { item: shipped } = await book(inventory, 10, 17, {}, { order_shipping_method: SHIPPING_METHOD.SHIP });
+            const pickedUp = await plan(19, 25);
+            const alsoShipped = await plan(20, 25, { order_shipping_method: SHIPPING_METHOD.SHIP });
+            const later = await plan(21, 25, { order_shipping_method: SHIPPING_METHOD.SHIP });
+
+            // Returned on the 17th and in transit for two days: blocked through the 19th
+            assert.deepEqual(await conflictIds(pickedUp, inventory), [shipped.oi_id]);
+            // A shipped rental also needs a day of transit before its pickup
+            assert.deepEqual(await conflictIds(alsoShipped, inventory), [shipped.oi_id]);
+            assert.deepEqual(await conflictIds(later, inventory), []);
+        });
+
+        it('sets unavailable_until to the first pickup after the booking and its buffers', async () => {
+            config.buffers.beforeDays = 1;
+            config.buffers.afterDays = 2;
+            const inventory = await createInventory();
+            await book(inventory, 10, 17, { oi_status: ORDER_ITEM_STATUS.CONFIRMED });
+            const { order, item } = await book(inventory, 18, 25);
+
+            const result = await calculateOrderItemStatus(item, order);
+
+            assert.equal(result.status, ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL);
+            assert.deepEqual(result.unavailable_until, day(20));
+        });
+    });
+
+    describe('half-open overlap', () => {
+        const defaultDates = structuredClone(config.dates);
+
+        const conflictIds = async (inventory, pickup, returnAt) =>
+            (await findConflictingOrderItems(inventory.inventory_id, null, pickup, returnAt))
+                .map(item => item.oi_id);
+
+        beforeEach(() => {
+            config.dates.overlap = OVERLAP_MODE.HALF_OPEN;
+        });
+
+        afterEach(() => {
+            config.dates = structuredClone(defaultDates);
+        });
+
+        it('lets a rental start on the day the previous one is returned', async () => {
+            const inventory = await createInventory();
+            await book(inventory, 10, 17);
+
+            assert.deepEqual(await conflictIds(inventory, day(17), day(20)), []);
+            assert.deepEqual(await conflictIds(inventory, day(3), day(10)), []);
+        });
+
+        it('still finds rentals that share more than a boundary', async () => {
+            const inventory = await createInventory();
+            const { item } = await book(inventory, 10, 17);
+
+            assert.deepEqual(await conflictIds(inventory, day(16), day(20)), [item.oi_id]);
+            assert.deepEqual(await conflictIds(inventory, day(3), day(11)), [item.oi_id]);
+        });
+
+        it('keeps a buffer blocking the boundary day', async () => {
+            const defaultBuffers = structuredClone(config.buffers);
+            config.buffers.afterDays = 1;
+            try {
+                const inventory = await createInventory();
+                const { item } = await book(inventory, 10, 17);
+
+                assert.deepEqual(await conflictIds(inventory, day(17), day(20)), [item.oi_id]);
+                assert.deepEqual(await conflictIds(inventory, day(18), day(20)), []);
+            } finally {
+                config.buffers = defaultBuffers;
+            }
+        });
+    });
+});
@@ -0,0 +1,215 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../src/app');
+const Order = require('../src/schemas/order.schema');
+const { ORDER_STATUS, ORDER_ITEM_STATUS } = require('../src/constants/status');
+const { USER_ROLE } = require('../src/constants/role');
+const {
+    DOCUMENT_TYPE,
+    getOrderDocumentType,
+    renderDocumentHtml,
+    renderDocumentPdf,
+} = require('../src/helper/document');
+const db = require('./helpers/db');
+const { createUser, createInventory, createOrder, createOrderItem } = require('./helpers/fixtures');
+
+const day = n => new Date(Date.UTC(2030, 0, n));
+
+// A document model as buildOrderDocument returns it
+const documentModel = (overrides = {}) => ({
+    type: DOCUMENT_TYPE.QUOTE,
+    title: 'Quote',
+    issuer: 'node-practical',
+    invoiceNumber: null,
+    orderNumber: 'A-1',
+    orderName: 'Lobby',
+    orderStatus: ORDER_STATUS.WORKING,
+    issuedAt: day(1),
+    pickupAt: day(10),
+    returnAt: day(17),
+    lines: [{
+        barcode: '27900001',
+        width: 20,
+        depth: 1.5,
+        height: 20,
+        weight: 3,
+        rentalDays: 7,
+        blocks: { seven_day: 1, three_day: 0 },
+        rates: { seven_day: 100, three_day: 50 },
+        total: 100,
+    }],
+    total: 100,
+    unpricedItemsCount: 0,
+    ...overrides,
+});
+
+describe('quotes and invoices', () => {
+    describe('getOrderDocumentType', () => {
+        const cases = [
+            [ORDER_STATUS.WORKING, DOCUMENT_TYPE.QUOTE],
+            [ORDER_STATUS.HOLD, DOCUMENT_TYPE.QUOTE],
+            [ORDER_STATUS.CONFIRM, DOCUMENT_TYPE.INVOICE],
+            [ORDER_STATUS.OUT, DOCUMENT_TYPE.INVOICE],
+            [ORDER_STATUS.IN, DOCUMENT_TYPE.INVOICE],
+            [ORDER_STATUS.CANCELLED, null],
+        ];
+
+        for (const [status, type] of cases) {
+            it(`renders a ${status} order as ${type || 'nothing'}`, () => {
+                assert.equal(getOrderDocumentType({ order_status: status }), type);
+            });
+        }
+    });
+
+    describe('rendering', () => {
+        it('escapes HTML in user-provided values', () => {
+            const html = renderDocumentHtml(documentModel({
+                orderName: '<script>alert(1)</script>',
+                orderNumber: '"><img src=x onerror=alert(1)>',
+                lines: [{ ...documentModel().lines[0], barcode: '<b>27900001</b>' }],
+            }));
+
+            assert.ok(!html.includes('<script>alert(1)</script>'));
+            assert.ok(!html.includes('<img src=x'));
+            assert.ok(!html.includes('<b>27900001</b>'));
+            assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+            assert.ok(html.includes('&lt;b&gt;27900001&lt;/b&gt;'));
+        });
+
+        it('shows the invoice number, prices and unpriced items', () => {
+            const html = renderDocumentHtml(documentModel({
+                type: DOCUMENT_TYPE.INVOICE,
+                title: 'Invoice',
+                invoiceNumber: 'INV-000007',
+                unpricedItemsCount: 1,
+            }));
+
+            assert.match(html, /<h1>Invoice<\/h1>/);
+            assert.match(html, /<th>Invoice number<\/th><td>INV-000007<\/td>/);
+            assert.match(html, /1 x 7-day @ 100\.00/);
+            assert.match(html, /1 item\(s\) have no visible price/);
+            assert.match(html, /2030-01-10 to 2030-01-17/);
+        });
+
+        it('renders a PDF', async () => {
+            const pdf = await renderDocumentPdf(documentModel({ unpricedItemsCount: 1 }));
+
+            assert.ok(Buffer.isBuffer(pdf));
+            assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+            assert.match(pdf.subarray(-16).toString(), /%%EOF\s*$/);
+        });
+    });
+
+    describe('endpoint', () => {
+        let admin;
+        let customer;
+
+        before(db.connect);
+        after(db.disconnect);
+        beforeEach(async () => {
+            await db.clear();
+            admin = await createUser(USER_ROLE.ADMIN);
+            customer = await createUser();
+        });
+
+        const book = async (orderOverrides = {}, itemOverrides = {}) => {
+            const order = await createOrder(customer.user, day(10), day(17), orderOverrides);
+            await createOrderItem(order, await createInventory(), itemOverrides);
+            return order;
+        };
+
+        const getDocument = (order, format) =>
+            request(app)
+                .get(`/orders/document/${order.order_id}`)
+                .query(format ? { format } : {})
+                .set('Authorization', customer.token);
+
+        const confirmOrder = order =>
+            request(app)
+                .put(`/orders/confirm-order/${order.order_id}`)
+                .set('Authorization', admin.token);
+
+        const invoiceNumberOf = async order => (await Order.findOne({ order_id: order.order_id })).order_invoice_number;
+
+        it('sends a quote without an invoice number for orders that are not confirmed', async () => {
+            const order = await book();
+
+            const response = await getDocument(order);
+
+            assert.equal(response.status, 200);
+            assert.match(response.headers['content-type'], /^text\/html/);
+            assert.match(response.headers['content-disposition'], /filename="quote-/);
+            assert.match(response.text, /<h1>Quote<\/h1>/);
+            assert.ok(!response.text.includes('Invoice number'));
+            assert.equal(await invoiceNumberOf(order), undefined);
+        });
+
+        it('numbers invoices sequentially on confirmation', async () => {
+            const first = await book();
+            const second = await book();
+
+            await confirmOrder(first);
+            await confirmOrder(second);
+            const invoice = await getDocument(first);
+
+            assert.equal(await invoiceNumberOf(first), 'INV-000001');
+            assert.equal(await invoiceNumberOf(second), 'INV-000002');
+            assert.match(invoice.text, /<h1>Invoice<\/h1>/);
+            assert.match(invoice.text, /INV-000001/);
+            assert.match(invoice.headers['content-disposition'], /filename="invoice-INV-000001\.html"/);
+        });
+
+        it('does not reuse the invoice number of a cancelled order', async () => {
+            const cancelled = await book();
+            const next = await book();
+
+            await confirmOrder(cancelled);
+            await request(app)
+                .put(`/orders/cancel-order/${cancelled.order_id}`)
+                .set('Authorization', admin.token);
+            await confirmOrder(next);
+
+            assert.equal(await invoiceNumberOf(cancelled), 'INV-000001');
+            assert.equal(await invoiceNumberOf(next), 'INV-000002');
+        });
+
+        it('numbers orders confirmed before invoicing once, even when rendered concurrently', async () => {
+            const legacy = await book({ order_status: ORDER_STATUS.CONFIRM }, { oi_status: ORDER_ITEM_STATUS.CONFIRMED });
+            const later = await book();
+
+            const responses = await Promise.all([getDocument(legacy), getDocument(legacy), getDocument(legacy)]);
+            await confirmOrder(later);
+
+            responses.forEach(response => {
+                assert.equal(response.status, 200);
+                assert.match(response.text, /INV-000001/);
+            });
+            assert.equal(await invoiceNumberOf(legacy), 'INV-000001');
+            assert.equal(await invoiceNumberOf(later), 'INV-000002');
+        });
+
+        it('refuses documents for cancelled orders', async () => {
+            const order = await book({ order_status: ORDER_STATUS.CANCELLED });
+
+            const response = await getDocument(order);
+
+            assert.equal(response.status, 409);
+            assert.match(response.body.message, /No quote or invoice is available for a "cancelled" order/);
+        });
+
+        it('sends the document as a PDF on request', async () => {
+            const order = await book();
+
+            const response = await getDocument(order, 'pdf').buffer(true).responseType('blob');
+            const invalid = await getDocument(order, 'docx');
+
+            assert.equal(response.status, 200);
+            assert.equal(response.headers['content-type'], 'application/pdf');
+            assert.match(response.headers['content-disposition'], /\.pdf"$/);
+            assert.equal(response.body.subarray(0, 5).toString(), '%PDF-');
+            assert.equal(invalid.status, 400);
+        });
+    });
+});
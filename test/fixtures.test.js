@@ -0,0 +1,109 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const User = require('../src/schemas/user.schema');
+const Order = require('../src/schemas/order.schema');
+const Counter = require('../src/schemas/counter.schema');
+const { INVOICE_SEQUENCE } = require('../src/helper/document');
+const { verifyPassword } = require('../src/helper/auth');
+const { DEFAULT_FIXTURES_DIR, clearDatabase, seedFixtures, exportFixtures } = require('../src/helper/fixtures');
+const db = require('./helpers/db');
+
+const FIXTURE_FILES = ['user.json', 'inventory.json', 'order.json', 'order-item.json'];
+
+const readFixtures = async dir => {
+    const files = {};
+    for (const file of FIXTURE_FILES) {
+        files[file] = await fs.readFile(path.join(dir, file), 'utf8');
+    }
+    return files;
+};
+
+const writeFixtures = async (dir, fixtures) => {
+    for (const [file, records] of Object.entries(fixtures)) {
+        await fs.writeFile(path.join(dir, file), JSON.stringify(records));
+    }
+};
+
+describe('fixtures', () => {
+    let tmp;
+
+    before(db.connect);
+    after(db.disconnect);
+    beforeEach(async () => {
+        await db.clear();
+        tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'fixtures-'));
+    });
+    afterEach(() => fs.rm(tmp, { recursive: true, force: true }));
+
+    const dir = name => path.join(tmp, name);
+
+    it('seeds, exports and re-imports the json-data fixtures without changing them', async () => {
+        const source = await readFixtures(DEFAULT_FIXTURES_DIR);
+
+        const seeded = await seedFixtures();
+        const firstExport = await exportFixtures({ dir: dir('first') });
+        await clearDatabase();
+        const reseeded = await seedFixtures({ dir: dir('first') });
+        await exportFixtures({ dir: dir('second') });
+
+        for (const file of FIXTURE_FILES) {
+            assert.equal(seeded[file], JSON.parse(source[file]).length, file);
+        }
+        assert.deepEqual(reseeded, seeded);
+        assert.deepEqual(firstExport, seeded);
+        assert.deepEqual(await readFixtures(dir('second')), await readFixtures(dir('first')));
+
+        // Ids, timestamps and password hashes come back exactly as they were in the source files
+        const exported = await readFixtures(dir('first'));
+        for (const [file, idField] of [['user.json', 'user_id'], ['order.json', 'order_id'], ['order-item.json', 'oi_id']]) {
+            const byId = records => Object.fromEntries(JSON.parse(records).map(record => [record[idField], record]));
+            const sourceRecords = byId(source[file]);
+            for (const [id, record] of Object.entries(byId(exported[file]))) {
+                for (const field of Object.keys(record).filter(field => /_(created|updated)_at$|_password$/.test(field))) {
+                    assert.equal(record[field], sourceRecords[id][field], `${file} ${id} ${field}`);
+                }
+            }
+        }
+    });
+
+    it('hashes plain text passwords once and keeps the hash on re-import', async () => {
+        await writeFixtures(tmp, {
+            'user.json': [{ user_id: 'u1', user_email: 'seed@example.com', user_password: 'plain password' }],
+        });
+
+        await seedFixtures({ dir: tmp });
+        const hash = (await User.findOne({ user_id: 'u1' }).lean()).user_password;
+        await exportFixtures({ dir: dir('export') });
+        await seedFixtures({ dir: dir('export'), reset: true });
+        const reimported = (await User.findOne({ user_id: 'u1' }).lean()).user_password;
+
+        assert.notEqual(hash, 'plain password');
+        assert.equal(await verifyPassword('plain password', hash), true);
+        assert.equal(reimported, hash);
+    });
+
+    it('upserts by id, so seeding twice does not duplicate records', async () => {
+        await seedFixtures();
+        await seedFixtures();
+
+        const source = JSON.parse((await readFixtures(DEFAULT_FIXTURES_DIR))['order.json']);
+        assert.equal(await Order.countDocuments(), source.length);
+    });
+
+    it('moves the invoice sequence past seeded invoice numbers', async () => {
+        await writeFixtures(tmp, {
+            'order.json': [
+                { order_id: 'o1', order_name: 'a', order_status: 'confirm', order_invoice_number: 'INV-000041' },
+                { order_id: 'o2', order_name: 'b', order_status: 'confirm', order_invoice_number: 'INV-000007' },
+            ],
+        });
+
+        await seedFixtures({ dir: tmp });
+
+        assert.equal((await Counter.findOne({ counter_name: INVOICE_SEQUENCE })).counter_value, 41);
+    });
+});
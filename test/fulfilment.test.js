@@ -0,0 +1,180 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../src/app');
+const Order = require('../src/schemas/order.schema');
+const OrderItem = require('../src/schemas/orderItem.schema');
+const { ORDER_STATUS, ORDER_ITEM_STATUS } = require('../src/constants/status');
+const { USER_ROLE } = require('../src/constants/role');
+const db = require('./helpers/db');
+const { createUser, createInventory, createOrder, createOrderItem } = require('./helpers/fixtures');
+
+const day = n => new Date(Date.UTC(2030, 0, n));
+
+const book = async (inventory, pickupDay, returnDay, overrides = {}, orderOverrides = {}) => {
+    const { user } = await createUser();
+    const order = await createOrder(user, day(pickupDay), day(returnDay), orderOverrides);
+    const item = await createOrderItem(order, inventory, overrides);
+    return { order, item };
+};
+
+const confirmed = { oi_status: ORDER_ITEM_STATUS.CONFIRMED };
+
+const statusOf = async item => (await OrderItem.findOne({ oi_id: item.oi_id })).oi_status;
+
+describe('fulfilment', () => {
+    let adminToken;
+
+    before(db.connect);
+    after(db.disconnect);
+    beforeEach(async () => {
+        await db.clear();
+        ({ token: adminToken } = await createUser(USER_ROLE.ADMIN));
+    });
+
+    const advance = (order, status) =>
+        request(app)
+            .put(`/orders/fulfilment/${order.order_id}`)
+            .set('Authorization', adminToken)
+            .send({ status });
+
+    const scan = (direction, order, inventory) =>
+        request(app)
+            .put(`/orders/scan-${direction}/${order.order_id}`)
+            .set('Authorization', adminToken)
+            .send({ barcode: inventory.inventory_barcode });
+
+    describe('order status flow', () => {
+        it('walks a confirmed order out and back in once every item is scanned', async () => {
+            const first = await createInventory();
+            const second = await createInventory();
+            const { order } = await book(first, 10, 17, confirmed, { order_status: ORDER_STATUS.CONFIRM });
+            await createOrderItem(order, second, confirmed);
+
+            for (const status of [ORDER_STATUS.CHECK_OUT, ORDER_STATUS.PACK]) {
+                assert.equal((await advance(order, status)).status, 200);
+            }
+            assert.equal((await scan('out', order, first)).status, 200);
+            assert.equal((await scan('out', order, second)).status, 200);
+            assert.equal((await advance(order, ORDER_STATUS.SHIP)).status, 200);
+
+            for (const status of [ORDER_STATUS.OUT, ORDER_STATUS.RETURNED, ORDER_STATUS.CHECK_IN]) {
+                assert.equal((await advance(order, status)).status, 200);
+            }
+            await scan('in', order, first);
+            await scan('in', order, second);
+
+            const response = await advance(order, ORDER_STATUS.IN);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.data.order.order_status, ORDER_STATUS.IN);
+            response.body.data.orderItems.forEach(item => assert.equal(item.oi_status, ORDER_ITEM_STATUS.IN));
+        });
+
+        it('refuses to send the order out before every item is scanned out', async () => {
+            const first = await createInventory();
+            const second = await createInventory();
+            const { order } = await book(first, 10, 17, confirmed, { order_status: ORDER_STATUS.PACK });
+            const unscanned = await createOrderItem(order, second, confirmed);
+
+            await scan('out', order, first);
+            await advance(order, ORDER_STATUS.PICK_UP);
+            const response = await advance(order, ORDER_STATUS.OUT);
+
+            assert.equal(response.status, 409);
+            assert.deepEqual(response.body.pendingItems, [{
+                itemId: unscanned.oi_id,
+                barcode: second.inventory_barcode,
+                currentStatus: ORDER_ITEM_STATUS.CONFIRMED,
+            }]);
+            assert.equal((await Order.findOne({ order_id: order.order_id })).order_status, ORDER_STATUS.PICK_UP);
+        });
+
+        it('refuses to skip steps with the illegal transition error', async () => {
+            const inventory = await createInventory();
+            const { order } = await book(inventory, 10, 17, confirmed, { order_status: ORDER_STATUS.CONFIRM });
+
+            const response = await advance(order, ORDER_STATUS.SHIP);
+
+            assert.equal(response.status, 409);
+            assert.equal(response.body.error.code, 'ILLEGAL_STATUS_TRANSITION');
+            assert.equal(response.body.error.from, ORDER_STATUS.CONFIRM);
+            assert.equal(response.body.error.to, ORDER_STATUS.SHIP);
+            assert.deepEqual(response.body.error.allowed, [
+                ORDER_STATUS.CHECK_OUT,
+                ORDER_STATUS.RUSH_ORDER,
+                ORDER_STATUS.CANCELLED,
+            ]);
+            assert.equal((await Order.findOne({ order_id: order.order_id })).order_status, ORDER_STATUS.CONFIRM);
+        });
+
+        it('leaves pre-confirmation statuses to the order endpoints', async () => {
+            const inventory = await createInventory();
+            const { order } = await book(inventory, 10, 17, confirmed, { order_status: ORDER_STATUS.CONFIRM });
+
+            const response = await advance(order, ORDER_STATUS.CANCELLED);
+
+            assert.equal(response.status, 400);
+            assert.match(response.body.message, /^status must be one of/);
+        });
+    });
+
+    describe('barcode scanning', () => {
+        it('scans confirmed items out and reports how many are left', async () => {
+            const first = await createInventory();
+            const second = await createInventory();
+            const { order, item } = await book(first, 10, 17, confirmed, { order_status: ORDER_STATUS.PACK });
+            await createOrderItem(order, second, confirmed);
+
+            const response = await scan('out', order, first);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.data.previousStatus, ORDER_ITEM_STATUS.CONFIRMED);
+            assert.equal(response.body.data.remainingItemsCount, 1);
+            assert.equal(await statusOf(item), ORDER_ITEM_STATUS.OUT);
+        });
+
+        it('rejects scans in the wrong item or order state', async () => {
+            const inventory = await createInventory();
+            const stranger = await createInventory();
+            const { order, item } = await book(inventory, 10, 17, confirmed, { order_status: ORDER_STATUS.PACK });
+
+            const scanInWhilePacking = await scan('in', order, inventory);
+            await scan('out', order, inventory);
+            const scannedTwice = await scan('out', order, inventory);
+            const unknownBarcode = await scan('out', order, stranger);
+
+            assert.equal(scanInWhilePacking.status, 409);
+            assert.match(scanInWhilePacking.body.message, /cannot be scanned in while the order is "pack"/);
+            assert.equal(scannedTwice.status, 409);
+            assert.match(scannedTwice.body.message, /is "out", expected "confirmed" to scan out/);
+            assert.equal(unknownBarcode.status, 404);
+            assert.equal(await statusOf(item), ORDER_ITEM_STATUS.OUT);
+        });
+
+        it('releases orders that were only blocked by the returned artwork on scan-in', async () => {
+            const inventory = await createInventory();
+            const { order, item } = await book(
+                inventory, 10, 17, { oi_status: ORDER_ITEM_STATUS.OUT }, { order_status: ORDER_STATUS.CHECK_IN }
+            );
+            const { item: waiting } = await book(inventory, 15, 20, {
+                oi_status: ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL,
+                oi_unavailable_until: day(17),
+            });
+            const { item: stillBlocked } = await book(inventory, 16, 22, {
+                oi_status: ORDER_ITEM_STATUS.UNAVAILABLE,
+            });
+            await book(inventory, 21, 25, confirmed);
+
+            const response = await scan('in', order, inventory);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.data.releasedItemsCount, 1);
+            assert.equal(await statusOf(item), ORDER_ITEM_STATUS.IN);
+            assert.equal(await statusOf(waiting), ORDER_ITEM_STATUS.AVAILABLE);
+            assert.equal((await OrderItem.findOne({ oi_id: waiting.oi_id })).oi_unavailable_until, null);
+            assert.equal(await statusOf(stillBlocked), ORDER_ITEM_STATUS.UNAVAILABLE);
+        });
+    });
+});
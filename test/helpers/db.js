@@ -0,0 +1,29 @@
+require('./env');
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let mongoServer;
+
+const connect = async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    // Unique and TTL indexes are part of the behaviour under test
+    await Promise.all(Object.values(mongoose.models).map(model => model.syncIndexes()));
+};
+
+const clear = async () => {
+    const collections = Object.values(mongoose.connection.collections);
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+    await mongoose.disconnect();
+    if (mongoServer) await mongoServer.stop();
+};
+
+module.exports = {
+    connect,
+    clear,
+    disconnect,
+};
@@ -0,0 +1,4 @@
+const config = require('../../src/config');
+
+// The server refuses to start without JWT_SECRET; tests sign and verify tokens with their own
+config.auth.jwtSecret = process.env.JWT_SECRET || 'node-practical-test-secret';
@@ -0,0 +1,73 @@
+require('./env');
+
+const User = require('../../src/schemas/user.schema');
+const Inventory = require('../../src/schemas/inventory.schema');
+const Order = require('../../src/schemas/order.schema');
+const OrderItem = require('../../src/schemas/orderItem.schema');
+const { USER_ROLE } = require('../../src/constants/role');
+const { ORDER_ITEM_STATUS } = require('../../src/constants/status');
+const { signAccessToken } = require('../../src/helper/auth');
+
+let sequence = 0;
+const next = () => ++sequence;
+
+const createUser = async (role = USER_ROLE.CUSTOMER) => {
+    const n = next();
+    const user = await User.create({
+        user_email: `user${n}@example.com`,
+        user_full_name: `user ${n}`,
+        user_role: role,
+    });
+    return { user, token: `Bearer ${signAccessToken(user)}` };
+};
+
+const createInventory = async (overrides = {}) => {
+    return Inventory.create({
+        inventory_barcode: String(27900000 + next()),
+        inventory_general: {
+            width: 20,
+            depth: 1.5,
+            height: 20,
+            weight: 3,
+            seven_day_price: 100,
+            seven_day_visible: true,
+            three_day_price: 50,
+            three_day_visible: true,
+        },
+        ...overrides,
+    });
+};
+
+const createOrder = async (user, pickupAt, returnAt, overrides = {}) => {
+    return Order.create({
+        order_created_fk_user_id: user.user_id,
+        order_name: `order ${next()}`,
+        order_pickup_at: new Date(pickupAt),
+        order_return_at: new Date(returnAt),
+        ...overrides,
+    });
+};
+
+const createOrderItem = async (order, inventory, overrides = {}) => {
+    return OrderItem.create({
+        oi_created_fk_user_id: order.order_created_fk_user_id,
+        oi_order_fk_order_id: order.order_id,
+        oi_inventory_fk_inventory_id: inventory.inventory_id,
+        oi_inventory: {
+            inventory_id: inventory.inventory_id,
+            inventory_barcode: inventory.inventory_barcode,
+            inventory_general: inventory.inventory_general,
+        },
+        oi_pickup_at: order.order_pickup_at,
+        oi_return_at: order.order_return_at,
+        oi_status: ORDER_ITEM_STATUS.AVAILABLE,
+        ...overrides,
+    });
+};
+
+module.exports = {
+    createUser,
+    createInventory,
+    createOrder,
+    createOrderItem,
+};
@@ -0,0 +1,363 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../src/app');
+const StatusHistory = require('../src/schemas/statusHistory.schema');
+const { ORDER_STATUS, ORDER_ITEM_STATUS, INSPECTION_CONDITION } = require('../src/constants/status');
+const { HISTORY_ENTITY, HISTORY_REASON } = require('../src/constants/history');
+const { USER_ROLE } = require('../src/constants/role');
+const db = require('./helpers/db');
+const { createUser, createInventory, createOrder, createOrderItem } = require('./helpers/fixtures');
+
+const day = n => new Date(Date.UTC(2030, 0, n));
+
+const hold = status => ({ oi_status: status, oi_request_hold: true });
+
+describe('status history', () => {
+    let admin;
+    let customer;
+
+    before(db.connect);
+    after(db.disconnect);
+    beforeEach(async () => {
+        await db.clear();
+        admin = await createUser(USER_ROLE.ADMIN);
+        customer = await createUser();
+    });
+
+    const as = (actor, method, url, body = {}) =>
+        request(app)[method](url).set('Authorization', actor.token).send(body);
+
+    // A customer's order with one item for a fresh inventory
+    const book = async (itemOverrides = {}, orderOverrides = {}) => {
+        const inventory = await createInventory();
+        const order = await createOrder(customer.user, day(10), day(17), orderOverrides);
+        const item = await createOrderItem(order, inventory, itemOverrides);
+        return { inventory, order, item };
+    };
+
+    describe('mutations', () => {
+        // Each case performs one mutation and names the history entry it must leave behind
+        const cases = [
+            {
+                name: 'creating an order',
+                run: () => as(customer, 'post', '/orders', {
+                    order_name: 'New order',
+                    order_pickup_at: day(10).toISOString(),
+                    order_return_at: day(17).toISOString(),
+                }),
+                actor: () => customer,
+                expected: () => ({
+                    sh_entity: HISTORY_ENTITY.ORDER,
+                    sh_field: 'order_status',
+                    sh_old_value: null,
+                    sh_new_value: ORDER_STATUS.WORKING,
+                    sh_reason: HISTORY_REASON.ORDER_CREATED,
+                    sh_endpoint: 'POST /orders/',
+                }),
+            },
+            {
+                name: 'adding an item',
+                setup: async () => ({
+                    inventory: await createInventory(),
+                    order: await createOrder(customer.user, day(10), day(17)),
+                }),
+                run: ({ inventory, order }) => as(customer, 'post', '/order-items', {
+                    oi_order_fk_order_id: order.order_id,
+                    oi_inventory_fk_inventory_id: inventory.inventory_id,
+                }),
+                actor: () => customer,
+                expected: ({ inventory, order }) => ({
+                    sh_entity: HISTORY_ENTITY.ORDER_ITEM,
+                    sh_field: 'oi_status',
+                    sh_new_value: ORDER_ITEM_STATUS.AVAILABLE,
+                    sh_reason: HISTORY_REASON.ITEM_ADDED,
+                    sh_order_fk_order_id: order.order_id,
+                    sh_inventory_fk_inventory_id: inventory.inventory_id,
+                    sh_endpoint: 'POST /order-items/',
+                }),
+            },
+            {
+                name: 'requesting a hold',
+                setup: () => book(),
+                run: ({ order }) => as(customer, 'put', `/orders/request-hold/${order.order_id}`),
+                actor: () => customer,
+                expected: ({ order }) => ({
+                    sh_entity: HISTORY_ENTITY.ORDER,
+                    sh_entity_id: order.order_id,
+                    sh_field: 'order_status',
+                    sh_old_value: ORDER_STATUS.WORKING,
+                    sh_new_value: ORDER_STATUS.HOLD,
+                    sh_reason: HISTORY_REASON.HOLD_REQUESTED,
+                    sh_endpoint: 'PUT /orders/request-hold/:order_id',
+                }),
+            },
+            {
+                name: 'approving a hold',
+                setup: () => book(hold(ORDER_ITEM_STATUS.ON_HOLD_REQUEST), { order_status: ORDER_STATUS.HOLD }),
+                run: ({ item }) => as(admin, 'put', `/order-items/approve-hold/${item.oi_id}`),
+                actor: () => admin,
+                expected: ({ item }) => ({
+                    sh_entity_id: item.oi_id,
+                    sh_field: 'oi_status',
+                    sh_old_value: ORDER_ITEM_STATUS.ON_HOLD_REQUEST,
+                    sh_new_value: ORDER_ITEM_STATUS.ON_HOLD,
+                    sh_reason: HISTORY_REASON.HOLD_APPROVED,
+                }),
+            },
+            {
+                name: 'rejecting a hold',
+                setup: () => book(hold(ORDER_ITEM_STATUS.ON_HOLD_REQUEST), { order_status: ORDER_STATUS.HOLD }),
+                run: ({ item }) => as(admin, 'put', `/order-items/reject-hold/${item.oi_id}`),
+                actor: () => admin,
+                expected: ({ item }) => ({
+                    sh_entity_id: item.oi_id,
+                    sh_field: 'oi_status',
+                    sh_old_value: ORDER_ITEM_STATUS.ON_HOLD_REQUEST,
+                    sh_reason: HISTORY_REASON.HOLD_REJECTED,
+                }),
+            },
+            {
+                name: 'removing an item',
+                setup: () => book(),
+                run: ({ item }) => as(customer, 'delete', `/order-items/remove-order-item/${item.oi_id}`),
+                actor: () => customer,
+                expected: ({ item }) => ({
+                    sh_entity_id: item.oi_id,
+                    sh_field: 'oi_deleted',
+                    sh_new_value: true,
+                    sh_reason: HISTORY_REASON.ITEM_REMOVED,
+                    sh_endpoint: 'DELETE /order-items/remove-order-item/:oi_id',
+                }),
+            },
+            {
+                name: 'moving the order dates',
+                setup: () => book(),
+                run: ({ order }) => as(admin, 'put', `/orders/update-order/${order.order_id}`, {
+                    order_return_at: day(20).toISOString(),
+                    confirmed: true,
+                }),
+                actor: () => admin,
+                expected: ({ order }) => ({
+                    sh_entity_id: order.order_id,
+                    sh_field: 'order_return_at',
+                    sh_new_value: day(20),
+                    sh_reason: HISTORY_REASON.DATES_UPDATED,
+                }),
+            },
+            {
+                name: 'changing the order status',
+                setup: () => book(),
+                run: ({ order }) => as(admin, 'put', `/orders/update-order/${order.order_id}`, {
+                    status: ORDER_STATUS.HOLD,
+                }),
+                actor: () => admin,
+                expected: ({ order }) => ({
+                    sh_entity_id: order.order_id,
+                    sh_field: 'order_status',
+                    sh_new_value: ORDER_STATUS.HOLD,
+                    sh_reason: HISTORY_REASON.STATUS_UPDATED,
+                }),
+            },
+            {
+                name: 'confirming an order',
+                setup: () => book(),
+                run: ({ order }) => as(admin, 'put', `/orders/confirm-order/${order.order_id}`),
+                actor: () => admin,
+                expected: ({ item }) => ({
+                    sh_entity_id: item.oi_id,
+                    sh_field: 'oi_status',
+                    sh_new_value: ORDER_ITEM_STATUS.CONFIRMED,
+                    sh_reason: HISTORY_REASON.ORDER_CONFIRMED,
+                    sh_endpoint: 'PUT /orders/confirm-order/:order_id',
+                }),
+            },
+            {
+                name: 'cancelling an order',
+                setup: () => book(),
+                run: ({ order }) => as(customer, 'put', `/orders/cancel-order/${order.order_id}`),
+                actor: () => customer,
+                expected: ({ order }) => ({
+                    sh_entity_id: order.order_id,
+                    sh_field: 'order_status',
+                    sh_new_value: ORDER_STATUS.CANCELLED,
+                    sh_reason: HISTORY_REASON.ORDER_CANCELLED,
+                }),
+            },
+            {
+                name: 'advancing fulfilment',
+                setup: () => book({ oi_status: ORDER_ITEM_STATUS.CONFIRMED }, { order_status: ORDER_STATUS.CONFIRM }),
+                run: ({ order }) => as(admin, 'put', `/orders/fulfilment/${order.order_id}`, {
+                    status: ORDER_STATUS.CHECK_OUT,
+                }),
+                actor: () => admin,
+                expected: ({ order }) => ({
+                    sh_entity_id: order.order_id,
+                    sh_new_value: ORDER_STATUS.CHECK_OUT,
+                    sh_reason: HISTORY_REASON.FULFILMENT,
+                }),
+            },
+            {
+                name: 'scanning an item out',
+                setup: () => book({ oi_status: ORDER_ITEM_STATUS.CONFIRMED }, { order_status: ORDER_STATUS.PACK }),
+                run: ({ order, inventory }) => as(admin, 'put', `/orders/scan-out/${order.order_id}`, {
+                    barcode: inventory.inventory_barcode,
+                }),
+                actor: () => admin,
+                expected: ({ item }) => ({
+                    sh_entity_id: item.oi_id,
+                    sh_new_value: ORDER_ITEM_STATUS.OUT,
+                    sh_reason: HISTORY_REASON.SCANNED_OUT,
+                }),
+            },
+            {
+                name: 'inspecting a damaged item',
+                setup: () => book({ oi_status: ORDER_ITEM_STATUS.IN }, { order_status: ORDER_STATUS.CHECK_IN }),
+                run: ({ order, inventory }) => as(admin, 'put', `/orders/inspect-item/${order.order_id}`, {
+                    barcode: inventory.inventory_barcode,
+                    condition: INSPECTION_CONDITION.DAMAGE,
+                }),
+                actor: () => admin,
+                expected: ({ inventory, order }) => ({
+                    sh_entity: HISTORY_ENTITY.INVENTORY,
+                    sh_entity_id: inventory.inventory_id,
+                    sh_field: 'inventory_out_of_service',
+                    sh_new_value: true,
+                    sh_reason: HISTORY_REASON.OUT_OF_SERVICE,
+                    sh_caused_by_fk_order_id: order.order_id,
+                }),
+            },
+            {
+                name: 'returning an inventory to service',
+                setup: async () => ({ inventory: await createInventory({ inventory_out_of_service: true }) }),
+                run: ({ inventory }) => as(admin, 'put', `/inventory/return-to-service/${inventory.inventory_id}`),
+                actor: () => admin,
+                expected: ({ inventory }) => ({
+                    sh_entity_id: inventory.inventory_id,
+                    sh_field: 'inventory_out_of_service',
+                    sh_new_value: false,
+                    sh_reason: HISTORY_REASON.RETURNED_TO_SERVICE,
+                }),
+            },
+            {
+                name: 'retiring an inventory',
+                setup: async () => ({ inventory: await createInventory() }),
+                run: ({ inventory }) => as(admin, 'delete', `/inventory/retire-inventory/${inventory.inventory_id}`),
+                actor: () => admin,
+                expected: ({ inventory }) => ({
+                    sh_entity_id: inventory.inventory_id,
+                    sh_field: 'inventory_retired',
+                    sh_new_value: true,
+                    sh_reason: HISTORY_REASON.INVENTORY_RETIRED,
+                    sh_endpoint: 'DELETE /inventory/retire-inventory/:inventory_id',
+                }),
+            },
+        ];
+
+        for (const { name, setup = async () => ({}), run, actor, expected } of cases) {
+            it(`records who did what when ${name}`, async () => {
+                const context = await setup();
+
+                const response = await run(context);
+
+                assert.ok(response.status < 300, `${response.status} ${JSON.stringify(response.body)}`);
+                const { user } = actor();
+                const entry = await StatusHistory.findOne({
+                    ...expected(context),
+                    sh_actor_fk_user_id: user.user_id,
+                    sh_actor_role: user.user_role,
+                });
+                assert.ok(entry, `no matching history entry among ${JSON.stringify(await StatusHistory.find().lean())}`);
+                assert.match(entry.sh_endpoint, /^(GET|POST|PUT|DELETE) \//);
+            });
+        }
+
+        it('writes nothing when a tracked field does not change', async () => {
+            const { order } = await book();
+
+            const response = await as(admin, 'put', `/orders/update-order/${order.order_id}`, {
+                status: ORDER_STATUS.WORKING,
+            });
+
+            assert.equal(response.status, 200);
+            assert.equal(await StatusHistory.countDocuments(), 0);
+        });
+
+        it('refuses to change or remove entries', async () => {
+            const { order } = await book();
+            await as(customer, 'put', `/orders/request-hold/${order.order_id}`);
+            const entry = await StatusHistory.findOne();
+
+            await assert.rejects(StatusHistory.updateOne({ _id: entry._id }, { sh_reason: 'rewritten' }), /append-only/);
+            await assert.rejects(StatusHistory.deleteMany({}), /append-only/);
+            entry.sh_reason = 'rewritten';
+            await assert.rejects(entry.save(), /append-only/);
+        });
+    });
+
+    describe('timelines', () => {
+        it('shows an order with the changes of all its items, oldest first and paginated', async () => {
+            const { order, item } = await book();
+            const other = await book();
+            await as(customer, 'put', `/orders/request-hold/${order.order_id}`);
+            await as(admin, 'put', `/order-items/approve-hold/${item.oi_id}`);
+            await as(customer, 'put', `/orders/request-hold/${other.order.order_id}`);
+
+            const response = await as(customer, 'get', `/orders/history/${order.order_id}`);
+            const firstPage = await as(customer, 'get', `/orders/history/${order.order_id}?limit=2`);
+
+            assert.equal(response.status, 200);
+            const { history, pagination } = response.body.data;
+            assert.ok(history.length >= 3);
+            history.forEach(entry => assert.equal(entry.sh_order_fk_order_id, order.order_id));
+            assert.ok(history.some(entry => entry.sh_entity === HISTORY_ENTITY.ORDER));
+            assert.ok(history.some(entry => entry.sh_entity_id === item.oi_id));
+            assert.ok(history.some(entry => entry.sh_reason === HISTORY_REASON.HOLD_APPROVED));
+            const times = history.map(entry => new Date(entry.sh_created_at).getTime());
+            assert.deepEqual(times, [...times].sort((a, b) => a - b));
+            assert.equal(pagination.total, history.length);
+
+            assert.equal(firstPage.body.data.history.length, 2);
+            assert.deepEqual(firstPage.body.data.pagination, {
+                page: 1,
+                limit: 2,
+                total: history.length,
+                totalPages: Math.ceil(history.length / 2),
+            });
+        });
+
+        it('only shows an order timeline to its owner and admins', async () => {
+            const { order } = await book();
+            const stranger = await createUser();
+
+            const forbidden = await as(stranger, 'get', `/orders/history/${order.order_id}`);
+            const asAdmin = await as(admin, 'get', `/orders/history/${order.order_id}`);
+
+            assert.equal(forbidden.status, 403);
+            assert.equal(asAdmin.status, 200);
+        });
+
+        it('shows an inventory with its service changes and every order item that booked it', async () => {
+            const { inventory, order } = await book({ oi_status: ORDER_ITEM_STATUS.IN }, { order_status: ORDER_STATUS.CHECK_IN });
+            const unrelated = await book();
+            await as(admin, 'put', `/orders/inspect-item/${order.order_id}`, {
+                barcode: inventory.inventory_barcode,
+                condition: INSPECTION_CONDITION.DAMAGE,
+            });
+            await as(customer, 'put', `/orders/request-hold/${unrelated.order.order_id}`);
+
+            const response = await as(admin, 'get', `/inventory/history/${inventory.inventory_id}`);
+            const forbidden = await as(customer, 'get', `/inventory/history/${inventory.inventory_id}`);
+            const missing = await as(admin, 'get', '/inventory/history/00000000-0000-4000-8000-000000000000');
+
+            assert.equal(response.status, 200);
+            const reasons = response.body.data.history.map(entry => entry.sh_reason);
+            assert.deepEqual(reasons, [HISTORY_REASON.INSPECTED, HISTORY_REASON.OUT_OF_SERVICE]);
+            response.body.data.history.forEach(entry =>
+                assert.equal(entry.sh_inventory_fk_inventory_id, inventory.inventory_id));
+            assert.equal(forbidden.status, 403);
+            assert.equal(missing.status, 404);
+        });
+    });
+});
@@ -0,0 +1,174 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../src/app');
+const Inventory = require('../src/schemas/inventory.schema');
+const OrderItem = require('../src/schemas/orderItem.schema');
+const { ORDER_STATUS, ORDER_ITEM_STATUS, INSPECTION_CONDITION } = require('../src/constants/status');
+const { USER_ROLE } = require('../src/constants/role');
+const { getStatus } = require('../src/helper/orderItem');
+const db = require('./helpers/db');
+const { createUser, createInventory, createOrder, createOrderItem } = require('./helpers/fixtures');
+
+const day = n => new Date(Date.UTC(2030, 0, n));
+
+const book = async (inventory, pickupDay, returnDay, overrides = {}, orderOverrides = {}) => {
+    const { user, token } = await createUser();
+    const order = await createOrder(user, day(pickupDay), day(returnDay), orderOverrides);
+    const item = await createOrderItem(order, inventory, overrides);
+    return { order, item, user, token };
+};
+
+// An order whose artwork has come back and is waiting for inspection
+const returned = (inventory, itemStatus = ORDER_ITEM_STATUS.IN) =>
+    book(inventory, 10, 17, { oi_status: itemStatus }, { order_status: ORDER_STATUS.CHECK_IN });
+
+const findItem = item => OrderItem.findOne({ oi_id: item.oi_id });
+
+describe('return inspection', () => {
+    let adminToken;
+
+    before(db.connect);
+    after(db.disconnect);
+    beforeEach(async () => {
+        await db.clear();
+        ({ token: adminToken } = await createUser(USER_ROLE.ADMIN));
+    });
+
+    const inspect = (order, inventory, condition, notes) =>
+        request(app)
+            .put(`/orders/inspect-item/${order.order_id}`)
+            .set('Authorization', adminToken)
+            .send({ barcode: inventory.inventory_barcode, condition, notes });
+
+    it('keeps clean artwork in service', async () => {
+        const inventory = await createInventory();
+        const { order, item } = await returned(inventory);
+        const { item: upcoming } = await book(inventory, 20, 27);
+
+        const response = await inspect(order, inventory, INSPECTION_CONDITION.CLEAN, 'No marks');
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.data.flaggedItems, []);
+        const inspected = await findItem(item);
+        assert.equal(inspected.oi_status, ORDER_ITEM_STATUS.CLEAN);
+        assert.equal(inspected.oi_condition_notes, 'No marks');
+        assert.ok(inspected.oi_inspected_by_fk_user_id);
+        assert.equal((await Inventory.findOne({ inventory_id: inventory.inventory_id })).inventory_out_of_service, false);
+        assert.equal((await findItem(upcoming)).oi_flagged, false);
+    });
+
+    it('takes damaged artwork out of service and flags upcoming orders', async () => {
+        const inventory = await createInventory();
+        const { order } = await returned(inventory);
+        const { item: upcoming } = await book(inventory, 20, 27, { oi_status: ORDER_ITEM_STATUS.ON_HOLD });
+        const { item: booked } = await book(inventory, 28, 31, { oi_status: ORDER_ITEM_STATUS.CONFIRMED });
+        const { item: cancelled } = await book(inventory, 20, 27, { oi_status: ORDER_ITEM_STATUS.CANCELLED });
+
+        const response = await inspect(order, inventory, INSPECTION_CONDITION.DAMAGE, 'Frame cracked');
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(
+            response.body.data.flaggedItems.map(flagged => flagged.itemId).sort(),
+            [upcoming.oi_id, booked.oi_id].sort()
+        );
+
+        const damaged = await Inventory.findOne({ inventory_id: inventory.inventory_id });
+        assert.equal(damaged.inventory_out_of_service, true);
+        assert.equal(damaged.inventory_out_of_service_reason, INSPECTION_CONDITION.DAMAGE);
+        assert.equal(damaged.inventory_service_notes, 'Frame cracked');
+
+        const flagged = await findItem(upcoming);
+        assert.equal(flagged.oi_flagged, true);
+        assert.equal(flagged.oi_flag_reason, 'Inventory reported damaged');
+        // Statuses are left for the admins to resolve
+        assert.equal(flagged.oi_status, ORDER_ITEM_STATUS.ON_HOLD);
+        assert.equal((await findItem(cancelled)).oi_flagged, false);
+    });
+
+    it('records artwork that never came back as lost', async () => {
+        const inventory = await createInventory();
+        const { order, item } = await returned(inventory, ORDER_ITEM_STATUS.OUT);
+        const { item: upcoming } = await book(inventory, 20, 27);
+
+        const response = await inspect(order, inventory, INSPECTION_CONDITION.LOSS);
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.previousStatus, ORDER_ITEM_STATUS.OUT);
+        assert.equal((await findItem(item)).oi_status, ORDER_ITEM_STATUS.LOSS);
+        assert.equal(
+            (await Inventory.findOne({ inventory_id: inventory.inventory_id })).inventory_out_of_service_reason,
+            INSPECTION_CONDITION.LOSS
+        );
+        assert.equal((await findItem(upcoming)).oi_flag_reason, 'Inventory reported lost');
+    });
+
+    it('only inspects returned items of returned orders', async () => {
+        const inventory = await createInventory();
+        const { order: shipped } = await book(
+            inventory, 10, 17, { oi_status: ORDER_ITEM_STATUS.OUT }, { order_status: ORDER_STATUS.OUT }
+        );
+        const { order: checkedIn } = await book(
+            inventory, 20, 27, { oi_status: ORDER_ITEM_STATUS.CONFIRMED }, { order_status: ORDER_STATUS.CHECK_IN }
+        );
+
+        const tooEarly = await inspect(shipped, inventory, INSPECTION_CONDITION.DAMAGE);
+        const notReturned = await inspect(checkedIn, inventory, INSPECTION_CONDITION.DAMAGE);
+
+        assert.equal(tooEarly.status, 409);
+        assert.match(tooEarly.body.message, /cannot be inspected while the order is "out"/);
+        assert.equal(notReturned.status, 409);
+        assert.equal(notReturned.body.error.code, 'ILLEGAL_STATUS_TRANSITION');
+        assert.equal((await Inventory.findOne({ inventory_id: inventory.inventory_id })).inventory_out_of_service, false);
+    });
+
+    it('books out-of-service artwork as unavailable until it is returned to service', async () => {
+        const inventory = await createInventory();
+        const { order } = await returned(inventory);
+        const { item: upcoming } = await book(inventory, 20, 27);
+        await inspect(order, inventory, INSPECTION_CONDITION.DAMAGE);
+
+        const { user, token } = await createUser();
+        const addItem = async () => {
+            const newOrder = await createOrder(user, day(40), day(47));
+            return request(app)
+                .post('/order-items')
+                .set('Authorization', token)
+                .send({ oi_order_fk_order_id: newOrder.order_id, oi_inventory_fk_inventory_id: inventory.inventory_id });
+        };
+
+        const blocked = await addItem();
+        const restored = await request(app)
+            .put(`/inventory/return-to-service/${inventory.inventory_id}`)
+            .set('Authorization', adminToken)
+            .send({ notes: 'Reframed' });
+        const bookable = await addItem();
+
+        assert.equal(blocked.status, 201);
+        assert.equal(blocked.body.oi_status, ORDER_ITEM_STATUS.UNAVAILABLE);
+        assert.equal(restored.status, 200);
+        assert.equal(restored.body.data.unflaggedItemsCount, 1);
+        assert.equal((await findItem(upcoming)).oi_flagged, false);
+        assert.equal(bookable.body.oi_status, ORDER_ITEM_STATUS.AVAILABLE);
+    });
+
+    describe('getStatus', () => {
+        it('checks the inventory it is given, not the order', async () => {
+            const booked = await createInventory();
+            const free = await createInventory();
+            const broken = await createInventory({ inventory_out_of_service: true });
+            const { order: confirmedOrder } = await book(booked, 10, 17, { oi_status: ORDER_ITEM_STATUS.CONFIRMED });
+            const { user } = await createUser();
+            const order = await createOrder(user, day(12), day(20));
+
+            assert.deepEqual(await getStatus(order, booked.inventory_id), {
+                status: ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL,
+                unavailableUntil: day(17),
+                causedByOrderId: confirmedOrder.order_id,
+            });
+            assert.deepEqual(await getStatus(order, free.inventory_id), { status: ORDER_ITEM_STATUS.AVAILABLE });
+            assert.deepEqual(await getStatus(order, broken.inventory_id), { status: ORDER_ITEM_STATUS.UNAVAILABLE });
+        });
+    });
+});
@@ -0,0 +1,196 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../src/app');
+const Inventory = require('../src/schemas/inventory.schema');
+const { ORDER_STATUS, ORDER_ITEM_STATUS } = require('../src/constants/status');
+const { USER_ROLE } = require('../src/constants/role');
+const db = require('./helpers/db');
+const { createUser, createInventory, createOrder, createOrderItem } = require('./helpers/fixtures');
+
+const day = n => new Date(Date.UTC(2030, 0, n));
+
+const ids = (documents, field) => documents.map(document => document[field]).sort();
+
+describe('order and order item listings', () => {
+    let admin;
+    let alice;
+    let bob;
+    let inventories;
+    let orders;
+    let items;
+
+    before(db.connect);
+    after(db.disconnect);
+    beforeEach(async () => {
+        await db.clear();
+        admin = await createUser(USER_ROLE.ADMIN);
+        alice = await createUser();
+        bob = await createUser();
+        inventories = [await createInventory(), await createInventory(), await createInventory()];
+
+        orders = {
+            working: await createOrder(alice.user, day(10), day(17), { order_order_number: 'A-2' }),
+            hold: await createOrder(alice.user, day(20), day(27), { order_status: ORDER_STATUS.HOLD, order_order_number: 'A-3' }),
+            confirmed: await createOrder(alice.user, day(3), day(6), { order_status: ORDER_STATUS.CONFIRM, order_order_number: 'A-1' }),
+            bobs: await createOrder(bob.user, day(12), day(15)),
+        };
+        items = {
+            working: await createOrderItem(orders.working, inventories[0]),
+            removed: await createOrderItem(orders.working, inventories[1], { oi_deleted: true }),
+            hold: await createOrderItem(orders.hold, inventories[1], { oi_status: ORDER_ITEM_STATUS.ON_HOLD }),
+            confirmed: await createOrderItem(orders.confirmed, inventories[2], { oi_status: ORDER_ITEM_STATUS.CONFIRMED }),
+            bobs: await createOrderItem(orders.bobs, inventories[0]),
+        };
+    });
+
+    const list = (actor, path, query = {}) =>
+        request(app).get(path).query(query).set('Authorization', actor.token);
+
+    describe('GET /orders', () => {
+        const listOrders = (actor, query) => list(actor, '/orders', query);
+        const orderIds = response => ids(response.body.data.orders, 'order_id');
+
+        it('shows customers only their own orders and lets admins filter by user', async () => {
+            const own = await listOrders(alice);
+            const all = await listOrders(admin);
+            const bobs = await listOrders(admin, { user_id: bob.user.user_id });
+            const ignored = await listOrders(bob, { user_id: alice.user.user_id });
+
+            assert.equal(own.status, 200);
+            assert.deepEqual(orderIds(own), ids([orders.working, orders.hold, orders.confirmed], 'order_id'));
+            assert.equal(all.body.data.pagination.total, 4);
+            assert.deepEqual(orderIds(bobs), [orders.bobs.order_id]);
+            assert.deepEqual(orderIds(ignored), [orders.bobs.order_id]);
+        });
+
+        it('filters by a list of statuses and refuses unknown ones', async () => {
+            const response = await listOrders(admin, { status: 'hold,confirm' });
+            const unknown = await listOrders(admin, { status: 'hold,shipped' });
+
+            assert.deepEqual(orderIds(response), ids([orders.hold, orders.confirmed], 'order_id'));
+            assert.equal(unknown.status, 400);
+            assert.equal(unknown.body.message, 'Unknown status: shipped');
+        });
+
+        it('filters by pickup and return date ranges', async () => {
+            const pickups = await listOrders(admin, {
+                pickup_from: day(10).toISOString(),
+                pickup_to: day(12).toISOString(),
+            });
+            const returns = await listOrders(admin, { return_to: day(15).toISOString() });
+            const reversed = await listOrders(admin, {
+                pickup_from: day(12).toISOString(),
+                pickup_to: day(10).toISOString(),
+            });
+
+            assert.deepEqual(orderIds(pickups), ids([orders.working, orders.bobs], 'order_id'));
+            assert.deepEqual(orderIds(returns), ids([orders.confirmed, orders.bobs], 'order_id'));
+            assert.equal(reversed.status, 400);
+            assert.equal(reversed.body.message, 'pickup_from must not be after pickup_to');
+        });
+
+        it('filters by inventory ID or barcode, ignoring removed items', async () => {
+            const byId = await listOrders(admin, { inventory_id: inventories[0].inventory_id });
+            const byBarcode = await listOrders(alice, { barcode: inventories[1].inventory_barcode });
+
+            assert.deepEqual(orderIds(byId), ids([orders.working, orders.bobs], 'order_id'));
+            assert.deepEqual(orderIds(byBarcode), [orders.hold.order_id]);
+        });
+
+        it('sorts by a whitelisted field in either direction', async () => {
+            const ascending = await listOrders(alice, { sort: 'pickup_at' });
+            const descending = await listOrders(alice, { sort: '-order_number' });
+            const newestFirst = await listOrders(alice);
+            const invalid = await listOrders(alice, { sort: 'order_name' });
+
+            assert.deepEqual(
+                ascending.body.data.orders.map(order => order.order_id),
+                [orders.confirmed, orders.working, orders.hold].map(order => order.order_id)
+            );
+            assert.deepEqual(descending.body.data.orders.map(order => order.order_order_number), ['A-3', 'A-2', 'A-1']);
+            const created = newestFirst.body.data.orders.map(order => new Date(order.order_created_at).getTime());
+            assert.deepEqual(created, [...created].sort((a, b) => b - a));
+            assert.equal(invalid.status, 400);
+            assert.match(invalid.body.message, /^sort must be one of/);
+        });
+
+        it('paginates', async () => {
+            const firstPage = await listOrders(admin, { sort: 'pickup_at', limit: 3 });
+            const secondPage = await listOrders(admin, { sort: 'pickup_at', limit: 3, page: 2 });
+            const tooLarge = await listOrders(admin, { limit: 101 });
+
+            assert.equal(firstPage.body.data.orders.length, 3);
+            assert.deepEqual(secondPage.body.data.orders.map(order => order.order_id), [orders.hold.order_id]);
+            assert.deepEqual(secondPage.body.data.pagination, { page: 2, limit: 3, total: 4, totalPages: 2 });
+            assert.equal(tooLarge.status, 400);
+        });
+    });
+
+    describe('GET /order-items', () => {
+        const listItems = (actor, query) => list(actor, '/order-items', query);
+        const itemIds = response => ids(response.body.data.orderItems, 'oi_id');
+
+        it('shows customers only items of their own orders, without removed ones by default', async () => {
+            const own = await listItems(alice);
+            const withRemoved = await listItems(alice, { include_deleted: 'true' });
+            const bobs = await listItems(admin, { user_id: bob.user.user_id });
+
+            assert.equal(own.status, 200);
+            assert.deepEqual(itemIds(own), ids([items.working, items.hold, items.confirmed], 'oi_id'));
+            assert.deepEqual(
+                itemIds(withRemoved),
+                ids([items.working, items.removed, items.hold, items.confirmed], 'oi_id')
+            );
+            assert.deepEqual(itemIds(bobs), [items.bobs.oi_id]);
+        });
+
+        it('filters by order, status, dates and inventory', async () => {
+            const byOrder = await listItems(admin, { order_id: orders.working.order_id });
+            const byStatus = await listItems(admin, { status: 'on-hold,confirmed' });
+            const byPickup = await listItems(admin, { pickup_from: day(11).toISOString() });
+            const byInventory = await listItems(admin, { inventory_id: inventories[0].inventory_id });
+            const unknownStatus = await listItems(admin, { status: 'lost' });
+
+            assert.deepEqual(itemIds(byOrder), [items.working.oi_id]);
+            assert.deepEqual(itemIds(byStatus), ids([items.hold, items.confirmed], 'oi_id'));
+            assert.deepEqual(itemIds(byPickup), ids([items.hold, items.bobs], 'oi_id'));
+            assert.deepEqual(itemIds(byInventory), ids([items.working, items.bobs], 'oi_id'));
+            assert.equal(unknownStatus.status, 400);
+        });
+
+        it('matches barcodes of inventories that only exist in the item snapshot', async () => {
+            await Inventory.deleteOne({ inventory_id: inventories[2].inventory_id });
+
+            const response = await listItems(admin, { barcode: inventories[2].inventory_barcode });
+
+            assert.deepEqual(itemIds(response), [items.confirmed.oi_id]);
+        });
+
+        it('sorts and paginates', async () => {
+            const firstPage = await listItems(admin, { sort: '-pickup_at', limit: 2 });
+            const secondPage = await listItems(admin, { sort: '-pickup_at', limit: 2, page: 2 });
+
+            assert.deepEqual(
+                [...firstPage.body.data.orderItems, ...secondPage.body.data.orderItems].map(item => item.oi_id),
+                [items.hold, items.bobs, items.working, items.confirmed].map(item => item.oi_id)
+            );
+            assert.deepEqual(secondPage.body.data.pagination, { page: 2, limit: 2, total: 4, totalPages: 2 });
+        });
+    });
+
+    describe('GET /orders/:order_id', () => {
+        it('returns the order with its current items to its owner and admins only', async () => {
+            const own = await list(alice, `/orders/${orders.working.order_id}`);
+            const asAdmin = await list(admin, `/orders/${orders.working.order_id}`);
+            const forbidden = await list(bob, `/orders/${orders.working.order_id}`);
+
+            assert.equal(own.status, 200);
+            assert.equal(own.body.data.order.order_id, orders.working.order_id);
+            assert.deepEqual(own.body.data.orderItems.map(item => item.oi_id), [items.working.oi_id]);
+            assert.equal(asAdmin.status, 200);
+            assert.equal(forbidden.status, 403);
+        });
+    });
+});
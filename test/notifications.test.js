@@ -0,0 +1,176 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { SMTPServer } = require('smtp-server');
+const nodemailer = require('nodemailer');
+
+const app = require('../src/app');
+const Notification = require('../src/schemas/notification.schema');
+const { ORDER_STATUS, ORDER_ITEM_STATUS } = require('../src/constants/status');
+const { NOTIFICATION_EVENT, NOTIFICATION_STATUS } = require('../src/constants/notification');
+const { USER_ROLE } = require('../src/constants/role');
+const { flushNotifications, startNotifications, stopNotifications } = require('../src/helper/notification');
+const db = require('./helpers/db');
+const { createUser, createInventory, createOrder, createOrderItem } = require('./helpers/fixtures');
+
+const day = n => new Date(Date.UTC(2030, 0, n));
+
+const book = async (inventory, pickupDay, returnDay, overrides = {}, orderOverrides = {}) => {
+    const { user, token } = await createUser();
+    const order = await createOrder(user, day(pickupDay), day(returnDay), orderOverrides);
+    const item = await createOrderItem(order, inventory, overrides);
+    return { order, item, user, token };
+};
+
+const hold = status => ({ oi_status: status, oi_request_hold: true });
+
+// Local SMTP sink that keeps every message it is sent
+const startSmtpSink = () => new Promise((resolve) => {
+    const messages = [];
+    const server = new SMTPServer({
+        authOptional: true,
+        disabledCommands: ['STARTTLS', 'AUTH'],
+        logger: false,
+        onData(stream, session, callback) {
+            let raw = '';
+            stream.on('data', chunk => { raw += chunk; });
+            stream.on('end', () => {
+                // Undo header folding and quoted-printable soft line breaks
+                const text = raw.replace(/=\r?\n/g, '').replace(/\r?\n[ \t]+/g, ' ');
+                messages.push({ to: session.envelope.rcptTo.map(rcpt => rcpt.address), raw: text });
+                callback();
+            });
+        },
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ server, messages }));
+});
+
+const sentTo = (messages, user) => messages.filter(message => message.to.includes(user.user_email));
+
+describe('email notifications', () => {
+    let sink;
+    let adminToken;
+
+    const sinkTransport = () =>
+        nodemailer.createTransport({ host: '127.0.0.1', port: sink.server.server.address().port, secure: false });
+
+    before(async () => {
+        await db.connect();
+        sink = await startSmtpSink();
+        startNotifications({ transport: sinkTransport() });
+    });
+    after(async () => {
+        stopNotifications();
+        await new Promise(resolve => sink.server.close(resolve));
+        await db.disconnect();
+    });
+    beforeEach(async () => {
+        await db.clear();
+        sink.messages.length = 0;
+        ({ token: adminToken } = await createUser(USER_ROLE.ADMIN));
+    });
+
+    const approveHold = item =>
+        request(app)
+            .put(`/order-items/approve-hold/${item.oi_id}`)
+            .set('Authorization', adminToken);
+
+    it('emails the customer when an admin approves their hold', async () => {
+        const inventory = await createInventory();
+        const { item, user } = await book(
+            inventory, 10, 17, hold(ORDER_ITEM_STATUS.ON_HOLD_REQUEST), { order_status: ORDER_STATUS.HOLD }
+        );
+
+        const response = await approveHold(item);
+        await flushNotifications();
+
+        assert.equal(response.status, 200);
+        const [message] = sentTo(sink.messages, user);
+        assert.ok(message);
+        assert.match(message.raw, /Subject: Hold approved/);
+        assert.ok(message.raw.includes(inventory.inventory_barcode));
+
+        const logged = await Notification.findOne({ nt_user_fk_user_id: user.user_id });
+        assert.equal(logged.nt_event, NOTIFICATION_EVENT.HOLD_APPROVED);
+        assert.equal(logged.nt_status, NOTIFICATION_STATUS.SENT);
+    });
+
+    it('emails the customer and every customer who loses the artwork when an order is confirmed', async () => {
+        const inventory = await createInventory();
+        const { order, user } = await book(inventory, 10, 17);
+        const { user: competitor } = await book(inventory, 12, 20, hold(ORDER_ITEM_STATUS.ON_HOLD_REQUEST));
+
+        const response = await request(app)
+            .put(`/orders/confirm-order/${order.order_id}`)
+            .set('Authorization', adminToken);
+        await flushNotifications();
+
+        assert.equal(response.status, 200);
+        assert.match(sentTo(sink.messages, user)[0].raw, /confirmed/);
+        const [unavailable] = sentTo(sink.messages, competitor);
+        assert.match(unavailable.raw, /no longer available/);
+        assert.match(unavailable.raw, /unavailable until 2030-01-17/);
+    });
+
+    it('emails the customer whose hold moves up when the hold ahead is removed', async () => {
+        const inventory = await createInventory();
+        const { item: first, token } = await book(inventory, 10, 17, hold(ORDER_ITEM_STATUS.ON_HOLD));
+        const { user: second } = await book(inventory, 10, 17, hold(ORDER_ITEM_STATUS.SECOND_HOLD));
+
+        await request(app).delete(`/order-items/remove-order-item/${first.oi_id}`).set('Authorization', token);
+        await flushNotifications();
+
+        assert.equal(sentTo(sink.messages, second).length, 1);
+        assert.match(sentTo(sink.messages, second)[0].raw, /moved up/);
+    });
+
+    it('respects opt-outs, entirely or per event', async () => {
+        const inventory = await createInventory();
+        const muted = await book(
+            inventory, 10, 17, hold(ORDER_ITEM_STATUS.ON_HOLD_REQUEST), { order_status: ORDER_STATUS.HOLD }
+        );
+        const optedOut = await book(
+            inventory, 20, 27, hold(ORDER_ITEM_STATUS.ON_HOLD_REQUEST), { order_status: ORDER_STATUS.HOLD }
+        );
+
+        const muteResponse = await request(app)
+            .put('/users/notifications')
+            .set('Authorization', muted.token)
+            .send({ muted_events: [NOTIFICATION_EVENT.HOLD_APPROVED] });
+        await request(app)
+            .put('/users/notifications')
+            .set('Authorization', optedOut.token)
+            .send({ email: false });
+        const invalid = await request(app)
+            .put('/users/notifications')
+            .set('Authorization', optedOut.token)
+            .send({ muted_events: ['not-an-event'] });
+
+        await approveHold(muted.item);
+        await approveHold(optedOut.item);
+        await flushNotifications();
+
+        assert.equal(muteResponse.status, 200);
+        assert.deepEqual(muteResponse.body.data.muted_events, [NOTIFICATION_EVENT.HOLD_APPROVED]);
+        assert.equal(invalid.status, 400);
+        assert.equal(sink.messages.length, 0);
+        assert.equal(await Notification.countDocuments(), 0);
+    });
+
+    it('sends nothing without a mail transport', async () => {
+        const inventory = await createInventory();
+        const { item } = await book(
+            inventory, 10, 17, hold(ORDER_ITEM_STATUS.ON_HOLD_REQUEST), { order_status: ORDER_STATUS.HOLD }
+        );
+
+        startNotifications({ transport: null });
+        try {
+            await approveHold(item);
+            await flushNotifications();
+        } finally {
+            startNotifications({ transport: sinkTransport() });
+        }
+
+        assert.equal(sink.messages.length, 0);
+    });
+});
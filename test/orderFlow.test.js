@@ -0,0 +1,336 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../src/app');
+const config = require('../src/config');
+const Order = require('../src/schemas/order.schema');
+const OrderItem = require('../src/schemas/orderItem.schema');
+const StatusHistory = require('../src/schemas/statusHistory.schema');
+const { ORDER_STATUS, ORDER_ITEM_STATUS } = require('../src/constants/status');
+const { HISTORY_REASON } = require('../src/constants/history');
+const { USER_ROLE } = require('../src/constants/role');
+const db = require('./helpers/db');
+const { createUser, createInventory, createOrder, createOrderItem } = require('./helpers/fixtures');
+
+const day = n => new Date(Date.UTC(2030, 0, n));
+
+const book = async (inventory, pickupDay, returnDay, overrides = {}) => {
+    const { user } = await createUser();
+    const order = await createOrder(user, day(pickupDay), day(returnDay));
+    const item = await createOrderItem(order, inventory, overrides);
+    return { order, item };
+};
+
+const hold = status => ({ oi_status: status, oi_request_hold: true });
+
+describe('order date updates and confirmation', () => {
+    let adminToken;
+
+    before(db.connect);
+    after(db.disconnect);
+    beforeEach(async () => {
+        await db.clear();
+        ({ token: adminToken } = await createUser(USER_ROLE.ADMIN));
+    });
+
+    const updateOrder = (order, body) =>
+        request(app)
+            .put(`/orders/update-order/${order.order_id}`)
+            .set('Authorization', adminToken)
+            .send(body);
+
+    const confirmOrder = order =>
+        request(app)
+            .put(`/orders/confirm-order/${order.order_id}`)
+            .set('Authorization', adminToken);
+
+    describe('updateOrder', () => {
+        it('previews new item statuses and prices without changing anything', async () => {
+            const inventory = await createInventory();
+            const { order, item } = await book(inventory, 10, 17);
+            const { order: holder } = await book(inventory, 20, 27, hold(ORDER_ITEM_STATUS.ON_HOLD));
+
+            const response = await updateOrder(order, {
+                order_pickup_at: day(21).toISOString(),
+                order_return_at: day(24).toISOString(),
+            });
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.requiresConfirmation, true);
+            const { itemStatusChanges, changedItemsCount, pricing } = response.body.data;
+            assert.equal(changedItemsCount, 1);
+            assert.equal(itemStatusChanges[0].itemId, item.oi_id);
+            assert.equal(itemStatusChanges[0].currentStatus, ORDER_ITEM_STATUS.AVAILABLE);
+            assert.equal(itemStatusChanges[0].newStatus, ORDER_ITEM_STATUS.SECOND_HOLD_REQUEST);
+            assert.equal(itemStatusChanges[0].conflictingOrder, holder.order_id);
+            assert.equal(pricing.newTotal, 50);
+
+            const unchangedOrder = await Order.findOne({ order_id: order.order_id });
+            const unchangedItem = await OrderItem.findOne({ oi_id: item.oi_id });
+            assert.deepEqual(unchangedOrder.order_pickup_at, day(10));
+            assert.deepEqual(unchangedItem.oi_return_at, day(17));
+            assert.equal(unchangedItem.oi_status, ORDER_ITEM_STATUS.AVAILABLE);
+        });
+
+        it('applies the previewed dates and statuses once confirmed', async () => {
+            const inventory = await createInventory();
+            const { order, item } = await book(inventory, 10, 17);
+            await book(inventory, 20, 27, hold(ORDER_ITEM_STATUS.ON_HOLD));
+            const body = {
+                order_pickup_at: day(21).toISOString(),
+                order_return_at: day(24).toISOString(),
+            };
+
+            const preview = await updateOrder(order, body);
+            const response = await updateOrder(order, { ...body, confirmed: true });
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(response.body.data.statusChanges, preview.body.data.itemStatusChanges);
+
+            const updatedOrder = await Order.findOne({ order_id: order.order_id });
+            const updatedItem = await OrderItem.findOne({ oi_id: item.oi_id });
+            assert.deepEqual(updatedOrder.order_pickup_at, day(21));
+            assert.deepEqual(updatedOrder.order_return_at, day(24));
+            assert.equal(updatedOrder.order_total, 50);
+            assert.deepEqual(updatedItem.oi_pickup_at, day(21));
+            assert.deepEqual(updatedItem.oi_return_at, day(24));
+            assert.equal(updatedItem.oi_status, ORDER_ITEM_STATUS.SECOND_HOLD_REQUEST);
+        });
+
+        it('refuses dates that collide with a confirmed booking, even when confirmed', async () => {
+            const inventory = await createInventory();
+            const { order, item } = await book(inventory, 10, 17);
+            const { order: booked } = await book(inventory, 20, 27, { oi_status: ORDER_ITEM_STATUS.CONFIRMED });
+
+            const response = await updateOrder(order, {
+                order_pickup_at: day(21).toISOString(),
+                order_return_at: day(24).toISOString(),
+                confirmed: true,
+            });
+
+            assert.equal(response.status, 409);
+            assert.equal(response.body.conflictedItems[0].itemId, item.oi_id);
+            assert.equal(response.body.conflictedItems[0].conflictingOrder, booked.order_id);
+            const unchangedOrder = await Order.findOne({ order_id: order.order_id });
+            assert.deepEqual(unchangedOrder.order_pickup_at, day(10));
+        });
+    });
+
+    describe('updateOrder status', () => {
+        for (const status of [ORDER_STATUS.CONFIRM, ORDER_STATUS.CANCELLED]) {
+            it(`refuses to set ${status} without the cascade of its own endpoint`, async () => {
+                const inventory = await createInventory();
+                const { order, item } = await book(inventory, 10, 17);
+                const { item: requested } = await book(inventory, 12, 20, hold(ORDER_ITEM_STATUS.ON_HOLD_REQUEST));
+
+                const response = await updateOrder(order, { status });
+
+                assert.equal(response.status, 400);
+                assert.match(response.body.errors[0].message, /confirm-order or \/orders\/cancel-order/);
+                assert.equal((await Order.findOne({ order_id: order.order_id })).order_status, ORDER_STATUS.WORKING);
+                assert.equal((await OrderItem.findOne({ oi_id: item.oi_id })).oi_status, ORDER_ITEM_STATUS.AVAILABLE);
+                assert.equal((await OrderItem.findOne({ oi_id: requested.oi_id })).oi_status, ORDER_ITEM_STATUS.ON_HOLD_REQUEST);
+            });
+        }
+
+        it('still moves an order between working and hold', async () => {
+            const inventory = await createInventory();
+            const { order } = await book(inventory, 10, 17);
+
+            const response = await updateOrder(order, { status: ORDER_STATUS.HOLD });
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.data.order.order_status, ORDER_STATUS.HOLD);
+        });
+    });
+
+    describe('confirmOrder', () => {
+        it('makes conflicting requested holds unavailable until the confirmed return date', async () => {
+            const inventory = await createInventory();
+            const { order, item } = await book(inventory, 10, 17);
+            const { item: requested } = await book(inventory, 12, 20, hold(ORDER_ITEM_STATUS.ON_HOLD_REQUEST));
+            const { item: secondHold } = await book(inventory, 5, 11, hold(ORDER_ITEM_STATUS.SECOND_HOLD));
+
+            const response = await confirmOrder(order);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.data.order.order_status, ORDER_STATUS.CONFIRM);
+            assert.ok(response.body.data.order.order_invoice_number);
+            assert.equal((await OrderItem.findOne({ oi_id: item.oi_id })).oi_status, ORDER_ITEM_STATUS.CONFIRMED);
+
+            for (const blocked of [requested, secondHold]) {
+                const updated = await OrderItem.findOne({ oi_id: blocked.oi_id });
+                assert.equal(updated.oi_status, ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL);
+                assert.deepEqual(updated.oi_unavailable_until, day(17));
+            }
+
+            const entries = await StatusHistory.find({ sh_reason: HISTORY_REASON.CONFLICT_CONFIRMED, sh_field: 'oi_status' });
+            assert.equal(entries.length, 2);
+            entries.forEach(entry => assert.equal(entry.sh_caused_by_fk_order_id, order.order_id));
+        });
+
+        it('adds the turnaround buffers of both rentals to unavailable_until', async () => {
+            const defaultBuffers = structuredClone(config.buffers);
+            config.buffers.beforeDays = 1;
+            config.buffers.afterDays = 2;
+            try {
+                const inventory = await createInventory();
+                const { order } = await book(inventory, 10, 17);
+                const { item: requested } = await book(inventory, 12, 20, hold(ORDER_ITEM_STATUS.ON_HOLD_REQUEST));
+
+                const response = await confirmOrder(order);
+
+                assert.equal(response.status, 200);
+                const updated = await OrderItem.findOne({ oi_id: requested.oi_id });
+                assert.equal(updated.oi_status, ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL);
+                assert.deepEqual(updated.oi_unavailable_until, day(20));
+            } finally {
+                config.buffers = defaultBuffers;
+            }
+        });
+
+        it('leaves items that never requested a hold and items on other dates alone', async () => {
+            const inventory = await createInventory();
+            const { order } = await book(inventory, 10, 17);
+            const { item: notRequested } = await book(inventory, 12, 20);
+            const { item: later } = await book(inventory, 18, 25, hold(ORDER_ITEM_STATUS.ON_HOLD));
+
+            const response = await confirmOrder(order);
+
+            assert.equal(response.status, 200);
+            assert.equal((await OrderItem.findOne({ oi_id: notRequested.oi_id })).oi_status, ORDER_ITEM_STATUS.AVAILABLE);
+            assert.equal((await OrderItem.findOne({ oi_id: later.oi_id })).oi_status, ORDER_ITEM_STATUS.ON_HOLD);
+        });
+
+        it('refuses orders with items that are not available or on hold', async () => {
+            const inventory = await createInventory();
+            await book(inventory, 10, 17, hold(ORDER_ITEM_STATUS.ON_HOLD));
+            const { order, item } = await book(inventory, 10, 17, hold(ORDER_ITEM_STATUS.SECOND_HOLD_REQUEST));
+
+            const response = await confirmOrder(order);
+
+            assert.equal(response.status, 400);
+            assert.equal(response.body.invalidItems[0].itemId, item.oi_id);
+            const unchangedOrder = await Order.findOne({ order_id: order.order_id });
+            assert.equal(unchangedOrder.order_status, ORDER_STATUS.WORKING);
+        });
+    });
+
+    describe('cancelOrder', () => {
+        const cancelOrder = (order, token = adminToken) =>
+            request(app)
+                .put(`/orders/cancel-order/${order.order_id}`)
+                .set('Authorization', token);
+
+        // A customer's own order with one item, so the customer can cancel it
+        const bookOwn = async (inventory, pickupDay, returnDay, overrides = {}, orderOverrides = {}) => {
+            const { user, token } = await createUser();
+            const order = await createOrder(user, day(pickupDay), day(returnDay), orderOverrides);
+            const item = await createOrderItem(order, inventory, overrides);
+            return { order, item, token };
+        };
+
+        it('lets a customer cancel a held order and promotes the holds queued behind it', async () => {
+            const inventory = await createInventory();
+            const { order, item, token } = await bookOwn(
+                inventory, 10, 17, hold(ORDER_ITEM_STATUS.ON_HOLD), { order_status: ORDER_STATUS.HOLD }
+            );
+            const { order: queued, item: secondHold } = await book(inventory, 12, 20, hold(ORDER_ITEM_STATUS.SECOND_HOLD));
+
+            const response = await cancelOrder(order, token);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.data.previousStatus, ORDER_STATUS.HOLD);
+            assert.equal(response.body.data.orderStatus, ORDER_STATUS.CANCELLED);
+            assert.deepEqual(response.body.data.cancelledItems.map(cancelled => cancelled.oi_id), [item.oi_id]);
+            assert.deepEqual(response.body.data.affectedOrders, [{
+                order_id: queued.order_id,
+                items: [{
+                    oi_id: secondHold.oi_id,
+                    inventory_id: inventory.inventory_id,
+                    previousStatus: ORDER_ITEM_STATUS.SECOND_HOLD,
+                    newStatus: ORDER_ITEM_STATUS.ON_HOLD
+                }]
+            }]);
+
+            assert.equal((await Order.findOne({ order_id: order.order_id })).order_status, ORDER_STATUS.CANCELLED);
+            assert.equal((await OrderItem.findOne({ oi_id: item.oi_id })).oi_status, ORDER_ITEM_STATUS.CANCELLED);
+            assert.equal((await OrderItem.findOne({ oi_id: secondHold.oi_id })).oi_status, ORDER_ITEM_STATUS.ON_HOLD);
+        });
+
+        it('lets an admin cancel a confirmed order and releases the items it blocked', async () => {
+            const inventory = await createInventory();
+            const { user } = await createUser();
+            const order = await createOrder(user, day(10), day(17), { order_status: ORDER_STATUS.CONFIRM });
+            await createOrderItem(order, inventory, { oi_status: ORDER_ITEM_STATUS.CONFIRMED });
+            const { item: blocked } = await book(inventory, 12, 20, {
+                oi_status: ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL,
+                oi_unavailable_until: day(17)
+            });
+
+            const response = await cancelOrder(order);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.data.affectedItemsCount, 1);
+            assert.equal(response.body.data.affectedOrders[0].items[0].newStatus, ORDER_ITEM_STATUS.AVAILABLE);
+            const released = await OrderItem.findOne({ oi_id: blocked.oi_id });
+            assert.equal(released.oi_status, ORDER_ITEM_STATUS.AVAILABLE);
+            assert.equal(released.oi_unavailable_until, null);
+
+            const entries = await StatusHistory.find({ sh_reason: HISTORY_REASON.ORDER_CANCELLED });
+            assert.equal(entries.length, 2);
+        });
+
+        it('does not let a customer cancel a confirmed order', async () => {
+            const inventory = await createInventory();
+            const { order, item, token } = await bookOwn(
+                inventory, 10, 17, { oi_status: ORDER_ITEM_STATUS.CONFIRMED }, { order_status: ORDER_STATUS.CONFIRM }
+            );
+
+            const response = await cancelOrder(order, token);
+
+            assert.equal(response.status, 403);
+            assert.equal((await Order.findOne({ order_id: order.order_id })).order_status, ORDER_STATUS.CONFIRM);
+            assert.equal((await OrderItem.findOne({ oi_id: item.oi_id })).oi_status, ORDER_ITEM_STATUS.CONFIRMED);
+        });
+
+        it('refuses orders already in fulfilment', async () => {
+            const inventory = await createInventory();
+            const { user } = await createUser();
+            const order = await createOrder(user, day(10), day(17), { order_status: ORDER_STATUS.PACK });
+            await createOrderItem(order, inventory, { oi_status: ORDER_ITEM_STATUS.CONFIRMED });
+
+            const response = await cancelOrder(order);
+
+            assert.equal(response.status, 409);
+            assert.equal((await Order.findOne({ order_id: order.order_id })).order_status, ORDER_STATUS.PACK);
+        });
+    });
+
+    describe('rejectHold', () => {
+        const rejectHold = item =>
+            request(app)
+                .put(`/order-items/reject-hold/${item.oi_id}`)
+                .set('Authorization', adminToken);
+
+        it('moves the order back to working once its last hold is rejected', async () => {
+            const { user } = await createUser();
+            const order = await createOrder(user, day(10), day(17), { order_status: ORDER_STATUS.HOLD, order_request_hold: true });
+            const first = await createOrderItem(order, await createInventory(), hold(ORDER_ITEM_STATUS.ON_HOLD_REQUEST));
+            const second = await createOrderItem(order, await createInventory(), hold(ORDER_ITEM_STATUS.ON_HOLD_REQUEST));
+
+            const firstRejected = await rejectHold(first);
+            const stillHeld = await Order.findOne({ order_id: order.order_id });
+            const secondRejected = await rejectHold(second);
+            const released = await Order.findOne({ order_id: order.order_id });
+
+            assert.equal(firstRejected.status, 200);
+            assert.equal(stillHeld.order_status, ORDER_STATUS.HOLD);
+            assert.equal(secondRejected.status, 200);
+            assert.equal(released.order_status, ORDER_STATUS.WORKING);
+            assert.equal(released.order_request_hold, false);
+            assert.equal(await StatusHistory.countDocuments({ sh_reason: HISTORY_REASON.HOLDS_RELEASED }), 1);
+        });
+    });
+});
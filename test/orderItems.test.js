@@ -0,0 +1,244 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../src/app');
+const Order = require('../src/schemas/order.schema');
+const OrderItem = require('../src/schemas/orderItem.schema');
+const StatusHistory = require('../src/schemas/statusHistory.schema');
+const { ORDER_STATUS, ORDER_ITEM_STATUS } = require('../src/constants/status');
+const { HISTORY_REASON } = require('../src/constants/history');
+const { USER_ROLE } = require('../src/constants/role');
+const { startOfBusinessDay } = require('../src/helper/businessDate');
+const db = require('./helpers/db');
+const { createUser, createInventory, createOrder, createOrderItem } = require('./helpers/fixtures');
+
+const day = n => new Date(Date.UTC(2030, 0, n));
+
+const book = async (inventory, pickupDay, returnDay, overrides = {}, orderOverrides = {}) => {
+    const { user, token } = await createUser();
+    const order = await createOrder(user, day(pickupDay), day(returnDay), orderOverrides);
+    const item = await createOrderItem(order, inventory, overrides);
+    return { order, item, token };
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const removed = status => ({ oi_status: status, oi_deleted: true });
+
+describe('adding order items', () => {
+    before(db.connect);
+    after(db.disconnect);
+    beforeEach(db.clear);
+
+    const add = (order, inventory, token) =>
+        request(app)
+            .post('/order-items')
+            .set('Authorization', token)
+            .send({ oi_order_fk_order_id: order.order_id, oi_inventory_fk_inventory_id: inventory.inventory_id });
+
+    it('adds items to an order picked up today but not to one picked up yesterday', async () => {
+        const inventory = await createInventory();
+        const { user, token } = await createUser();
+        const today = startOfBusinessDay(new Date());
+        const yesterday = startOfBusinessDay(today.getTime() - HOUR_MS);
+        const returnAt = today.getTime() + 7 * 24 * HOUR_MS;
+        const pickedUpToday = await createOrder(user, today, returnAt);
+        const pickedUpYesterday = await createOrder(user, yesterday, returnAt);
+
+        const added = await add(pickedUpToday, inventory, token);
+        const refused = await add(pickedUpYesterday, inventory, token);
+
+        assert.equal(added.status, 201);
+        assert.equal(refused.status, 400);
+        assert.equal(refused.body.errors[0].message, 'Items cannot be added to an order whose pickup date is in the past');
+    });
+
+    it('refuses to add items to orders that left the cart', async () => {
+        const inventory = await createInventory();
+        const { user, token } = await createUser();
+
+        for (const status of [ORDER_STATUS.CONFIRM, ORDER_STATUS.OUT, ORDER_STATUS.CANCELLED]) {
+            const order = await createOrder(user, day(10), day(17), { order_status: status });
+
+            const response = await add(order, inventory, token);
+
+            assert.equal(response.status, 409, status);
+            assert.equal(response.body.error.code, 'ILLEGAL_STATUS_TRANSITION');
+            assert.equal(response.body.error.from, status);
+            assert.equal(await OrderItem.countDocuments({ oi_order_fk_order_id: order.order_id }), 0);
+        }
+    });
+
+    it('still adds items to held orders', async () => {
+        const inventory = await createInventory();
+        const { user, token } = await createUser();
+        const held = await createOrder(user, day(10), day(17), { order_status: ORDER_STATUS.HOLD });
+
+        const response = await add(held, inventory, token);
+
+        assert.equal(response.status, 201);
+        assert.equal(response.body.oi_order_fk_order_id, held.order_id);
+    });
+});
+
+describe('removed order items', () => {
+    before(db.connect);
+    after(db.disconnect);
+    beforeEach(db.clear);
+
+    const restore = (item, token) =>
+        request(app)
+            .put(`/order-items/restore-order-item/${item.oi_id}`)
+            .set('Authorization', token);
+
+    it('lets a removed artwork be added to the order again', async () => {
+        const inventory = await createInventory();
+        const { order, token } = await book(inventory, 10, 17, removed(ORDER_ITEM_STATUS.AVAILABLE));
+
+        const response = await request(app)
+            .post('/order-items')
+            .set('Authorization', token)
+            .send({ oi_order_fk_order_id: order.order_id, oi_inventory_fk_inventory_id: inventory.inventory_id });
+
+        assert.equal(response.status, 201);
+        assert.equal(response.body.oi_deleted, false);
+    });
+
+    it('queues a restored item of a held order behind the current holds', async () => {
+        const inventory = await createInventory();
+        const { item, token } = await book(
+            inventory, 10, 17,
+            { ...removed(ORDER_ITEM_STATUS.ON_HOLD), oi_request_hold: true },
+            { order_status: ORDER_STATUS.HOLD }
+        );
+        const { order: holder } = await book(inventory, 12, 20, { oi_status: ORDER_ITEM_STATUS.ON_HOLD, oi_request_hold: true });
+
+        const response = await restore(item, token);
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.previousStatus, ORDER_ITEM_STATUS.ON_HOLD);
+        assert.equal(response.body.data.newStatus, ORDER_ITEM_STATUS.SECOND_HOLD_REQUEST);
+        assert.equal(response.body.data.conflictingOrder, holder.order_id);
+
+        const restored = await OrderItem.findOne({ oi_id: item.oi_id });
+        assert.equal(restored.oi_deleted, false);
+        assert.equal(restored.oi_status, ORDER_ITEM_STATUS.SECOND_HOLD_REQUEST);
+        const entries = await StatusHistory.find({ sh_reason: HISTORY_REASON.ITEM_RESTORED });
+        assert.ok(entries.length > 0);
+    });
+
+    it('makes a restored item unavailable until a booking made in the meantime is returned', async () => {
+        const inventory = await createInventory();
+        const { item, token } = await book(inventory, 10, 17, removed(ORDER_ITEM_STATUS.AVAILABLE));
+        await book(inventory, 5, 12, { oi_status: ORDER_ITEM_STATUS.CONFIRMED });
+
+        const response = await restore(item, token);
+
+        assert.equal(response.status, 200);
+        const restored = await OrderItem.findOne({ oi_id: item.oi_id });
+        assert.equal(restored.oi_status, ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL);
+        assert.deepEqual(restored.oi_unavailable_until, day(12));
+    });
+
+    it('restores items to an order picked up today', async () => {
+        const inventory = await createInventory();
+        const { user, token } = await createUser();
+        const today = startOfBusinessDay(new Date());
+        const order = await createOrder(user, today, today.getTime() + 7 * 24 * HOUR_MS);
+        const item = await createOrderItem(order, inventory, removed(ORDER_ITEM_STATUS.AVAILABLE));
+
+        const response = await restore(item, token);
+
+        assert.equal(response.status, 200);
+        assert.equal((await OrderItem.findOne({ oi_id: item.oi_id })).oi_deleted, false);
+    });
+
+    it('refuses to restore an artwork that was added to the order again', async () => {
+        const inventory = await createInventory();
+        const { order, item, token } = await book(inventory, 10, 17, removed(ORDER_ITEM_STATUS.AVAILABLE));
+        await createOrderItem(order, inventory);
+
+        const response = await restore(item, token);
+
+        assert.equal(response.status, 400);
+        assert.equal((await OrderItem.findOne({ oi_id: item.oi_id })).oi_deleted, true);
+    });
+
+    it('refuses items that were never removed and items of cancelled orders', async () => {
+        const inventory = await createInventory();
+        const { item: active, token } = await book(inventory, 10, 17);
+        const { item: cancelled, token: cancelledToken } = await book(
+            inventory, 20, 27, removed(ORDER_ITEM_STATUS.AVAILABLE), { order_status: ORDER_STATUS.CANCELLED }
+        );
+
+        assert.equal((await restore(active, token)).status, 400);
+        assert.equal((await restore(cancelled, cancelledToken)).status, 400);
+    });
+});
+
+describe('removing order items', () => {
+    let adminToken;
+
+    before(db.connect);
+    after(db.disconnect);
+    beforeEach(async () => {
+        await db.clear();
+        ({ token: adminToken } = await createUser(USER_ROLE.ADMIN));
+    });
+
+    const remove = (item, token) =>
+        request(app)
+            .delete(`/order-items/remove-order-item/${item.oi_id}`)
+            .set('Authorization', token);
+
+    it('stops customers from emptying a confirmed order', async () => {
+        const inventory = await createInventory();
+        const { order, item, token } = await book(
+            inventory, 10, 17, { oi_status: ORDER_ITEM_STATUS.CONFIRMED }, { order_status: ORDER_STATUS.CONFIRM }
+        );
+
+        const response = await remove(item, token);
+
+        assert.equal(response.status, 403);
+        assert.equal((await OrderItem.findOne({ oi_id: item.oi_id })).oi_deleted, false);
+        assert.equal((await Order.findOne({ order_id: order.order_id })).order_status, ORDER_STATUS.CONFIRM);
+    });
+
+    it('lets admins remove a confirmed item', async () => {
+        const inventory = await createInventory();
+        const { item } = await book(
+            inventory, 10, 17, { oi_status: ORDER_ITEM_STATUS.CONFIRMED }, { order_status: ORDER_STATUS.CONFIRM }
+        );
+
+        const response = await remove(item, adminToken);
+
+        assert.equal(response.status, 200);
+        assert.equal((await OrderItem.findOne({ oi_id: item.oi_id })).oi_deleted, true);
+    });
+
+    it('moves the holds queued behind a removed hold up one position', async () => {
+        const inventory = await createInventory();
+        const { item: first } = await book(inventory, 10, 17, { oi_status: ORDER_ITEM_STATUS.ON_HOLD });
+        const { item: second, token } = await book(inventory, 10, 17, { oi_status: ORDER_ITEM_STATUS.SECOND_HOLD });
+        const { item: third } = await book(inventory, 10, 17, { oi_status: ORDER_ITEM_STATUS.THIRD_HOLD_REQUEST });
+
+        const response = await remove(second, token);
+
+        assert.equal(response.status, 200);
+        assert.equal((await OrderItem.findOne({ oi_id: first.oi_id })).oi_status, ORDER_ITEM_STATUS.ON_HOLD);
+        assert.equal((await OrderItem.findOne({ oi_id: third.oi_id })).oi_status, ORDER_ITEM_STATUS.SECOND_HOLD_REQUEST);
+    });
+
+    it('refuses to remove items that are out or back from the rental', async () => {
+        const inventory = await createInventory();
+        for (const status of [ORDER_ITEM_STATUS.OUT, ORDER_ITEM_STATUS.IN, ORDER_ITEM_STATUS.CLEAN]) {
+            const { item } = await book(inventory, 10, 17, { oi_status: status }, { order_status: ORDER_STATUS.OUT });
+
+            const response = await remove(item, adminToken);
+
+            assert.equal(response.status, 400);
+            assert.equal((await OrderItem.findOne({ oi_id: item.oi_id })).oi_deleted, false);
+        }
+    });
+});
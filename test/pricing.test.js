@@ -0,0 +1,207 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../src/app');
+const Order = require('../src/schemas/order.schema');
+const OrderItem = require('../src/schemas/orderItem.schema');
+const Inventory = require('../src/schemas/inventory.schema');
+const { USER_ROLE } = require('../src/constants/role');
+const {
+    getRentalDays,
+    getRentalRates,
+    priceRentalDays,
+    calculateOrderPricing,
+    recalculateOrderTotals,
+} = require('../src/helper/pricing');
+const db = require('./helpers/db');
+const { createUser, createInventory, createOrder, createOrderItem } = require('./helpers/fixtures');
+
+const day = n => new Date(Date.UTC(2030, 0, n));
+
+const general = (sevenDayPrice, threeDayPrice, visible = {}) => ({
+    seven_day_price: sevenDayPrice,
+    seven_day_visible: visible.sevenDay ?? true,
+    three_day_price: threeDayPrice,
+    three_day_visible: visible.threeDay ?? true,
+});
+
+const rates = (sevenDayPrice, threeDayPrice, visible) =>
+    getRentalRates({ inventory_general: general(sevenDayPrice, threeDayPrice, visible) });
+
+describe('pricing', () => {
+    describe('getRentalDays', () => {
+        it('counts every started day and at least one', () => {
+            assert.equal(getRentalDays(day(10), day(17)), 7);
+            assert.equal(getRentalDays(day(10), new Date(Date.UTC(2030, 0, 13, 1))), 4);
+            assert.equal(getRentalDays(day(10), day(10)), 1);
+        });
+    });
+
+    describe('priceRentalDays', () => {
+        const cases = [
+            // [days, seven-day price, three-day price, seven-day blocks, three-day blocks, total]
+            [1, 100, 60, 0, 1, 60],
+            [3, 100, 60, 0, 1, 60],
+            [4, 100, 60, 1, 0, 100],
+            [6, 100, 60, 1, 0, 100],
+            [7, 100, 60, 1, 0, 100],
+            [8, 100, 60, 1, 1, 160],
+            [10, 100, 60, 1, 1, 160],
+            [11, 100, 60, 2, 0, 200],
+            [14, 100, 60, 2, 0, 200],
+            [3, 200, 50, 0, 1, 50],
+            [7, 200, 50, 0, 3, 150],
+        ];
+
+        for (const [days, sevenDayPrice, threeDayPrice, sevenDay, threeDay, total] of cases) {
+            it(`prices ${days} days at ${sevenDayPrice}/7 and ${threeDayPrice}/3 as ${sevenDay}x7 + ${threeDay}x3`, () => {
+                assert.deepEqual(priceRentalDays(rates(sevenDayPrice, threeDayPrice), days), {
+                    blocks: { seven_day: sevenDay, three_day: threeDay },
+                    total,
+                });
+            });
+        }
+
+        it('prefers the mix covering fewer extra days on equal cost', () => {
+            // 2x3 and 1x7 both cost 100; 2x3 covers 6 days instead of 7
+            assert.deepEqual(priceRentalDays(rates(100, 50), 4).blocks, { seven_day: 0, three_day: 2 });
+            // 3x3 and 1x7 + 1x3 both cost 150; 3x3 covers 9 days instead of 10
+            assert.deepEqual(priceRentalDays(rates(100, 50), 8).blocks, { seven_day: 0, three_day: 3 });
+        });
+
+        it('uses the only visible block', () => {
+            assert.deepEqual(priceRentalDays(rates(100, 60, { threeDay: false }), 3), {
+                blocks: { seven_day: 1, three_day: 0 },
+                total: 100,
+            });
+            assert.deepEqual(priceRentalDays(rates(100, 60, { sevenDay: false }), 8), {
+                blocks: { seven_day: 0, three_day: 3 },
+                total: 180,
+            });
+        });
+
+        it('rounds totals to cents', () => {
+            assert.equal(priceRentalDays(rates(null, 0.1), 9).total, 0.3);
+        });
+
+        it('returns null when no block is visible', () => {
+            assert.equal(priceRentalDays(rates(100, 60, { sevenDay: false, threeDay: false }), 7), null);
+        });
+    });
+
+    describe('getRentalRates', () => {
+        it('prefers snapshotted prices over live ones', () => {
+            const live = { inventory_general: general(200, 120) };
+            const snapshot = { inventory_general: general(100, 60) };
+
+            assert.deepEqual(getRentalRates(live, snapshot), [
+                { key: 'seven_day', days: 7, price: 100 },
+                { key: 'three_day', days: 3, price: 60 },
+            ]);
+        });
+
+        it('falls back to live visibility when the snapshot does not carry it', () => {
+            const live = { inventory_general: general(200, 120, { threeDay: false }) };
+            const snapshot = { inventory_general: { seven_day_price: 100, three_day_price: 60 } };
+
+            assert.deepEqual(getRentalRates(live, snapshot), [{ key: 'seven_day', days: 7, price: 100 }]);
+        });
+
+        it('prices from the snapshot when the inventory is gone', () => {
+            assert.deepEqual(getRentalRates(null, { inventory_general: general(100, 60, { sevenDay: false }) }), [
+                { key: 'three_day', days: 3, price: 60 },
+            ]);
+        });
+
+        it('skips hidden, missing and invalid prices', () => {
+            assert.deepEqual(rates(100, 60, { sevenDay: false }).map(rate => rate.key), ['three_day']);
+            assert.deepEqual(rates(undefined, '').map(rate => rate.key), []);
+            assert.deepEqual(rates(-1, 'abc').map(rate => rate.key), []);
+        });
+    });
+
+    describe('order totals', () => {
+        let adminToken;
+        let user;
+
+        before(db.connect);
+        after(db.disconnect);
+        beforeEach(async () => {
+            await db.clear();
+            ({ token: adminToken } = await createUser(USER_ROLE.ADMIN));
+            ({ user } = await createUser());
+        });
+
+        it('prices order items from their snapshot, not the live inventory', async () => {
+            const inventory = await createInventory({ inventory_general: general(100, 60) });
+            const order = await createOrder(user, day(10), day(17));
+            const item = await createOrderItem(order, inventory);
+            await Inventory.updateOne(
+                { inventory_id: inventory.inventory_id },
+                { $set: { 'inventory_general.seven_day_price': 500 } }
+            );
+
+            const pricing = await calculateOrderPricing(order.order_id, day(10), day(17));
+
+            assert.equal(pricing.items.length, 1);
+            assert.equal(pricing.items[0].itemId, item.oi_id);
+            assert.equal(pricing.items[0].rentalDays, 7);
+            assert.deepEqual(pricing.items[0].rates, { seven_day: 100, three_day: 60 });
+            assert.equal(pricing.total, 100);
+        });
+
+        it('leaves items without a visible price out of the total and counts them', async () => {
+            const priced = await createInventory({ inventory_general: general(100, 60) });
+            const hidden = await createInventory({
+                inventory_general: general(100, 60, { sevenDay: false, threeDay: false }),
+            });
+            const order = await createOrder(user, day(10), day(17));
+            await createOrderItem(order, priced);
+            const unpriced = await createOrderItem(order, hidden);
+            await createOrderItem(order, priced, { oi_deleted: true });
+
+            const pricing = await recalculateOrderTotals(order);
+
+            assert.equal(pricing.items.length, 2);
+            assert.equal(pricing.total, 100);
+            assert.equal(pricing.unpricedItemsCount, 1);
+            assert.equal(pricing.items.find(item => item.itemId === unpriced.oi_id).total, null);
+
+            const storedOrder = await Order.findOne({ order_id: order.order_id });
+            const storedItem = await OrderItem.findOne({ oi_id: unpriced.oi_id });
+            assert.equal(storedOrder.order_total, 100);
+            assert.equal(storedOrder.order_unpriced_items_count, 1);
+            assert.equal(storedItem.oi_rental_price, null);
+        });
+
+        it('reprices every item when the order dates change', async () => {
+            const first = await createInventory({ inventory_general: general(100, 60) });
+            const second = await createInventory({ inventory_general: general(150, 50) });
+            const order = await createOrder(user, day(10), day(17));
+            const firstItem = await createOrderItem(order, first);
+            const secondItem = await createOrderItem(order, second);
+            await recalculateOrderTotals(order);
+
+            const response = await request(app)
+                .put(`/orders/update-order/${order.order_id}`)
+                .set('Authorization', adminToken)
+                .send({
+                    order_pickup_at: day(10).toISOString(),
+                    order_return_at: day(13).toISOString(),
+                    confirmed: true,
+                });
+
+            assert.equal(response.status, 200);
+            const updatedOrder = await Order.findOne({ order_id: order.order_id });
+            const updatedFirst = await OrderItem.findOne({ oi_id: firstItem.oi_id });
+            const updatedSecond = await OrderItem.findOne({ oi_id: secondItem.oi_id });
+            assert.equal(updatedFirst.oi_rental_days, 3);
+            assert.equal(updatedFirst.oi_rental_price, 60);
+            assert.equal(updatedSecond.oi_rental_days, 3);
+            assert.equal(updatedSecond.oi_rental_price, 50);
+            assert.equal(updatedOrder.order_total, 110);
+            assert.equal(updatedOrder.order_unpriced_items_count, 0);
+        });
+    });
+});
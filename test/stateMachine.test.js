@@ -0,0 +1,175 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ORDER_STATUS, ORDER_ITEM_STATUS } = require('../src/constants/status');
+const {
+    StateTransitionError,
+    canTransitionOrder,
+    canTransitionOrderItem,
+    assertOrderTransition,
+    assertOrderItemTransition,
+} = require('../src/helper/stateMachine');
+const { sendKnownError } = require('../src/helper/errorResponse');
+
+const S = ORDER_STATUS;
+const I = ORDER_ITEM_STATUS;
+
+// Every legal move, written out by hand so a change to the tables has to be made twice
+const LEGAL_ORDER_MOVES = {
+    [S.WORKING]: [S.HOLD, S.CONFIRM, S.CANCELLED],
+    [S.HOLD]: [S.WORKING, S.CONFIRM, S.CANCELLED],
+    [S.CONFIRM]: [S.CHECK_OUT, S.RUSH_ORDER, S.CANCELLED],
+    [S.CHECK_OUT]: [S.PACK],
+    [S.RUSH_ORDER]: [S.PACK],
+    [S.PACK]: [S.PICK_UP, S.SHIP],
+    [S.PICK_UP]: [S.OUT],
+    [S.SHIP]: [S.OUT],
+    [S.OUT]: [S.RETURNED],
+    [S.RETURNED]: [S.CHECK_IN],
+    [S.CHECK_IN]: [S.IN, S.ISSUE],
+    [S.ISSUE]: [S.IN],
+    [S.IN]: [],
+    [S.CANCELLED]: [],
+};
+
+const QUEUE = [
+    I.AVAILABLE,
+    I.ON_HOLD_REQUEST,
+    I.ON_HOLD,
+    I.SECOND_HOLD_REQUEST,
+    I.SECOND_HOLD,
+    I.THIRD_HOLD_REQUEST,
+    I.THIRD_HOLD,
+    I.UNAVAILABLE,
+    I.UNAVAILABLE_UNTIL,
+];
+
+const LEGAL_ITEM_MOVES = {
+    ...Object.fromEntries(QUEUE.map(status => [status, [...QUEUE, I.CANCELLED]])),
+    [I.AVAILABLE]: [...QUEUE, I.CONFIRMED, I.CANCELLED],
+    [I.ON_HOLD]: [...QUEUE, I.CONFIRMED, I.CANCELLED],
+    [I.CONFIRMED]: [I.OUT, I.CANCELLED],
+    [I.OUT]: [I.IN, I.LOSS],
+    [I.IN]: [I.CLEAN, I.DAMAGE, I.LOSS],
+    [I.CLEAN]: [],
+    [I.DAMAGE]: [],
+    [I.LOSS]: [],
+    [I.CANCELLED]: [],
+};
+
+// The statuses each status may move to according to the state machine, itself excluded
+const reachable = (statuses, canTransition, from) =>
+    statuses.filter(to => to !== from && canTransition(from, to));
+
+describe('state machine', () => {
+    describe('order transitions', () => {
+        const statuses = Object.values(ORDER_STATUS);
+
+        for (const from of statuses) {
+            it(`moves ${from} orders only to ${LEGAL_ORDER_MOVES[from].join(', ') || 'nothing'}`, () => {
+                assert.deepEqual(
+                    reachable(statuses, canTransitionOrder, from).sort(),
+                    [...LEGAL_ORDER_MOVES[from]].sort()
+                );
+                assert.equal(canTransitionOrder(from, from), true);
+            });
+        }
+    });
+
+    describe('order item transitions', () => {
+        const statuses = Object.values(ORDER_ITEM_STATUS);
+
+        for (const from of statuses) {
+            it(`moves ${from} items only to ${LEGAL_ITEM_MOVES[from].filter(to => to !== from).join(', ') || 'nothing'}`, () => {
+                assert.deepEqual(
+                    reachable(statuses, canTransitionOrderItem, from).sort(),
+                    LEGAL_ITEM_MOVES[from].filter(to => to !== from).sort()
+                );
+                assert.equal(canTransitionOrderItem(from, from), true);
+            });
+        }
+
+        it('lets new items enter the queue only', () => {
+            for (const to of Object.values(ORDER_ITEM_STATUS)) {
+                assert.equal(canTransitionOrderItem(undefined, to), QUEUE.includes(to), to);
+            }
+        });
+    });
+
+    describe('assertions', () => {
+        // Minimal Express response that keeps what was sent
+        const fakeResponse = () => ({
+            statusCode: null,
+            body: null,
+            status(code) { this.statusCode = code; return this; },
+            json(body) { this.body = body; return this; },
+        });
+
+        it('pass legal transitions through', () => {
+            assert.doesNotThrow(() => assertOrderTransition({ order_id: 'o1', order_status: S.HOLD }, S.CONFIRM));
+            assert.doesNotThrow(() => assertOrderItemTransition({ oi_id: 'i1', oi_status: I.OUT }, I.IN));
+            assert.doesNotThrow(() => assertOrderItemTransition({ oi_id: 'i1' }, I.ON_HOLD_REQUEST));
+        });
+
+        it('answer an illegal order transition with a 409 naming the allowed statuses', () => {
+            const res = fakeResponse();
+            let error;
+            try {
+                assertOrderTransition({ order_id: 'o1', order_status: S.PACK }, S.IN);
+            } catch (caught) {
+                error = caught;
+            }
+
+            assert.ok(error instanceof StateTransitionError);
+            assert.equal(sendKnownError(res, error), true);
+            assert.equal(res.statusCode, 409);
+            assert.deepEqual(res.body, {
+                success: false,
+                message: 'Illegal order status transition from "pack" to "in"',
+                error: {
+                    code: 'ILLEGAL_STATUS_TRANSITION',
+                    entity: 'order',
+                    id: 'o1',
+                    from: S.PACK,
+                    to: S.IN,
+                    allowed: [S.PICK_UP, S.SHIP],
+                },
+            });
+        });
+
+        it('answer an illegal order item transition with a 409 naming the allowed statuses', () => {
+            const res = fakeResponse();
+            let error;
+            try {
+                assertOrderItemTransition({ oi_id: 'i1', oi_status: I.CONFIRMED }, I.ON_HOLD);
+            } catch (caught) {
+                error = caught;
+            }
+
+            assert.equal(sendKnownError(res, error), true);
+            assert.equal(res.statusCode, 409);
+            assert.deepEqual(res.body.error, {
+                code: 'ILLEGAL_STATUS_TRANSITION',
+                entity: 'order_item',
+                id: 'i1',
+                from: I.CONFIRMED,
+                to: I.ON_HOLD,
+                allowed: [I.OUT, I.CANCELLED],
+            });
+        });
+
+        it('list the queue as allowed for new items', () => {
+            assert.throws(
+                () => assertOrderItemTransition({ oi_id: 'i1' }, I.CONFIRMED),
+                error => error instanceof StateTransitionError && error.toJSON().allowed.length === QUEUE.length
+            );
+        });
+
+        it('leave other errors to the controller', () => {
+            const res = fakeResponse();
+
+            assert.equal(sendKnownError(res, new Error('boom')), false);
+            assert.equal(res.statusCode, null);
+        });
+    });
+});
@@ -0,0 +1,151 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../src/app');
+const User = require('../src/schemas/user.schema');
+const Inventory = require('../src/schemas/inventory.schema');
+const { USER_ROLE } = require('../src/constants/role');
+const db = require('./helpers/db');
+const { createUser, createInventory } = require('./helpers/fixtures');
+
+const signupBody = (overrides = {}) => ({
+    user_email: 'new.user@example.com',
+    user_password: 'correct horse',
+    ...overrides,
+});
+
+// Field names of a 400 response, as location:field
+const invalidFields = response => response.body.errors.map(error => `${error.location}:${error.field}`).sort();
+
+describe('request validation', () => {
+    // Rejected before the controller runs, so these need no database
+    describe('signup and login', () => {
+        const cases = [
+            ['signup without a password', '/users/signup', { user_email: 'a@example.com' }, ['body:user_password']],
+            ['signup with an invalid email', '/users/signup', signupBody({ user_email: 'not-an-email' }), ['body:user_email']],
+            ['signup with a short password', '/users/signup', signupBody({ user_password: 'short' }), ['body:user_password']],
+            ['signup with a role', '/users/signup', signupBody({ user_role: USER_ROLE.ADMIN }), ['body:user_role']],
+            ['signup with a future date of birth', '/users/signup', signupBody({ user_dob: '2999-01-01' }), ['body:user_dob']],
+            ['login without credentials', '/users/login', {}, ['body:user_email', 'body:user_password']],
+            ['login with unknown fields', '/users/login', { user_email: 'a@example.com', user_password: 'x', remember: true }, ['body:remember']],
+        ];
+
+        for (const [name, path, body, fields] of cases) {
+            it(`refuses ${name}`, async () => {
+                const response = await request(app).post(path).send(body);
+
+                assert.equal(response.status, 400);
+                assert.equal(response.body.success, false);
+                assert.equal(response.body.message, 'Validation failed');
+                assert.deepEqual(invalidFields(response), fields);
+            });
+        }
+
+        it('lists every problem with its location, field and message', async () => {
+            const response = await request(app)
+                .post('/users/signup')
+                .send({ user_email: 'nope', user_password: 'short', user_role: USER_ROLE.ADMIN });
+
+            assert.deepEqual(response.body.errors, [
+                { location: 'body', field: 'user_email', message: 'user_email must be a valid email' },
+                { location: 'body', field: 'user_password', message: 'user_password length must be at least 8 characters long' },
+                { location: 'body', field: 'user_role', message: 'user_role is not allowed' },
+            ]);
+        });
+    });
+
+    describe('users and inventory', () => {
+        let admin;
+
+        before(db.connect);
+        after(db.disconnect);
+        beforeEach(async () => {
+            await db.clear();
+            admin = await createUser(USER_ROLE.ADMIN);
+        });
+
+        it('stores signup emails trimmed and lowercased and logs in with any casing', async () => {
+            const signup = await request(app)
+                .post('/users/signup')
+                .send(signupBody({ user_email: '  New.User@Example.com ', user_first_name: 'Ada', user_last_name: 'Lovelace' }));
+            const login = await request(app)
+                .post('/users/login')
+                .send({ user_email: 'NEW.USER@example.COM', user_password: 'correct horse' });
+            const duplicate = await request(app).post('/users/signup').send(signupBody());
+
+            assert.equal(signup.status, 201);
+            const user = await User.findOne({ user_id: signup.body.data.user.user_id });
+            assert.equal(user.user_email, 'new.user@example.com');
+            assert.equal(user.user_full_name, 'Ada Lovelace');
+            assert.equal(user.user_role, USER_ROLE.CUSTOMER);
+            assert.equal(login.status, 200);
+            assert.equal(duplicate.status, 409);
+        });
+
+        it('only accepts known roles', async () => {
+            const { user } = await createUser();
+
+            const response = await request(app)
+                .put(`/users/role/${user.user_id}`)
+                .set('Authorization', admin.token)
+                .send({ user_role: 'owner' });
+
+            assert.equal(response.status, 400);
+            assert.deepEqual(invalidFields(response), ['body:user_role']);
+        });
+
+        const createCases = [
+            ['without a barcode', { inventory_general: { width: 10 } }, ['body:inventory_barcode']],
+            ['with an empty barcode', { inventory_barcode: '  ' }, ['body:inventory_barcode']],
+            ['with a negative price', { inventory_barcode: '1', inventory_general: { seven_day_price: -1 } }, ['body:inventory_general.seven_day_price']],
+            ['with a fractional buffer', { inventory_barcode: '1', inventory_buffer: { before_days: 1.5 } }, ['body:inventory_buffer.before_days']],
+            ['with a negative buffer', { inventory_barcode: '1', inventory_buffer: { after_days: -1 } }, ['body:inventory_buffer.after_days']],
+            ['with unknown fields', { inventory_barcode: '1', inventory_retired: true, inventory_general: { colour: 'red' } }, ['body:inventory_general.colour', 'body:inventory_retired']],
+        ];
+
+        for (const [name, body, fields] of createCases) {
+            it(`refuses to create an inventory ${name}`, async () => {
+                const response = await request(app).post('/inventory').set('Authorization', admin.token).send(body);
+
+                assert.equal(response.status, 400);
+                assert.equal(response.body.message, 'Validation failed');
+                assert.deepEqual(invalidFields(response), fields);
+            });
+        }
+
+        it('creates an inventory from a numeric barcode and clears buffers with null', async () => {
+            const created = await request(app)
+                .post('/inventory')
+                .set('Authorization', admin.token)
+                .send({ inventory_barcode: 27901234, inventory_buffer: { before_days: 2, after_days: 1 } });
+            const updated = await request(app)
+                .put(`/inventory/${created.body.data.inventory_id}`)
+                .set('Authorization', admin.token)
+                .send({ inventory_buffer: { before_days: null } });
+
+            assert.equal(created.status, 201);
+            assert.equal(created.body.data.inventory_barcode, '27901234');
+            assert.equal(updated.status, 200);
+            const inventory = await Inventory.findOne({ inventory_id: created.body.data.inventory_id });
+            assert.equal(inventory.inventory_buffer.before_days, null);
+            assert.equal(inventory.inventory_buffer.after_days, 1);
+        });
+
+        it('refuses inventory updates without changes or with unknown fields', async () => {
+            const inventory = await createInventory();
+            const update = body =>
+                request(app).put(`/inventory/${inventory.inventory_id}`).set('Authorization', admin.token).send(body);
+
+            const empty = await update({});
+            const emptyGeneral = await update({ inventory_general: {} });
+            const unknown = await update({ inventory_out_of_service: false, inventory_general: { width: 'wide' } });
+
+            assert.equal(empty.status, 400);
+            assert.equal(emptyGeneral.status, 400);
+            assert.deepEqual(invalidFields(emptyGeneral), ['body:inventory_general']);
+            assert.equal(unknown.status, 400);
+            assert.deepEqual(invalidFields(unknown), ['body:inventory_general.width', 'body:inventory_out_of_service']);
+        });
+    });
+});
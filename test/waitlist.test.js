@@ -0,0 +1,236 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../src/app');
+const OrderItem = require('../src/schemas/orderItem.schema');
+const Waitlist = require('../src/schemas/waitlist.schema');
+const { ORDER_STATUS, ORDER_ITEM_STATUS } = require('../src/constants/status');
+const { WAITLIST_STATUS } = require('../src/constants/waitlist');
+const { USER_ROLE } = require('../src/constants/role');
+const { expireStaleHoldRequests } = require('../src/helper/holdExpiry');
+const db = require('./helpers/db');
+const { createUser, createInventory, createOrder, createOrderItem } = require('./helpers/fixtures');
+
+const day = n => new Date(Date.UTC(2030, 0, n));
+
+const book = async (inventory, pickupDay, returnDay, overrides = {}, orderOverrides = {}) => {
+    const { user, token } = await createUser();
+    const order = await createOrder(user, day(pickupDay), day(returnDay), orderOverrides);
+    const item = await createOrderItem(order, inventory, overrides);
+    return { order, item, user, token };
+};
+
+const hold = status => ({ oi_status: status, oi_request_hold: true });
+
+// Three holds on the 10th to the 17th: the artwork is unavailable for those dates
+const fillHoldQueue = async inventory => ({
+    first: await book(inventory, 10, 17, hold(ORDER_ITEM_STATUS.ON_HOLD), { order_status: ORDER_STATUS.HOLD }),
+    second: await book(inventory, 10, 17, hold(ORDER_ITEM_STATUS.SECOND_HOLD), { order_status: ORDER_STATUS.HOLD }),
+    third: await book(inventory, 10, 17, hold(ORDER_ITEM_STATUS.THIRD_HOLD), { order_status: ORDER_STATUS.HOLD }),
+});
+
+const wait = async (inventory, pickupDay, returnDay, overrides = {}) => {
+    const { user, token } = await createUser();
+    const entry = await Waitlist.create({
+        wl_inventory_fk_inventory_id: inventory.inventory_id,
+        wl_user_fk_user_id: user.user_id,
+        wl_pickup_at: day(pickupDay),
+        wl_return_at: day(returnDay),
+        ...overrides,
+    });
+    return { entry, user, token };
+};
+
+const reload = async entry => Waitlist.findOne({ wl_id: entry.wl_id });
+
+describe('waitlist', () => {
+    let adminToken;
+
+    before(db.connect);
+    after(db.disconnect);
+    beforeEach(async () => {
+        await db.clear();
+        ({ token: adminToken } = await createUser(USER_ROLE.ADMIN));
+    });
+
+    const removeItem = item =>
+        request(app)
+            .delete(`/order-items/remove-order-item/${item.oi_id}`)
+            .set('Authorization', adminToken);
+
+    const cancelOrder = order =>
+        request(app)
+            .put(`/orders/cancel-order/${order.order_id}`)
+            .set('Authorization', adminToken);
+
+    describe('joining', () => {
+        it('adds customers in the order they join', async () => {
+            const inventory = await createInventory();
+            const body = { inventory_id: inventory.inventory_id, pickup_at: '2030-01-10', return_at: '2030-01-17' };
+            const { token: firstToken } = await createUser();
+            const { token: secondToken } = await createUser();
+
+            const first = await request(app).post('/waitlist').set('Authorization', firstToken).send(body);
+            const second = await request(app).post('/waitlist').set('Authorization', secondToken).send(body);
+            const again = await request(app).post('/waitlist').set('Authorization', firstToken).send(body);
+
+            assert.equal(first.status, 201);
+            assert.equal(first.body.data.position, 1);
+            assert.equal(second.body.data.position, 2);
+            assert.equal(second.body.data.waitlistEntry.wl_status, WAITLIST_STATUS.WAITING);
+            assert.equal(again.status, 400);
+        });
+
+        it('takes the window from the customer\'s own order and needs one to auto-queue', async () => {
+            const inventory = await createInventory();
+            const { order, token } = await book(inventory, 10, 17, { oi_status: ORDER_ITEM_STATUS.UNAVAILABLE });
+            const { token: otherToken } = await createUser();
+
+            const joined = await request(app)
+                .post('/waitlist')
+                .set('Authorization', token)
+                .send({ inventory_id: inventory.inventory_id, order_id: order.order_id, auto_queue: true });
+            const notOwner = await request(app)
+                .post('/waitlist')
+                .set('Authorization', otherToken)
+                .send({ inventory_id: inventory.inventory_id, order_id: order.order_id });
+            const withoutOrder = await request(app)
+                .post('/waitlist')
+                .set('Authorization', token)
+                .send({ inventory_id: inventory.inventory_id, pickup_at: '2030-02-01', return_at: '2030-02-05', auto_queue: true });
+
+            assert.equal(joined.status, 201);
+            assert.equal(joined.body.data.waitlistEntry.wl_pickup_at, day(10).toISOString());
+            assert.equal(joined.body.data.waitlistEntry.wl_auto_queue, true);
+            assert.equal(notOwner.status, 403);
+            assert.equal(withoutOrder.status, 400);
+        });
+
+        it('lets customers leave their own entries only', async () => {
+            const inventory = await createInventory();
+            const { entry, token } = await wait(inventory, 10, 17);
+            const { token: otherToken } = await createUser();
+
+            const notOwner = await request(app).delete(`/waitlist/${entry.wl_id}`).set('Authorization', otherToken);
+            const left = await request(app).delete(`/waitlist/${entry.wl_id}`).set('Authorization', token);
+
+            assert.equal(notOwner.status, 403);
+            assert.equal(left.status, 200);
+            assert.equal((await reload(entry)).wl_status, WAITLIST_STATUS.CANCELLED);
+        });
+    });
+
+    describe('freed capacity', () => {
+        it('notifies the earliest waitlister when a removed hold frees a slot', async () => {
+            const inventory = await createInventory();
+            const { first } = await fillHoldQueue(inventory);
+            const { entry: earliest } = await wait(inventory, 12, 15);
+            const { entry: later } = await wait(inventory, 11, 14);
+
+            const response = await removeItem(first.item);
+
+            assert.equal(response.status, 200);
+            const notified = await reload(earliest);
+            assert.equal(notified.wl_status, WAITLIST_STATUS.NOTIFIED);
+            assert.ok(notified.wl_notified_at);
+            assert.equal(notified.wl_freed_by_fk_order_id, first.order.order_id);
+            assert.equal((await reload(later)).wl_status, WAITLIST_STATUS.WAITING);
+        });
+
+        it('skips waitlisters whose dates are still taken', async () => {
+            const inventory = await createInventory();
+            await book(inventory, 20, 27, { oi_status: ORDER_ITEM_STATUS.CONFIRMED });
+            const { first } = await fillHoldQueue(inventory);
+            const { entry: blocked } = await wait(inventory, 15, 22);
+            const { entry: fits } = await wait(inventory, 12, 15);
+
+            await removeItem(first.item);
+
+            assert.equal((await reload(blocked)).wl_status, WAITLIST_STATUS.WAITING);
+            assert.equal((await reload(fits)).wl_status, WAITLIST_STATUS.NOTIFIED);
+        });
+
+        it('auto-queues a held order\'s unavailable item into the freed hold slot', async () => {
+            const inventory = await createInventory();
+            const { first } = await fillHoldQueue(inventory);
+            const { order, item, user } = await book(
+                inventory, 12, 15, hold(ORDER_ITEM_STATUS.UNAVAILABLE), { order_status: ORDER_STATUS.HOLD }
+            );
+            const { entry } = await wait(inventory, 12, 15, {
+                wl_user_fk_user_id: user.user_id,
+                wl_order_fk_order_id: order.order_id,
+                wl_auto_queue: true
+            });
+
+            const response = await cancelOrder(first.order);
+
+            assert.equal(response.status, 200);
+            const queued = await reload(entry);
+            assert.equal(queued.wl_status, WAITLIST_STATUS.QUEUED);
+            assert.equal(queued.wl_queued_fk_oi_id, item.oi_id);
+            const queuedItem = await OrderItem.findOne({ oi_id: item.oi_id });
+            assert.equal(queuedItem.oi_status, ORDER_ITEM_STATUS.THIRD_HOLD_REQUEST);
+            assert.equal(queuedItem.oi_request_hold, true);
+        });
+
+        it('notifies a waitlister when a cancelled booking frees the dates', async () => {
+            const inventory = await createInventory();
+            const { user } = await createUser();
+            const booked = await createOrder(user, day(10), day(17), { order_status: ORDER_STATUS.CONFIRM });
+            await createOrderItem(booked, inventory, { oi_status: ORDER_ITEM_STATUS.CONFIRMED });
+            const { entry } = await wait(inventory, 14, 20);
+
+            await cancelOrder(booked);
+
+            assert.equal((await reload(entry)).wl_status, WAITLIST_STATUS.NOTIFIED);
+        });
+
+        it('notifies a waitlister when a booked artwork is scanned back in', async () => {
+            const inventory = await createInventory();
+            const { user } = await createUser();
+            const booked = await createOrder(user, day(10), day(17), { order_status: ORDER_STATUS.CHECK_IN });
+            await createOrderItem(booked, inventory, { oi_status: ORDER_ITEM_STATUS.OUT });
+            const { entry } = await wait(inventory, 14, 20);
+
+            const response = await request(app)
+                .put(`/orders/scan-in/${booked.order_id}`)
+                .set('Authorization', adminToken)
+                .send({ barcode: inventory.inventory_barcode });
+
+            assert.equal(response.status, 200);
+            assert.equal((await reload(entry)).wl_status, WAITLIST_STATUS.NOTIFIED);
+        });
+
+        it('notifies a waitlister when an expired hold request frees a slot', async () => {
+            const inventory = await createInventory();
+            const { third } = await fillHoldQueue(inventory);
+            await OrderItem.updateOne(
+                { oi_id: third.item.oi_id },
+                { oi_status: ORDER_ITEM_STATUS.THIRD_HOLD_REQUEST, oi_request_hold_at: new Date(Date.now() - 2 * 60 * 60 * 1000) }
+            );
+            const { entry } = await wait(inventory, 12, 15);
+
+            const expired = await expireStaleHoldRequests(1);
+
+            assert.deepEqual(expired.map(result => result.oi_id), [third.item.oi_id]);
+            assert.equal((await reload(entry)).wl_status, WAITLIST_STATUS.NOTIFIED);
+        });
+
+        it('closes entries of orders that can no longer take the artwork', async () => {
+            const inventory = await createInventory();
+            const { first } = await fillHoldQueue(inventory);
+            const { order, user } = await book(inventory, 12, 15, {}, { order_status: ORDER_STATUS.CANCELLED });
+            const { entry: stale } = await wait(inventory, 12, 15, {
+                wl_user_fk_user_id: user.user_id,
+                wl_order_fk_order_id: order.order_id
+            });
+            const { entry: next } = await wait(inventory, 12, 15);
+
+            await removeItem(first.item);
+
+            assert.equal((await reload(stale)).wl_status, WAITLIST_STATUS.CANCELLED);
+            assert.equal((await reload(next)).wl_status, WAITLIST_STATUS.NOTIFIED);
+        });
+    });
+});
@@ -0,0 +1,207 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const request = require('supertest');
+
+const app = require('../src/app');
+const config = require('../src/config');
+const WebhookDelivery = require('../src/schemas/webhookDelivery.schema');
+const { ORDER_STATUS, ORDER_ITEM_STATUS } = require('../src/constants/status');
+const { WEBHOOK_EVENT, WEBHOOK_DELIVERY_STATUS } = require('../src/constants/webhook');
+const { USER_ROLE } = require('../src/constants/role');
+const { signPayload, flushWebhooks, retryDueDeliveries, startWebhooks, stopWebhooks } = require('../src/helper/webhook');
+const db = require('./helpers/db');
+const { createUser, createInventory, createOrder, createOrderItem } = require('./helpers/fixtures');
+
+const day = n => new Date(Date.UTC(2030, 0, n));
+
+const book = async (inventory, pickupDay, returnDay, overrides = {}, orderOverrides = {}) => {
+    const { user, token } = await createUser();
+    const order = await createOrder(user, day(pickupDay), day(returnDay), orderOverrides);
+    const item = await createOrderItem(order, inventory, overrides);
+    return { order, item, token };
+};
+
+// Local receiver that keeps every request and answers with the next queued status (200 by default)
+const startReceiver = () => new Promise((resolve) => {
+    const received = [];
+    const statuses = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body, payload: JSON.parse(body) });
+            res.writeHead(statuses.shift() || 200);
+            res.end();
+        });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({
+        server,
+        received,
+        statuses,
+        url: `http://127.0.0.1:${server.address().port}/hooks`,
+    }));
+});
+
+describe('webhooks', () => {
+    const defaultWebhooks = structuredClone(config.webhooks);
+    let receiver;
+    let adminToken;
+
+    before(async () => {
+        await db.connect();
+        receiver = await startReceiver();
+        startWebhooks();
+    });
+    after(async () => {
+        stopWebhooks();
+        Object.assign(config.webhooks, defaultWebhooks);
+        await new Promise(resolve => receiver.server.close(resolve));
+        await db.disconnect();
+    });
+    beforeEach(async () => {
+        await db.clear();
+        receiver.received.length = 0;
+        receiver.statuses.length = 0;
+        ({ token: adminToken } = await createUser(USER_ROLE.ADMIN));
+    });
+
+    const register = body =>
+        request(app)
+            .post('/webhooks')
+            .set('Authorization', adminToken)
+            .send({ url: receiver.url, ...body });
+
+    const confirmOrder = order =>
+        request(app)
+            .put(`/orders/confirm-order/${order.order_id}`)
+            .set('Authorization', adminToken);
+
+    it('registers webhooks for admins only and shows the secret once', async () => {
+        const { token: customerToken } = await createUser();
+
+        const created = await register({ events: [WEBHOOK_EVENT.ORDER_CONFIRMED] });
+        const listed = await request(app).get('/webhooks').set('Authorization', adminToken);
+        const forbidden = await request(app).post('/webhooks').set('Authorization', customerToken).send({ url: receiver.url });
+        const invalid = await register({ url: 'ftp://example.com', events: ['order.shipped'] });
+
+        assert.equal(created.status, 201);
+        assert.match(created.body.data.secret, /^[0-9a-f]{64}$/);
+        assert.equal(created.body.data.webhook.wh_secret, undefined);
+        assert.equal(listed.body.data.webhooks.length, 1);
+        assert.equal(listed.body.data.webhooks[0].wh_secret, undefined);
+        assert.equal(forbidden.status, 403);
+        assert.equal(invalid.status, 400);
+    });
+
+    it('posts signed events matching the filter when an order is confirmed', async () => {
+        const inventory = await createInventory();
+        const { order } = await book(inventory, 10, 17);
+        const { item: competing } = await book(inventory, 12, 20, { oi_status: ORDER_ITEM_STATUS.ON_HOLD_REQUEST, oi_request_hold: true });
+        const { body: { data: { secret } } } = await register({
+            events: [WEBHOOK_EVENT.ORDER_CONFIRMED, WEBHOOK_EVENT.ORDER_ITEM_STATUS_CHANGED]
+        });
+
+        const response = await confirmOrder(order);
+        await flushWebhooks();
+
+        assert.equal(response.status, 200);
+        const events = receiver.received.map(({ payload }) => payload.event);
+        assert.ok(events.includes(WEBHOOK_EVENT.ORDER_CONFIRMED));
+        assert.ok(!events.includes(WEBHOOK_EVENT.ORDER_STATUS_CHANGED));
+
+        const confirmed = receiver.received.find(({ payload }) => payload.event === WEBHOOK_EVENT.ORDER_CONFIRMED);
+        assert.equal(confirmed.payload.data.order_id, order.order_id);
+        assert.equal(confirmed.payload.data.previousStatus, ORDER_STATUS.WORKING);
+        assert.equal(confirmed.payload.data.newStatus, ORDER_STATUS.CONFIRM);
+        assert.equal(confirmed.headers['x-webhook-event'], WEBHOOK_EVENT.ORDER_CONFIRMED);
+
+        const [, timestamp, signature] = confirmed.headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+        assert.equal(signature, signPayload(secret, Number(timestamp), confirmed.body));
+
+        const unavailable = receiver.received.find(({ payload }) => payload.data.oi_id === competing.oi_id);
+        assert.equal(unavailable.payload.event, WEBHOOK_EVENT.ORDER_ITEM_STATUS_CHANGED);
+        assert.equal(unavailable.payload.data.newStatus, ORDER_ITEM_STATUS.UNAVAILABLE_UNTIL);
+        assert.equal(unavailable.payload.data.causedByOrderId, order.order_id);
+
+        const deliveries = await WebhookDelivery.find();
+        assert.equal(deliveries.length, receiver.received.length);
+        deliveries.forEach(delivery => assert.equal(delivery.wd_status, WEBHOOK_DELIVERY_STATUS.SUCCEEDED));
+    });
+
+    it('announces cancellations', async () => {
+        const inventory = await createInventory();
+        const { order, token } = await book(inventory, 10, 17);
+        await register({ events: [WEBHOOK_EVENT.ORDER_CANCELLED] });
+
+        await request(app).put(`/orders/cancel-order/${order.order_id}`).set('Authorization', token);
+        await flushWebhooks();
+
+        assert.equal(receiver.received.length, 1);
+        assert.equal(receiver.received[0].payload.event, WEBHOOK_EVENT.ORDER_CANCELLED);
+        assert.equal(receiver.received[0].payload.data.actor.user_role, USER_ROLE.CUSTOMER);
+    });
+
+    it('retries failed deliveries with backoff and gives up after maxAttempts', async () => {
+        config.webhooks.retryBaseSeconds = 60;
+        config.webhooks.maxAttempts = 2;
+        try {
+            const inventory = await createInventory();
+            const { order } = await book(inventory, 10, 17);
+            await register({ events: [WEBHOOK_EVENT.ORDER_CONFIRMED] });
+            receiver.statuses.push(500, 503);
+
+            const failedAt = Date.now();
+            await confirmOrder(order);
+            await flushWebhooks();
+
+            let delivery = await WebhookDelivery.findOne();
+            assert.equal(delivery.wd_status, WEBHOOK_DELIVERY_STATUS.PENDING);
+            assert.equal(delivery.wd_attempts, 1);
+            assert.equal(delivery.wd_last_status_code, 500);
+            assert.ok(delivery.wd_next_attempt_at.getTime() >= failedAt + 60 * 1000);
+
+            // Not due yet
+            assert.equal(await retryDueDeliveries(), 0);
+
+            await WebhookDelivery.updateOne({ wd_id: delivery.wd_id }, { $set: { wd_next_attempt_at: new Date() } });
+            assert.equal(await retryDueDeliveries(), 1);
+
+            delivery = await WebhookDelivery.findOne();
+            assert.equal(delivery.wd_status, WEBHOOK_DELIVERY_STATUS.FAILED);
+            assert.equal(delivery.wd_attempts, 2);
+            assert.equal(receiver.received.length, 2);
+
+            const redelivered = await request(app)
+                .put(`/webhooks/deliveries/${delivery.wd_id}/redeliver`)
+                .set('Authorization', adminToken);
+            assert.equal(redelivered.status, 200);
+            assert.equal(redelivered.body.data.wd_status, WEBHOOK_DELIVERY_STATUS.SUCCEEDED);
+            assert.equal(receiver.received[2].payload.id, receiver.received[0].payload.id);
+        } finally {
+            Object.assign(config.webhooks, defaultWebhooks);
+        }
+    });
+
+    it('stops delivering to disabled webhooks and lists the delivery log', async () => {
+        const inventory = await createInventory();
+        const { order: first } = await book(inventory, 10, 17);
+        const { order: second } = await book(inventory, 20, 27);
+        const { body: { data: { webhook } } } = await register({ events: [WEBHOOK_EVENT.ORDER_CONFIRMED] });
+
+        await confirmOrder(first);
+        await flushWebhooks();
+        await request(app).put(`/webhooks/${webhook.wh_id}`).set('Authorization', adminToken).send({ active: false });
+        await confirmOrder(second);
+        await flushWebhooks();
+
+        const log = await request(app)
+            .get(`/webhooks/${webhook.wh_id}/deliveries`)
+            .set('Authorization', adminToken);
+
+        assert.equal(receiver.received.length, 1);
+        assert.equal(log.status, 200);
+        assert.equal(log.body.data.deliveries.length, 1);
+        assert.equal(log.body.data.deliveries[0].wd_order_fk_order_id, first.order_id);
+    });
+});